@@ -0,0 +1,205 @@
+/**
+ * =============================================================
+ * MOCK OIDC ISSUER - "Sign in with ..." Without a Real Provider
+ * =============================================================
+ *
+ * A tiny OpenID Connect provider for local development and manual
+ * testing. It implements just enough for TaskFlow's login flow:
+ *
+ *   GET  /.well-known/openid-configuration  - Discovery document
+ *   GET  /authorize   - "Login" form: type any email, no password
+ *   POST /authorize   - Redirects back to TaskFlow with a code
+ *   POST /token       - Code + PKCE verifier -> ID token
+ *   GET  /userinfo    - Profile for an access token
+ *
+ * It checks the same things a real provider does (client secret,
+ * redirect URI, PKCE), so mistakes in the app show up here too.
+ * Everything is kept in memory - restart it to forget everything.
+ *
+ * USAGE:
+ *   1. Add to .env:
+ *        OAUTH_PROVIDERS="mock"
+ *        OAUTH_MOCK_NAME="Mock OIDC"
+ *        OAUTH_MOCK_ISSUER="http://localhost:4000"
+ *        OAUTH_MOCK_CLIENT_ID="taskflow"
+ *        OAUTH_MOCK_CLIENT_SECRET="mock-secret"
+ *   2. npm run mock-oidc   (in a second terminal)
+ *   3. Restart the backend and click "Sign in with Mock OIDC"
+ * =============================================================
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.OAUTH_MOCK_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OAUTH_MOCK_CLIENT_ID || 'taskflow';
+const CLIENT_SECRET = process.env.OAUTH_MOCK_CLIENT_SECRET || 'mock-secret';
+
+// Authorization codes and access tokens (one minute / one hour)
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Escape text for use inside HTML.
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Send the browser back to the client app.
+ */
+function redirectBack(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value);
+  }
+  res.redirect(url.toString());
+}
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['HS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+/**
+ * The "login page". Real providers ask for a password here - the
+ * mock just lets you pick who to be.
+ */
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  if (!redirect_uri || response_type !== 'code') {
+    return res.status(400).send('redirect_uri and response_type=code are required');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE (code_challenge with method S256) is required');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n      ');
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><title>Mock OIDC Login</title></head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+    <h2>Mock OIDC Login</h2>
+    <p>Signing in to <strong>${escapeHtml(client_id)}</strong>. No password needed.</p>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input name="email" type="email" value="mock.user@example.com" required></label></p>
+      <p><label>Name<br><input name="name" value="mockuser"></label></p>
+      <p><label><input name="email_verified" type="checkbox" checked> Email is verified</label></p>
+      <button type="submit" name="action" value="approve">Sign in</button>
+      <button type="submit" name="action" value="deny">Cancel</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, action } = req.body;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send('Invalid request');
+  }
+
+  if (action !== 'approve') {
+    return redirectBack(res, redirect_uri, { error: 'access_denied', state });
+  }
+
+  const email = req.body.email.trim().toLowerCase();
+  const code = crypto.randomBytes(24).toString('base64url');
+
+  codes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    expiresAt: Date.now() + 60 * 1000,
+    claims: {
+      // The same email always gets the same "sub", like a real account
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name || undefined,
+      preferred_username: req.body.name || undefined,
+    },
+  });
+
+  redirectBack(res, redirect_uri, { code, state });
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (grant_type !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  // Codes work once
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (!entry || entry.expiresAt < Date.now() || entry.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE check failed' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { claims: entry.claims, expiresAt: Date.now() + 60 * 60 * 1000 });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: jwt.sign(
+      { ...entry.claims, nonce: entry.nonce },
+      CLIENT_SECRET,
+      { issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    ),
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const entry = accessTokens.get(token);
+
+  if (!entry || entry.expiresAt < Date.now()) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(entry.claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC issuer running at ${ISSUER}`);
+  console.log(`  client_id:     ${CLIENT_ID}`);
+  console.log(`  client_secret: ${CLIENT_SECRET}`);
+});
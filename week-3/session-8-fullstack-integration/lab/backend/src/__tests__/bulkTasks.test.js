@@ -0,0 +1,143 @@
+/**
+ * =============================================================
+ * ROUTE TESTS - Bulk Task Operations (POST /api/tasks/bulk)
+ * =============================================================
+ *
+ * The tasks live in an array here, and $transaction copies it
+ * first and puts the copy back if the callback throws - a small
+ * stand-in for the database's rollback.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { fakePrisma, resetPrisma } = require('./helpers/prisma');
+const { signedInAs, startApp } = require('./helpers/app');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { taskEvents } = require('../utils/taskEvents');
+const taskRoutes = require('../routes/tasks');
+
+const alice = { id: 1, username: 'alice', email: 'alice@example.com' };
+
+const withWorkspace = (req, res, next) => {
+  req.workspace = { id: 10, name: 'Team', isPersonal: false, role: 'member' };
+  next();
+};
+
+describe('POST /api/tasks/bulk (delete)', () => {
+  let app;
+  let tasks;
+  let transactionOptions;
+  let events;
+  const recordEvent = (event) => events.push(event);
+
+  before(async () => {
+    app = await startApp('/api/tasks', signedInAs(alice), withWorkspace, taskRoutes);
+    taskEvents.on('event', recordEvent);
+  });
+  after(() => {
+    taskEvents.off('event', recordEvent);
+    return app.close();
+  });
+
+  beforeEach(() => {
+    resetPrisma();
+    events = [];
+    tasks = [
+      { id: 1, workspaceId: 10, parentId: null, status: 'pending' },
+      { id: 2, workspaceId: 10, parentId: 1, status: 'pending' },
+      { id: 3, workspaceId: 10, parentId: null, status: 'pending' },
+      { id: 4, workspaceId: 20, parentId: null, status: 'pending' },
+    ];
+
+    fakePrisma.$transaction = async (work, options) => {
+      transactionOptions = options;
+      const saved = tasks.map((task) => ({ ...task }));
+      try {
+        return await work(fakePrisma);
+      } catch (error) {
+        tasks = saved;
+        throw error;
+      }
+    };
+    fakePrisma.task = {
+      async findMany({ where }) {
+        // findDependentIds: nothing is blocked
+        if (where.blockedBy) return [];
+        // findSubtaskIds
+        if (where.parentId !== undefined) {
+          return tasks.filter((t) => t.parentId === where.parentId);
+        }
+        return tasks.filter(
+          (t) => where.id.in.includes(t.id) && t.workspaceId === where.workspaceId
+        );
+      },
+      async deleteMany({ where }) {
+        const before = tasks.length;
+        tasks = tasks.filter((t) => t.id !== where.id && t.parentId !== where.id);
+        return { count: tasks.length < before ? 1 : 0 };
+      },
+    };
+  });
+
+  it('deletes the tasks and their subtasks, with an event for each', async () => {
+    const { status, body } = await app.request('POST', '/api/tasks/bulk', {
+      body: { ids: [1, 3], operation: 'delete' },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.succeeded, 2);
+    assert.deepEqual(tasks.map((t) => t.id), [4]);
+    assert.deepEqual(
+      events.map((e) => [e.type, e.taskId, e.parentId]),
+      [['task.deleted', 2, 1], ['task.deleted', 1, null], ['task.deleted', 3, null]]
+    );
+  });
+
+  it('reports tasks of other workspaces as not found, and still deletes the rest', async () => {
+    const { status, body } = await app.request('POST', '/api/tasks/bulk', {
+      body: { ids: [4, 3], operation: 'delete' },
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.results, [
+      { id: 4, success: false, error: 'Task not found.' },
+      { id: 3, success: true },
+    ]);
+    assert.ok(tasks.some((t) => t.id === 4));
+  });
+
+  it('changes nothing when the database fails halfway', async () => {
+    const deleteMany = fakePrisma.task.deleteMany;
+    fakePrisma.task.deleteMany = async (args) => {
+      if (args.where.id === 3) throw new Error('disk full');
+      return deleteMany(args);
+    };
+
+    const { status } = await app.request('POST', '/api/tasks/bulk', {
+      body: { ids: [1, 3], operation: 'delete' },
+    });
+
+    assert.equal(status, 500);
+    assert.deepEqual(tasks.map((t) => t.id), [1, 2, 3, 4]);
+    assert.deepEqual(events, []);
+  });
+
+  it('gives the transaction time for BULK_MAX_TASKS tasks', async () => {
+    await app.request('POST', '/api/tasks/bulk', { body: { ids: [3], operation: 'delete' } });
+    assert.ok(transactionOptions.timeout >= 30 * 1000);
+    assert.ok(transactionOptions.maxWait > 0);
+  });
+
+  it('rejects more than 100 ids before touching anything', async () => {
+    const ids = Array.from({ length: 101 }, (_, i) => i + 1);
+    const { status } = await app.request('POST', '/api/tasks/bulk', {
+      body: { ids, operation: 'delete' },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(tasks.length, 4);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * =============================================================
+ * ROUTE TESTS - Comment Ownership (/api/tasks/:id/comments)
+ * =============================================================
+ *
+ * Any member may comment on a task, but only the author may edit
+ * or delete a comment - even an admin can't change someone else's.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { fakePrisma, resetPrisma } = require('./helpers/prisma');
+const { signedInAs, startApp } = require('./helpers/app');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const taskRoutes = require('../routes/tasks');
+
+const alice = { id: 1, username: 'alice', email: 'alice@example.com' };
+const bob = { id: 2, username: 'bob', email: 'bob@example.com' };
+
+// Comment 5 is alice's, on task 1
+const comment = { id: 5, taskId: 1, authorId: alice.id, body: 'Looks good', deletedAt: null };
+
+/**
+ * Start an app where `user` has `role` in workspace 10.
+ *
+ * @param {object} user
+ * @param {string} role
+ */
+function startAppFor(user, role) {
+  const withWorkspace = (req, res, next) => {
+    req.workspace = { id: 10, name: 'Team', isPersonal: false, role };
+    next();
+  };
+  return startApp('/api/tasks', signedInAs(user), withWorkspace, taskRoutes);
+}
+
+describe("someone else's comment", () => {
+  let app;
+  before(async () => {
+    app = await startAppFor(bob, 'admin');
+  });
+  after(() => app.close());
+  beforeEach(() => {
+    resetPrisma();
+    fakePrisma.task = {
+      findFirst: async ({ where }) => (where.id === 1 ? { id: 1, workspaceId: 10 } : null),
+    };
+    fakePrisma.comment = {
+      findFirst: async ({ where }) =>
+        where.id === comment.id && where.taskId === comment.taskId ? comment : null,
+      update: async () => assert.fail("changed someone else's comment"),
+      delete: async () => assert.fail("deleted someone else's comment"),
+    };
+  });
+
+  it('cannot be edited', async () => {
+    const { status, body } = await app.request('PATCH', '/api/tasks/1/comments/5', {
+      body: { body: 'Looks bad' },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'You can only change your own comments.');
+  });
+
+  it('cannot be deleted', async () => {
+    const { status } = await app.request('DELETE', '/api/tasks/1/comments/5');
+    assert.equal(status, 403);
+  });
+
+  it('is not found through another task', async () => {
+    fakePrisma.task.findFirst = async ({ where }) => ({ id: where.id, workspaceId: 10 });
+
+    const { status } = await app.request('DELETE', '/api/tasks/2/comments/5');
+    assert.equal(status, 404);
+  });
+});
+
+describe('your own comment', () => {
+  let app;
+  before(async () => {
+    app = await startAppFor(alice, 'member');
+  });
+  after(() => app.close());
+  beforeEach(() => resetPrisma());
+
+  it('can be deleted', async () => {
+    let deleted = null;
+    fakePrisma.task = {
+      findFirst: async () => ({ id: 1, workspaceId: 10 }),
+      findUnique: async () => ({ id: 1, workspaceId: 10, _count: { comments: 0 } }),
+    };
+    fakePrisma.comment = {
+      findFirst: async () => comment,
+      count: async () => 0,
+      delete: async ({ where }) => {
+        deleted = where.id;
+      },
+    };
+
+    const { status } = await app.request('DELETE', '/api/tasks/1/comments/5');
+    assert.equal(status, 200);
+    assert.equal(deleted, 5);
+  });
+});
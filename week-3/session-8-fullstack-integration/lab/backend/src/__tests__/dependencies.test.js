@@ -0,0 +1,124 @@
+/**
+ * =============================================================
+ * UNIT TESTS - Task Dependencies (utils/dependencies.js)
+ * =============================================================
+ *
+ * The graph walks take the database as a parameter, so these
+ * tests hand them a small in-memory one (fakeDb). It answers only
+ * the queries the module makes.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+require('./helpers/prisma');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findDependencyPath,
+  dependencyCycleError,
+  loadBlockerChain,
+  findOpenBlockers,
+  taskBlockedError,
+} = require('../utils/dependencies');
+
+/**
+ * An in-memory stand-in for the taskDependency and task tables.
+ *
+ * @param {Array<object>} tasks - { id, title, status }
+ * @param {Array<[number, number]>} links - [blockedTaskId, blockerTaskId]
+ */
+function fakeDb(tasks, links) {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const rows = links.map(([blockedTaskId, blockerTaskId]) => ({ blockedTaskId, blockerTaskId }));
+
+  return {
+    taskDependency: {
+      async findMany({ where }) {
+        // loadBlockerLinks: { blockedTaskId: { in } }
+        if (where.blockedTaskId.in) {
+          return rows.filter((row) => where.blockedTaskId.in.includes(row.blockedTaskId));
+        }
+        // findOpenBlockers: { blockedTaskId, blockerTask: { status: { not } } }
+        return rows
+          .filter((row) => row.blockedTaskId === where.blockedTaskId)
+          .map((row) => byId.get(row.blockerTaskId))
+          .filter((task) => task.status !== where.blockerTask.status.not)
+          .map((blockerTask) => ({ blockerTask }));
+      },
+    },
+    task: {
+      async findMany({ where }) {
+        return where.id.in
+          .map((id) => byId.get(id))
+          .filter(Boolean)
+          .sort((a, b) => a.id - b.id);
+      },
+    },
+  };
+}
+
+// 1 Deploy <- 2 Review <- 3 Write code, and 1 <- 4 Docs (done)
+const tasks = [
+  { id: 1, title: 'Deploy', status: 'pending' },
+  { id: 2, title: 'Review', status: 'in_progress' },
+  { id: 3, title: 'Write code', status: 'pending' },
+  { id: 4, title: 'Docs', status: 'completed' },
+  { id: 5, title: 'Unrelated', status: 'pending' },
+];
+const links = [[1, 2], [2, 3], [1, 4]];
+
+describe('findDependencyPath', () => {
+  const db = fakeDb(tasks, links);
+
+  it('finds the chain of blockers from one task to another', async () => {
+    assert.deepEqual(await findDependencyPath(1, 3, db), [1, 2, 3]);
+    assert.deepEqual(await findDependencyPath(2, 3, db), [2, 3]);
+  });
+
+  it('returns null when there is no path', async () => {
+    assert.equal(await findDependencyPath(3, 1, db), null);
+    assert.equal(await findDependencyPath(1, 5, db), null);
+  });
+});
+
+describe('dependencyCycleError', () => {
+  it('is a 400 with the loop in details', () => {
+    const error = dependencyCycleError([3, 1, 2, 3]);
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.code, 'DEPENDENCY_CYCLE');
+    assert.deepEqual(error.details, { path: [3, 1, 2, 3] });
+    assert.match(error.message, /#3 is blocked by #1 is blocked by #2 is blocked by #3/);
+  });
+});
+
+describe('loadBlockerChain', () => {
+  it('lists every blocker, nearest first, with what it blocks', async () => {
+    const chain = await loadBlockerChain(1, fakeDb(tasks, links));
+    assert.deepEqual(chain, [
+      { id: 2, title: 'Review', status: 'in_progress', depth: 1, blocks: 1 },
+      { id: 4, title: 'Docs', status: 'completed', depth: 1, blocks: 1 },
+      { id: 3, title: 'Write code', status: 'pending', depth: 2, blocks: 2 },
+    ]);
+  });
+
+  it('is empty for a task without blockers', async () => {
+    assert.deepEqual(await loadBlockerChain(3, fakeDb(tasks, links)), []);
+  });
+});
+
+describe('findOpenBlockers / taskBlockedError', () => {
+  it('returns only the blockers that are not completed', async () => {
+    const blockers = await findOpenBlockers(1, fakeDb(tasks, links));
+    assert.deepEqual(blockers.map((task) => task.id), [2]);
+  });
+
+  it('builds a 409 listing the blockers', () => {
+    const blockers = [{ id: 2, title: 'Review', status: 'in_progress' }];
+    const error = taskBlockedError(blockers);
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.code, 'TASK_BLOCKED');
+    assert.deepEqual(error.details, { blockers });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * =============================================================
+ * TEST HELPER - Serve Routes for Route Tests
+ * =============================================================
+ *
+ * Mounts a router on a small Express app - JSON body parsing,
+ * the middleware you pass, and errorHandler - listening on a free
+ * port, and sends real HTTP requests to it with fetch.
+ *
+ * The real authMiddleware needs a signed JWT and a session, so
+ * route tests use signedInAs(user) in its place. Require
+ * helpers/prisma.js first (see there).
+ *
+ *   const app = await startApp('/api/tasks', signedInAs(alice), workspaceMiddleware, taskRoutes);
+ *   const { status, body } = await app.request('GET', '/api/tasks/1');
+ *   await app.close();
+ * =============================================================
+ */
+
+const express = require('express');
+const errorHandler = require('../../middleware/errorHandler');
+
+/**
+ * Middleware standing in for authMiddleware: sets req.user.
+ *
+ * @param {object} user - e.g. { id: 1, username: 'alice', email: 'alice@example.com' }
+ * @returns {Function} - Express middleware
+ */
+function signedInAs(user) {
+  return (req, res, next) => {
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Start an app serving the given middleware and router.
+ *
+ * @param {string} path - Where to mount them, e.g. '/api/tasks'
+ * @param {...Function} handlers - Middleware and the router, in order
+ * @returns {Promise<{ url: Function, request: Function, close: Function }>}
+ */
+function startApp(path, ...handlers) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, ...handlers);
+  app.use(errorHandler);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const url = (pathname) => `http://localhost:${server.address().port}${pathname}`;
+
+      /**
+       * Send a request; JSON bodies are parsed.
+       *
+       * @returns {Promise<{ status: number, body: * }>}
+       */
+      async function request(method, pathname, { body, headers = {} } = {}) {
+        const response = await fetch(url(pathname), {
+          method,
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+      }
+
+      resolve({
+        url,
+        request,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { signedInAs, startApp };
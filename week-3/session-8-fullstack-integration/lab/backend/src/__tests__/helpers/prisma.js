@@ -0,0 +1,62 @@
+/**
+ * =============================================================
+ * TEST HELPER - A Stand-In for the Prisma Client
+ * =============================================================
+ *
+ * The tests run without a database, and without `prisma generate`.
+ * Requiring this file BEFORE anything under src/ puts fakePrisma in
+ * Node's module cache where src/prisma.js would be, so every
+ * require('../prisma') in the app gets it instead of a real client.
+ * @prisma/client is replaced too (utils/search.js reads Prisma from
+ * it, only for its PostgreSQL branch).
+ *
+ * Each test gives fakePrisma the model methods it needs:
+ *
+ *   fakePrisma.task = { findFirst: async ({ where }) => ({ id: 1, ... }) };
+ *
+ * and resetPrisma() clears them again (call it in beforeEach).
+ * $transaction runs its callback with fakePrisma itself - there is
+ * no real rollback, so tests check what the routes do on an error,
+ * not what the database keeps.
+ * =============================================================
+ */
+
+const path = require('path');
+
+const fakePrisma = {};
+
+/**
+ * Put a module's exports in the require cache, so it's never loaded.
+ *
+ * @param {string} filename - Absolute path the module resolves to
+ * @param {object} exports
+ */
+function cacheModule(filename, exports) {
+  require.cache[filename] = {
+    id: filename,
+    filename,
+    loaded: true,
+    exports,
+  };
+}
+
+/**
+ * Remove every model the previous test set up.
+ */
+function resetPrisma() {
+  for (const key of Object.keys(fakePrisma)) {
+    delete fakePrisma[key];
+  }
+  fakePrisma.$transaction = async (work) =>
+    typeof work === 'function' ? work(fakePrisma) : Promise.all(work);
+}
+
+resetPrisma();
+
+cacheModule(path.join(__dirname, '../../prisma.js'), fakePrisma);
+cacheModule(require.resolve('@prisma/client'), {
+  PrismaClient: class PrismaClient {},
+  Prisma: {},
+});
+
+module.exports = { fakePrisma, resetPrisma };
@@ -0,0 +1,108 @@
+/**
+ * =============================================================
+ * UNIT TESTS - Cursor Pagination (utils/pagination.js)
+ * =============================================================
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorWhere,
+  paginatedOrderBy,
+  buildPage,
+} = require('../utils/pagination');
+
+/**
+ * Encode any object the way cursors are encoded (for forged cursors).
+ */
+function rawCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+describe('parseLimit', () => {
+  it('uses the default for missing or invalid values', () => {
+    assert.equal(parseLimit(undefined), DEFAULT_LIMIT);
+    assert.equal(parseLimit('abc'), DEFAULT_LIMIT);
+    assert.equal(parseLimit('0'), DEFAULT_LIMIT);
+    assert.equal(parseLimit('-5'), DEFAULT_LIMIT);
+  });
+
+  it('caps the limit at MAX_LIMIT', () => {
+    assert.equal(parseLimit('20'), 20);
+    assert.equal(parseLimit('5000'), MAX_LIMIT);
+  });
+});
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips text values', () => {
+    const cursor = encodeCursor({ id: 4, title: 'Write tests' }, 'title', 'asc');
+    assert.deepEqual(decodeCursor(cursor, 'title', 'asc'), { value: 'Write tests', id: 4 });
+  });
+
+  it('turns date values back into Dates', () => {
+    const createdAt = new Date('2026-10-01T12:00:00.000Z');
+    const cursor = encodeCursor({ id: 9, createdAt }, 'createdAt', 'desc');
+    assert.deepEqual(decodeCursor(cursor, 'createdAt', 'desc'), { value: createdAt, id: 9 });
+  });
+
+  it('rejects a cursor from a different sort', () => {
+    const cursor = encodeCursor({ id: 4, title: 'a' }, 'title', 'asc');
+    assert.equal(decodeCursor(cursor, 'title', 'desc'), null);
+    assert.equal(decodeCursor(cursor, 'status', 'asc'), null);
+  });
+
+  it('rejects garbage', () => {
+    assert.equal(decodeCursor('not a cursor', 'title', 'asc'), null);
+    assert.equal(decodeCursor(rawCursor(null), 'title', 'asc'), null);
+    assert.equal(decodeCursor(rawCursor({ f: 'createdAt', o: 'desc', v: 'soon', id: 1 }), 'createdAt', 'desc'), null);
+  });
+
+  it('rejects values that are not strings (they would become Prisma operators)', () => {
+    for (const v of [{ gt: null }, null, 42, ['a']]) {
+      assert.equal(decodeCursor(rawCursor({ f: 'title', o: 'asc', v, id: 1 }), 'title', 'asc'), null);
+    }
+  });
+
+  it('rejects ids that are not positive integers', () => {
+    for (const id of [0, -1, 1.5, '1', null]) {
+      assert.equal(decodeCursor(rawCursor({ f: 'title', o: 'asc', v: 'a', id }), 'title', 'asc'), null);
+    }
+  });
+});
+
+describe('cursorWhere / paginatedOrderBy', () => {
+  it('continues after the cursor, breaking ties by id', () => {
+    assert.deepEqual(cursorWhere({ value: 'b', id: 3 }, 'title', 'asc'), {
+      OR: [{ title: { gt: 'b' } }, { title: 'b', id: { gt: 3 } }],
+    });
+    assert.deepEqual(cursorWhere({ value: 'b', id: 3 }, 'title', 'desc'), {
+      OR: [{ title: { lt: 'b' } }, { title: 'b', id: { lt: 3 } }],
+    });
+  });
+
+  it('orders by the sort field, then id', () => {
+    assert.deepEqual(paginatedOrderBy('status', 'asc'), [{ status: 'asc' }, { id: 'asc' }]);
+  });
+});
+
+describe('buildPage', () => {
+  const rows = [1, 2, 3].map((id) => ({ id, title: `Task ${id}` }));
+
+  it('has no next cursor when the extra row is missing', () => {
+    assert.deepEqual(buildPage(rows, 3, 'title', 'asc'), { items: rows, nextCursor: null });
+  });
+
+  it('drops the extra row and points the cursor at the last item', () => {
+    const { items, nextCursor } = buildPage(rows, 2, 'title', 'asc');
+    assert.deepEqual(items, rows.slice(0, 2));
+    assert.deepEqual(decodeCursor(nextCursor, 'title', 'asc'), { value: 'Task 2', id: 2 });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * =============================================================
+ * ROUTE TESTS - Workspace Roles (middleware/permissions.js)
+ * =============================================================
+ *
+ * A role without the permission gets 403 FORBIDDEN before the
+ * route touches the database.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { fakePrisma, resetPrisma } = require('./helpers/prisma');
+const { signedInAs, startApp } = require('./helpers/app');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasPermission } = require('../middleware/permissions');
+const workspaceMiddleware = require('../middleware/workspace');
+const taskRoutes = require('../routes/tasks');
+const workspaceRoutes = require('../routes/workspaces');
+
+const alice = { id: 1, username: 'alice', email: 'alice@example.com' };
+
+/**
+ * Make alice a member of workspace 10 with this role.
+ *
+ * @param {string} role
+ */
+function giveRole(role) {
+  fakePrisma.workspaceMember = {
+    findUnique: async () => ({
+      role,
+      workspace: { id: 10, name: 'Team', isPersonal: false },
+    }),
+  };
+}
+
+describe('hasPermission', () => {
+  it('follows the role table', () => {
+    assert.equal(hasPermission('viewer', 'tasks:read'), true);
+    assert.equal(hasPermission('viewer', 'tasks:write'), false);
+    assert.equal(hasPermission('member', 'tasks:write'), true);
+    assert.equal(hasPermission('member', 'workspace:manage'), false);
+    assert.equal(hasPermission('admin', 'workspace:delete'), false);
+    assert.equal(hasPermission('owner', 'workspace:delete'), true);
+    assert.equal(hasPermission('owner', 'no:such-permission'), false);
+  });
+});
+
+describe('a viewer', () => {
+  let app;
+  before(async () => {
+    app = await startApp('/api/tasks', signedInAs(alice), workspaceMiddleware, taskRoutes);
+  });
+  after(() => app.close());
+  beforeEach(() => {
+    resetPrisma();
+    giveRole('viewer');
+    fakePrisma.task = new Proxy({}, {
+      get: () => () => assert.fail('a viewer reached the database'),
+    });
+  });
+
+  it('cannot create, change or delete tasks', async () => {
+    const requests = [
+      ['POST', '/api/tasks', { title: 'New' }],
+      ['PATCH', '/api/tasks/1', { status: 'completed' }],
+      ['DELETE', '/api/tasks/1'],
+      ['POST', '/api/tasks/bulk', { ids: [1], operation: 'delete' }],
+    ];
+
+    for (const [method, path, body] of requests) {
+      const response = await app.request(method, path, {
+        body,
+        headers: { 'X-Workspace-Id': '10' },
+      });
+      assert.equal(response.status, 403, `${method} ${path}`);
+      assert.deepEqual(response.body.details, { role: 'viewer', required: ['tasks:write'] });
+    }
+  });
+});
+
+describe('workspace management', () => {
+  let app;
+  before(async () => {
+    app = await startApp('/api/workspaces', signedInAs(alice), workspaceRoutes);
+  });
+  after(() => app.close());
+  beforeEach(() => resetPrisma());
+
+  it('is refused to members', async () => {
+    giveRole('member');
+
+    const rename = await app.request('PUT', '/api/workspaces/10', { body: { name: 'Mine now' } });
+    assert.equal(rename.status, 403);
+    assert.equal(rename.body.code, 'FORBIDDEN');
+
+    const invite = await app.request('POST', '/api/workspaces/10/invitations', {
+      body: { email: 'bob@example.com' },
+    });
+    assert.equal(invite.status, 403);
+  });
+
+  it('lets only the owner delete the workspace', async () => {
+    giveRole('admin');
+
+    const { status, body } = await app.request('DELETE', '/api/workspaces/10');
+    assert.equal(status, 403);
+    assert.deepEqual(body.details, { role: 'admin', required: ['owner'] });
+  });
+
+  it('lets only the owner invite admins', async () => {
+    giveRole('admin');
+    fakePrisma.user = { findUnique: async () => ({ emailVerifiedAt: new Date() }) };
+
+    const { status, body } = await app.request('POST', '/api/workspaces/10/invitations', {
+      body: { email: 'bob@example.com', role: 'admin' },
+    });
+    assert.equal(status, 403);
+    assert.deepEqual(body.details, { role: 'admin', required: ['owner'] });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * =============================================================
+ * UNIT TESTS - Recurrence Rules (utils/recurrence.js)
+ * =============================================================
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PREVIEW,
+  parseDay,
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  previewOccurrences,
+} = require('../utils/recurrence');
+
+/**
+ * Dates as YYYY-MM-DD strings, for readable comparisons.
+ */
+function days(dates) {
+  return dates.map((date) => date.toISOString().slice(0, 10));
+}
+
+describe('parseDay', () => {
+  it('parses a date as midnight UTC', () => {
+    assert.deepEqual(parseDay('2026-02-28'), new Date('2026-02-28T00:00:00Z'));
+  });
+
+  it('rejects impossible dates and other formats', () => {
+    assert.equal(parseDay('2026-02-30'), null);
+    assert.equal(parseDay('2026-2-3'), null);
+    assert.equal(parseDay('tomorrow'), null);
+  });
+});
+
+describe('parseRule / formatRule', () => {
+  it('parses a rule, case-insensitively, with defaults', () => {
+    assert.deepEqual(parseRule('freq=weekly'), {
+      freq: 'WEEKLY',
+      interval: 1,
+      count: null,
+      until: null,
+    });
+    assert.deepEqual(parseRule('FREQ=MONTHLY;INTERVAL=2;UNTIL=2026-12-31'), {
+      freq: 'MONTHLY',
+      interval: 2,
+      count: null,
+      until: new Date('2026-12-31T00:00:00Z'),
+    });
+  });
+
+  it('writes rules in canonical form', () => {
+    assert.equal(formatRule(parseRule('COUNT=5;FREQ=DAILY;INTERVAL=1')), 'FREQ=DAILY;COUNT=5');
+    assert.equal(formatRule(parseRule('freq=yearly;until=2030-01-01')), 'FREQ=YEARLY;UNTIL=2030-01-01');
+  });
+
+  it('rejects invalid rules with 400 INVALID_RECURRENCE', () => {
+    const invalid = [
+      '',
+      'FREQ=HOURLY',
+      'FREQ=DAILY;INTERVAL=0',
+      'FREQ=DAILY;COUNT=2;UNTIL=2026-12-31',
+      'FREQ=DAILY;FREQ=WEEKLY',
+      'FREQ=DAILY;BYDAY=MO',
+      'FREQ=DAILY;UNTIL=2026-02-30',
+      'FREQ',
+    ];
+    for (const rule of invalid) {
+      assert.throws(() => parseRule(rule), { statusCode: 400, code: 'INVALID_RECURRENCE' }, rule);
+    }
+  });
+});
+
+describe('previewOccurrences', () => {
+  it('counts every date from the start (monthly from Jan 31)', () => {
+    const dates = previewOccurrences('FREQ=MONTHLY;COUNT=4', new Date('2026-01-31T00:00:00Z'), 10);
+    assert.deepEqual(days(dates), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  it('stops at UNTIL', () => {
+    const dates = previewOccurrences('FREQ=WEEKLY;UNTIL=2026-11-20', new Date('2026-11-01T00:00:00Z'), 10);
+    assert.deepEqual(days(dates), ['2026-11-01', '2026-11-08', '2026-11-15']);
+  });
+
+  it('returns at most MAX_PREVIEW dates', () => {
+    const dates = previewOccurrences('FREQ=DAILY', new Date('2026-01-01T00:00:00Z'), 1000);
+    assert.equal(dates.length, MAX_PREVIEW);
+  });
+});
+
+describe('nextOccurrence', () => {
+  const start = new Date('2026-01-31T00:00:00Z');
+
+  it('returns the next date in the schedule', () => {
+    const next = nextOccurrence({
+      recurrence: 'FREQ=MONTHLY',
+      recurrenceStart: start,
+      occurrence: 1,
+      dueDate: start,
+    });
+    assert.deepEqual(next, { dueDate: new Date('2026-02-28T00:00:00Z'), occurrence: 2 });
+  });
+
+  it('skips dates before a postponed due date', () => {
+    const next = nextOccurrence({
+      recurrence: 'FREQ=MONTHLY',
+      recurrenceStart: start,
+      occurrence: 1,
+      dueDate: new Date('2026-04-15T00:00:00Z'),
+    });
+    assert.deepEqual(next, { dueDate: new Date('2026-04-30T00:00:00Z'), occurrence: 4 });
+  });
+
+  it('returns null when the series is over', () => {
+    assert.equal(
+      nextOccurrence({
+        recurrence: 'FREQ=WEEKLY;COUNT=2',
+        recurrenceStart: start,
+        occurrence: 2,
+        dueDate: new Date('2026-02-07T00:00:00Z'),
+      }),
+      null
+    );
+  });
+});
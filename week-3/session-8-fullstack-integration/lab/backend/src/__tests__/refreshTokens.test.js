@@ -0,0 +1,125 @@
+/**
+ * =============================================================
+ * ROUTE TESTS - Refresh Token Rotation (POST /api/auth/refresh)
+ * =============================================================
+ *
+ * Each refresh token works once. Using one a second time means
+ * someone else has a copy, so the whole session is signed out -
+ * the token it was rotated into stops working too.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { fakePrisma, resetPrisma } = require('./helpers/prisma');
+const { startApp } = require('./helpers/app');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const alice = { id: 1, username: 'alice', email: 'alice@example.com' };
+
+/**
+ * An in-memory session with one refresh token, and the queries
+ * utils/tokens.js makes on them.
+ *
+ * @param {string} refreshToken - The session's current refresh token
+ * @returns {{ session: object, tokens: Array<object> }}
+ */
+function seedSession(refreshToken) {
+  const session = { id: 'session-1', userId: alice.id, revokedAt: null };
+  const tokens = [
+    { id: 1, tokenHash: hashToken(refreshToken), sessionId: session.id, revokedAt: null },
+  ];
+  const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  // Rows matching a where clause of id / sessionId / revokedAt
+  const matches = (row, where) =>
+    Object.entries(where).every(([key, value]) => row[key] === value);
+
+  fakePrisma.refreshToken = {
+    async findUnique({ where }) {
+      const token = tokens.find((t) => t.tokenHash === where.tokenHash);
+      return token && { ...token, expiresAt: future(), user: alice, session: { ...session } };
+    },
+    async updateMany({ where, data }) {
+      const rows = tokens.filter((t) => matches(t, where));
+      rows.forEach((t) => Object.assign(t, data));
+      return { count: rows.length };
+    },
+    async create({ data }) {
+      tokens.push({ id: tokens.length + 1, revokedAt: null, ...data });
+    },
+  };
+  fakePrisma.session = {
+    async update({ data }) {
+      Object.assign(session, data);
+    },
+    async updateMany({ where, data }) {
+      const count = matches(session, where) ? 1 : 0;
+      if (count) Object.assign(session, data);
+      return { count };
+    },
+  };
+
+  return { session, tokens };
+}
+
+describe('POST /api/auth/refresh', () => {
+  let app;
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+  after(() => app.close());
+  beforeEach(() => resetPrisma());
+
+  it('rotates the token: a new pair, and the old token is used up', async () => {
+    const { tokens } = seedSession('first-token');
+
+    const { status, body } = await app.request('POST', '/api/auth/refresh', {
+      body: { refreshToken: 'first-token' },
+    });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.notEqual(body.refreshToken, 'first-token');
+    assert.ok(tokens[0].revokedAt);
+    assert.equal(tokens[1].tokenHash, hashToken(body.refreshToken));
+  });
+
+  it('signs the whole session out when a used token comes back', async () => {
+    const { session } = seedSession('first-token');
+
+    const first = await app.request('POST', '/api/auth/refresh', {
+      body: { refreshToken: 'first-token' },
+    });
+
+    // Someone replays the old token
+    const replay = await app.request('POST', '/api/auth/refresh', {
+      body: { refreshToken: 'first-token' },
+    });
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'REFRESH_TOKEN_REUSED');
+    assert.ok(session.revokedAt);
+
+    // ...and the token the first refresh handed out is dead too
+    const next = await app.request('POST', '/api/auth/refresh', {
+      body: { refreshToken: first.body.refreshToken },
+    });
+    assert.equal(next.status, 401);
+    assert.equal(next.body.code, 'SESSION_REVOKED');
+  });
+
+  it('rejects unknown tokens', async () => {
+    seedSession('first-token');
+
+    const { status, body } = await app.request('POST', '/api/auth/refresh', {
+      body: { refreshToken: 'made-up' },
+    });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_REFRESH_TOKEN');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * =============================================================
+ * ROUTE TESTS - Task Event Stream (GET /api/tasks/events)
+ * =============================================================
+ *
+ * A client that reconnects with Last-Event-ID gets the events of
+ * its workspace it missed, then "ready" - or "reset" when they're
+ * no longer in the replay buffer.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { fakePrisma, resetPrisma } = require('./helpers/prisma');
+const { signedInAs, startApp } = require('./helpers/app');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { publishTaskEvent, latestEventId } = require('../utils/taskEvents');
+const taskRoutes = require('../routes/tasks');
+
+const alice = { id: 1, username: 'alice', email: 'alice@example.com', sessionId: 's1' };
+
+const withWorkspace = (req, res, next) => {
+  req.workspace = { id: 10, name: 'Team', isPersonal: false, role: 'member' };
+  next();
+};
+
+/**
+ * Publish an event the way a task route would.
+ *
+ * @param {number} workspaceId
+ * @param {number} taskId
+ * @returns {object} - The event
+ */
+function publish(workspaceId, taskId) {
+  const req = { workspace: { id: workspaceId }, user: { id: 2 }, headers: {} };
+  return publishTaskEvent(req, 'task.deleted', { taskId, parentId: null });
+}
+
+/**
+ * Read an event stream until a "ready" or "reset" event arrives.
+ *
+ * @param {Response} response - From fetch
+ * @returns {Promise<Array<{ id: number, type: string, data: object }>>}
+ */
+async function readUntilReady(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let text = '';
+
+  while (!events.some((event) => ['ready', 'reset'].includes(event.type))) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+
+    // Complete blocks end with a blank line
+    const blocks = text.split('\n\n');
+    text = blocks.pop();
+    for (const block of blocks) {
+      // "id: 3\nevent: task.deleted\ndata: {...}" -> { id, event, data }
+      const fields = Object.fromEntries(
+        block.split('\n').map((line) => line.split(/: (.*)/s).slice(0, 2))
+      );
+      if (fields.event) {
+        events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+  }
+
+  reader.cancel();
+  return events;
+}
+
+describe('GET /api/tasks/events', () => {
+  let app;
+  before(async () => {
+    app = await startApp('/api/tasks', signedInAs(alice), withWorkspace, taskRoutes);
+  });
+  after(() => app.close());
+  beforeEach(() => resetPrisma());
+
+  it('replays the missed events of this workspace after Last-Event-ID', async () => {
+    const seen = publish(10, 1);
+    publish(20, 2); // Another workspace
+    const missed = publish(10, 3);
+
+    const response = await fetch(app.url('/api/tasks/events'), {
+      headers: { 'Last-Event-ID': String(seen.id) },
+    });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = await readUntilReady(response);
+    assert.deepEqual(
+      events.map((event) => [event.type, event.id]),
+      [['task.deleted', missed.id], ['ready', latestEventId()]]
+    );
+    assert.equal(events[0].data.taskId, 3);
+  });
+
+  it('sends only "ready" on a fresh start', async () => {
+    publish(10, 1);
+
+    const events = await readUntilReady(await fetch(app.url('/api/tasks/events')));
+    assert.deepEqual(events.map((event) => event.type), ['ready']);
+  });
+
+  it('asks for a reload when the missed events are gone', async () => {
+    const future = latestEventId() + 100;
+
+    const events = await readUntilReady(
+      await fetch(app.url(`/api/tasks/events?lastEventId=${future}`))
+    );
+    assert.deepEqual(events.map((event) => event.type), ['reset']);
+  });
+
+  it('rejects an invalid Last-Event-ID', async () => {
+    const { status } = await app.request('GET', '/api/tasks/events', {
+      headers: { 'Last-Event-ID': 'yesterday' },
+    });
+    assert.equal(status, 400);
+  });
+
+  it('ends the stream once the session is signed out', { timeout: 5000 }, async (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    let revokedAt = null;
+    fakePrisma.workspaceMember = { findUnique: async () => ({ id: 1 }) };
+    fakePrisma.session = { findUnique: async () => ({ revokedAt }) };
+
+    const response = await fetch(app.url('/api/tasks/events'));
+    await readUntilReady(response.clone());
+
+    revokedAt = new Date();
+    t.mock.timers.tick(25 * 1000);
+
+    // The stream ends: reading it to the end finishes
+    const rest = await response.text();
+    assert.match(rest, /keep-alive/);
+  });
+});
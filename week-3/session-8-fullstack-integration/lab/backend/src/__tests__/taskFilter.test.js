@@ -0,0 +1,188 @@
+/**
+ * =============================================================
+ * UNIT TESTS - Task Filter Language (utils/taskFilter.js)
+ * =============================================================
+ *
+ * parseTaskFilter() only builds a Prisma where object, so these
+ * tests compare objects - no database needed.
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTaskFilter, fieldCondition } = require('../utils/taskFilter');
+
+const context = { userId: 7 };
+
+/**
+ * Assert that an expression is refused with a 400 INVALID_FILTER.
+ */
+function assertInvalid(expression, message) {
+  assert.throws(() => parseTaskFilter(expression, context), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.code, 'INVALID_FILTER');
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('parseTaskFilter - comparisons', () => {
+  it('returns an empty where for an empty filter', () => {
+    assert.deepEqual(parseTaskFilter('   ', context), {});
+  });
+
+  it('compiles equality on enum fields (case-insensitive values)', () => {
+    assert.deepEqual(parseTaskFilter('status:Pending', context), { status: 'pending' });
+    assert.deepEqual(parseTaskFilter('priority=high', context), { priority: 'high' });
+  });
+
+  it('uses contains for text fields with ":" and "~"', () => {
+    assert.deepEqual(parseTaskFilter('title:login', context), { title: { contains: 'login' } });
+    assert.deepEqual(parseTaskFilter('description~"two words"', context), {
+      description: { contains: 'two words' },
+    });
+    assert.deepEqual(parseTaskFilter('title=Exact', context), { title: 'Exact' });
+  });
+
+  it('resolves assignee:me and none', () => {
+    assert.deepEqual(parseTaskFilter('assignee:me', context), { assigneeId: 7 });
+    assert.deepEqual(parseTaskFilter('assignee:none', context), { assigneeId: null });
+    assert.deepEqual(parseTaskFilter('project:3', context), { projectId: 3 });
+  });
+
+  it('compiles IN lists, including none', () => {
+    assert.deepEqual(parseTaskFilter('status IN (pending, in_progress)', context), {
+      status: { in: ['pending', 'in_progress'] },
+    });
+    assert.deepEqual(parseTaskFilter('assignee IN (1, none)', context), {
+      OR: [{ assigneeId: { in: [1] } }, { assigneeId: null }],
+    });
+  });
+
+  it('treats a plain date as the whole day', () => {
+    assert.deepEqual(parseTaskFilter('due:2026-11-01', context), {
+      dueDate: {
+        gte: new Date('2026-11-01T00:00:00.000Z'),
+        lt: new Date('2026-11-02T00:00:00.000Z'),
+      },
+    });
+    assert.deepEqual(parseTaskFilter('due<=2026-11-01', context), {
+      dueDate: { lt: new Date('2026-11-02T00:00:00.000Z') },
+    });
+    assert.deepEqual(parseTaskFilter('due>2026-11-01', context), {
+      dueDate: { gte: new Date('2026-11-02T00:00:00.000Z') },
+    });
+  });
+
+  it('accepts full ISO times as exact instants', () => {
+    assert.deepEqual(parseTaskFilter('created<"2026-11-01T09:00:00Z"', context), {
+      createdAt: { lt: new Date('2026-11-01T09:00:00Z') },
+    });
+  });
+});
+
+describe('parseTaskFilter - combining', () => {
+  it('joins terms with AND, also when AND is left out', () => {
+    const expected = { AND: [{ status: 'pending' }, { priority: 'high' }] };
+    assert.deepEqual(parseTaskFilter('status:pending AND priority:high', context), expected);
+    assert.deepEqual(parseTaskFilter('status:pending priority:high', context), expected);
+  });
+
+  it('binds AND tighter than OR, and honours parentheses', () => {
+    assert.deepEqual(parseTaskFilter('priority:low OR status:pending AND priority:high', context), {
+      OR: [{ priority: 'low' }, { AND: [{ status: 'pending' }, { priority: 'high' }] }],
+    });
+    assert.deepEqual(parseTaskFilter('(priority:low OR priority:high) status:pending', context), {
+      AND: [{ OR: [{ priority: 'low' }, { priority: 'high' }] }, { status: 'pending' }],
+    });
+  });
+});
+
+describe('parseTaskFilter - negation', () => {
+  it('negates columns that always have a value directly', () => {
+    assert.deepEqual(parseTaskFilter('NOT status:completed', context), {
+      NOT: { status: 'completed' },
+    });
+    assert.deepEqual(parseTaskFilter('status!=completed', context), {
+      NOT: { status: 'completed' },
+    });
+  });
+
+  it('keeps empty nullable columns when negating a value', () => {
+    assert.deepEqual(parseTaskFilter('assignee!=3', context), {
+      OR: [{ NOT: { assigneeId: 3 } }, { assigneeId: null }],
+    });
+    assert.deepEqual(parseTaskFilter('NOT description~draft', context), {
+      OR: [{ NOT: { description: { contains: 'draft' } } }, { description: null }],
+    });
+  });
+
+  it("doesn't add empty columns back when the condition was about them", () => {
+    assert.deepEqual(parseTaskFilter('NOT assignee:none', context), {
+      NOT: { assigneeId: null },
+    });
+    assert.deepEqual(parseTaskFilter('NOT assignee IN (1, none)', context), {
+      NOT: { OR: [{ assigneeId: { in: [1] } }, { assigneeId: null }] },
+    });
+  });
+
+  it('pushes NOT into groups (De Morgan)', () => {
+    assert.deepEqual(parseTaskFilter('NOT (status:completed OR project:2)', context), {
+      AND: [
+        { NOT: { status: 'completed' } },
+        { OR: [{ NOT: { projectId: 2 } }, { projectId: null }] },
+      ],
+    });
+    assert.deepEqual(parseTaskFilter('NOT NOT priority:high', context), { priority: 'high' });
+  });
+});
+
+describe('parseTaskFilter - invalid input', () => {
+  it('rejects unknown fields and values', () => {
+    assertInvalid('colour:red', /unknown field "colour"/);
+    assertInvalid('status:done', /unknown status "done"/);
+    assertInvalid('project:abc', /project must be an id or none/);
+  });
+
+  it('rejects operators a field does not support', () => {
+    assertInvalid('status~pend', /"~" can't be used with status/);
+    assertInvalid('title<abc', /"<" can't be used with title/);
+  });
+
+  it('rejects impossible calendar dates instead of rolling them over', () => {
+    assertInvalid('due:2026-02-30', /is not a date/);
+    assertInvalid('due:2026-13-01', /is not a date/);
+    assertInvalid('due<"2026-02-31T10:00:00Z"', /is not a date/);
+  });
+
+  it('rejects none for fields that always have a value', () => {
+    assertInvalid('created:none', /created always has a value/);
+    assertInvalid('due<none', /needs a date, not none/);
+  });
+
+  it('rejects malformed expressions', () => {
+    assertInvalid('(status:pending');
+    assertInvalid('status:');
+    assertInvalid('AND status:pending');
+  });
+
+  it('rejects non-string and overlong filters', () => {
+    assertInvalid(['status:pending'], /single string/);
+    assertInvalid(`title:${'x'.repeat(600)}`, /too long/);
+  });
+});
+
+describe('fieldCondition', () => {
+  it('uses the filter rules for a single query parameter', () => {
+    assert.deepEqual(fieldCondition('assignee', 'me', context), { assigneeId: 7 });
+    assert.deepEqual(fieldCondition('priority', 'HIGH', context), { priority: 'high' });
+  });
+
+  it('rejects repeated parameters (arrays)', () => {
+    assert.throws(() => fieldCondition('status', ['pending', 'completed'], context), {
+      code: 'INVALID_FILTER',
+    });
+  });
+});
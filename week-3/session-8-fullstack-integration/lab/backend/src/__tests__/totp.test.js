@@ -0,0 +1,96 @@
+/**
+ * =============================================================
+ * UNIT TESTS - One-Time Passwords (utils/totp.js)
+ * =============================================================
+ *
+ * The codes are checked against the test vectors of RFC 6238
+ * (SHA-1, secret "12345678901234567890", last 6 digits).
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+} = require('../utils/totp');
+
+// "12345678901234567890" in Base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * The time step of "now" (30-second steps, like the module).
+ */
+function nowStep() {
+  return Math.floor(Date.now() / 1000 / 30);
+}
+
+describe('generateCode', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  it('ignores case and spaces in the secret', () => {
+    const spaced = RFC_SECRET.toLowerCase().replace(/(.{4})/g, '$1 ');
+    assert.equal(generateCode(spaced, 1), '287082');
+  });
+});
+
+describe('generateSecret', () => {
+  it('creates different 160-bit Base32 secrets', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+  });
+});
+
+describe('verifyCode', () => {
+  const secret = generateSecret();
+
+  it('accepts the current code and returns its step', () => {
+    const step = nowStep();
+    const accepted = verifyCode(secret, generateCode(secret, step));
+    // The step may have ticked over between the two lines
+    assert.ok(accepted === step || accepted === step + 1 || accepted === step - 1);
+  });
+
+  it('allows one step of clock drift, but not two', () => {
+    const step = nowStep();
+    assert.notEqual(verifyCode(secret, generateCode(secret, step - 1)), null);
+    assert.equal(verifyCode(secret, generateCode(secret, step - 3)), null);
+  });
+
+  it('accepts spaces inside the code', () => {
+    const code = generateCode(secret, nowStep());
+    assert.notEqual(verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`), null);
+  });
+
+  it('rejects replays of an already used step', () => {
+    const step = nowStep();
+    const code = generateCode(secret, step - 1);
+    assert.notEqual(verifyCode(secret, code, step - 2), null);
+    assert.equal(verifyCode(secret, code, step - 1), null);
+  });
+
+  it('rejects codes that are not 6 digits', () => {
+    assert.equal(verifyCode(secret, '12345'), null);
+    assert.equal(verifyCode(secret, 'abcdef'), null);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('builds the URI authenticator apps import', () => {
+    const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'ann@example.com' });
+    assert.equal(
+      uri,
+      'otpauth://totp/TaskFlow%3Aann%40example.com?secret=ABC&issuer=TaskFlow&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * =============================================================
+ * ROUTE TESTS - Workspace Scoping
+ * =============================================================
+ *
+ * Every task query is limited to the active workspace, and only
+ * its members get to pick it. A task of another workspace must
+ * look exactly like one that doesn't exist (404).
+ *
+ * Run with: npm test
+ * =============================================================
+ */
+
+const { fakePrisma, resetPrisma } = require('./helpers/prisma');
+const { signedInAs, startApp } = require('./helpers/app');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const workspaceMiddleware = require('../middleware/workspace');
+const taskRoutes = require('../routes/tasks');
+const workspaceRoutes = require('../routes/workspaces');
+
+const alice = { id: 1, username: 'alice', email: 'alice@example.com' };
+
+// Alice is a member of workspace 10 only; task 7 is in workspace 20
+const memberships = [{ workspaceId: 10, userId: 1, role: 'member' }];
+const tasks = [{ id: 7, title: 'Not yours', workspaceId: 20 }];
+
+/**
+ * Give fakePrisma the workspace memberships and tasks above.
+ */
+function seed() {
+  fakePrisma.workspaceMember = {
+    async findUnique({ where }) {
+      const { workspaceId, userId } = where.workspaceId_userId;
+      const membership = memberships.find(
+        (m) => m.workspaceId === workspaceId && m.userId === userId
+      );
+      return membership && {
+        ...membership,
+        workspace: { id: workspaceId, name: 'Team', isPersonal: false },
+      };
+    },
+  };
+  fakePrisma.task = {
+    async findFirst({ where }) {
+      return tasks.find((t) => t.id === where.id && t.workspaceId === where.workspaceId) || null;
+    },
+  };
+}
+
+describe('task routes', () => {
+  let app;
+  before(async () => {
+    app = await startApp('/api/tasks', signedInAs(alice), workspaceMiddleware, taskRoutes);
+  });
+  after(() => app.close());
+  beforeEach(() => {
+    resetPrisma();
+    seed();
+  });
+
+  it("answer 404 for a workspace the user isn't a member of", async () => {
+    const { status, body } = await app.request('GET', '/api/tasks/7', {
+      headers: { 'X-Workspace-Id': '20' },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Workspace not found.');
+  });
+
+  it('answer 404 for a task in another workspace', async () => {
+    const { status, body } = await app.request('GET', '/api/tasks/7', {
+      headers: { 'X-Workspace-Id': '10' },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Task not found.');
+  });
+
+  it("can't delete a task in another workspace", async () => {
+    fakePrisma.task.delete = async () => assert.fail('deleted a task of another workspace');
+
+    const { status } = await app.request('DELETE', '/api/tasks/7', {
+      headers: { 'X-Workspace-Id': '10' },
+    });
+    assert.equal(status, 404);
+  });
+});
+
+describe('workspace invitations', () => {
+  let app;
+  before(async () => {
+    app = await startApp('/api/workspaces', signedInAs(alice), workspaceRoutes);
+  });
+  after(() => app.close());
+  beforeEach(() => {
+    resetPrisma();
+    seed();
+  });
+
+  it('are listed only for owners and admins', async () => {
+    fakePrisma.workspaceInvitation = {
+      findMany: async () => assert.fail('listed the invitations for a member'),
+    };
+
+    const { status, body } = await app.request('GET', '/api/workspaces/10/invitations');
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+  });
+});
@@ -17,15 +17,24 @@
  *   Request flow:
  *     CORS -> JSON Parser -> Logger -> Route Handler -> Error Handler
  *
+ *   Task and project routes add two per-route middleware:
+ *     Auth (who is this?) -> Workspace (which workspace are they acting in?)
+ *
  *   - CORS must come first (handles preflight OPTIONS requests)
  *   - JSON parser must come before routes (routes need parsed body)
  *   - Logger should be early (logs all requests)
  *   - Error handler must be LAST (catches errors from everything above)
  *
  * ARCHITECTURE:
- *   Routes are split into separate files (auth.js, tasks.js)
+ *   Routes are split into separate files (auth.js, tasks.js, projects.js,
+ *   workspaces.js, views.js, notifications.js)
  *   and mounted at specific paths. This keeps the main app.js
  *   clean and makes it easy to add new route groups.
+ *
+ * REAL-TIME:
+ *   The WebSocket server (utils/realtime.js) shares the HTTP server
+ *   that app.listen() creates, at /api/realtime. It pushes task
+ *   changes to the browsers looking at the same workspace.
  * =============================================================
  */
 
@@ -41,10 +50,20 @@ const path = require('path');
 const loggerMiddleware = require('./middleware/logger');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const { denyApiKeys } = require('./middleware/auth');
+const workspaceMiddleware = require('./middleware/workspace');
 
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
+const projectRoutes = require('./routes/projects');
+const workspaceRoutes = require('./routes/workspaces');
+const userRoutes = require('./routes/users');
+const viewRoutes = require('./routes/views');
+const notificationRoutes = require('./routes/notifications');
+
+// Import the WebSocket server
+const { attachRealtime } = require('./utils/realtime');
 
 // Create the Express application
 const app = express();
@@ -117,23 +136,139 @@ app.get('/api/health', (req, res) => {
  *
  * POST /api/auth/register
  * POST /api/auth/login
+ * POST /api/auth/login/2fa
+ * POST /api/auth/refresh
+ * POST /api/auth/logout
+ * POST /api/auth/forgot-password
+ * POST /api/auth/reset-password
+ * GET  /api/auth/verify-email
+ * POST /api/auth/resend-verification
+ * GET    /api/auth/sessions
+ * DELETE /api/auth/sessions/:id
+ * DELETE /api/auth/sessions
+ * GET  /api/auth/oauth/providers
+ * GET  /api/auth/oauth/:provider
+ * GET  /api/auth/oauth/:provider/callback
+ * POST /api/auth/oauth/exchange
+ *
+ * (resend-verification and the session routes apply authMiddleware
+ * and denyApiKeys themselves - they act on the logged-in user)
  */
 app.use('/api/auth', authRoutes);
 
+/**
+ * User Routes (protected - requires authentication)
+ *
+ * GET  /api/users/profile
+ * POST /api/users/2fa/setup
+ * POST /api/users/2fa/enable
+ * POST /api/users/2fa/disable
+ * POST /api/users/2fa/recovery-codes
+ * GET    /api/users/api-keys
+ * POST   /api/users/api-keys
+ * DELETE /api/users/api-keys/:id
+ *
+ * denyApiKeys: these routes need a real login, not an API key
+ */
+app.use('/api/users', authMiddleware, denyApiKeys, userRoutes);
+
 /**
  * Task Routes (protected - requires authentication)
  *
  * The authMiddleware runs before any task route handler.
  * It verifies the JWT token and sets req.user.
+ * The workspaceMiddleware then sets req.workspace from the
+ * X-Workspace-Id header (or the user's personal workspace).
  *
  * GET    /api/tasks
+ * GET    /api/tasks/recurrence/preview
+ * GET    /api/tasks/events
  * GET    /api/tasks/:id
  * POST   /api/tasks
+ * POST   /api/tasks/bulk
  * PUT    /api/tasks/:id
  * PATCH  /api/tasks/:id
  * DELETE /api/tasks/:id
+ * GET    /api/tasks/:id/subtasks
+ * POST   /api/tasks/:id/subtasks
+ * GET    /api/tasks/:id/blockers
+ * POST   /api/tasks/:id/blockers
+ * DELETE /api/tasks/:id/blockers/:blockerId
+ * GET    /api/tasks/:id/comments
+ * POST   /api/tasks/:id/comments
+ * PATCH  /api/tasks/:id/comments/:commentId
+ * DELETE /api/tasks/:id/comments/:commentId
+ */
+app.use('/api/tasks', authMiddleware, workspaceMiddleware, taskRoutes);
+
+/**
+ * Project Routes (protected - requires authentication)
+ *
+ * GET    /api/projects
+ * GET    /api/projects/:id
+ * POST   /api/projects
+ * PUT    /api/projects/:id
+ * DELETE /api/projects/:id
+ */
+app.use('/api/projects', authMiddleware, workspaceMiddleware, projectRoutes);
+
+/**
+ * Saved View Routes (protected - requires authentication)
+ *
+ * Per user AND per workspace, so they need the workspace middleware too.
+ *
+ * GET    /api/views
+ * GET    /api/views/:id
+ * POST   /api/views
+ * PUT    /api/views/:id
+ * DELETE /api/views/:id
  */
-app.use('/api/tasks', authMiddleware, taskRoutes);
+app.use('/api/views', authMiddleware, workspaceMiddleware, viewRoutes);
+
+/**
+ * Notification Routes (protected - requires authentication)
+ *
+ * No workspace middleware: the list covers every workspace.
+ *
+ * GET  /api/notifications
+ * POST /api/notifications/read-all
+ * POST /api/notifications/:id/read
+ */
+app.use('/api/notifications', authMiddleware, notificationRoutes);
+
+/**
+ * Workspace-scoped aliases for the routes above
+ *
+ * The same routers, with the workspace taken from the URL
+ * instead of the X-Workspace-Id header:
+ *
+ * GET /api/workspaces/:workspaceId/tasks
+ * GET /api/workspaces/:workspaceId/projects
+ * ...
+ *
+ * Mounted BEFORE the workspace routes so these paths reach the
+ * task/project routers first.
+ */
+app.use('/api/workspaces/:workspaceId/tasks', authMiddleware, workspaceMiddleware, taskRoutes);
+app.use('/api/workspaces/:workspaceId/projects', authMiddleware, workspaceMiddleware, projectRoutes);
+
+/**
+ * Workspace Routes (protected - requires authentication)
+ *
+ * GET    /api/workspaces
+ * POST   /api/workspaces
+ * GET    /api/workspaces/invitations
+ * POST   /api/workspaces/invitations/:id/accept
+ * DELETE /api/workspaces/invitations/:id
+ * GET    /api/workspaces/:workspaceId
+ * PUT    /api/workspaces/:workspaceId
+ * DELETE /api/workspaces/:workspaceId
+ * GET    /api/workspaces/:workspaceId/invitations
+ * POST   /api/workspaces/:workspaceId/invitations
+ * DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ * DELETE /api/workspaces/:workspaceId/members/:userId
+ */
+app.use('/api/workspaces', authMiddleware, workspaceRoutes);
 
 // =============================================================
 // ERROR HANDLING
@@ -164,7 +299,7 @@ app.use(errorHandler);
 // START SERVER
 // =============================================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n========================================`);
   console.log(`  Server running on http://localhost:${PORT}`);
   console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -172,12 +307,52 @@ app.listen(PORT, () => {
   console.log(`  API Endpoints:`);
   console.log(`  POST   /api/auth/register`);
   console.log(`  POST   /api/auth/login`);
+  console.log(`  POST   /api/auth/login/2fa`);
+  console.log(`  POST   /api/auth/refresh`);
+  console.log(`  POST   /api/auth/logout`);
+  console.log(`  POST   /api/auth/forgot-password`);
+  console.log(`  POST   /api/auth/reset-password`);
+  console.log(`  GET    /api/auth/verify-email`);
+  console.log(`  POST   /api/auth/resend-verification`);
+  console.log(`  GET    /api/auth/sessions`);
+  console.log(`  DELETE /api/auth/sessions/:id`);
+  console.log(`  GET    /api/auth/oauth/:provider`);
+  console.log(`  GET    /api/users/profile`);
+  console.log(`  POST   /api/users/2fa/setup`);
+  console.log(`  POST   /api/users/2fa/enable`);
+  console.log(`  GET    /api/users/api-keys`);
+  console.log(`  POST   /api/users/api-keys`);
   console.log(`  GET    /api/tasks`);
   console.log(`  POST   /api/tasks`);
+  console.log(`  POST   /api/tasks/bulk`);
+  console.log(`  GET    /api/tasks/recurrence/preview`);
+  console.log(`  GET    /api/tasks/events`);
   console.log(`  PUT    /api/tasks/:id`);
   console.log(`  PATCH  /api/tasks/:id`);
   console.log(`  DELETE /api/tasks/:id`);
-  console.log(`  GET    /api/health\n`);
+  console.log(`  POST   /api/tasks/:id/subtasks`);
+  console.log(`  POST   /api/tasks/:id/blockers`);
+  console.log(`  POST   /api/tasks/:id/comments`);
+  console.log(`  GET    /api/projects`);
+  console.log(`  POST   /api/projects`);
+  console.log(`  PUT    /api/projects/:id`);
+  console.log(`  DELETE /api/projects/:id`);
+  console.log(`  GET    /api/views`);
+  console.log(`  POST   /api/views`);
+  console.log(`  PUT    /api/views/:id`);
+  console.log(`  DELETE /api/views/:id`);
+  console.log(`  GET    /api/notifications`);
+  console.log(`  POST   /api/notifications/read-all`);
+  console.log(`  POST   /api/notifications/:id/read`);
+  console.log(`  GET    /api/workspaces`);
+  console.log(`  POST   /api/workspaces`);
+  console.log(`  POST   /api/workspaces/:id/invitations`);
+  console.log(`  POST   /api/workspaces/invitations/:id/accept`);
+  console.log(`  GET    /api/health`);
+  console.log(`  WS     /api/realtime?token=...\n`);
 });
 
+// Live task updates, on the same port as the API
+attachRealtime(server);
+
 module.exports = app;
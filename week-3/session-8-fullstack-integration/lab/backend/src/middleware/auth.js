@@ -10,11 +10,20 @@
  *   1. Read the Authorization header from the request
  *   2. Extract the token (after "Bearer ")
  *   3. Verify the token using the JWT_SECRET
- *   4. Attach the decoded user data to req.user
- *   5. Call next() to continue to the route handler
+ *   4. Check that the token's session hasn't been signed out
+ *   5. Attach the decoded user data to req.user
+ *   6. Call next() to continue to the route handler
  *
  * If any step fails, return 401 Unauthorized.
  *
+ * API KEYS:
+ *   Scripts can send "Authorization: ApiKey <key>" instead of a
+ *   Bearer token (keys are created on the Profile page). The key is
+ *   looked up by its hash, and req.user.apiKey = { id, scope } is set.
+ *   Read-only keys may only make GET requests. Routes that manage
+ *   the account itself use denyApiKeys so a leaked key can't, for
+ *   example, create more keys or turn off 2FA.
+ *
  * MIDDLEWARE PATTERN:
  *   Express middleware receives (req, res, next).
  *   It can modify req/res, end the request, or call next()
@@ -30,52 +39,86 @@
  */
 
 const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const { hashToken } = require('../utils/tokens');
+
+// Only write lastSeenAt / lastUsedAt if it's older than this, so we
+// don't update the database on every single request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Requests a read-only API key may make
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Authentication middleware function.
- *
- * Verifies the JWT token and attaches user data to the request.
- * Protected routes can then access req.user.id, req.user.email, etc.
+ * Authenticate a request that uses "Authorization: ApiKey <key>".
  */
-function authMiddleware(req, res, next) {
+async function authenticateApiKey(req, res, next, key) {
   try {
-    // Step 1: Get the Authorization header
-    const authHeader = req.headers.authorization;
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(key) },
+      include: { user: { select: { id: true, username: true, email: true } } },
+    });
 
-    // Check if the header exists and starts with "Bearer "
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!apiKey || apiKey.revokedAt) {
       return res.status(401).json({
-        error: 'Access denied. No token provided.',
+        error: 'Invalid or revoked API key.',
       });
     }
 
-    // Step 2: Extract the token (everything after "Bearer ")
-    // "Bearer eyJhbGciOi..." -> "eyJhbGciOi..."
-    const token = authHeader.split(' ')[1];
+    if (apiKey.scope === 'read' && !READ_ONLY_METHODS.includes(req.method)) {
+      const error = new Error('This API key is read-only.');
+      error.statusCode = 403;
+      error.code = 'API_KEY_READ_ONLY';
+      error.details = { scope: apiKey.scope };
+      return next(error);
+    }
 
-    if (!token) {
-      return res.status(401).json({
-        error: 'Access denied. Token is empty.',
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      await prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date() },
       });
     }
 
+    req.user = {
+      ...apiKey.user,
+      apiKey: { id: apiKey.id, scope: apiKey.scope },
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Verify an access token and its session (steps 3-4 below).
+ *
+ * Shared by authMiddleware and the WebSocket server (see
+ * utils/realtime.js), which receives the token in the connection
+ * URL instead of a header.
+ *
+ * @param {string} token - The JWT, without "Bearer "
+ * @returns {Promise<{ user?: object, error?: string, code?: string }>}
+ *   user is what becomes req.user; error is a message for a 401.
+ *   Database errors are thrown.
+ */
+async function verifyAccessToken(token) {
+  let decoded;
+
+  try {
     // Step 3: Verify the token
     // jwt.verify() checks:
     //   - The signature matches (token wasn't tampered with)
     //   - The token hasn't expired (if exp claim exists)
     // If valid, it returns the decoded payload
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Step 4: Attach user data to the request object
-    // Now any route handler can access req.user
-    req.user = {
-      id: decoded.id,
-      username: decoded.username,
-      email: decoded.email,
-    };
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Step 5: Continue to the next middleware or route handler
-    next();
+    // Only access tokens are allowed here - special-purpose tokens
+    // (like the 2FA login challenge) are signed with the same secret
+    if (decoded.purpose) {
+      return { error: 'Invalid token. Please log in again.' };
+    }
   } catch (error) {
     // jwt.verify() throws different errors for different problems:
     //   - TokenExpiredError: Token has expired
@@ -83,22 +126,142 @@ function authMiddleware(req, res, next) {
     //   - NotBeforeError: Token is not yet active
 
     if (error.name === 'TokenExpiredError') {
+      return { error: 'Token has expired. Please log in again.' };
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return { error: 'Invalid token. Please log in again.' };
+    }
+
+    // Unexpected error
+    return { error: 'Authentication failed.' };
+  }
+
+  // Step 4: Check the session
+  // The signature alone isn't enough - the user may have signed
+  // this session out (logout, or from another device)
+  const session = decoded.sid
+    ? await prisma.session.findUnique({
+        where: { id: decoded.sid },
+        select: { revokedAt: true, lastSeenAt: true },
+      })
+    : null;
+
+  if (!session || session.revokedAt) {
+    return {
+      error: 'This session has been signed out. Please log in again.',
+      code: 'SESSION_REVOKED',
+    };
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await prisma.session.update({
+      where: { id: decoded.sid },
+      data: { lastSeenAt: new Date() },
+    });
+  }
+
+  return {
+    user: {
+      id: decoded.id,
+      username: decoded.username,
+      email: decoded.email,
+      sessionId: decoded.sid,
+    },
+  };
+}
+
+/**
+ * Check whether what a request was authenticated with has been
+ * revoked since: its session (signed out) or its API key.
+ *
+ * For connections that stay open (WebSocket, event stream) - they
+ * are authenticated once, so they check again from time to time.
+ *
+ * @param {object} user - req.user (or ws.user)
+ * @returns {Promise<boolean>}
+ */
+async function isRevoked(user) {
+  const credential = user.apiKey
+    ? await prisma.apiKey.findUnique({
+        where: { id: user.apiKey.id },
+        select: { revokedAt: true },
+      })
+    : await prisma.session.findUnique({
+        where: { id: user.sessionId },
+        select: { revokedAt: true },
+      });
+
+  return !credential || Boolean(credential.revokedAt);
+}
+
+/**
+ * Authentication middleware function.
+ *
+ * Verifies the JWT token and attaches user data to the request.
+ * Protected routes can then access req.user.id, req.user.email, etc.
+ */
+async function authMiddleware(req, res, next) {
+  try {
+    // Step 1: Get the Authorization header
+    const authHeader = req.headers.authorization;
+
+    // API keys take a different path (no JWT, no session)
+    if (authHeader?.startsWith('ApiKey ')) {
+      return authenticateApiKey(req, res, next, authHeader.slice('ApiKey '.length).trim());
+    }
+
+    // Check if the header exists and starts with "Bearer "
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
-        error: 'Token has expired. Please log in again.',
+        error: 'Access denied. No token provided.',
       });
     }
 
-    if (error.name === 'JsonWebTokenError') {
+    // Step 2: Extract the token (everything after "Bearer ")
+    // "Bearer eyJhbGciOi..." -> "eyJhbGciOi..."
+    const token = authHeader.split(' ')[1];
+
+    if (!token) {
       return res.status(401).json({
-        error: 'Invalid token. Please log in again.',
+        error: 'Access denied. Token is empty.',
       });
     }
 
-    // Unexpected error
-    return res.status(401).json({
-      error: 'Authentication failed.',
-    });
+    // Steps 3 and 4: Verify the token and its session
+    const { user, error, code } = await verifyAccessToken(token);
+
+    if (error) {
+      return res.status(401).json({ error, ...(code && { code }) });
+    }
+
+    // Step 5: Attach user data to the request object
+    // Now any route handler can access req.user
+    req.user = user;
+
+    // Step 6: Continue to the next middleware or route handler
+    next();
+  } catch (error) {
+    // Database errors are server errors, not authentication failures
+    next(error);
+  }
+}
+
+/**
+ * Reject requests authenticated with an API key.
+ * Use AFTER authMiddleware on routes that manage the account itself.
+ */
+function denyApiKeys(req, res, next) {
+  if (req.user?.apiKey) {
+    const error = new Error('API keys cannot be used for account settings. Please log in.');
+    error.statusCode = 403;
+    error.code = 'API_KEY_NOT_ALLOWED';
+    return next(error);
   }
+  next();
 }
 
 module.exports = authMiddleware;
+module.exports.denyApiKeys = denyApiKeys;
+module.exports.verifyAccessToken = verifyAccessToken;
+module.exports.isRevoked = isRevoked;
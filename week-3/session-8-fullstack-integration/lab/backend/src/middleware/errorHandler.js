@@ -43,6 +43,22 @@ function errorHandler(err, req, res, next) {
     error: err.message || 'Internal server error',
   };
 
+  // Errors raised by our own middleware (e.g. requirePermission) carry a
+  // machine-readable code and details so clients can react to them
+  if (err.code && statusCode < 500) {
+    response.code = err.code;
+  }
+
+  if (err.details && statusCode < 500) {
+    response.details = err.details;
+  }
+
+  // Throttled (429) and locked (423) responses tell the client how
+  // many seconds to wait, in the standard Retry-After header
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // In development, include the stack trace for debugging
   // NEVER include this in production (security risk)
   if (process.env.NODE_ENV === 'development') {
@@ -0,0 +1,119 @@
+/**
+ * =============================================================
+ * PERMISSION MIDDLEWARE - Role-Based Access Control (RBAC)
+ * =============================================================
+ *
+ * authMiddleware answers "who are you?".
+ * workspaceMiddleware answers "which workspace, and what is your role?".
+ * This file answers "is your role allowed to do this?".
+ *
+ * ROLES (per workspace, stored on WorkspaceMember.role):
+ *   owner  - Everything, including deleting the workspace
+ *   admin  - Everything a member can, plus manage members and invitations
+ *   member - Create, edit and delete any task or project in the workspace
+ *            (not only their own - a workspace's tasks are shared)
+ *   viewer - Read-only access
+ *
+ * Two ways to guard a route:
+ *   requireRole('owner', 'admin')      - Allow specific roles
+ *   requirePermission('tasks:write')   - Allow any role that has
+ *                                        the permission (preferred:
+ *                                        routes don't need to change
+ *                                        when a new role is added)
+ *
+ * USAGE (must run AFTER authMiddleware and workspaceMiddleware):
+ *   router.post('/', requirePermission('tasks:write'), handler);
+ *
+ * A denied request is passed to errorHandler as a 403 error with
+ * code 'FORBIDDEN', so every route returns the same error body:
+ *   { error: "...", code: "FORBIDDEN", details: { role, required } }
+ * =============================================================
+ */
+
+// Every role, from least to most powerful
+const ROLES = ['viewer', 'member', 'admin', 'owner'];
+
+// Which roles have each permission
+const PERMISSIONS = {
+  'tasks:read': ['viewer', 'member', 'admin', 'owner'],
+  'tasks:write': ['member', 'admin', 'owner'],
+  'comments:write': ['member', 'admin', 'owner'], // comment on tasks (viewers read the discussion)
+  'projects:write': ['member', 'admin', 'owner'],
+  'workspace:manage': ['admin', 'owner'], // rename, invite, change roles, remove members
+  'workspace:delete': ['owner'],
+};
+
+/**
+ * Check whether a role has a permission.
+ *
+ * @param {string} role - e.g. 'member'
+ * @param {string} permission - e.g. 'tasks:write'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Build the 403 error passed to errorHandler.
+ *
+ * Exported for routes whose rules depend on the target record
+ * (e.g. "admins can't remove other admins"), so they can return
+ * the same error body as the middleware below.
+ *
+ * @param {string} role - The user's role in the workspace
+ * @param {string[]} required - Roles or permissions that would be allowed
+ * @returns {Error}
+ */
+function forbidden(role, required) {
+  const error = new Error('You do not have permission to perform this action.');
+  error.statusCode = 403;
+  error.code = 'FORBIDDEN';
+  error.details = { role, required };
+  return error;
+}
+
+/**
+ * Allow the request only if the user's workspace role is one of `roles`.
+ *
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = req.workspace?.role;
+
+    if (!roles.includes(role)) {
+      return next(forbidden(role, roles));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Allow the request only if the user's workspace role has
+ * EVERY one of `permissions`.
+ *
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} - Express middleware
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const role = req.workspace?.role;
+
+    if (!permissions.every((permission) => hasPermission(role, permission))) {
+      return next(forbidden(role, permissions));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasPermission,
+  forbidden,
+  requireRole,
+  requirePermission,
+};
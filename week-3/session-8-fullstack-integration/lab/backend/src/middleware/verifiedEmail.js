@@ -0,0 +1,90 @@
+/**
+ * =============================================================
+ * VERIFIED EMAIL MIDDLEWARE - Restrict Unverified Accounts
+ * =============================================================
+ *
+ * New accounts can log in straight away, but until they click the
+ * link in the verification email some features are off-limits.
+ * Which features is a POLICY set in .env:
+ *
+ *   VERIFIED_EMAIL_REQUIRED_FOR="invitations,workspaces"
+ *
+ * FEATURES:
+ *   invitations - Send or accept workspace invitations
+ *                 (invitations are matched by email, so accepting one
+ *                 must prove you own that address)
+ *   workspaces  - Create team workspaces
+ *   tasks       - Create, edit and delete tasks
+ *   projects    - Create, edit and delete projects
+ *   comments    - Comment on tasks
+ *
+ * Default: "invitations". Set it to "" to turn the policy off, or
+ * list every feature for a strict setup.
+ *
+ * USAGE (must run AFTER authMiddleware):
+ *   router.post('/', requireVerifiedEmail('workspaces'), handler);
+ *
+ * A blocked request is passed to errorHandler as a 403 error with
+ * code 'EMAIL_NOT_VERIFIED'.
+ * =============================================================
+ */
+
+const prisma = require('../prisma');
+
+// Parse the policy once at startup
+const REQUIRED_FOR = (process.env.VERIFIED_EMAIL_REQUIRED_FOR ?? 'invitations')
+  .split(',')
+  .map((feature) => feature.trim())
+  .filter(Boolean);
+
+/**
+ * Does the policy require a verified email for this feature?
+ *
+ * @param {string} feature - e.g. 'invitations'
+ * @returns {boolean}
+ */
+function isVerificationRequired(feature) {
+  return REQUIRED_FOR.includes(feature);
+}
+
+/**
+ * Allow the request only if the user has verified their email,
+ * or the policy doesn't cover `feature`.
+ *
+ * The flag is read from the database (not the JWT) so the user
+ * is unblocked as soon as they click the link.
+ *
+ * @param {string} feature - Feature name from the list above
+ * @returns {Function} - Express middleware
+ */
+function requireVerifiedEmail(feature) {
+  return async (req, res, next) => {
+    try {
+      if (!isVerificationRequired(feature)) {
+        return next();
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { emailVerifiedAt: true },
+      });
+
+      if (!user?.emailVerifiedAt) {
+        const error = new Error('Please verify your email address to use this feature.');
+        error.statusCode = 403;
+        error.code = 'EMAIL_NOT_VERIFIED';
+        error.details = { feature };
+        return next(error);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  isVerificationRequired,
+  requireVerifiedEmail,
+};
@@ -0,0 +1,123 @@
+/**
+ * =============================================================
+ * WORKSPACE MIDDLEWARE - Resolve the Active Workspace
+ * =============================================================
+ *
+ * Runs AFTER authMiddleware. Decides which workspace the request
+ * is acting in and checks that the user is a member of it.
+ *
+ * HOW THE WORKSPACE IS CHOSEN (first match wins):
+ *   1. Route param:  /api/workspaces/:workspaceId/tasks
+ *   2. Header:       X-Workspace-Id: 3
+ *   3. Default:      The user's personal workspace
+ *
+ * On success it attaches the workspace to the request:
+ *   req.workspace = { id, name, isPersonal, role }
+ *
+ * If the user is not a member of the requested workspace we
+ * return 404 (not 403) so that workspace IDs can't be probed.
+ *
+ * USAGE:
+ *   app.use('/api/tasks', authMiddleware, workspaceMiddleware, taskRoutes);
+ * =============================================================
+ */
+
+const prisma = require('../prisma');
+
+/**
+ * Give a user their personal workspace, with them as its owner.
+ *
+ * Workspace.personalOwnerId is unique: creating a second one for
+ * the same user fails with P2002 instead.
+ *
+ * @param {object} user - { id, username }
+ * @param {object} [db] - Prisma client or transaction
+ * @returns {Promise<object>} - WorkspaceMember row including its workspace
+ */
+function createPersonalMembership(user, db = prisma) {
+  return db.workspaceMember.create({
+    data: {
+      role: 'owner',
+      user: { connect: { id: user.id } },
+      workspace: {
+        create: {
+          name: `${user.username}'s Workspace`,
+          isPersonal: true,
+          personalOwner: { connect: { id: user.id } },
+        },
+      },
+    },
+    include: { workspace: true },
+  });
+}
+
+/**
+ * Find the user's personal workspace, creating it if needed.
+ *
+ * New users get a personal workspace at registration. This fallback
+ * covers accounts created before workspaces existed. Two parallel
+ * requests may both try to create it - the unique personalOwnerId
+ * lets one win, and the other uses the winner's.
+ *
+ * @param {object} user - req.user ({ id, username })
+ * @returns {Promise<object>} - WorkspaceMember row including its workspace
+ */
+async function findOrCreatePersonalMembership(user) {
+  const findMembership = () => prisma.workspaceMember.findFirst({
+    where: { userId: user.id, workspace: { isPersonal: true } },
+    include: { workspace: true },
+    orderBy: { workspaceId: 'asc' },
+  });
+
+  const membership = await findMembership();
+  if (membership) {
+    return membership;
+  }
+
+  try {
+    return await createPersonalMembership(user);
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+    return findMembership();
+  }
+}
+
+async function workspaceMiddleware(req, res, next) {
+  try {
+    const rawId = req.params.workspaceId || req.headers['x-workspace-id'];
+
+    let membership;
+
+    if (rawId) {
+      const workspaceId = parseInt(rawId, 10);
+      if (isNaN(workspaceId)) {
+        return res.status(400).json({ error: 'Invalid workspace ID.' });
+      }
+
+      membership = await prisma.workspaceMember.findUnique({
+        where: { workspaceId_userId: { workspaceId, userId: req.user.id } },
+        include: { workspace: true },
+      });
+
+      if (!membership) {
+        return res.status(404).json({ error: 'Workspace not found.' });
+      }
+    } else {
+      membership = await findOrCreatePersonalMembership(req.user);
+    }
+
+    req.workspace = {
+      id: membership.workspace.id,
+      name: membership.workspace.name,
+      isPersonal: membership.workspace.isPersonal,
+      role: membership.role,
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = workspaceMiddleware;
+module.exports.createPersonalMembership = createPersonalMembership;
@@ -1,10 +1,25 @@
 /**
  * =============================================================
- * AUTH ROUTES - User Registration and Login
+ * AUTH ROUTES - User Registration, Login and Token Refresh
  * =============================================================
  *
  * POST /api/auth/register - Create a new user account
- * POST /api/auth/login    - Authenticate and get a JWT token
+ * POST /api/auth/login    - Authenticate and get a token pair
+ *                           (or a 2FA challenge if 2FA is enabled)
+ * POST /api/auth/login/2fa - Trade a 2FA challenge + code for a token pair
+ * POST /api/auth/refresh  - Trade a refresh token for a new pair
+ * POST /api/auth/logout   - End the session a refresh token belongs to
+ * POST /api/auth/forgot-password - Email a password reset link
+ * POST /api/auth/reset-password  - Set a new password with that link
+ * GET  /api/auth/verify-email     - Confirm an email address (link from email)
+ * POST /api/auth/resend-verification - Send a new verification link (logged in)
+ * GET    /api/auth/sessions     - List where the user is signed in (logged in)
+ * DELETE /api/auth/sessions/:id - Sign out one session (logged in)
+ * DELETE /api/auth/sessions     - Sign out every session except this one
+ * GET  /api/auth/oauth/providers          - "Sign in with ..." buttons to show
+ * GET  /api/auth/oauth/:provider          - Start an OpenID Connect login
+ * GET  /api/auth/oauth/:provider/callback - Where the provider sends the user back
+ * POST /api/auth/oauth/exchange           - Trade the one-time login code for tokens
  *
  * KEY CONCEPTS:
  *   - Password hashing with bcrypt (never store plain text passwords!)
@@ -13,18 +28,50 @@
  *   - Prisma for database queries
  *
  * AUTHENTICATION FLOW:
- *   Register: email + password -> hash password -> save user -> generate JWT
- *   Login:    email + password -> find user -> compare hash -> generate JWT
+ *   Register: email + password -> hash password -> save user -> issue tokens
+ *             (and email a verification link - see middleware/verifiedEmail.js
+ *             for what unverified accounts can't do)
+ *   Login:    email + password -> find user -> compare hash -> issue tokens
+ *   2FA:      login returns a challenge token instead -> user types the
+ *             code from their app -> /login/2fa -> issue tokens
+ *   Refresh:  refresh token -> rotate (old one revoked) -> issue tokens
+ *   OAuth:    "Sign in with ..." -> provider -> callback -> frontend gets
+ *             a one-time code -> /oauth/exchange -> issue tokens
+ *             (2FA still applies - see the OAUTH section below)
  *
- * The JWT contains the user's id, username, and email.
- * The frontend stores this token and sends it with every request.
+ * The access token (JWT) contains the user's id, username, and email
+ * and expires quickly. The frontend sends it with every request and
+ * uses the refresh token to get a new one when it expires.
+ * See utils/tokens.js for how rotation and reuse detection work.
  * =============================================================
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const prisma = require('../prisma');
+const authMiddleware = require('../middleware/auth');
+const { denyApiKeys } = require('../middleware/auth');
+const { createPersonalMembership } = require('../middleware/workspace');
+const { sendMail } = require('../utils/mailer');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { recordAudit } = require('../utils/audit');
+const oauth = require('../utils/oauth');
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require('../utils/loginThrottle');
+const {
+  hashToken,
+  issueTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = require('../utils/tokens');
 
 const router = express.Router();
 
@@ -32,27 +79,97 @@ const router = express.Router();
 // Higher = more secure but slower. 10-12 is recommended.
 const SALT_ROUNDS = 10;
 
+// How long a password reset link works, in minutes
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_EXPIRES_MINUTES, 10) || 30;
+
+// How long an email verification link works, in hours
+const VERIFY_TOKEN_HOURS = parseInt(process.env.VERIFY_TOKEN_EXPIRES_HOURS, 10) || 24;
+
+// Where the links in emails point (the frontend)
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+// Public URL that reaches this API, used to build the OAuth callback URL
+// registered with each provider. In development the Vite proxy forwards
+// /api, so the frontend URL works.
+const OAUTH_REDIRECT_BASE_URL = process.env.OAUTH_REDIRECT_BASE_URL || APP_URL;
+
+// How long the user has to finish logging in at the provider
+const OAUTH_LOGIN_MINUTES = 10;
+
+// How long the frontend has to exchange the one-time login code
+const OAUTH_CODE_SECONDS = 60;
+
+// Cookie tying an OAuth login to the browser that started it
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,                 // Not readable by page scripts
+  sameSite: 'lax',                // Sent on the provider's redirect back (a top-level GET)
+  secure: OAUTH_REDIRECT_BASE_URL.startsWith('https:'),
+  path: '/api/auth/oauth',        // Only the OAuth routes need it
+};
+
 /**
- * Generate a JWT token for a user.
+ * Email a new verification link to a user.
  *
- * The token contains the user's id, username, and email.
- * These are called "claims" - pieces of information encoded in the token.
+ * Older unused links are invalidated, so only the newest email works.
  *
- * @param {object} user - User object from database
- * @returns {string} - Signed JWT token
+ * @param {object} user - { id, username, email }
  */
-function generateToken(user) {
-  return jwt.sign(
-    {
+async function sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId: user.id,
+        expiresAt: new Date(Date.now() + VERIFY_TOKEN_HOURS * 60 * 60 * 1000),
+      },
+    }),
+  ]);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your TaskFlow email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm this is your email address by opening this link',
+      `within ${VERIFY_TOKEN_HOURS} hours:`,
+      '',
+      `${APP_URL}/verify-email?token=${token}`,
+      '',
+      "If you didn't create a TaskFlow account, you can ignore this email.",
+    ].join('\n'),
+  });
+}
+
+/**
+ * Build the successful login response (tokens + public user fields).
+ * Starts a new session for the device making the request.
+ *
+ * @param {object} user - User row from the database
+ * @param {object} req - Express request
+ * @returns {Promise<object>}
+ */
+async function buildLoginResponse(user, req) {
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  return {
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
       id: user.id,
       username: user.username,
       email: user.email,
+      emailVerifiedAt: user.emailVerifiedAt,
     },
-    process.env.JWT_SECRET,
-    {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
-    }
-  );
+  };
 }
 
 /**
@@ -61,14 +178,15 @@ function generateToken(user) {
  * Creates a new user account.
  *
  * Request body: { username, email, password }
- * Response: { message, token, user: { id, username, email } }
+ * Response: { message, token, refreshToken, user: { id, username, email, emailVerifiedAt } }
  *
  * SECURITY STEPS:
  *   1. Validate input (required fields, email format, password length)
  *   2. Check if email/username already exists
  *   3. Hash the password with bcrypt
- *   4. Save the user to the database
- *   5. Generate and return a JWT token
+ *   4. Save the user (and their personal workspace) to the database
+ *   5. Email a verification link
+ *   6. Generate and return an access token + refresh token
  */
 router.post('/register', async (req, res, next) => {
   try {
@@ -126,28 +244,45 @@ router.post('/register', async (req, res, next) => {
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
     // --- Create user in database ---
-    const user = await prisma.user.create({
-      data: {
-        username,
-        email: email.toLowerCase(), // Store emails in lowercase
-        password: hashedPassword,     // Store the HASH, never plain text
-      },
-      select: {
-        // Only select fields we want to return (exclude password!)
-        id: true,
-        username: true,
-        email: true,
-        createdAt: true,
-      },
+    // The same transaction gives the user a personal workspace,
+    // which is where their tasks go unless they pick a team workspace
+    const user = await prisma.$transaction(async (tx) => {
+      const created = await tx.user.create({
+        data: {
+          username,
+          email: email.toLowerCase(), // Store emails in lowercase
+          password: hashedPassword,     // Store the HASH, never plain text
+        },
+        select: {
+          // Only select fields we want to return (exclude password!)
+          id: true,
+          username: true,
+          email: true,
+          emailVerifiedAt: true,
+          createdAt: true,
+        },
+      });
+      await createPersonalMembership(created, tx);
+      return created;
     });
 
-    // --- Generate JWT token ---
-    const token = generateToken(user);
+    // --- Send verification email ---
+    // A mail failure shouldn't undo the registration - the user
+    // can ask for a new link with POST /api/auth/resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError.message);
+    }
+
+    // --- Generate tokens ---
+    const { token, refreshToken } = await issueTokens(user, req);
 
     // --- Send response ---
     res.status(201).json({
       message: 'Registration successful',
       token,
+      refreshToken,
       user,
     });
   } catch (error) {
@@ -162,12 +297,18 @@ router.post('/register', async (req, res, next) => {
  * Authenticates a user with email and password.
  *
  * Request body: { email, password }
- * Response: { message, token, user: { id, username, email } }
+ * Response: { message, token, refreshToken, user: { id, username, email, emailVerifiedAt } }
+ *
+ * If the user has 2FA enabled, no tokens are issued yet:
+ * Response: { message, twoFactorRequired: true, challengeToken }
  *
  * SECURITY:
  *   - Use the same error message for "email not found" and
  *     "wrong password" to prevent email enumeration attacks.
  *   - bcrypt.compare() is timing-safe (prevents timing attacks).
+ *   - Failed attempts are counted per email and per IP (see
+ *     utils/loginThrottle.js). Too many -> 423 ACCOUNT_LOCKED or
+ *     429 TOO_MANY_ATTEMPTS with a Retry-After header.
  */
 router.post('/login', async (req, res, next) => {
   try {
@@ -180,14 +321,21 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
+    const normalizedEmail = email.toLowerCase();
+
+    // --- Refuse locked accounts / blocked IPs before checking anything ---
+    await assertLoginAllowed(normalizedEmail, req.ip);
+
     // --- Find user by email ---
     const user = await prisma.user.findUnique({
-      where: { email: email.toLowerCase() },
+      where: { email: normalizedEmail },
     });
 
     // User not found - use a generic error message
     // DON'T say "email not found" (would reveal which emails are registered)
+    // Unknown emails count as failures too, so lockouts don't reveal it either
     if (!user) {
+      await recordLoginFailure(normalizedEmail, req.ip);
       return res.status(401).json({
         error: 'Invalid email or password.',
       });
@@ -199,28 +347,811 @@ router.post('/login', async (req, res, next) => {
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      await recordLoginFailure(normalizedEmail, req.ip, user.id);
+
       // Same generic error message for wrong password
       return res.status(401).json({
         error: 'Invalid email or password.',
       });
     }
 
-    // --- Generate JWT token ---
-    const token = generateToken(user);
+    // --- Second step needed? ---
+    // The password was right, but we don't hand out tokens until
+    // the user proves they also have their authenticator app
+    if (user.totpEnabledAt) {
+      return res.json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+      });
+    }
+
+    await recordLoginSuccess(normalizedEmail);
+
+    // --- Generate tokens and send response (exclude password!) ---
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ *
+ * Second login step for users with 2FA enabled.
+ *
+ * Request body: { challengeToken, code }
+ *   code - 6-digit authenticator code, or a recovery code
+ * Response: same as a successful /login
+ *
+ * The challenge token expires after 5 minutes - after that the
+ * user has to enter their password again.
+ */
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        error: 'Challenge token and code are required.',
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Your login attempt has expired. Please log in again.',
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user || !user.totpEnabledAt) {
+      return res.status(401).json({
+        error: 'Your login attempt has expired. Please log in again.',
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords -
+    // otherwise 6-digit codes could be brute-forced
+    await assertLoginAllowed(user.email, req.ip);
+
+    if (!(await verifySecondFactor(user, code))) {
+      await recordLoginFailure(user.email, req.ip, user.id);
+      return res.status(401).json({
+        error: 'Invalid authentication code.',
+      });
+    }
+
+    await recordLoginSuccess(user.email);
+
+    res.json(await buildLoginResponse(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// =============================================================
+// OAUTH / OPENID CONNECT ("Sign in with ...")
+// =============================================================
+//
+// The provider talks to the BROWSER (redirects), so the tokens can't
+// come back as JSON from a single request. Instead:
+//
+//   GET  /oauth/:provider           -> 302 to the provider
+//   GET  /oauth/:provider/callback  -> 302 to APP_URL/oauth/callback?code=...
+//   POST /oauth/exchange { code }   -> same response as POST /login
+//
+// The login code in the last redirect is one-time and expires after
+// OAUTH_CODE_SECONDS, so a code left in browser history is useless.
+//
+// LOGIN CSRF:
+//   An attacker could start a login, stop before the callback and send
+//   someone their ?code&state link - the victim would end up logged in
+//   as the attacker. So the start sets a short-lived httpOnly cookie
+//   with the state's hash, and the callback only accepts a state that
+//   matches the cookie of the browser it arrives in.
+//
+// ACCOUNT LINKING:
+//   1. Already linked (provider + "sub")    -> that user
+//   2. Provider says the email is verified and a user with that email
+//      has verified it too                  -> link, then that user
+//   3. Nobody has the email                 -> create a new user
+// An UNVERIFIED local account is never linked: someone could register
+// with another person's email and wait for them to "Sign in with ...".
+//
+// Users with 2FA still have to enter a code after the exchange.
+// =============================================================
+
+/**
+ * Redirect URI registered with the provider for this app.
+ *
+ * @param {object} provider
+ * @returns {string}
+ */
+function oauthRedirectUri(provider) {
+  return `${OAUTH_REDIRECT_BASE_URL}/api/auth/oauth/${provider.id}/callback`;
+}
+
+/**
+ * Read one cookie from the request (there's no cookie parser).
+ *
+ * @param {object} req - Express request
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Send the browser back to the frontend's OAuth callback page.
+ *
+ * @param {object} res - Express response
+ * @param {object} params - { code } on success, { error } on failure
+ */
+function redirectToApp(res, params) {
+  res.redirect(`${APP_URL}/oauth/callback?${new URLSearchParams(params)}`);
+}
+
+/**
+ * Pick a free username based on the provider's profile.
+ *
+ * @param {object} profile - { name, email }
+ * @returns {Promise<string>}
+ */
+async function uniqueUsername(profile) {
+  let base = (profile.name || profile.email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_.-]/g, '')
+    .slice(0, 20);
+  if (base.length < 3) base = `user${base}`;
+
+  let username = base;
+  while (await prisma.user.findUnique({ where: { username } })) {
+    username = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+}
+
+/**
+ * Find (or link, or create) the user for a provider identity.
+ * See ACCOUNT LINKING above.
+ *
+ * @param {string} providerId
+ * @param {object} profile - From oauth.exchangeCode()
+ * @param {string} ip - For the audit log
+ * @returns {Promise<object>} - User row
+ */
+async function findOrCreateOAuthUser(providerId, profile, ip) {
+  const account = await prisma.oAuthAccount.findUnique({
+    where: { provider_subject: { provider: providerId, subject: profile.subject } },
+    include: { user: true },
+  });
+  if (account) return account.user;
+
+  if (!profile.email || !profile.emailVerified) {
+    const error = new Error('Your email address at this provider is not verified.');
+    error.statusCode = 400;
+    error.code = 'OAUTH_EMAIL_NOT_VERIFIED';
+    throw error;
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: profile.email },
+  });
+
+  if (existingUser) {
+    if (!existingUser.emailVerifiedAt) {
+      const error = new Error(
+        'An account with this email already exists. Log in with your password and verify your email first.'
+      );
+      error.statusCode = 409;
+      error.code = 'OAUTH_ACCOUNT_EXISTS';
+      throw error;
+    }
+
+    await prisma.oAuthAccount.create({
+      data: {
+        provider: providerId,
+        subject: profile.subject,
+        email: profile.email,
+        userId: existingUser.id,
+      },
+    });
+    await recordAudit({
+      action: 'oauth.linked',
+      userId: existingUser.id,
+      ip,
+      details: { provider: providerId },
+    });
+    return existingUser;
+  }
+
+  // New user. They never chose a password, so store the hash of a
+  // random one - "Forgot password" lets them set a real one later.
+  const username = await uniqueUsername(profile);
+  const randomPassword = crypto.randomBytes(32).toString('hex');
+
+  const password = await bcrypt.hash(randomPassword, SALT_ROUNDS);
+
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.create({
+      data: {
+        username,
+        email: profile.email,
+        password,
+        emailVerifiedAt: new Date(), // The provider verified it
+        oauthAccounts: {
+          create: { provider: providerId, subject: profile.subject, email: profile.email },
+        },
+      },
+    });
+    await createPersonalMembership(user, tx);
+    return user;
+  });
+}
+
+/**
+ * GET /api/auth/oauth/providers
+ *
+ * Lists the configured providers for the login page.
+ * Response: { providers: [{ id, name }] }
+ */
+router.get('/oauth/providers', (req, res) => {
+  res.json({ providers: oauth.listProviders() });
+});
+
+/**
+ * GET /api/auth/oauth/:provider
+ *
+ * Starts a login: saves state, nonce and PKCE verifier, sets the
+ * state cookie, then redirects the browser to the provider.
+ */
+router.get('/oauth/:provider', async (req, res, next) => {
+  try {
+    const provider = oauth.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown login provider.' });
+    }
+
+    const state = oauth.randomString();
+    const nonce = oauth.randomString();
+    const { codeVerifier, codeChallenge } = oauth.createPkcePair();
+
+    const authorizationUrl = await oauth.buildAuthorizationUrl(provider, {
+      redirectUri: oauthRedirectUri(provider),
+      state,
+      nonce,
+      codeChallenge,
+    });
+
+    await prisma.oAuthLogin.create({
+      data: {
+        provider: provider.id,
+        stateHash: hashToken(state),
+        codeVerifier,
+        nonce,
+        expiresAt: new Date(Date.now() + OAUTH_LOGIN_MINUTES * 60 * 1000),
+      },
+    });
+
+    res.cookie(OAUTH_STATE_COOKIE, hashToken(state), {
+      ...OAUTH_STATE_COOKIE_OPTIONS,
+      maxAge: OAUTH_LOGIN_MINUTES * 60 * 1000,
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    if (error.code?.startsWith('OAUTH_')) {
+      return redirectToApp(res, { error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/oauth/:provider/callback
+ *
+ * The provider redirects here with ?code&state (or ?error if the
+ * user cancelled). Errors are shown on the frontend, not as JSON -
+ * the user is looking at this response in their browser.
+ *
+ * The state must match this browser's state cookie (see LOGIN CSRF).
+ */
+router.get('/oauth/:provider/callback', async (req, res, next) => {
+  try {
+    const provider = oauth.getProvider(req.params.provider);
+    const { code, state, error: providerError } = req.query;
+
+    // Whatever happens, this login's cookie has done its job
+    const stateCookie = readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
+
+    if (!provider || typeof state !== 'string' || !state) {
+      return redirectToApp(res, { error: 'Invalid login response. Please try again.' });
+    }
+
+    // Started in another browser (or the cookie expired)
+    if (stateCookie !== hashToken(state)) {
+      return redirectToApp(res, {
+        error: 'This login was started in another browser or has expired. Please try again.',
+      });
+    }
+
+    const login = await prisma.oAuthLogin.findUnique({
+      where: { stateHash: hashToken(state) },
+    });
+
+    // Unknown state = forged request, or this callback was already used
+    if (
+      !login ||
+      login.provider !== provider.id ||
+      login.loginCodeHash ||
+      login.expiresAt < new Date()
+    ) {
+      return redirectToApp(res, { error: 'Your login attempt has expired. Please try again.' });
+    }
+
+    if (providerError || !code) {
+      await prisma.oAuthLogin.delete({ where: { id: login.id } });
+      return redirectToApp(res, { error: `Sign-in with ${provider.name} was cancelled.` });
+    }
+
+    const profile = await oauth.exchangeCode(provider, {
+      code: String(code),
+      codeVerifier: login.codeVerifier,
+      redirectUri: oauthRedirectUri(provider),
+      nonce: login.nonce,
+    });
+
+    const user = await findOrCreateOAuthUser(provider.id, profile, req.ip);
+
+    const loginCode = crypto.randomBytes(32).toString('hex');
+    await prisma.oAuthLogin.update({
+      where: { id: login.id },
+      data: {
+        userId: user.id,
+        loginCodeHash: hashToken(loginCode),
+        expiresAt: new Date(Date.now() + OAUTH_CODE_SECONDS * 1000),
+      },
+    });
+
+    redirectToApp(res, { code: loginCode });
+  } catch (error) {
+    if (error.code?.startsWith('OAUTH_')) {
+      return redirectToApp(res, { error: error.message });
+    }
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/oauth/exchange
+ *
+ * Request body: { code } - the one-time code from the callback redirect
+ * Response: same as POST /api/auth/login (tokens, or a 2FA challenge)
+ */
+router.post('/oauth/exchange', async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Login code is required.' });
+    }
+
+    const login = await prisma.oAuthLogin.findUnique({
+      where: { loginCodeHash: hashToken(code) },
+      include: { user: true },
+    });
+
+    if (!login || login.usedAt || login.expiresAt < new Date() || !login.user) {
+      return res.status(400).json({
+        error: 'This login link is invalid or has expired. Please try again.',
+      });
+    }
+
+    // Mark it used - the usedAt condition makes sure two requests
+    // racing with the same code can't both succeed
+    const { count } = await prisma.oAuthLogin.updateMany({
+      where: { id: login.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    if (count === 0) {
+      return res.status(400).json({
+        error: 'This login link is invalid or has expired. Please try again.',
+      });
+    }
+
+    if (login.user.totpEnabledAt) {
+      return res.json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(login.user),
+      });
+    }
+
+    res.json(await buildLoginResponse(login.user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token AND a new
+ * refresh token. The old refresh token stops working immediately.
+ *
+ * Request body: { refreshToken }
+ * Response: { token, refreshToken }
+ *
+ * Errors (401, via errorHandler):
+ *   INVALID_REFRESH_TOKEN  - Unknown token
+ *   REFRESH_TOKEN_EXPIRED  - Token is too old
+ *   REFRESH_TOKEN_REUSED   - Token was already used; the whole
+ *                            session has now been revoked
+ *   SESSION_REVOKED        - The session was signed out
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        error: 'Refresh token is required.',
+      });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
 
-    // --- Send response (exclude password!) ---
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ *
+ * Ends the session the refresh token belongs to: its refresh tokens
+ * are revoked, and authMiddleware stops accepting its access tokens.
+ *
+ * Always succeeds, even for unknown tokens - logging out twice is fine.
+ *
+ * Request body: { refreshToken }
+ * Response: { message }
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ *
+ * Emails a password reset link if the address belongs to a user.
+ *
+ * Request body: { email }
+ * Response: { message } - ALWAYS the same message, whether or not
+ *           the email exists (prevents email enumeration, like login)
+ *
+ * Requesting a new link invalidates any earlier unused links.
+ */
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        error: 'Email is required.',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: email.toLowerCase() },
+    });
+
+    if (user) {
+      // Random token for the link; only its hash goes in the database
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await prisma.$transaction([
+        prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() },
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            tokenHash: hashToken(token),
+            userId: user.id,
+            expiresAt: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+          },
+        }),
+      ]);
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your TaskFlow password',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'Someone asked to reset the password for your TaskFlow account.',
+          `Open this link within ${RESET_TOKEN_MINUTES} minutes to choose a new one:`,
+          '',
+          `${APP_URL}/reset-password?token=${token}`,
+          '',
+          "If this wasn't you, you can ignore this email.",
+        ].join('\n'),
+      });
+    }
+
+    res.json({
+      message: 'If an account exists for that email, a reset link has been sent.',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ *
+ * Sets a new password using the token from the reset email.
+ *
+ * Request body: { token, password }
+ * Response: { message }
+ *
+ * On success the token is used up, and every session of the user
+ * is revoked - anyone logged in with the old password is signed out.
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({
+        error: 'Token and new password are required.',
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        error: 'Password must be at least 6 characters.',
+      });
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).json({
+        error: 'This reset link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+
+    // Mark the token used in the same transaction as the password
+    // change. The usedAt: null condition means two requests racing
+    // with the same token can't both succeed.
+    const changed = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      if (count === 0) return false;
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword },
+      });
+
+      await tx.session.updateMany({
+        where: { userId: resetToken.userId, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+
+      await tx.refreshToken.updateMany({
+        where: { userId: resetToken.userId, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+
+      return true;
+    });
+
+    if (!changed) {
+      return res.status(400).json({
+        error: 'This reset link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/verify-email?token=...
+ *
+ * Marks the user's email as verified. The frontend's /verify-email
+ * page calls this with the token from the emailed link.
+ *
+ * Response: { message }
+ */
+router.get('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        error: 'Verification token is required.',
+      });
+    }
+
+    const verificationToken = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (
+      !verificationToken ||
+      verificationToken.usedAt ||
+      verificationToken.expiresAt < new Date()
+    ) {
+      return res.status(400).json({
+        error: 'This verification link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.emailVerificationToken.update({
+        where: { id: verificationToken.id },
+        data: { usedAt: new Date() },
+      }),
+      prisma.user.update({
+        where: { id: verificationToken.userId },
+        data: { emailVerifiedAt: new Date() },
+      }),
+    ]);
+
+    res.json({ message: 'Email verified. Thanks!' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ *
+ * Sends a fresh verification link to the logged-in user.
+ * Protected: requires a valid access token.
+ *
+ * Response: { message }
+ */
+router.post('/resend-verification', authMiddleware, denyApiKeys, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, username: true, email: true, emailVerifiedAt: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({
+        error: 'Your email address is already verified.',
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: `Verification email sent to ${user.email}.` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ *
+ * Lists the user's active sessions, newest activity first.
+ * Protected: requires a valid access token.
+ *
+ * Response: { sessions: [{ id, userAgent, ip, createdAt, lastSeenAt, current }] }
+ *   current - true for the session making this request
+ */
+router.get('/sessions', authMiddleware, denyApiKeys, async (req, res, next) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ip: true,
+        createdAt: true,
+        lastSeenAt: true,
       },
+      orderBy: { lastSeenAt: 'desc' },
+    });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sessionId,
+      })),
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * DELETE /api/auth/sessions/:id
+ *
+ * Signs out one of the user's sessions (e.g. a lost laptop).
+ * Protected: requires a valid access token.
+ */
+router.delete('/sessions/:id', authMiddleware, denyApiKeys, async (req, res, next) => {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ *
+ * "Sign out everywhere else": revokes every session of the user
+ * except the one making the request.
+ * Protected: requires a valid access token.
+ */
+router.delete('/sessions', authMiddleware, denyApiKeys, async (req, res, next) => {
+  try {
+    await revokeUserSessions(req.user.id, req.user.sessionId);
+
+    res.json({ message: 'Signed out of all other sessions' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
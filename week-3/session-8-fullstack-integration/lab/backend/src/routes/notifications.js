@@ -0,0 +1,185 @@
+/**
+ * =============================================================
+ * NOTIFICATION ROUTES - The Bell in the Header
+ * =============================================================
+ *
+ * Notifications are created by the other routes (see
+ * utils/notifications.js) - here users read them and mark them
+ * as read.
+ *
+ * All routes are protected by auth middleware (applied in app.js),
+ * but NOT by the workspace middleware: the bell shows everything
+ * addressed to you, from every workspace. Each notification's task
+ * carries its workspaceId, so the client can switch to it.
+ *
+ * ENDPOINTS:
+ *   GET  /api/notifications           - Your notifications, newest first
+ *   POST /api/notifications/:id/read  - Mark one as read
+ *   POST /api/notifications/read-all  - Mark all as read
+ *
+ * A NOTIFICATION:
+ *   {
+ *     id, type, message, readAt, createdAt,
+ *     actor: { id, username, avatarUrl } | null,
+ *     task: { id, title, workspaceId } | null,
+ *     commentId
+ *   }
+ *
+ * KEY CONCEPTS:
+ *   - Unread = readAt is null; "reading" stores when it happened
+ *   - Every response carries unreadCount, so the badge stays right
+ *     without a second request
+ *   - Due-soon reminders are created when the list is loaded
+ *     (there's no background job)
+ * =============================================================
+ */
+
+const express = require('express');
+const prisma = require('../prisma');
+const { generateDueSoonNotifications } = require('../utils/notifications');
+const {
+  parseLimit,
+  decodeCursor,
+  cursorWhere,
+  paginatedOrderBy,
+  buildPage,
+} = require('../utils/pagination');
+
+const router = express.Router();
+
+// What's returned with each notification
+const NOTIFICATION_SELECT = {
+  id: true,
+  type: true,
+  message: true,
+  readAt: true,
+  createdAt: true,
+  commentId: true,
+  actor: { select: { id: true, username: true, avatarUrl: true } },
+  task: { select: { id: true, title: true, workspaceId: true } },
+};
+
+/**
+ * Count a user's unread notifications.
+ *
+ * @param {number} userId
+ * @returns {Promise<number>}
+ */
+function countUnread(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } });
+}
+
+/**
+ * GET /api/notifications
+ *
+ * Query parameters:
+ *   ?unread=true  - Only unread notifications
+ *   ?limit=20     - Page size (default 50, max 100)
+ *   ?cursor=...   - nextCursor from the previous page
+ *
+ * Response: { notifications, unreadCount, nextCursor }
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    await generateDueSoonNotifications(req.user.id);
+
+    const limit = parseLimit(req.query.limit);
+    const where = { userId: req.user.id };
+
+    if (req.query.unread === 'true') {
+      where.readAt = null;
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, 'createdAt', 'desc');
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'Invalid cursor. Start again from the first page.',
+        });
+      }
+      Object.assign(where, cursorWhere(cursor, 'createdAt', 'desc'));
+    }
+
+    const rows = await prisma.notification.findMany({
+      where,
+      select: NOTIFICATION_SELECT,
+      orderBy: paginatedOrderBy('createdAt', 'desc'),
+      take: limit + 1,
+    });
+
+    const { items, nextCursor } = buildPage(rows, limit, 'createdAt', 'desc');
+
+    res.json({
+      notifications: items,
+      unreadCount: await countUnread(req.user.id),
+      nextCursor,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ *
+ * Response: { message, count, unreadCount }
+ *   count - How many were marked as read
+ */
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, readAt: null },
+      data: { readAt: new Date() },
+    });
+
+    res.json({
+      message: 'All notifications marked as read',
+      count,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ *
+ * Marking one that's already read keeps its original readAt.
+ *
+ * Response: { message, notification, unreadCount }
+ */
+router.post('/:id/read', async (req, res, next) => {
+  try {
+    const notificationId = parseInt(req.params.id, 10);
+    if (isNaN(notificationId)) {
+      return res.status(400).json({ error: 'Invalid notification ID.' });
+    }
+
+    // Only your own notifications - someone else's is "not found"
+    const existing = await prisma.notification.findFirst({
+      where: { id: notificationId, userId: req.user.id },
+      select: { id: true, readAt: true },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Notification not found.' });
+    }
+
+    const notification = await prisma.notification.update({
+      where: { id: notificationId },
+      data: { readAt: existing.readAt || new Date() },
+      select: NOTIFICATION_SELECT,
+    });
+
+    res.json({
+      message: 'Notification marked as read',
+      notification,
+      unreadCount: await countUnread(req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+/**
+ * =============================================================
+ * PROJECT ROUTES - Grouping Tasks by Client or Initiative
+ * =============================================================
+ *
+ * All routes are protected by auth and workspace middleware
+ * (applied in app.js). Like tasks, every query is scoped to the
+ * active workspace, so projects are shared by all its members.
+ * Routes that change data require the 'projects:write' permission
+ * (and a verified email, if the policy includes projects).
+ *
+ * ENDPOINTS:
+ *   GET    /api/projects       - List all projects in the workspace
+ *   GET    /api/projects/:id   - Get a single project by ID
+ *   POST   /api/projects       - Create a new project
+ *   PUT    /api/projects/:id   - Update a project
+ *   DELETE /api/projects/:id   - Delete a project (its tasks are kept)
+ *
+ * KEY CONCEPTS:
+ *   - One-to-many relationship: a project has many tasks
+ *   - _count: Prisma can count related records in the same query
+ *   - onDelete: SetNull - deleting a project un-assigns its tasks
+ * =============================================================
+ */
+
+const express = require('express');
+const prisma = require('../prisma');
+const { requirePermission } = require('../middleware/permissions');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+
+const router = express.Router();
+
+/**
+ * Validate the name/description fields shared by POST and PUT.
+ *
+ * @param {object} body - Request body
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateProject({ name, description }) {
+  if (!name || !name.trim()) {
+    return 'Project name is required.';
+  }
+
+  if (name.trim().length > 100) {
+    return 'Project name must be under 100 characters.';
+  }
+
+  if (description && description.trim().length > 500) {
+    return 'Description must be under 500 characters.';
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/projects
+ *
+ * List all projects in the active workspace, alphabetically,
+ * with the number of tasks in each project.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const projects = await prisma.project.findMany({
+      where: { workspaceId: req.workspace.id },
+      orderBy: { name: 'asc' },
+      include: { _count: { select: { tasks: true } } },
+    });
+
+    res.json({
+      projects: projects.map(({ _count, ...project }) => ({
+        ...project,
+        taskCount: _count.tasks,
+      })),
+      count: projects.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ *
+ * Get a single project by its ID.
+ * The project must belong to the active workspace.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+    if (isNaN(projectId)) {
+      return res.status(400).json({ error: 'Invalid project ID.' });
+    }
+
+    const project = await prisma.project.findFirst({
+      where: { id: projectId, workspaceId: req.workspace.id },
+      include: { _count: { select: { tasks: true } } },
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found.' });
+    }
+
+    const { _count, ...rest } = project;
+    res.json({ project: { ...rest, taskCount: _count.tasks } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects
+ *
+ * Create a new project in the active workspace.
+ *
+ * Request body: { name, description? }
+ * Response: { message, project }
+ *
+ * Duplicate names in a workspace hit the @@unique([workspaceId, name])
+ * constraint and are turned into a 409 by the error handler (P2002).
+ */
+router.post('/', requirePermission('projects:write'), requireVerifiedEmail('projects'), async (req, res, next) => {
+  try {
+    const validationError = validateProject(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, description } = req.body;
+
+    const project = await prisma.project.create({
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null,
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      },
+    });
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      project,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id
+ *
+ * Update a project's name and description.
+ * The project must belong to the active workspace.
+ *
+ * Request body: { name, description? }
+ */
+router.put('/:id', requirePermission('projects:write'), requireVerifiedEmail('projects'), async (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+    if (isNaN(projectId)) {
+      return res.status(400).json({ error: 'Invalid project ID.' });
+    }
+
+    const validationError = validateProject(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existingProject = await prisma.project.findFirst({
+      where: { id: projectId, workspaceId: req.workspace.id },
+    });
+
+    if (!existingProject) {
+      return res.status(404).json({ error: 'Project not found.' });
+    }
+
+    const { name, description } = req.body;
+
+    const project = await prisma.project.update({
+      where: { id: projectId },
+      data: {
+        name: name.trim(),
+        description: description?.trim() || null,
+      },
+    });
+
+    res.json({
+      message: 'Project updated successfully',
+      project,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id
+ *
+ * Delete a project. Tasks in the project are NOT deleted -
+ * the schema's onDelete: SetNull clears their projectId instead.
+ */
+router.delete('/:id', requirePermission('projects:write'), requireVerifiedEmail('projects'), async (req, res, next) => {
+  try {
+    const projectId = parseInt(req.params.id, 10);
+    if (isNaN(projectId)) {
+      return res.status(400).json({ error: 'Invalid project ID.' });
+    }
+
+    const existingProject = await prisma.project.findFirst({
+      where: { id: projectId, workspaceId: req.workspace.id },
+    });
+
+    if (!existingProject) {
+      return res.status(404).json({ error: 'Project not found.' });
+    }
+
+    await prisma.project.delete({
+      where: { id: projectId },
+    });
+
+    res.json({
+      message: 'Project deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,84 +1,1566 @@
 /**
  * =============================================================
- * TASK ROUTES - CRUD Operations with User Scoping
+ * TASK ROUTES - CRUD Operations with Workspace Scoping
  * =============================================================
  *
- * All routes are protected by auth middleware (applied in app.js).
- * Every query is scoped to the authenticated user (req.user.id),
- * so users can only see and modify their own tasks.
+ * All routes are protected by auth and workspace middleware
+ * (applied in app.js). Every query is scoped to the active
+ * workspace (req.workspace.id), so users see and modify the tasks
+ * shared with them - and nothing from workspaces they aren't in.
+ * Without a workspace header this is the user's personal
+ * workspace, which behaves exactly like the old per-user scoping.
+ *
+ * Routes that change data also require the 'tasks:write'
+ * permission (see middleware/permissions.js), so workspace
+ * viewers get a 403 and are effectively read-only. They also pass
+ * through requireVerifiedEmail('tasks'), which only blocks anything
+ * if the verified-email policy includes tasks.
  *
  * ENDPOINTS:
- *   GET    /api/tasks          - List all tasks for the user
+ *   GET    /api/tasks          - List the workspace's tasks (paginated)
+ *   GET    /api/tasks/search   - Ranked full-text search (?q=...)
+ *   GET    /api/tasks/recurrence/preview - Upcoming dates of a recurrence rule
+ *   GET    /api/tasks/events   - Server-Sent Events stream of task changes
  *   GET    /api/tasks/:id      - Get a single task by ID
  *   POST   /api/tasks          - Create a new task
+ *   POST   /api/tasks/bulk     - Update, move or delete many tasks at once
  *   PUT    /api/tasks/:id      - Update a task
  *   PATCH  /api/tasks/:id      - Partially update a task (e.g., toggle status)
  *   DELETE /api/tasks/:id      - Delete a task
+ *   GET    /api/tasks/:id/subtasks - List a task's subtasks
+ *   POST   /api/tasks/:id/subtasks - Add a subtask
+ *
+ * SUBTASKS:
+ *   A task can be broken down into subtasks (Task.parentId - a
+ *   self-relation). Subtasks are ordinary tasks - edit or delete them
+ *   with the routes above - but they are left out of GET /api/tasks,
+ *   which lists top-level tasks. Every task in a response carries
+ *     progress: { total, completed, percent }   (percent null if no subtasks)
+ *   Only one level deep: a subtask can't have subtasks.
+ *
+ * DEPENDENCIES ("B is blocked by A", see utils/dependencies.js):
+ *   GET    /api/tasks/:id/blockers            - Blockers and the whole blocking chain
+ *   POST   /api/tasks/:id/blockers            - Add a blocker { blockerId }
+ *   DELETE /api/tasks/:id/blockers/:blockerId - Remove a blocker
+ *   Every task in a response has isBlocked: true while any of its
+ *   blockers is unfinished. Completing a blocked task (PATCH, PUT or
+ *   bulk update) is refused with 409 TASK_BLOCKED unless the request
+ *   sends force: true.
+ *
+ * COMMENTS (a discussion per task, threaded one level deep):
+ *   GET    /api/tasks/:id/comments             - The discussion, replies under their comment
+ *   POST   /api/tasks/:id/comments             - Comment { body, parentCommentId? }
+ *   PATCH  /api/tasks/:id/comments/:commentId  - Edit your comment { body }
+ *   DELETE /api/tasks/:id/comments/:commentId  - Delete your comment
+ *   Every task in a response carries commentCount. Writing needs the
+ *   'comments:write' permission; only the author can edit or delete.
+ *
+ * MENTIONS (see utils/mentions.js):
+ *   "@username" in a task's description or a comment mentions that
+ *   workspace member: a Mention is stored and they're notified.
+ *   Editing the text updates the mentions; only new ones notify.
+ *
+ * NOTIFICATIONS (see utils/notifications.js):
+ *   Assigning a task (create, PUT, PATCH, bulk update) notifies the
+ *   new assignee; changing its status notifies its creator and
+ *   assignee. Nobody is notified about their own changes.
+ *
+ * LIVE UPDATES (see utils/taskEvents.js):
+ *   Every create, update and delete - including subtasks, bulk
+ *   changes and generated occurrences - publishes a task event once
+ *   it's saved, which the WebSocket server passes on to the
+ *   workspace's open browsers and GET /api/tasks/events streams to
+ *   everyone else.
+ *
+ * RECURRING TASKS (see utils/recurrence.js):
+ *   A task with a dueDate can have a recurrence rule, e.g.
+ *     recurrence: "FREQ=WEEKLY"  or  "FREQ=MONTHLY;INTERVAL=2;COUNT=6"
+ *   When it's completed (PATCH, PUT or bulk update), the next
+ *   occurrence is created as a new pending task with the next due
+ *   date and returned as nextOccurrence - until the rule's COUNT or
+ *   UNTIL ends the series.
  *
  * KEY CONCEPTS:
- *   - User scoping: WHERE userId = req.user.id
+ *   - Workspace scoping: WHERE workspaceId = req.workspace.id
  *   - Input validation before database operations
  *   - Prisma query methods: findMany, findFirst, create, update, delete
- *   - Query parameters for filtering and sorting
+ *   - prisma.$transaction: a bulk operation succeeds or fails as a whole
+ *   - Query parameters for filtering and sorting, plus a small filter
+ *     language (?filter=..., see utils/taskFilter.js)
+ *   - Cursor pagination (see utils/pagination.js)
+ *   - Optional relations: a task may belong to one of the workspace's projects
+ *     and may be assigned to one of the workspace's members
+ *   - include: return the assignee's public profile alongside each task
  *   - Consistent response format
  * =============================================================
  */
 
 const express = require('express');
 const prisma = require('../prisma');
+const { isRevoked } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { searchTasks } = require('../utils/search');
+const { syncMentions } = require('../utils/mentions');
+const { notify, taskChangeNotifications } = require('../utils/notifications');
+const {
+  taskEvents,
+  publishTaskEvent,
+  latestEventId,
+  eventsSince,
+} = require('../utils/taskEvents');
+const {
+  findDependencyPath,
+  dependencyCycleError,
+  loadBlockerChain,
+  findOpenBlockers,
+  taskBlockedError,
+} = require('../utils/dependencies');
+const {
+  VALID_STATUSES,
+  VALID_PRIORITIES,
+  SORT_FIELDS,
+  parseTaskFilter,
+  fieldCondition,
+} = require('../utils/taskFilter');
+const {
+  MAX_PREVIEW,
+  parseDay,
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  previewOccurrences,
+} = require('../utils/recurrence');
+const {
+  parseLimit,
+  decodeCursor,
+  cursorWhere,
+  paginatedOrderBy,
+  buildPage,
+} = require('../utils/pagination');
 
 const router = express.Router();
 
-// Valid values for status and priority fields
-const VALID_STATUSES = ['pending', 'in_progress', 'completed'];
-const VALID_PRIORITIES = ['low', 'medium', 'high'];
+// Most tasks one bulk request may change
+const BULK_MAX_TASKS = 100;
+
+// Limits for the bulk transaction: how long to wait to start it, and
+// how long it may run. Prisma's defaults (2 and 5 seconds) are too
+// short for BULK_MAX_TASKS tasks, each with its own queries.
+const BULK_TRANSACTION_OPTIONS = { maxWait: 10 * 1000, timeout: 30 * 1000 };
+
+// How many times adding a blocker is tried when its transaction
+// conflicts with another one (Prisma error P2034)
+const BLOCKER_ATTEMPTS = 3;
+
+// What a bulk request can do to the tasks (operation -> past tense
+// for the response message)
+const BULK_OPERATIONS = { update: 'updated', move: 'moved', delete: 'deleted' };
+
+// Longest comment body (characters)
+const COMMENT_MAX_LENGTH = 5000;
+
+// Event stream: how long a client waits before reconnecting, and how
+// often an idle stream gets a keep-alive comment
+const SSE_RETRY_MS = 3000;
+const SSE_KEEPALIVE_MS = 25 * 1000;
+
+// Related records returned with every task.
+// Only public profile fields of the assignee - never their password!
+// Subtask statuses, unfinished blockers and the comment count are
+// turned into task.progress, task.isBlocked and task.commentCount
+// by serializeTask().
+const TASK_INCLUDE = {
+  assignee: {
+    select: { id: true, username: true, avatarUrl: true },
+  },
+  subtasks: {
+    select: { status: true },
+  },
+  blockedBy: {
+    where: { blockerTask: { status: { not: 'completed' } } },
+    select: { blockerTaskId: true },
+  },
+  _count: {
+    select: { comments: { where: { deletedAt: null } } },
+  },
+};
+
+// Returned with every comment: the author's public profile
+const COMMENT_INCLUDE = {
+  author: {
+    select: { id: true, username: true, avatarUrl: true },
+  },
+};
+
+/**
+ * Roll up subtask completion for a list of subtask statuses.
+ *
+ * @param {Array<{ status: string }>} subtasks
+ * @returns {{ total: number, completed: number, percent: number|null }}
+ */
+function subtaskProgress(subtasks) {
+  const total = subtasks.length;
+  const completed = subtasks.filter((subtask) => subtask.status === 'completed').length;
+
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : null,
+  };
+}
+
+/**
+ * Replace the subtask statuses, blockers and counts loaded by
+ * TASK_INCLUDE with the progress roll-up, isBlocked and
+ * commentCount, so responses don't carry the raw lists.
+ *
+ * @param {object} task - Task loaded with TASK_INCLUDE
+ * @returns {object}
+ */
+function serializeTask({ subtasks, blockedBy, _count, ...task }) {
+  return {
+    ...task,
+    progress: subtaskProgress(subtasks || []),
+    isBlocked: (blockedBy || []).length > 0,
+    commentCount: _count?.comments ?? 0,
+  };
+}
+
+/**
+ * Refuse to complete a task that still has unfinished blockers.
+ *
+ * @param {object} existingTask - The task before the update
+ * @param {string} newStatus - The status it's being changed to
+ * @param {boolean} force - force: true from the request body skips the check
+ * @param {object} [db] - Prisma client or transaction
+ * @throws {Error} 409 TASK_BLOCKED (handled by errorHandler)
+ */
+async function checkCanComplete(existingTask, newStatus, force, db = prisma) {
+  if (newStatus !== 'completed' || existingTask.status === 'completed' || force === true) {
+    return;
+  }
+
+  const blockers = await findOpenBlockers(existingTask.id, db);
+  if (blockers.length > 0) {
+    throw taskBlockedError(blockers);
+  }
+}
+
+/**
+ * Validate a projectId sent in a request body.
+ *
+ * null or "" means "no project". Any other value must be the ID
+ * of a project in the active workspace - otherwise a user could
+ * file tasks under a project in a workspace they can't see.
+ *
+ * @param {*} value - The raw projectId from req.body
+ * @param {number} workspaceId - The active workspace's ID
+ * @returns {Promise<{ projectId?: number|null, error?: string }>}
+ */
+async function resolveProjectId(value, workspaceId) {
+  if (value === null || value === '') {
+    return { projectId: null };
+  }
+
+  const projectId = parseInt(value, 10);
+  if (isNaN(projectId)) {
+    return { error: 'Invalid project ID.' };
+  }
+
+  const project = await prisma.project.findFirst({
+    where: { id: projectId, workspaceId },
+    select: { id: true },
+  });
+
+  if (!project) {
+    return { error: 'Project not found.' };
+  }
+
+  return { projectId };
+}
+
+/**
+ * Validate an assigneeId sent in a request body.
+ *
+ * null or "" means "unassigned". Any other value must be the ID of
+ * a member of the active workspace - tasks can't be handed to
+ * people who can't see them.
+ *
+ * @param {*} value - The raw assigneeId from req.body
+ * @param {number} workspaceId - The active workspace's ID
+ * @returns {Promise<{ assigneeId?: number|null, error?: string }>}
+ */
+async function resolveAssigneeId(value, workspaceId) {
+  if (value === null || value === '') {
+    return { assigneeId: null };
+  }
+
+  const assigneeId = parseInt(value, 10);
+  if (isNaN(assigneeId)) {
+    return { error: 'Invalid assignee ID.' };
+  }
+
+  const membership = await prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId, userId: assigneeId } },
+    select: { id: true },
+  });
+
+  if (!membership) {
+    return { error: 'Assignee must be a member of this workspace.' };
+  }
+
+  return { assigneeId };
+}
+
+/**
+ * Validate a dueDate sent in a request body.
+ *
+ * null or "" means "no due date". Otherwise a calendar day like
+ * "2026-11-01", stored as midnight UTC - no times, and no days that
+ * don't exist ("2026-02-30").
+ *
+ * @param {*} value - The raw dueDate from req.body
+ * @returns {{ dueDate?: Date|null, error?: string }}
+ */
+function resolveDueDate(value) {
+  if (value === null || value === '') {
+    return { dueDate: null };
+  }
+
+  const dueDate = typeof value === 'string' ? parseDay(value) : null;
+  if (!dueDate) {
+    return { error: 'Invalid due date. Use the format YYYY-MM-DD.' };
+  }
+
+  return { dueDate };
+}
+
+/**
+ * Validate a recurrence rule sent in a request body.
+ *
+ * null or "" means "doesn't repeat". A rule needs a due date to
+ * count from. Setting a different rule starts a new series at the
+ * due date; sending the task's current rule again (e.g. from the
+ * edit form) keeps its series going.
+ *
+ * @param {*} value - The raw recurrence from req.body
+ * @param {Date|null} dueDate - The task's due date after the change
+ * @param {object} [existingTask] - The task before the change, if any
+ * @returns {{ data?: object, error?: string }} - Task fields to write
+ * @throws {Error} 400 INVALID_RECURRENCE for a malformed rule
+ */
+function resolveRecurrence(value, dueDate, existingTask = null) {
+  if (value === null || value === '') {
+    return { data: { recurrence: null, recurrenceStart: null, occurrence: 1 } };
+  }
+
+  const recurrence = formatRule(parseRule(value));
+
+  if (!dueDate) {
+    return { error: 'A recurring task needs a due date.' };
+  }
+
+  if (existingTask?.recurrence === recurrence) {
+    return { data: {} };
+  }
+
+  return { data: { recurrence, recurrenceStart: dueDate, occurrence: 1 } };
+}
+
+/**
+ * Create the next occurrence of a recurring task that was just
+ * completed.
+ *
+ * The copy keeps the title, description, priority, project, assignee
+ * and rule, and starts out pending. Subtasks and blockers aren't
+ * copied.
+ *
+ * @param {object} task - The completed task (after the update)
+ * @param {object} db - Prisma client or transaction
+ * @returns {Promise<object|null>} - The new task, or null if the task
+ *   doesn't repeat, the series is over, or it was already generated
+ */
+async function createNextOccurrence(task, db) {
+  if (!task.recurrence) return null;
+
+  const next = nextOccurrence(task);
+  if (!next) return null;
+
+  const generated = await db.task.findUnique({
+    where: { previousOccurrenceId: task.id },
+    select: { id: true },
+  });
+  if (generated) return null;
+
+  const created = await db.task.create({
+    data: {
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      userId: task.userId,
+      workspaceId: task.workspaceId,
+      projectId: task.projectId,
+      assigneeId: task.assigneeId,
+      parentId: task.parentId,
+      dueDate: next.dueDate,
+      recurrence: task.recurrence,
+      recurrenceStart: task.recurrenceStart,
+      occurrence: next.occurrence,
+      previousOccurrenceId: task.id,
+    },
+    include: TASK_INCLUDE,
+  });
+
+  return serializeTask(created);
+}
+
+/**
+ * Complete a task's open subtasks (PATCH with completeSubtasks: true).
+ *
+ * Each subtask goes through the same rules as completing it on its
+ * own: a blocked one stops everything (unless force is set), and a
+ * recurring one gets its next occurrence.
+ *
+ * @param {number} parentId
+ * @param {boolean} force - force: true from the request body
+ * @param {object} tx - Prisma transaction
+ * @returns {Promise<Array<{ before: object, task: object, next: object|null }>>}
+ * @throws {Error} 409 TASK_BLOCKED naming the blocked subtask
+ */
+async function completeOpenSubtasks(parentId, force, tx) {
+  const subtasks = await tx.task.findMany({
+    where: { parentId, status: { not: 'completed' } },
+    orderBy: { id: 'asc' },
+  });
+
+  for (const subtask of subtasks) {
+    try {
+      await checkCanComplete(subtask, 'completed', force, tx);
+    } catch (error) {
+      if (error.code === 'TASK_BLOCKED') {
+        error.message = `Subtask "${subtask.title}" is blocked by ${error.details.blockers.length} unfinished task(s).`;
+        error.details.subtaskId = subtask.id;
+      }
+      throw error;
+    }
+  }
+
+  const results = [];
+  for (const subtask of subtasks) {
+    const task = await tx.task.update({
+      where: { id: subtask.id },
+      data: { status: 'completed' },
+      include: TASK_INCLUDE,
+    });
+    results.push({ before: subtask, task, next: await createNextOccurrence(task, tx) });
+  }
+  return results;
+}
+
+/**
+ * The IDs of a task's subtasks. Deleting the task deletes them too
+ * (onDelete: Cascade), and each needs its own task.deleted event.
+ *
+ * @param {number} taskId
+ * @param {object} [db] - Prisma client or transaction
+ * @returns {Promise<number[]>}
+ */
+async function findSubtaskIds(taskId, db = prisma) {
+  const subtasks = await db.task.findMany({
+    where: { parentId: taskId },
+    select: { id: true },
+  });
+  return subtasks.map((subtask) => subtask.id);
+}
+
+/**
+ * Whether an update completed or reopened a task - which changes
+ * isBlocked for the tasks it blocks.
+ *
+ * @param {object} before - The task before the update
+ * @param {object} after - The task after it
+ * @returns {boolean}
+ */
+function changesCompletion(before, after) {
+  return (before.status === 'completed') !== (after.status === 'completed');
+}
+
+/**
+ * The IDs of the tasks blocked by any of the given tasks.
+ *
+ * @param {number[]} taskIds
+ * @param {object} [db] - Prisma client or transaction
+ * @param {object} [options]
+ * @param {boolean} [options.withSubtasks] - Also the tasks blocked by
+ *   their subtasks (deleting a task deletes its subtasks too)
+ * @returns {Promise<number[]>}
+ */
+async function findDependentIds(taskIds, db = prisma, { withSubtasks = false } = {}) {
+  if (taskIds.length === 0) return [];
+
+  const blockerTask = withSubtasks
+    ? { OR: [{ id: { in: taskIds } }, { parentId: { in: taskIds } }] }
+    : { id: { in: taskIds } };
+
+  const dependents = await db.task.findMany({
+    where: { blockedBy: { some: { blockerTask } } },
+    select: { id: true },
+  });
+  return dependents.map((task) => task.id);
+}
+
+/**
+ * Publish task.updated for tasks whose blockers changed, so
+ * everyone watching sees their new isBlocked - the tab that made
+ * the change too (origin: null), its response doesn't have them.
+ *
+ * @param {object} req - Express request
+ * @param {number[]} taskIds - From findDependentIds()
+ */
+async function publishDependents(req, taskIds) {
+  if (taskIds.length === 0) return;
+
+  const tasks = await prisma.task.findMany({
+    where: { id: { in: [...new Set(taskIds)] } },
+    include: TASK_INCLUDE,
+  });
+  for (const task of tasks) {
+    publishTaskEvent(req, 'task.updated', { task: serializeTask(task), origin: null });
+  }
+}
+
+/**
+ * Build the WHERE filters shared by listing and search from the
+ * simple query parameters (priority, projectId, assignee).
+ *
+ * The values follow the same rules as the filter language, so an
+ * invalid one (e.g. ?priority=urgent) is a 400 INVALID_FILTER error
+ * thrown to errorHandler. Status is left to the caller - the list
+ * counts need the filters without it.
+ *
+ * @param {object} query - req.query
+ * @param {object} req - Express request (for the user and workspace)
+ * @returns {object} - Prisma where clause with plain equality filters
+ */
+function buildTaskFilters(query, req) {
+  const context = { userId: req.user.id };
+
+  const where = {
+    workspaceId: req.workspace.id, // Always scope to the active workspace
+  };
+
+  // Query parameter -> filter language field
+  const params = { priority: 'priority', projectId: 'project', assignee: 'assignee' };
+
+  for (const [param, field] of Object.entries(params)) {
+    if (query[param]) {
+      Object.assign(where, fieldCondition(field, query[param], context));
+    }
+  }
+
+  return where;
+}
 
 /**
  * GET /api/tasks
  *
- * List all tasks for the authenticated user.
+ * List the tasks in the active workspace, one page at a time.
  * Supports filtering by status and priority via query parameters.
  *
  * Query parameters:
  *   ?status=pending         - Filter by status
  *   ?priority=high          - Filter by priority
+ *   ?projectId=3            - Only tasks in project 3
+ *   ?projectId=none         - Only tasks without a project
+ *   ?assignee=me            - Only tasks assigned to the authenticated user
+ *   ?assignee=7             - Only tasks assigned to user 7
+ *   ?assignee=unassigned    - Only tasks with no assignee
+ *   ?filter=...             - Filter expression, e.g.
+ *                             priority:high AND due<today AND NOT status:completed
+ *                             (syntax in utils/taskFilter.js)
  *   ?sort=createdAt         - Sort field (createdAt, title, priority)
  *   ?order=desc             - Sort order (asc, desc)
+ *   ?limit=50               - Page size (default 50, max 100)
+ *   ?cursor=...             - nextCursor from the previous page
+ *
+ * Example: GET /api/tasks?status=pending&sort=createdAt&order=desc
+ *
+ * Response: { tasks, count, nextCursor, counts? }
+ *   nextCursor - Pass as ?cursor= to get the next page; null on the last page
+ *   counts     - { total, pending, in_progress, completed } for the whole
+ *                list, ignoring ?status (so the status tabs can show
+ *                their totals). Only on the first page (no cursor).
+ *
+ * Invalid filter values -> 400 INVALID_FILTER (with details.position
+ * for a malformed ?filter expression).
+ *
+ * A cursor belongs to one sort: changing sort/order means starting
+ * again from the first page.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, sort = 'createdAt', order = 'desc' } = req.query;
+
+    // Build the WHERE clause dynamically based on query params
+    const where = buildTaskFilters(req.query, req);
+
+    // Top-level tasks only - subtasks are listed under their parent
+    where.parentId = null;
+
+    if (req.query.filter) {
+      where.AND = [parseTaskFilter(req.query.filter, { userId: req.user.id })];
+    }
+
+    // Validate sort parameters
+    const sortField = SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+    const sortOrder = order === 'asc' ? 'asc' : 'desc';
+
+    // Status is applied last: the counts below ignore it
+    const listWhere = { ...where, AND: [...(where.AND || [])] };
+    if (status) {
+      Object.assign(listWhere, fieldCondition('status', status, { userId: req.user.id }));
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor, sortField, sortOrder);
+      if (!cursor) {
+        return res.status(400).json({
+          error: 'Invalid cursor. Start again from the first page.',
+        });
+      }
+      listWhere.AND.push(cursorWhere(cursor, sortField, sortOrder));
+    }
+
+    const limit = parseLimit(req.query.limit);
+
+    // Query the database with Prisma - one extra row tells us
+    // whether there is a next page
+    const rows = await prisma.task.findMany({
+      where: listWhere,
+      orderBy: paginatedOrderBy(sortField, sortOrder),
+      take: limit + 1,
+      include: TASK_INCLUDE,
+    });
+
+    const { items: tasks, nextCursor } = buildPage(rows, limit, sortField, sortOrder);
+
+    const response = {
+      tasks: tasks.map(serializeTask),
+      count: tasks.length,
+      nextCursor,
+    };
+
+    // Totals per status, for the first page only
+    if (!req.query.cursor) {
+      const groups = await prisma.task.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true },
+      });
+
+      response.counts = { total: 0, pending: 0, in_progress: 0, completed: 0 };
+      for (const group of groups) {
+        response.counts[group.status] = group._count._all;
+        response.counts.total += group._count._all;
+      }
+    }
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tasks/search
+ *
+ * Full-text search over task titles and descriptions, best matches
+ * first (see utils/search.js for how ranking works).
+ *
+ * Query parameters:
+ *   ?q=login bug   - Search text (required, max 200 characters)
+ *   ?limit=20      - Maximum results (default 50, max 100)
+ *   ...plus the same status, priority, projectId and assignee
+ *   filters as GET /api/tasks (but not ?filter - the PostgreSQL
+ *   search only understands these simple filters)
+ *
+ * Like the list, only top-level tasks are searched.
+ *
+ * Response: { tasks, count }
+ *   Each task also has:
+ *     rank       - Relevance score (higher = better match)
+ *     highlights - { title, description } as [{ text, match }] segments;
+ *                  description is a short excerpt (null if there is none)
+ *
+ * Search results aren't paginated - people refine the query
+ * instead of scrolling through page 5 of results.
+ *
+ * NOTE: Defined BEFORE /:id, otherwise Express would treat
+ * "search" as a task ID.
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (!q) {
+      return res.status(400).json({ error: 'Search text (q) is required.' });
+    }
+
+    if (q.length > 200) {
+      return res.status(400).json({
+        error: 'Search text must be 200 characters or less.',
+      });
+    }
+
+    const where = buildTaskFilters(req.query, req);
+    if (req.query.status) {
+      Object.assign(where, fieldCondition('status', req.query.status, { userId: req.user.id }));
+    }
+
+    // Top-level tasks only, like the list
+    where.parentId = null;
+
+    const tasks = await searchTasks(q, {
+      where,
+      include: TASK_INCLUDE,
+      limit: parseLimit(req.query.limit),
+    });
+
+    res.json({
+      tasks: tasks.map(serializeTask),
+      count: tasks.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tasks/recurrence/preview
+ *
+ * List the first dates of a recurrence rule, so the task form can
+ * show what a rule means before the task is saved.
+ *
+ * Query parameters:
+ *   ?rule=FREQ=WEEKLY;COUNT=4  - The rule (URL-encoded)
+ *   ?start=2026-11-01          - First due date (default: today)
+ *   ?limit=5                   - How many dates (default 5, max MAX_PREVIEW)
+ *
+ * Response: { rule, occurrences }
+ *   rule        - The rule in canonical form
+ *   occurrences - Due dates, first one = start. Fewer than limit if
+ *                 the series ends sooner.
+ *
+ * An invalid rule -> 400 INVALID_RECURRENCE.
+ */
+router.get('/recurrence/preview', async (req, res, next) => {
+  try {
+    const { rule, start } = req.query;
+
+    let startDate = new Date(new Date().toISOString().slice(0, 10));
+    if (start) {
+      startDate = parseDay(start);
+      if (!startDate) {
+        return res.status(400).json({ error: 'Invalid start date. Use the format YYYY-MM-DD.' });
+      }
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 5;
+    if (isNaN(limit) || limit < 1 || limit > MAX_PREVIEW) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PREVIEW}.` });
+    }
+
+    res.json({
+      rule: formatRule(parseRule(rule)),
+      occurrences: previewOccurrences(rule, startDate, limit),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tasks/events
+ *
+ * The workspace's task changes as a Server-Sent Events stream - for
+ * scripts and clients that can't use the WebSocket. The response
+ * stays open and gets one event per change (see utils/taskEvents.js):
+ *
+ *   id: 1760900000123
+ *   event: task.updated
+ *   data: {"id":1760900000123,"type":"task.updated","task":{...},...}
+ *
+ * RESUMING:
+ *   Reconnect with the Last-Event-ID header (EventSource does this
+ *   by itself) or ?lastEventId=, and the events missed meanwhile are
+ *   sent first - if they're still in the replay window (5 minutes).
+ *   If not, a "reset" event says the client must reload the list.
+ *   Either way a "ready" or "reset" event carries the latest id, so
+ *   a client that saw no changes still resumes from the right place.
+ *
+ * Every SSE_KEEPALIVE_MS a comment line keeps proxies from closing
+ * the idle stream, and we check the user is still a member of the
+ * workspace and their session or API key hasn't been revoked (if
+ * either has changed, the stream ends).
+ *
+ * Example:
+ *   curl -N -H "Authorization: ApiKey tf_..." http://localhost:3001/api/tasks/events
+ *
+ * NOTE: Defined BEFORE /:id, like /search.
+ */
+router.get('/events', async (req, res, next) => {
+  try {
+    const rawLastId = req.headers['last-event-id'] ?? req.query.lastEventId;
+
+    // undefined = a fresh start, nothing to replay
+    let missed = [];
+    if (rawLastId !== undefined) {
+      const lastId = Number(rawLastId);
+      if (!Number.isInteger(lastId)) {
+        return res.status(400).json({ error: 'Invalid Last-Event-ID.' });
+      }
+      missed = eventsSince(lastId);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Don't let nginx hold events back
+    });
+    res.flushHeaders();
+
+    const send = (event) =>
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    const isOurs = (event) => event.workspaceId === req.workspace.id;
+
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // Catch up first - nothing can be published in between, this is synchronous
+    if (missed === null) {
+      send({
+        id: latestEventId(),
+        type: 'reset',
+        reason: 'Some of the changes since then are no longer available. Reload the tasks.',
+      });
+    } else {
+      missed.filter(isOurs).forEach(send);
+      send({ id: latestEventId(), type: 'ready' });
+    }
+
+    const handleEvent = (event) => {
+      if (isOurs(event)) send(event);
+    };
+    taskEvents.on('event', handleEvent);
+
+    const keepAlive = setInterval(async () => {
+      res.write(': keep-alive\n\n');
+
+      try {
+        const membership = await prisma.workspaceMember.findUnique({
+          where: { workspaceId_userId: { workspaceId: req.workspace.id, userId: req.user.id } },
+          select: { id: true },
+        });
+        if (!membership || (await isRevoked(req.user))) res.end();
+      } catch (error) {
+        console.error('Failed to check event stream access:', error.message);
+      }
+    }, SSE_KEEPALIVE_MS);
+
+    // Client went away (or we ended the stream)
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      taskEvents.off('event', handleEvent);
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/tasks/:id
+ *
+ * Get a single task by its ID.
+ * The task must belong to the active workspace.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+
+    // Validate that the ID is a number
+    if (isNaN(taskId)) {
+      return res.status(400).json({ error: 'Invalid task ID.' });
+    }
+
+    // findFirst with both id AND workspaceId ensures users only see shared tasks
+    const task = await prisma.task.findFirst({
+      where: {
+        id: taskId,
+        workspaceId: req.workspace.id, // Workspace scoping - critical for security!
+      },
+      include: TASK_INCLUDE,
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found.' });
+    }
+
+    res.json({ task: serializeTask(task) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tasks
+ *
+ * Create a new task in the active workspace.
+ * The authenticated user is recorded as the task's creator.
+ *
+ * Request body: { title, description?, status?, priority?, projectId?, assigneeId?, dueDate?, recurrence? }
+ * Response: { message, task }
+ */
+router.post('/', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
+  try {
+    const { title, description, status, priority, projectId, assigneeId, dueDate, recurrence } = req.body;
+
+    // --- Validation ---
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Task title is required.' });
+    }
+
+    if (title.trim().length > 200) {
+      return res.status(400).json({ error: 'Title must be under 200 characters.' });
+    }
+
+    // Validate status if provided
+    if (status && !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
+      });
+    }
+
+    // Validate priority if provided
+    if (priority && !VALID_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`,
+      });
+    }
+
+    // Validate project and assignee if provided
+    const project = await resolveProjectId(projectId ?? null, req.workspace.id);
+    if (project.error) {
+      return res.status(400).json({ error: project.error });
+    }
+
+    const assignee = await resolveAssigneeId(assigneeId ?? null, req.workspace.id);
+    if (assignee.error) {
+      return res.status(400).json({ error: assignee.error });
+    }
+
+    const due = resolveDueDate(dueDate ?? null);
+    if (due.error) {
+      return res.status(400).json({ error: due.error });
+    }
+
+    const repeat = resolveRecurrence(recurrence ?? null, due.dueDate);
+    if (repeat.error) {
+      return res.status(400).json({ error: repeat.error });
+    }
+
+    // --- Create the task ---
+    const task = await prisma.task.create({
+      data: {
+        title: title.trim(),
+        description: description?.trim() || null,
+        status: status || 'pending',
+        priority: priority || 'medium',
+        userId: req.user.id, // Record who created the task
+        workspaceId: req.workspace.id, // Share it with the workspace
+        projectId: project.projectId,
+        assigneeId: assignee.assigneeId,
+        dueDate: due.dueDate,
+        ...repeat.data,
+      },
+      include: TASK_INCLUDE,
+    });
+
+    await syncMentions({ text: task.description, task, author: req.user });
+    await notify(taskChangeNotifications(null, task, req.user));
+    publishTaskEvent(req, 'task.created', { task: serializeTask(task) });
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task: serializeTask(task),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Validate the "fields" of a bulk update.
+ *
+ * Only fields that make sense to set on many tasks at once:
+ * status, priority, assigneeId and dueDate (not title or description).
+ *
+ * @param {*} fields - The raw fields object from req.body
+ * @param {number} workspaceId - The active workspace's ID
+ * @returns {Promise<{ data?: object, error?: string }>}
+ */
+async function buildBulkUpdateData(fields, workspaceId) {
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    return { error: 'fields must be an object.' };
+  }
+
+  const { status, priority, assigneeId, dueDate, ...others } = fields;
+  const data = {};
+
+  const unknown = Object.keys(others);
+  if (unknown.length > 0) {
+    return {
+      error: `Can't bulk update ${unknown.join(', ')}. Allowed fields: status, priority, assigneeId, dueDate`,
+    };
+  }
+
+  if (status !== undefined) {
+    if (!VALID_STATUSES.includes(status)) {
+      return { error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}` };
+    }
+    data.status = status;
+  }
+
+  if (priority !== undefined) {
+    if (!VALID_PRIORITIES.includes(priority)) {
+      return { error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}` };
+    }
+    data.priority = priority;
+  }
+
+  if (assigneeId !== undefined) {
+    const assignee = await resolveAssigneeId(assigneeId, workspaceId);
+    if (assignee.error) return { error: assignee.error };
+    data.assigneeId = assignee.assigneeId;
+  }
+
+  if (dueDate !== undefined) {
+    const due = resolveDueDate(dueDate);
+    if (due.error) return { error: due.error };
+    data.dueDate = due.dueDate;
+  }
+
+  if (Object.keys(data).length === 0) {
+    return { error: 'fields must contain at least one field to update.' };
+  }
+
+  return { data };
+}
+
+/**
+ * POST /api/tasks/bulk
+ *
+ * Apply one operation to many tasks in a single request.
+ *
+ * Request body:
+ *   { ids: [1, 2, 3], operation: 'update', fields: { status: 'completed' }, force? }
+ *   { ids: [1, 2, 3], operation: 'move', projectId: 4 }     (null = no project)
+ *   { ids: [1, 2, 3], operation: 'delete' }
+ *
+ * Response: { message, operation, results, succeeded, failed }
+ *   results has one entry per id, in the order sent:
+ *     { id: 1, success: true, task }          (task for update/move)
+ *     { id: 2, success: true, task, nextOccurrence }  (a recurring task completed)
+ *     { id: 9, success: false, error: 'Task not found.' }
+ *
+ * PER-ITEM CHECKS:
+ *   Each id is checked against the active workspace, like the
+ *   single-task routes. Ids that aren't found (or belong to another
+ *   workspace - we don't say which) are reported as failures, and
+ *   the other tasks are still changed. Completing a blocked task is
+ *   a failure too (error code TASK_BLOCKED), unless force: true.
+ *
+ * ONE TRANSACTION:
+ *   The checks and changes run in prisma.$transaction. If anything
+ *   goes wrong in the database halfway through, NOTHING is changed -
+ *   never "the first 12 of 20 tasks were deleted". It may run for up
+ *   to BULK_TRANSACTION_OPTIONS.timeout.
+ *
+ * Deleting a task deletes its subtasks too; they get task.deleted
+ * events of their own.
+ *
+ * Invalid requests (bad ids, unknown operation, invalid fields,
+ * more than BULK_MAX_TASKS ids) are rejected with a 400 before
+ * anything is changed.
+ */
+router.post('/bulk', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
+  try {
+    const { ids, operation, fields, projectId, force } = req.body;
+
+    // --- Validation ---
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array of task IDs.' });
+    }
+
+    if (ids.length > BULK_MAX_TASKS) {
+      return res.status(400).json({
+        error: `A bulk operation can change at most ${BULK_MAX_TASKS} tasks.`,
+      });
+    }
+
+    if (!ids.every((id) => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({ error: 'Invalid task ID in ids.' });
+    }
+
+    if (!Object.hasOwn(BULK_OPERATIONS, operation)) {
+      return res.status(400).json({
+        error: `Invalid operation. Must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`,
+      });
+    }
+
+    // The data written to every task (nothing for delete)
+    let data = null;
+
+    if (operation === 'update') {
+      const update = await buildBulkUpdateData(fields, req.workspace.id);
+      if (update.error) {
+        return res.status(400).json({ error: update.error });
+      }
+      data = update.data;
+    }
+
+    if (operation === 'move') {
+      if (projectId === undefined) {
+        return res.status(400).json({ error: 'projectId is required to move tasks.' });
+      }
+      const project = await resolveProjectId(projectId, req.workspace.id);
+      if (project.error) {
+        return res.status(400).json({ error: project.error });
+      }
+      data = { projectId: project.projectId };
+    }
+
+    // The same id twice would be "not found" the second time (delete)
+    const uniqueIds = [...new Set(ids)];
+
+    // Assignment and status notifications and task events, sent
+    // once it's all saved
+    const notifications = [];
+    const events = [];
+
+    // Tasks blocked by the changed ones - their isBlocked may change
+    const dependentIds = [];
+
+    // --- Apply, all or nothing ---
+    const results = await prisma.$transaction(async (tx) => {
+      const owned = await tx.task.findMany({
+        where: { id: { in: uniqueIds }, workspaceId: req.workspace.id },
+        select: { id: true, status: true, assigneeId: true, parentId: true },
+      });
+      const ownedTasks = new Map(owned.map((task) => [task.id, task]));
+
+      // Completing tasks: blocked ones are skipped unless forced
+      const checkBlocked = data?.status === 'completed' && force !== true;
+
+      const itemResults = [];
+
+      for (const id of uniqueIds) {
+        const existingTask = ownedTasks.get(id);
+        if (!existingTask) {
+          itemResults.push({ id, success: false, error: 'Task not found.' });
+          continue;
+        }
+
+        if (
+          checkBlocked &&
+          existingTask.status !== 'completed' &&
+          (await findOpenBlockers(id, tx)).length > 0
+        ) {
+          itemResults.push({
+            id,
+            success: false,
+            error: 'Task is blocked by unfinished tasks.',
+            code: 'TASK_BLOCKED',
+          });
+          continue;
+        }
+
+        if (operation === 'delete') {
+          dependentIds.push(...await findDependentIds([id], tx, { withSubtasks: true }));
+          const subtaskIds = await findSubtaskIds(id, tx);
+
+          // deleteMany: a subtask may already be gone with its parent
+          // (and its event already sent)
+          const { count } = await tx.task.deleteMany({ where: { id } });
+          itemResults.push({ id, success: true });
+          if (count > 0) {
+            for (const subtaskId of subtaskIds) {
+              events.push({ type: 'task.deleted', payload: { taskId: subtaskId, parentId: id } });
+            }
+            events.push({ type: 'task.deleted', payload: { taskId: id, parentId: existingTask.parentId } });
+          }
+        } else {
+          const task = await tx.task.update({
+            where: { id },
+            data,
+            include: TASK_INCLUDE,
+          });
+          notifications.push(...taskChangeNotifications(existingTask, task, req.user));
+          if (changesCompletion(existingTask, task)) {
+            dependentIds.push(...await findDependentIds([id], tx));
+          }
+
+          const next = task.status === 'completed' && existingTask.status !== 'completed'
+            ? await createNextOccurrence(task, tx)
+            : null;
+
+          itemResults.push({
+            id,
+            success: true,
+            task: serializeTask(task),
+            ...(next && { nextOccurrence: next }),
+          });
+          events.push({ type: 'task.updated', payload: { task: serializeTask(task) } });
+          if (next) events.push({ type: 'task.created', payload: { task: next } });
+        }
+      }
+
+      return itemResults;
+    }, BULK_TRANSACTION_OPTIONS);
+
+    await notify(notifications);
+    events.forEach(({ type, payload }) => publishTaskEvent(req, type, payload));
+    await publishDependents(req, dependentIds);
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      message: `${succeeded} of ${results.length} tasks ${BULK_OPERATIONS[operation]}`,
+      operation,
+      results,
+      succeeded,
+      failed: results.length - succeeded,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/tasks/:id
+ *
+ * Full update of a task (replace all fields).
+ * The task must belong to the active workspace.
+ *
+ * Request body: { title, description?, status?, priority?, projectId?, assigneeId?, dueDate?, recurrence?, force? }
+ *   force: true - complete the task even if it's blocked
+ *
+ * Response: { message, task, nextOccurrence? }
+ *   nextOccurrence - The task generated by completing a recurring task
+ */
+router.put('/:id', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+    if (isNaN(taskId)) {
+      return res.status(400).json({ error: 'Invalid task ID.' });
+    }
+
+    const { title, description, status, priority, projectId, assigneeId, dueDate, recurrence } = req.body;
+
+    // Title is required for full update
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: 'Task title is required.' });
+    }
+
+    if (status && !VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (priority && !VALID_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`,
+      });
+    }
+
+    const project = await resolveProjectId(projectId ?? null, req.workspace.id);
+    if (project.error) {
+      return res.status(400).json({ error: project.error });
+    }
+
+    const assignee = await resolveAssigneeId(assigneeId ?? null, req.workspace.id);
+    if (assignee.error) {
+      return res.status(400).json({ error: assignee.error });
+    }
+
+    const due = resolveDueDate(dueDate ?? null);
+    if (due.error) {
+      return res.status(400).json({ error: due.error });
+    }
+
+    // Verify the task belongs to the workspace before updating
+    const existingTask = await prisma.task.findFirst({
+      where: { id: taskId, workspaceId: req.workspace.id },
+    });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found.' });
+    }
+
+    const repeat = resolveRecurrence(recurrence ?? null, due.dueDate, existingTask);
+    if (repeat.error) {
+      return res.status(400).json({ error: repeat.error });
+    }
+
+    await checkCanComplete(existingTask, status || 'pending', req.body.force);
+
+    // Update the task, and roll a recurring task on to its next
+    // occurrence if this completes it
+    const { task, next } = await prisma.$transaction(async (tx) => {
+      const updated = await tx.task.update({
+        where: { id: taskId },
+        data: {
+          title: title.trim(),
+          description: description?.trim() || null,
+          status: status || 'pending',
+          priority: priority || 'medium',
+          projectId: project.projectId,
+          assigneeId: assignee.assigneeId,
+          dueDate: due.dueDate,
+          ...repeat.data,
+        },
+        include: TASK_INCLUDE,
+      });
+
+      const completed = updated.status === 'completed' && existingTask.status !== 'completed';
+      return {
+        task: updated,
+        next: completed ? await createNextOccurrence(updated, tx) : null,
+      };
+    });
+
+    if (task.description !== existingTask.description) {
+      await syncMentions({ text: task.description, task, author: req.user });
+    }
+    await notify(taskChangeNotifications(existingTask, task, req.user));
+    publishTaskEvent(req, 'task.updated', { task: serializeTask(task) });
+    if (next) publishTaskEvent(req, 'task.created', { task: next });
+    if (changesCompletion(existingTask, task)) {
+      await publishDependents(req, await findDependentIds([taskId]));
+    }
+
+    res.json({
+      message: 'Task updated successfully',
+      task: serializeTask(task),
+      ...(next && { nextOccurrence: next }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/tasks/:id
+ *
+ * Partial update - only updates the fields that are provided.
+ * Useful for toggling status without sending the entire task.
+ *
+ * Request body: Any subset of { title, description, status, priority, projectId, assigneeId, dueDate, recurrence }
+ *   plus completeSubtasks: true - when setting status 'completed',
+ *   also complete the task's open subtasks (in the same transaction,
+ *   with the same blocker check and recurrence as completing each one)
+ *   and force: true - complete the task even if it's blocked
+ *
+ * Response: { message, task, nextOccurrence? }
+ *   nextOccurrence - Completing a recurring task creates its next
+ *   occurrence (in the same transaction) and returns it here
+ */
+router.patch('/:id', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.id, 10);
+    if (isNaN(taskId)) {
+      return res.status(400).json({ error: 'Invalid task ID.' });
+    }
+
+    // Build update data from only the provided fields
+    const updateData = {};
+    const {
+      title,
+      description,
+      status,
+      priority,
+      projectId,
+      assigneeId,
+      dueDate,
+      recurrence,
+      completeSubtasks,
+    } = req.body;
+
+    if (title !== undefined) {
+      if (!title.trim()) {
+        return res.status(400).json({ error: 'Title cannot be empty.' });
+      }
+      updateData.title = title.trim();
+    }
+
+    if (description !== undefined) {
+      updateData.description = description?.trim() || null;
+    }
+
+    if (status !== undefined) {
+      if (!VALID_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
+        });
+      }
+      updateData.status = status;
+    }
+
+    if (priority !== undefined) {
+      if (!VALID_PRIORITIES.includes(priority)) {
+        return res.status(400).json({
+          error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`,
+        });
+      }
+      updateData.priority = priority;
+    }
+
+    if (projectId !== undefined) {
+      const project = await resolveProjectId(projectId, req.workspace.id);
+      if (project.error) {
+        return res.status(400).json({ error: project.error });
+      }
+      updateData.projectId = project.projectId;
+    }
+
+    if (assigneeId !== undefined) {
+      const assignee = await resolveAssigneeId(assigneeId, req.workspace.id);
+      if (assignee.error) {
+        return res.status(400).json({ error: assignee.error });
+      }
+      updateData.assigneeId = assignee.assigneeId;
+    }
+
+    if (dueDate !== undefined) {
+      const due = resolveDueDate(dueDate);
+      if (due.error) {
+        return res.status(400).json({ error: due.error });
+      }
+      updateData.dueDate = due.dueDate;
+    }
+
+    // Verify the task belongs to the workspace
+    const existingTask = await prisma.task.findFirst({
+      where: { id: taskId, workspaceId: req.workspace.id },
+    });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found.' });
+    }
+
+    if (recurrence !== undefined) {
+      const dueAfter = updateData.dueDate !== undefined ? updateData.dueDate : existingTask.dueDate;
+      const repeat = resolveRecurrence(recurrence, dueAfter, existingTask);
+      if (repeat.error) {
+        return res.status(400).json({ error: repeat.error });
+      }
+      Object.assign(updateData, repeat.data);
+    }
+
+    await checkCanComplete(existingTask, updateData.status, req.body.force);
+
+    // Update only the provided fields. Subtasks are completed first,
+    // so the returned progress already counts them.
+    const { task, next, subtasks } = await prisma.$transaction(async (tx) => {
+      const completedSubtasks = completeSubtasks === true && updateData.status === 'completed'
+        ? await completeOpenSubtasks(taskId, req.body.force, tx)
+        : [];
+
+      const updated = await tx.task.update({
+        where: { id: taskId },
+        data: updateData,
+        include: TASK_INCLUDE,
+      });
+
+      // Completing a recurring task schedules the next one
+      const completed = updated.status === 'completed' && existingTask.status !== 'completed';
+      return {
+        task: updated,
+        next: completed ? await createNextOccurrence(updated, tx) : null,
+        subtasks: completedSubtasks,
+      };
+    });
+
+    if (task.description !== existingTask.description) {
+      await syncMentions({ text: task.description, task, author: req.user });
+    }
+    await notify([
+      ...subtasks.flatMap((subtask) => taskChangeNotifications(subtask.before, subtask.task, req.user)),
+      ...taskChangeNotifications(existingTask, task, req.user),
+    ]);
+    for (const subtask of subtasks) {
+      publishTaskEvent(req, 'task.updated', { task: serializeTask(subtask.task) });
+      if (subtask.next) publishTaskEvent(req, 'task.created', { task: subtask.next });
+    }
+    publishTaskEvent(req, 'task.updated', { task: serializeTask(task) });
+    if (next) publishTaskEvent(req, 'task.created', { task: next });
+    await publishDependents(req, await findDependentIds([
+      ...subtasks.map((subtask) => subtask.task.id),
+      ...(changesCompletion(existingTask, task) ? [taskId] : []),
+    ]));
+
+    res.json({
+      message: 'Task updated successfully',
+      task: serializeTask(task),
+      ...(next && { nextOccurrence: next }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id
  *
- * Example: GET /api/tasks?status=pending&sort=createdAt&order=desc
+ * Delete a task. The task must belong to the active workspace.
+ * Its subtasks are deleted with it, and get task.deleted events too.
  */
-router.get('/', async (req, res, next) => {
+router.delete('/:id', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
   try {
-    const { status, priority, sort = 'createdAt', order = 'desc' } = req.query;
-
-    // Build the WHERE clause dynamically based on query params
-    const where = {
-      userId: req.user.id, // Always scope to the authenticated user
-    };
-
-    // Add optional filters if provided
-    if (status && VALID_STATUSES.includes(status)) {
-      where.status = status;
+    const taskId = parseInt(req.params.id, 10);
+    if (isNaN(taskId)) {
+      return res.status(400).json({ error: 'Invalid task ID.' });
     }
 
-    if (priority && VALID_PRIORITIES.includes(priority)) {
-      where.priority = priority;
+    // Verify the task belongs to the workspace
+    const existingTask = await prisma.task.findFirst({
+      where: { id: taskId, workspaceId: req.workspace.id },
+    });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found.' });
     }
 
-    // Validate sort parameters
-    const validSortFields = ['createdAt', 'updatedAt', 'title', 'status', 'priority'];
-    const sortField = validSortFields.includes(sort) ? sort : 'createdAt';
-    const sortOrder = order === 'asc' ? 'asc' : 'desc';
+    // The tasks it (or its subtasks) blocks, and the subtasks, before
+    // they are gone
+    const dependentIds = await findDependentIds([taskId], prisma, { withSubtasks: true });
+    const subtaskIds = await findSubtaskIds(taskId);
 
-    // Query the database with Prisma
-    const tasks = await prisma.task.findMany({
-      where,
-      orderBy: { [sortField]: sortOrder },
+    // Delete the task
+    await prisma.task.delete({
+      where: { id: taskId },
     });
 
+    for (const subtaskId of subtaskIds) {
+      publishTaskEvent(req, 'task.deleted', { taskId: subtaskId, parentId: taskId });
+    }
+    publishTaskEvent(req, 'task.deleted', { taskId, parentId: existingTask.parentId });
+    await publishDependents(req, dependentIds);
+
     res.json({
-      tasks,
-      count: tasks.length,
+      message: 'Task deleted successfully',
     });
   } catch (error) {
     next(error);
@@ -86,51 +1568,99 @@ router.get('/', async (req, res, next) => {
 });
 
 /**
- * GET /api/tasks/:id
+ * Find the task named by :id in the active workspace (for the
+ * subtask and blocker routes).
  *
- * Get a single task by its ID.
- * The task must belong to the authenticated user.
+ * @param {object} req - Express request (params.id, workspace)
+ * @returns {Promise<{ task?: object, status?: number, error?: string }>}
  */
-router.get('/:id', async (req, res, next) => {
-  try {
-    const taskId = parseInt(req.params.id, 10);
+async function findTaskFromParams(req) {
+  const taskId = parseInt(req.params.id, 10);
+  if (isNaN(taskId)) {
+    return { status: 400, error: 'Invalid task ID.' };
+  }
 
-    // Validate that the ID is a number
-    if (isNaN(taskId)) {
-      return res.status(400).json({ error: 'Invalid task ID.' });
-    }
+  const task = await prisma.task.findFirst({
+    where: { id: taskId, workspaceId: req.workspace.id },
+  });
 
-    // findFirst with both id AND userId ensures user can only see their tasks
-    const task = await prisma.task.findFirst({
-      where: {
-        id: taskId,
-        userId: req.user.id, // User scoping - critical for security!
-      },
-    });
+  if (!task) {
+    return { status: 404, error: 'Task not found.' };
+  }
 
-    if (!task) {
-      return res.status(404).json({ error: 'Task not found.' });
+  return { task };
+}
+
+/**
+ * Progress roll-up of a parent task, read fresh from the database.
+ *
+ * @param {number} parentId
+ * @returns {Promise<{ total: number, completed: number, percent: number|null }>}
+ */
+async function loadProgress(parentId) {
+  const subtasks = await prisma.task.findMany({
+    where: { parentId },
+    select: { status: true },
+  });
+  return subtaskProgress(subtasks);
+}
+
+/**
+ * GET /api/tasks/:id/subtasks
+ *
+ * List a task's subtasks, oldest first (the order they were added,
+ * like a checklist).
+ *
+ * Response: { subtasks, count, progress }
+ */
+router.get('/:id/subtasks', async (req, res, next) => {
+  try {
+    const { task: parent, status, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    res.json({ task });
+    const subtasks = await prisma.task.findMany({
+      where: { parentId: parent.id },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      include: TASK_INCLUDE,
+    });
+
+    res.json({
+      subtasks: subtasks.map(serializeTask),
+      count: subtasks.length,
+      progress: subtaskProgress(subtasks),
+    });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /api/tasks
+ * POST /api/tasks/:id/subtasks
  *
- * Create a new task for the authenticated user.
+ * Add a subtask. It is created in the parent's workspace and project;
+ * the authenticated user is recorded as its creator.
  *
- * Request body: { title, description?, status?, priority? }
- * Response: { message, task }
+ * Request body: { title, description?, status?, priority?, assigneeId?, dueDate? }
+ * Response: { message, task, progress } - progress is the parent's new roll-up
+ *
+ * Subtasks can't be nested: adding one to a subtask is a 400.
  */
-router.post('/', async (req, res, next) => {
+router.post('/:id/subtasks', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
   try {
-    const { title, description, status, priority } = req.body;
+    const { task: parent, status: lookupStatus, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(lookupStatus).json({ error });
+    }
 
-    // --- Validation ---
+    if (parent.parentId !== null) {
+      return res.status(400).json({ error: 'Subtasks cannot have subtasks of their own.' });
+    }
+
+    const { title, description, status, priority, assigneeId, dueDate } = req.body;
+
+    // --- Validation (same rules as POST /api/tasks) ---
     if (!title || !title.trim()) {
       return res.status(400).json({ error: 'Task title is required.' });
     }
@@ -139,34 +1669,53 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ error: 'Title must be under 200 characters.' });
     }
 
-    // Validate status if provided
     if (status && !VALID_STATUSES.includes(status)) {
       return res.status(400).json({
         error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
       });
     }
 
-    // Validate priority if provided
     if (priority && !VALID_PRIORITIES.includes(priority)) {
       return res.status(400).json({
         error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`,
       });
     }
 
-    // --- Create the task ---
+    const assignee = await resolveAssigneeId(assigneeId ?? null, req.workspace.id);
+    if (assignee.error) {
+      return res.status(400).json({ error: assignee.error });
+    }
+
+    const due = resolveDueDate(dueDate ?? null);
+    if (due.error) {
+      return res.status(400).json({ error: due.error });
+    }
+
+    // --- Create the subtask ---
     const task = await prisma.task.create({
       data: {
         title: title.trim(),
         description: description?.trim() || null,
         status: status || 'pending',
         priority: priority || 'medium',
-        userId: req.user.id, // Associate with the authenticated user
+        userId: req.user.id,
+        workspaceId: parent.workspaceId,
+        projectId: parent.projectId,
+        parentId: parent.id,
+        assigneeId: assignee.assigneeId,
+        dueDate: due.dueDate,
       },
+      include: TASK_INCLUDE,
     });
 
+    await syncMentions({ text: task.description, task, author: req.user });
+    await notify(taskChangeNotifications(null, task, req.user));
+    publishTaskEvent(req, 'task.created', { task: serializeTask(task) });
+
     res.status(201).json({
-      message: 'Task created successfully',
-      task,
+      message: 'Subtask created successfully',
+      task: serializeTask(task),
+      progress: await loadProgress(parent.id),
     });
   } catch (error) {
     next(error);
@@ -174,62 +1723,171 @@ router.post('/', async (req, res, next) => {
 });
 
 /**
- * PUT /api/tasks/:id
+ * GET /api/tasks/:id/blockers
  *
- * Full update of a task (replace all fields).
- * The task must belong to the authenticated user.
+ * The tasks this task is blocked by.
  *
- * Request body: { title, description?, status?, priority? }
+ * Response: { blockers, chain, isBlocked }
+ *   blockers - Direct blockers (full tasks)
+ *   chain    - Every task in the blocking chain, nearest first:
+ *              { id, title, status, depth, blocks } - depth 1 is a
+ *              direct blocker, blocks is the task it holds up
  */
-router.put('/:id', async (req, res, next) => {
+router.get('/:id/blockers', async (req, res, next) => {
   try {
-    const taskId = parseInt(req.params.id, 10);
-    if (isNaN(taskId)) {
-      return res.status(400).json({ error: 'Invalid task ID.' });
+    const { task, status, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const { title, description, status, priority } = req.body;
+    const links = await prisma.taskDependency.findMany({
+      where: { blockedTaskId: task.id },
+      orderBy: { createdAt: 'asc' },
+      include: { blockerTask: { include: TASK_INCLUDE } },
+    });
+    const blockers = links.map((link) => serializeTask(link.blockerTask));
 
-    // Title is required for full update
-    if (!title || !title.trim()) {
-      return res.status(400).json({ error: 'Task title is required.' });
+    res.json({
+      blockers,
+      chain: await loadBlockerChain(task.id),
+      isBlocked: blockers.some((blocker) => blocker.status !== 'completed'),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Link a blocker to a task, unless that would close a cycle.
+ *
+ * Two requests adding opposite links (A blocked by B, B blocked by A)
+ * could both check "no cycle" before either inserts. So the link is
+ * inserted first and the check runs after it, in a Serializable
+ * transaction: of two such transactions the database lets only one
+ * commit (P2034 for the other). The loser is retried, and then finds
+ * the cycle.
+ *
+ * @param {number} taskId - The task being blocked
+ * @param {number} blockerId - The task blocking it
+ * @throws {Error} 400 DEPENDENCY_CYCLE
+ */
+async function addBlockerLink(taskId, blockerId) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(
+        async (tx) => {
+          await tx.taskDependency.create({
+            data: { blockedTaskId: taskId, blockerTaskId: blockerId },
+          });
+
+          // Rolls the link back
+          const path = await findDependencyPath(blockerId, taskId, tx);
+          if (path) {
+            throw dependencyCycleError([taskId, ...path]);
+          }
+        },
+        { isolationLevel: 'Serializable' }
+      );
+    } catch (error) {
+      if (error.code !== 'P2034' || attempt >= BLOCKER_ATTEMPTS) throw error;
     }
+  }
+}
 
-    if (status && !VALID_STATUSES.includes(status)) {
-      return res.status(400).json({
-        error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
-      });
+/**
+ * POST /api/tasks/:id/blockers
+ *
+ * Mark this task as blocked by another task in the workspace.
+ *
+ * Request body: { blockerId }
+ * Response: { message, task } - the blocked task (with its new isBlocked)
+ *
+ * Refused with:
+ *   400 - a task blocking itself, or DEPENDENCY_CYCLE when the
+ *         blocker already waits (directly or not) for this task
+ *   404 - either task isn't in the workspace
+ *   409 - the link already exists (unique constraint, P2002)
+ */
+router.post('/:id/blockers', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
+  try {
+    const { task, status, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    if (priority && !VALID_PRIORITIES.includes(priority)) {
-      return res.status(400).json({
-        error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`,
-      });
+    const blockerId = parseInt(req.body.blockerId, 10);
+    if (isNaN(blockerId)) {
+      return res.status(400).json({ error: 'blockerId is required.' });
     }
 
-    // Verify the task belongs to the user before updating
-    const existingTask = await prisma.task.findFirst({
-      where: { id: taskId, userId: req.user.id },
+    if (blockerId === task.id) {
+      return res.status(400).json({ error: 'A task cannot block itself.' });
+    }
+
+    const blocker = await prisma.task.findFirst({
+      where: { id: blockerId, workspaceId: req.workspace.id },
+      select: { id: true },
     });
 
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found.' });
+    if (!blocker) {
+      return res.status(404).json({ error: 'Blocking task not found.' });
     }
 
-    // Update the task
-    const task = await prisma.task.update({
-      where: { id: taskId },
-      data: {
-        title: title.trim(),
-        description: description?.trim() || null,
-        status: status || 'pending',
-        priority: priority || 'medium',
-      },
+    await addBlockerLink(task.id, blockerId);
+
+    const updatedTask = await prisma.task.findUnique({
+      where: { id: task.id },
+      include: TASK_INCLUDE,
+    });
+
+    publishTaskEvent(req, 'task.updated', { task: serializeTask(updatedTask) });
+
+    res.status(201).json({
+      message: 'Blocker added successfully',
+      task: serializeTask(updatedTask),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tasks/:id/blockers/:blockerId
+ *
+ * Remove a blocker from this task.
+ *
+ * Response: { message, task } - the task (with its new isBlocked)
+ */
+router.delete('/:id/blockers/:blockerId', requirePermission('tasks:write'), requireVerifiedEmail('tasks'), async (req, res, next) => {
+  try {
+    const { task, status, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const blockerId = parseInt(req.params.blockerId, 10);
+    if (isNaN(blockerId)) {
+      return res.status(400).json({ error: 'Invalid blocker ID.' });
+    }
+
+    const { count } = await prisma.taskDependency.deleteMany({
+      where: { blockedTaskId: task.id, blockerTaskId: blockerId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'That task is not blocking this one.' });
+    }
+
+    const updatedTask = await prisma.task.findUnique({
+      where: { id: task.id },
+      include: TASK_INCLUDE,
     });
 
+    publishTaskEvent(req, 'task.updated', { task: serializeTask(updatedTask) });
+
     res.json({
-      message: 'Task updated successfully',
-      task,
+      message: 'Blocker removed successfully',
+      task: serializeTask(updatedTask),
     });
   } catch (error) {
     next(error);
@@ -237,71 +1895,221 @@ router.put('/:id', async (req, res, next) => {
 });
 
 /**
- * PATCH /api/tasks/:id
+ * Validate a comment body sent in a request body.
  *
- * Partial update - only updates the fields that are provided.
- * Useful for toggling status without sending the entire task.
+ * @param {*} body - The raw body from req.body
+ * @returns {{ body?: string, error?: string }}
+ */
+function resolveCommentBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return { error: 'Comment text is required.' };
+  }
+
+  if (body.trim().length > COMMENT_MAX_LENGTH) {
+    return { error: `Comments must be under ${COMMENT_MAX_LENGTH} characters.` };
+  }
+
+  return { body: body.trim() };
+}
+
+/**
+ * Load the comment named by req.params.commentId, for editing or
+ * deleting it. It must be a comment on this task (not deleted), and
+ * only its author may change it.
+ *
+ * @param {object} req - Express request
+ * @param {object} task - The task from findTaskFromParams()
+ * @returns {Promise<{ comment?: object, status?: number, error?: string }>}
+ */
+async function findOwnComment(req, task) {
+  const commentId = parseInt(req.params.commentId, 10);
+  if (isNaN(commentId)) {
+    return { status: 400, error: 'Invalid comment ID.' };
+  }
+
+  const comment = await prisma.comment.findFirst({
+    where: { id: commentId, taskId: task.id, deletedAt: null },
+  });
+
+  if (!comment) {
+    return { status: 404, error: 'Comment not found.' };
+  }
+
+  if (comment.authorId !== req.user.id) {
+    return { status: 403, error: 'You can only change your own comments.' };
+  }
+
+  return { comment };
+}
+
+/**
+ * Publish task.updated for a task whose comments changed, so
+ * everyone watching sees its new commentCount.
  *
- * Request body: Any subset of { title, description, status, priority }
+ * @param {object} req - Express request
+ * @param {number} taskId
  */
-router.patch('/:id', async (req, res, next) => {
+async function publishCommentCount(req, taskId) {
+  const task = await prisma.task.findUnique({
+    where: { id: taskId },
+    include: TASK_INCLUDE,
+  });
+  publishTaskEvent(req, 'task.updated', { task: serializeTask(task) });
+}
+
+/**
+ * GET /api/tasks/:id/comments
+ *
+ * The task's discussion, oldest first. Replies are nested under the
+ * comment they answer:
+ *
+ * Response: { comments, count }
+ *   comments - [{ id, body, author, createdAt, editedAt, deleted, replies: [...] }]
+ *   count    - Comments and replies, not counting deleted ones
+ *
+ * A deleted comment that has replies is kept as a placeholder
+ * (deleted: true, empty body) so the replies keep their context.
+ */
+router.get('/:id/comments', async (req, res, next) => {
   try {
-    const taskId = parseInt(req.params.id, 10);
-    if (isNaN(taskId)) {
-      return res.status(400).json({ error: 'Invalid task ID.' });
+    const { task, status, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    // Build update data from only the provided fields
-    const updateData = {};
-    const { title, description, status, priority } = req.body;
+    const all = await prisma.comment.findMany({
+      where: { taskId: task.id },
+      include: COMMENT_INCLUDE,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    });
 
-    if (title !== undefined) {
-      if (!title.trim()) {
-        return res.status(400).json({ error: 'Title cannot be empty.' });
+    // Build the threads: top-level comments, each with its replies
+    const threads = new Map();
+    for (const comment of all) {
+      const item = { ...comment, deleted: comment.deletedAt !== null };
+      if (comment.parentCommentId === null) {
+        threads.set(comment.id, { ...item, replies: [] });
+      } else {
+        threads.get(comment.parentCommentId)?.replies.push(item);
       }
-      updateData.title = title.trim();
     }
 
-    if (description !== undefined) {
-      updateData.description = description?.trim() || null;
+    // Placeholders whose replies are all gone aren't worth showing
+    const comments = [...threads.values()].filter(
+      (comment) => !comment.deleted || comment.replies.some((reply) => !reply.deleted)
+    );
+
+    res.json({
+      comments,
+      count: all.filter((comment) => comment.deletedAt === null).length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/tasks/:id/comments
+ *
+ * Comment on a task, or reply to a comment.
+ *
+ * Request body: { body, parentCommentId? }
+ *   parentCommentId - The comment being answered. Threads are one
+ *   level deep, so a reply to a reply joins its thread.
+ *
+ * Response: { message, comment }
+ */
+router.post('/:id/comments', requirePermission('comments:write'), requireVerifiedEmail('comments'), async (req, res, next) => {
+  try {
+    const { task, status, error } = await findTaskFromParams(req);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    if (status !== undefined) {
-      if (!VALID_STATUSES.includes(status)) {
-        return res.status(400).json({
-          error: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`,
-        });
-      }
-      updateData.status = status;
+    const text = resolveCommentBody(req.body.body);
+    if (text.error) {
+      return res.status(400).json({ error: text.error });
     }
 
-    if (priority !== undefined) {
-      if (!VALID_PRIORITIES.includes(priority)) {
-        return res.status(400).json({
-          error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`,
-        });
+    let parentCommentId = null;
+    if (req.body.parentCommentId !== undefined && req.body.parentCommentId !== null) {
+      const parentId = parseInt(req.body.parentCommentId, 10);
+      const parent = isNaN(parentId)
+        ? null
+        : await prisma.comment.findFirst({
+            where: { id: parentId, taskId: task.id, deletedAt: null },
+            select: { id: true, parentCommentId: true },
+          });
+
+      if (!parent) {
+        return res.status(400).json({ error: 'The comment you are replying to was not found.' });
       }
-      updateData.priority = priority;
+      parentCommentId = parent.parentCommentId ?? parent.id;
     }
 
-    // Verify the task belongs to the user
-    const existingTask = await prisma.task.findFirst({
-      where: { id: taskId, userId: req.user.id },
+    const comment = await prisma.comment.create({
+      data: {
+        body: text.body,
+        taskId: task.id,
+        authorId: req.user.id,
+        parentCommentId,
+      },
+      include: COMMENT_INCLUDE,
     });
 
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found.' });
+    await syncMentions({ text: comment.body, task, commentId: comment.id, author: req.user });
+    await publishCommentCount(req, task.id);
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: { ...comment, deleted: false, replies: [] },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/tasks/:id/comments/:commentId
+ *
+ * Edit your own comment. editedAt records when.
+ *
+ * Request body: { body }
+ * Response: { message, comment }
+ */
+router.patch('/:id/comments/:commentId', requirePermission('comments:write'), requireVerifiedEmail('comments'), async (req, res, next) => {
+  try {
+    const found = await findTaskFromParams(req);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    // Update only the provided fields
-    const task = await prisma.task.update({
-      where: { id: taskId },
-      data: updateData,
+    const { comment, status, error } = await findOwnComment(req, found.task);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const text = resolveCommentBody(req.body.body);
+    if (text.error) {
+      return res.status(400).json({ error: text.error });
+    }
+
+    const updated = await prisma.comment.update({
+      where: { id: comment.id },
+      data: { body: text.body, editedAt: new Date() },
+      include: COMMENT_INCLUDE,
+    });
+
+    await syncMentions({
+      text: updated.body,
+      task: found.task,
+      commentId: comment.id,
+      author: req.user,
     });
 
     res.json({
-      message: 'Task updated successfully',
-      task,
+      message: 'Comment updated successfully',
+      comment: { ...updated, deleted: false },
     });
   } catch (error) {
     next(error);
@@ -309,33 +2117,45 @@ router.patch('/:id', async (req, res, next) => {
 });
 
 /**
- * DELETE /api/tasks/:id
+ * DELETE /api/tasks/:id/comments/:commentId
+ *
+ * Delete your own comment. A comment that has replies is emptied
+ * and marked deleted instead of removed, so the replies keep their
+ * place in the thread.
  *
- * Delete a task. The task must belong to the authenticated user.
+ * Response: { message }
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id/comments/:commentId', requirePermission('comments:write'), requireVerifiedEmail('comments'), async (req, res, next) => {
   try {
-    const taskId = parseInt(req.params.id, 10);
-    if (isNaN(taskId)) {
-      return res.status(400).json({ error: 'Invalid task ID.' });
+    const found = await findTaskFromParams(req);
+    if (found.error) {
+      return res.status(found.status).json({ error: found.error });
     }
 
-    // Verify the task belongs to the user
-    const existingTask = await prisma.task.findFirst({
-      where: { id: taskId, userId: req.user.id },
+    const { comment, status, error } = await findOwnComment(req, found.task);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const replyCount = await prisma.comment.count({
+      where: { parentCommentId: comment.id },
     });
 
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found.' });
+    if (replyCount > 0) {
+      await prisma.comment.update({
+        where: { id: comment.id },
+        data: { body: '', deletedAt: new Date() },
+      });
+      // The placeholder mentions no one any more
+      await syncMentions({ text: '', task: found.task, commentId: comment.id, author: req.user });
+    } else {
+      await prisma.comment.delete({ where: { id: comment.id } });
     }
 
-    // Delete the task
-    await prisma.task.delete({
-      where: { id: taskId },
-    });
+    await publishCommentCount(req, found.task.id);
 
     res.json({
-      message: 'Task deleted successfully',
+      message: 'Comment deleted successfully',
     });
   } catch (error) {
     next(error);
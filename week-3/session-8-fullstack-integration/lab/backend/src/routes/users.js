@@ -0,0 +1,371 @@
+/**
+ * =============================================================
+ * USER ROUTES - Profile and Account Security
+ * =============================================================
+ *
+ * All routes are protected by authMiddleware and denyApiKeys
+ * (applied in app.js) and act on the logged-in user (req.user.id).
+ * API keys can't reach these routes - a leaked key must not be able
+ * to mint more keys or change security settings.
+ *
+ * ENDPOINTS:
+ *   GET    /api/users/profile              - Current user's profile
+ *   POST   /api/users/2fa/setup            - Start 2FA enrollment
+ *   POST   /api/users/2fa/enable           - Confirm a code and turn 2FA on
+ *   POST   /api/users/2fa/disable          - Turn 2FA off (needs password)
+ *   POST   /api/users/2fa/recovery-codes   - New recovery codes (needs password)
+ *   GET    /api/users/api-keys             - List personal API keys
+ *   POST   /api/users/api-keys             - Create a key (shown ONCE)
+ *   DELETE /api/users/api-keys/:id         - Revoke a key
+ *
+ * 2FA ENROLLMENT FLOW:
+ *   1. setup  -> server creates a secret and returns an otpauth:// URI
+ *                (the frontend shows it as a QR code / link + the secret)
+ *   2. user adds it to their authenticator app
+ *   3. enable -> user sends the current 6-digit code; if it matches,
+ *                2FA is on and 10 recovery codes are returned ONCE
+ *
+ * Until step 3 succeeds the secret is "pending" (totpEnabledAt is
+ * null) and login still only needs the password.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const bcrypt = require('bcrypt');
+const prisma = require('../prisma');
+const { hashToken } = require('../utils/tokens');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { generateRecoveryCodes } = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// API key scopes: "read" = GET requests only, "write" = everything
+const API_KEY_SCOPES = ['read', 'write'];
+
+// Fields returned when listing keys (never the hash)
+const API_KEY_FIELDS = {
+  id: true,
+  name: true,
+  prefix: true,
+  scope: true,
+  lastUsedAt: true,
+  createdAt: true,
+};
+
+/**
+ * Check the password sent with a sensitive request.
+ *
+ * Turning 2FA off must not be possible with just a stolen access
+ * token, so these routes ask for the password again.
+ *
+ * @param {number} userId
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+async function checkPassword(userId, password) {
+  if (!password) return false;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { password: true },
+  });
+
+  return Boolean(user) && bcrypt.compare(password, user.password);
+}
+
+/**
+ * GET /api/users/profile
+ *
+ * Returns the user's profile, including data that isn't in the
+ * JWT (avatar, task count, 2FA status).
+ */
+router.get('/profile', async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        username: true,
+        email: true,
+        avatarUrl: true,
+        emailVerifiedAt: true,
+        totpEnabledAt: true,
+        createdAt: true,
+        _count: {
+          select: {
+            tasks: true,
+            recoveryCodes: { where: { usedAt: null } },
+          },
+        },
+      },
+    });
+
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    const { _count, totpEnabledAt, ...profile } = user;
+
+    res.json({
+      user: {
+        ...profile,
+        taskCount: _count.tasks,
+        twoFactorEnabled: Boolean(totpEnabledAt),
+        recoveryCodesRemaining: totpEnabledAt ? _count.recoveryCodes : 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/2fa/setup
+ *
+ * Creates a new (pending) TOTP secret. Calling it again replaces
+ * the pending secret, e.g. if the user scanned the wrong QR code.
+ *
+ * Response: { secret, otpauthUri }
+ */
+router.post('/2fa/setup', async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { email: true, totpEnabledAt: true },
+    });
+
+    if (user.totpEnabledAt) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled.',
+      });
+    }
+
+    const secret = generateSecret();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { totpSecret: secret, totpLastStep: null },
+    });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/2fa/enable
+ *
+ * Turns 2FA on if the code matches the pending secret.
+ *
+ * Request body: { code }
+ * Response: { message, recoveryCodes } - store these somewhere safe!
+ */
+router.post('/2fa/enable', async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpSecret: true, totpEnabledAt: true },
+    });
+
+    if (user.totpEnabledAt) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled.',
+      });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({
+        error: 'Start two-factor setup first.',
+      });
+    }
+
+    const step = verifyCode(user.totpSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'That code is not valid. Check the time on your device and try again.',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { totpEnabledAt: new Date(), totpLastStep: step },
+    });
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Two-factor authentication enabled.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/2fa/disable
+ *
+ * Turns 2FA off and deletes the secret and recovery codes.
+ *
+ * Request body: { password }
+ */
+router.post('/2fa/disable', async (req, res, next) => {
+  try {
+    if (!(await checkPassword(req.user.id, req.body.password))) {
+      return res.status(400).json({ error: 'Incorrect password.' });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.user.id },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: req.user.id } }),
+    ]);
+
+    res.json({ message: 'Two-factor authentication disabled.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/2fa/recovery-codes
+ *
+ * Replaces all recovery codes (old ones stop working).
+ *
+ * Request body: { password }
+ * Response: { message, recoveryCodes }
+ */
+router.post('/2fa/recovery-codes', async (req, res, next) => {
+  try {
+    if (!(await checkPassword(req.user.id, req.body.password))) {
+      return res.status(400).json({ error: 'Incorrect password.' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { totpEnabledAt: true },
+    });
+
+    if (!user.totpEnabledAt) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled.',
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'New recovery codes generated.',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/api-keys
+ *
+ * Lists the user's active (not revoked) API keys.
+ * Only the prefix is returned - the full key can't be recovered.
+ */
+router.get('/api-keys', async (req, res, next) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id, revokedAt: null },
+      select: API_KEY_FIELDS,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/users/api-keys
+ *
+ * Creates a new API key.
+ *
+ * Request body: { name, scope? }  (scope defaults to "read")
+ * Response: { message, key, apiKey }
+ *   key - The full key. This is the ONLY time it is shown.
+ */
+router.post('/api-keys', async (req, res, next) => {
+  try {
+    const { name, scope = 'read' } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Key name is required.' });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({ error: 'Key name must be 100 characters or less.' });
+    }
+
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        error: `Invalid scope. Must be one of: ${API_KEY_SCOPES.join(', ')}`,
+      });
+    }
+
+    // "tf_" marks it as a TaskFlow key (handy for secret scanners)
+    const key = `tf_${crypto.randomBytes(24).toString('hex')}`;
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name: name.trim(),
+        scope,
+        prefix: key.slice(0, 10),
+        keyHash: hashToken(key),
+        userId: req.user.id,
+      },
+      select: API_KEY_FIELDS,
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/users/api-keys/:id
+ *
+ * Revokes an API key. Requests using it fail from now on.
+ * The row is kept (revokedAt set) so lastUsedAt stays available.
+ */
+router.delete('/api-keys/:id', async (req, res, next) => {
+  try {
+    const { count } = await prisma.apiKey.updateMany({
+      where: {
+        id: parseInt(req.params.id, 10) || 0,
+        userId: req.user.id,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+/**
+ * =============================================================
+ * SAVED VIEW ROUTES - Named Task Filters ("Smart Filters")
+ * =============================================================
+ *
+ * A saved view remembers how the tasks page was set up - filters,
+ * sort and display options - under a name like "My high-priority
+ * overdue", so it can be restored with one click.
+ *
+ * All routes are protected by auth and workspace middleware
+ * (applied in app.js). Views are PRIVATE: each user only sees their
+ * own, and only those saved in the active workspace (a project
+ * filter means nothing in another workspace). Because a view
+ * changes nothing shared, viewers can save views too.
+ *
+ * ENDPOINTS:
+ *   GET    /api/views       - List your views in the workspace
+ *   GET    /api/views/:id   - Get one view
+ *   POST   /api/views       - Save a view
+ *   PUT    /api/views/:id   - Replace a view
+ *   DELETE /api/views/:id   - Delete a view
+ *
+ * A VIEW:
+ *   {
+ *     id, name,
+ *     filters: { status?, priority?, projectId?, assignee?, filter? },
+ *     sort: 'createdAt', order: 'desc',
+ *     display: { compact? },
+ *     createdAt, updatedAt
+ *   }
+ *   filters use the same names and values as the GET /api/tasks
+ *   query parameters, so a client can send them straight back:
+ *     GET /api/tasks?priority=high&assignee=me&filter=due<today
+ *
+ * KEY CONCEPTS:
+ *   - JSON in a String column (SQLite has no JSON type in Prisma),
+ *     validated before it's stored and parsed before it's returned
+ *   - Reusing the task filter rules (utils/taskFilter.js), so a view
+ *     that saves can always be loaded
+ * =============================================================
+ */
+
+const express = require('express');
+const prisma = require('../prisma');
+const {
+  SORT_FIELDS,
+  parseTaskFilter,
+  fieldCondition,
+} = require('../utils/taskFilter');
+
+const router = express.Router();
+
+// filters key -> filter language field (see buildTaskFilters in tasks.js)
+const FILTER_FIELDS = {
+  status: 'status',
+  priority: 'priority',
+  projectId: 'project',
+  assignee: 'assignee',
+};
+
+// Display options and their types
+const DISPLAY_OPTIONS = {
+  compact: 'boolean', // Hide descriptions and details on task cards
+};
+
+/**
+ * Turn a stored view into the API shape (JSON columns parsed).
+ *
+ * @param {object} view - SavedView row
+ * @returns {object}
+ */
+function serializeView({ userId, workspaceId, filters, display, ...view }) {
+  return {
+    ...view,
+    filters: JSON.parse(filters),
+    display: JSON.parse(display),
+  };
+}
+
+/**
+ * Validate a view from a request body and build the data to store.
+ *
+ * Filter values are checked with the same rules GET /api/tasks
+ * uses, so an invalid one (e.g. priority "urgent" or a malformed
+ * filter expression) is thrown as a 400 INVALID_FILTER error.
+ *
+ * @param {object} body - req.body
+ * @param {object} context - { userId } for "assignee: me"
+ * @returns {{ data?: object, error?: string }}
+ */
+function buildViewData({ name, filters = {}, sort, order, display = {} }, context) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'View name is required.' };
+  }
+
+  if (name.trim().length > 60) {
+    return { error: 'View name must be under 60 characters.' };
+  }
+
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    return { error: 'filters must be an object.' };
+  }
+
+  if (typeof display !== 'object' || display === null || Array.isArray(display)) {
+    return { error: 'display must be an object.' };
+  }
+
+  const savedFilters = {};
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    if (key === 'filter') {
+      if (typeof value !== 'string') {
+        return { error: 'filters.filter must be a string.' };
+      }
+      parseTaskFilter(value, context); // Throws if malformed
+      savedFilters.filter = value.trim();
+    } else if (FILTER_FIELDS[key]) {
+      fieldCondition(FILTER_FIELDS[key], String(value), context); // Throws if invalid
+      savedFilters[key] = String(value);
+    } else {
+      return { error: `Unknown filter "${key}".` };
+    }
+  }
+
+  if (sort !== undefined && !SORT_FIELDS.includes(sort)) {
+    return { error: `Invalid sort. Must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Must be asc or desc.' };
+  }
+
+  const savedDisplay = {};
+
+  for (const [key, value] of Object.entries(display)) {
+    if (!DISPLAY_OPTIONS[key]) {
+      return { error: `Unknown display option "${key}".` };
+    }
+    if (typeof value !== DISPLAY_OPTIONS[key]) {
+      return { error: `Display option "${key}" must be a ${DISPLAY_OPTIONS[key]}.` };
+    }
+    savedDisplay[key] = value;
+  }
+
+  return {
+    data: {
+      name: name.trim(),
+      filters: JSON.stringify(savedFilters),
+      sort: sort || 'createdAt',
+      order: order || 'desc',
+      display: JSON.stringify(savedDisplay),
+    },
+  };
+}
+
+/**
+ * Find one of the user's views in the active workspace.
+ *
+ * @param {object} req - Express request
+ * @param {number} viewId
+ * @returns {Promise<object|null>}
+ */
+function findOwnView(req, viewId) {
+  return prisma.savedView.findFirst({
+    where: { id: viewId, userId: req.user.id, workspaceId: req.workspace.id },
+  });
+}
+
+/**
+ * GET /api/views
+ *
+ * List the user's saved views in the active workspace, by name.
+ *
+ * Response: { views, count }
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const views = await prisma.savedView.findMany({
+      where: { userId: req.user.id, workspaceId: req.workspace.id },
+      orderBy: { name: 'asc' },
+    });
+
+    res.json({
+      views: views.map(serializeView),
+      count: views.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/views/:id
+ *
+ * Get one of the user's views.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const viewId = parseInt(req.params.id, 10);
+    if (isNaN(viewId)) {
+      return res.status(400).json({ error: 'Invalid view ID.' });
+    }
+
+    const view = await findOwnView(req, viewId);
+
+    // Someone else's view is "not found" - not "forbidden"
+    if (!view) {
+      return res.status(404).json({ error: 'View not found.' });
+    }
+
+    res.json({ view: serializeView(view) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/views
+ *
+ * Save a view in the active workspace.
+ *
+ * Request body: { name, filters?, sort?, order?, display? }
+ * Response: { message, view }
+ *
+ * A duplicate name hits the @@unique([userId, workspaceId, name])
+ * constraint and is turned into a 409 by the error handler (P2002).
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { data, error } = buildViewData(req.body, { userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const view = await prisma.savedView.create({
+      data: {
+        ...data,
+        userId: req.user.id,
+        workspaceId: req.workspace.id,
+      },
+    });
+
+    res.status(201).json({
+      message: 'View saved successfully',
+      view: serializeView(view),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/views/:id
+ *
+ * Replace a view's name, filters, sort and display options.
+ * Left-out fields go back to their defaults, like PUT /api/tasks/:id.
+ *
+ * Request body: { name, filters?, sort?, order?, display? }
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const viewId = parseInt(req.params.id, 10);
+    if (isNaN(viewId)) {
+      return res.status(400).json({ error: 'Invalid view ID.' });
+    }
+
+    const { data, error } = buildViewData(req.body, { userId: req.user.id });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existingView = await findOwnView(req, viewId);
+    if (!existingView) {
+      return res.status(404).json({ error: 'View not found.' });
+    }
+
+    const view = await prisma.savedView.update({
+      where: { id: viewId },
+      data,
+    });
+
+    res.json({
+      message: 'View updated successfully',
+      view: serializeView(view),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/views/:id
+ *
+ * Delete one of the user's views.
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const viewId = parseInt(req.params.id, 10);
+    if (isNaN(viewId)) {
+      return res.status(400).json({ error: 'Invalid view ID.' });
+    }
+
+    const existingView = await findOwnView(req, viewId);
+    if (!existingView) {
+      return res.status(404).json({ error: 'View not found.' });
+    }
+
+    await prisma.savedView.delete({
+      where: { id: viewId },
+    });
+
+    res.json({
+      message: 'View deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
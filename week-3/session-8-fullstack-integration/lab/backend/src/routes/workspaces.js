@@ -0,0 +1,563 @@
+/**
+ * =============================================================
+ * WORKSPACE ROUTES - Teams, Members and Invitations
+ * =============================================================
+ *
+ * All routes are protected by auth middleware (applied in app.js).
+ * Routes with a :workspaceId also run workspaceMiddleware, which
+ * checks membership and sets req.workspace (including req.workspace.role),
+ * and management routes are guarded by requireRole/requirePermission.
+ *
+ * ENDPOINTS:
+ *   GET    /api/workspaces                            - List my workspaces
+ *   POST   /api/workspaces                            - Create a team workspace
+ *   GET    /api/workspaces/invitations                - My pending invitations
+ *   POST   /api/workspaces/invitations/:id/accept     - Accept an invitation
+ *   DELETE /api/workspaces/invitations/:id            - Decline an invitation
+ *   GET    /api/workspaces/:workspaceId               - Workspace with members
+ *   PUT    /api/workspaces/:workspaceId               - Rename (owner/admin)
+ *   DELETE /api/workspaces/:workspaceId               - Delete (owner only)
+ *   GET    /api/workspaces/:workspaceId/invitations   - Pending invitations (owner/admin)
+ *   POST   /api/workspaces/:workspaceId/invitations   - Invite by email (owner/admin)
+ *   DELETE /api/workspaces/:workspaceId/invitations/:invitationId - Revoke
+ *   PATCH  /api/workspaces/:workspaceId/members/:userId           - Change role
+ *   DELETE /api/workspaces/:workspaceId/members/:userId           - Remove / leave
+ *
+ * KEY CONCEPTS:
+ *   - Many-to-many relationship through a join model (WorkspaceMember)
+ *   - Invitations are emailed, and matched to users by email address
+ *   - prisma.$transaction: accept = create membership + delete invitation
+ *   - Personal workspaces can't be shared, left or deleted
+ * =============================================================
+ */
+
+const express = require('express');
+const prisma = require('../prisma');
+const workspaceMiddleware = require('../middleware/workspace');
+const {
+  ROLES,
+  requireRole,
+  requirePermission,
+  forbidden,
+} = require('../middleware/permissions');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { sendMail } = require('../utils/mailer');
+
+const router = express.Router();
+
+// Where the invitation email sends people (the frontend)
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+// Roles that can be given through invitations and role changes.
+// There is exactly one owner per workspace, so 'owner' is not assignable.
+const ASSIGNABLE_ROLES = ROLES.filter((role) => role !== 'owner');
+
+/**
+ * Validate a role sent in a request body.
+ *
+ * @param {string} role - e.g. 'viewer'
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateRole(role) {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    return `Invalid role. Must be one of: ${ASSIGNABLE_ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// Fields of a member's User row that are safe to return
+const MEMBER_USER_FIELDS = {
+  id: true,
+  username: true,
+  email: true,
+  avatarUrl: true,
+};
+
+/**
+ * GET /api/workspaces
+ *
+ * List every workspace the user is a member of, with their role.
+ * The personal workspace is listed first.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const memberships = await prisma.workspaceMember.findMany({
+      where: { userId: req.user.id },
+      include: {
+        workspace: {
+          include: { _count: { select: { members: true } } },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const workspaces = memberships
+      .map(({ role, workspace: { _count, ...workspace } }) => ({
+        ...workspace,
+        role,
+        memberCount: _count.members,
+      }))
+      .sort((a, b) => Number(b.isPersonal) - Number(a.isPersonal));
+
+    res.json({
+      workspaces,
+      count: workspaces.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces
+ *
+ * Create a team workspace. The creator becomes its owner.
+ *
+ * Request body: { name }
+ * Response: { message, workspace }
+ */
+router.post('/', requireVerifiedEmail('workspaces'), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Workspace name is required.' });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({ error: 'Workspace name must be under 100 characters.' });
+    }
+
+    // Nested create: the workspace and the owner's membership in one query
+    const workspace = await prisma.workspace.create({
+      data: {
+        name: name.trim(),
+        members: {
+          create: { userId: req.user.id, role: 'owner' },
+        },
+      },
+    });
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      workspace: { ...workspace, role: 'owner', memberCount: 1 },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspaces/invitations
+ *
+ * List pending invitations addressed to the authenticated user's email.
+ *
+ * NOTE: This route must be registered before /:workspaceId,
+ * otherwise Express would treat "invitations" as a workspace ID.
+ */
+router.get('/invitations', async (req, res, next) => {
+  try {
+    const invitations = await prisma.workspaceInvitation.findMany({
+      where: { email: req.user.email.toLowerCase() },
+      include: {
+        workspace: { select: { id: true, name: true } },
+        invitedBy: { select: { id: true, username: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      invitations,
+      count: invitations.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Find an invitation addressed to the authenticated user.
+ * Returns null if the ID is invalid or the invite is for someone else.
+ */
+async function findOwnInvitation(req) {
+  const invitationId = parseInt(req.params.id, 10);
+  if (isNaN(invitationId)) {
+    return null;
+  }
+
+  return prisma.workspaceInvitation.findFirst({
+    where: { id: invitationId, email: req.user.email.toLowerCase() },
+  });
+}
+
+/**
+ * POST /api/workspaces/invitations/:id/accept
+ *
+ * Join the workspace with the role from the invitation.
+ * The membership is created and the invitation deleted in one
+ * transaction so an invitation can never be used twice.
+ */
+router.post('/invitations/:id/accept', requireVerifiedEmail('invitations'), async (req, res, next) => {
+  try {
+    const invitation = await findOwnInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found.' });
+    }
+
+    const [membership] = await prisma.$transaction([
+      prisma.workspaceMember.upsert({
+        where: {
+          workspaceId_userId: {
+            workspaceId: invitation.workspaceId,
+            userId: req.user.id,
+          },
+        },
+        update: {},
+        create: {
+          workspaceId: invitation.workspaceId,
+          userId: req.user.id,
+          role: invitation.role,
+        },
+        include: { workspace: true },
+      }),
+      prisma.workspaceInvitation.delete({ where: { id: invitation.id } }),
+    ]);
+
+    res.json({
+      message: 'Invitation accepted',
+      workspace: { ...membership.workspace, role: membership.role },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/invitations/:id
+ *
+ * Decline an invitation addressed to the authenticated user.
+ */
+router.delete('/invitations/:id', async (req, res, next) => {
+  try {
+    const invitation = await findOwnInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found.' });
+    }
+
+    await prisma.workspaceInvitation.delete({ where: { id: invitation.id } });
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId
+ *
+ * Get a workspace and its members. Any member can view this.
+ */
+router.get('/:workspaceId', workspaceMiddleware, async (req, res, next) => {
+  try {
+    const members = await prisma.workspaceMember.findMany({
+      where: { workspaceId: req.workspace.id },
+      include: { user: { select: MEMBER_USER_FIELDS } },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json({
+      workspace: {
+        ...req.workspace,
+        members: members.map((m) => ({ ...m.user, role: m.role, joinedAt: m.createdAt })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/workspaces/:workspaceId
+ *
+ * Rename a workspace. Requires the 'workspace:manage' permission.
+ *
+ * Request body: { name }
+ */
+router.put('/:workspaceId', workspaceMiddleware, requirePermission('workspace:manage'), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Workspace name is required.' });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({ error: 'Workspace name must be under 100 characters.' });
+    }
+
+    const workspace = await prisma.workspace.update({
+      where: { id: req.workspace.id },
+      data: { name: name.trim() },
+    });
+
+    res.json({
+      message: 'Workspace updated successfully',
+      workspace: { ...workspace, role: req.workspace.role },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId
+ *
+ * Delete a team workspace together with its tasks and projects
+ * (onDelete: Cascade). Only the owner can do this, and personal
+ * workspaces can't be deleted.
+ */
+router.delete('/:workspaceId', workspaceMiddleware, requireRole('owner'), async (req, res, next) => {
+  try {
+    if (req.workspace.isPersonal) {
+      return res.status(400).json({ error: 'Your personal workspace cannot be deleted.' });
+    }
+
+    await prisma.workspace.delete({ where: { id: req.workspace.id } });
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspaces/:workspaceId/invitations
+ *
+ * List pending invitations for a workspace.
+ * Requires the 'workspace:manage' permission (the invitees' emails
+ * are only for the people who manage the members).
+ */
+router.get('/:workspaceId/invitations', workspaceMiddleware, requirePermission('workspace:manage'), async (req, res, next) => {
+  try {
+    const invitations = await prisma.workspaceInvitation.findMany({
+      where: { workspaceId: req.workspace.id },
+      include: { invitedBy: { select: { id: true, username: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      invitations,
+      count: invitations.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces/:workspaceId/invitations
+ *
+ * Invite someone by email. They get an email with a link to the
+ * workspaces page, where they accept. They don't need an account
+ * yet - the invitation waits until a user with that email logs in.
+ * Requires the 'workspace:manage' permission; only the owner can
+ * invite someone as an admin.
+ *
+ * Request body: { email, role? }  (role defaults to "member")
+ */
+router.post('/:workspaceId/invitations', workspaceMiddleware, requirePermission('workspace:manage'), requireVerifiedEmail('invitations'), async (req, res, next) => {
+  try {
+    if (req.workspace.isPersonal) {
+      return res.status(400).json({ error: 'Personal workspaces cannot be shared.' });
+    }
+
+    const { email, role = 'member' } = req.body;
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!email || !emailRegex.test(email)) {
+      return res.status(400).json({ error: 'Please provide a valid email address.' });
+    }
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    if (role === 'admin' && req.workspace.role !== 'owner') {
+      return next(forbidden(req.workspace.role, ['owner']));
+    }
+
+    const normalizedEmail = email.toLowerCase();
+
+    // Don't invite people who are already members
+    const existingMember = await prisma.workspaceMember.findFirst({
+      where: { workspaceId: req.workspace.id, user: { email: normalizedEmail } },
+    });
+
+    if (existingMember) {
+      return res.status(409).json({ error: 'This user is already a member of the workspace.' });
+    }
+
+    // A second invite to the same email hits @@unique([workspaceId, email])
+    // and becomes a 409 in the error handler
+    const invitation = await prisma.workspaceInvitation.create({
+      data: {
+        email: normalizedEmail,
+        role,
+        workspaceId: req.workspace.id,
+        invitedById: req.user.id,
+      },
+    });
+
+    await sendMail({
+      to: normalizedEmail,
+      subject: `${req.user.username} invited you to ${req.workspace.name} on TaskFlow`,
+      text: [
+        'Hi,',
+        '',
+        `${req.user.username} invited you to join the workspace "${req.workspace.name}"`,
+        `on TaskFlow as a ${role}. To accept, open this link and log in (or sign up`,
+        'with this email address):',
+        '',
+        `${APP_URL}/workspaces`,
+        '',
+        "If you don't want to join, you can decline there or ignore this email.",
+      ].join('\n'),
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ *
+ * Revoke a pending invitation. Requires the 'workspace:manage' permission.
+ */
+router.delete('/:workspaceId/invitations/:invitationId', workspaceMiddleware, requirePermission('workspace:manage'), async (req, res, next) => {
+  try {
+    const invitationId = parseInt(req.params.invitationId, 10);
+    if (isNaN(invitationId)) {
+      return res.status(400).json({ error: 'Invalid invitation ID.' });
+    }
+
+    const { count } = await prisma.workspaceInvitation.deleteMany({
+      where: { id: invitationId, workspaceId: req.workspace.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invitation not found.' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Load the membership targeted by :userId in the active workspace.
+ * Returns null if the ID is invalid or the user isn't a member.
+ */
+async function findTargetMember(req) {
+  const userId = parseInt(req.params.userId, 10);
+  if (isNaN(userId)) {
+    return null;
+  }
+
+  return prisma.workspaceMember.findUnique({
+    where: { workspaceId_userId: { workspaceId: req.workspace.id, userId } },
+  });
+}
+
+/**
+ * PATCH /api/workspaces/:workspaceId/members/:userId
+ *
+ * Change a member's role. Requires the 'workspace:manage' permission.
+ *   - The owner's role can't be changed
+ *   - Only the owner can promote to, or demote from, admin
+ *
+ * Request body: { role }
+ */
+router.patch('/:workspaceId/members/:userId', workspaceMiddleware, requirePermission('workspace:manage'), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const roleError = validateRole(role);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    const target = await findTargetMember(req);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found.' });
+    }
+
+    if (target.role === 'owner') {
+      return res.status(400).json({ error: "The owner's role cannot be changed." });
+    }
+
+    if ((role === 'admin' || target.role === 'admin') && req.workspace.role !== 'owner') {
+      return next(forbidden(req.workspace.role, ['owner']));
+    }
+
+    const membership = await prisma.workspaceMember.update({
+      where: { id: target.id },
+      data: { role },
+      include: { user: { select: MEMBER_USER_FIELDS } },
+    });
+
+    res.json({
+      message: 'Role updated',
+      member: { ...membership.user, role: membership.role, joinedAt: membership.createdAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:workspaceId/members/:userId
+ *
+ * Remove a member from a workspace.
+ *   - Owners and admins can remove members and viewers
+ *   - Only the owner can remove an admin
+ *   - Anyone except the owner can remove themselves (leave the workspace)
+ * Tasks the member created stay in the workspace.
+ */
+router.delete('/:workspaceId/members/:userId', workspaceMiddleware, async (req, res, next) => {
+  try {
+    const target = await findTargetMember(req);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found.' });
+    }
+
+    const isSelf = target.userId === req.user.id;
+
+    if (target.role === 'owner') {
+      return res.status(400).json({ error: 'The owner cannot leave or be removed from their workspace.' });
+    }
+
+    if (!isSelf) {
+      const required = target.role === 'admin' ? ['owner'] : ['owner', 'admin'];
+      if (!required.includes(req.workspace.role)) {
+        return next(forbidden(req.workspace.role, required));
+      }
+    }
+
+    await prisma.workspaceMember.delete({ where: { id: target.id } });
+
+    res.json({ message: isSelf ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
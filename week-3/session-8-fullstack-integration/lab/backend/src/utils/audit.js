@@ -0,0 +1,44 @@
+/**
+ * =============================================================
+ * AUDIT LOG - Record Security Events
+ * =============================================================
+ *
+ * Writes a row to the AuditLog table. Used for events worth
+ * investigating later, such as an account being locked after
+ * too many failed logins.
+ *
+ * Auditing must never break the request that triggered it, so
+ * failures are logged to the console and otherwise ignored.
+ *
+ * USAGE:
+ *   await recordAudit({ action: 'account.locked', userId, ip, details });
+ * =============================================================
+ */
+
+const prisma = require('../prisma');
+
+/**
+ * Record an audit event.
+ *
+ * @param {object} event
+ * @param {string} event.action - Dotted event name, e.g. 'account.locked'
+ * @param {number} [event.userId] - Account the event is about
+ * @param {string} [event.ip] - Client IP address
+ * @param {object} [event.details] - Extra data (stored as JSON)
+ */
+async function recordAudit({ action, userId = null, ip = null, details = null }) {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        action,
+        userId,
+        ip,
+        details: details ? JSON.stringify(details) : null,
+      },
+    });
+  } catch (error) {
+    console.error('Failed to write audit log:', error.message);
+  }
+}
+
+module.exports = { recordAudit };
@@ -0,0 +1,175 @@
+/**
+ * =============================================================
+ * TASK DEPENDENCIES - "B is Blocked by A"
+ * =============================================================
+ *
+ * A TaskDependency row says blockedTask has to wait for blockerTask.
+ * Following those rows from a task ("what does it wait for, and what
+ * do THOSE wait for?") gives its blocking chain:
+ *
+ *   Deploy  --blocked by-->  Review  --blocked by-->  Write code
+ *
+ * CYCLES:
+ *   "A waits for B" + "B waits for A" means neither can ever be done.
+ *   Before adding "task waits for blocker", we walk the chain from
+ *   the blocker: if it reaches the task, the new link would close a
+ *   loop, and it's refused (400 DEPENDENCY_CYCLE, with the loop in
+ *   details.path). Because every link is checked this way, the graph
+ *   never has a cycle, and walking it always ends.
+ *
+ * The walk is a breadth-first search: one query per level of the
+ * chain, not one per task.
+ * =============================================================
+ */
+
+const prisma = require('../prisma');
+
+// A chain longer than this is cut off (it's shown to people, and
+// no real project needs more)
+const MAX_CHAIN_TASKS = 200;
+
+/**
+ * Load the "blocked by" links of several tasks.
+ *
+ * @param {number[]} taskIds
+ * @param {object} db - Prisma client or transaction
+ * @returns {Promise<Array<{ blockedTaskId: number, blockerTaskId: number }>>}
+ */
+function loadBlockerLinks(taskIds, db) {
+  return db.taskDependency.findMany({
+    where: { blockedTaskId: { in: taskIds } },
+    select: { blockedTaskId: true, blockerTaskId: true },
+  });
+}
+
+/**
+ * Find a path of "blocked by" links from one task to another.
+ *
+ * @param {number} fromId - Start here
+ * @param {number} toId - Looking for this task
+ * @param {object} [db] - Prisma client or transaction
+ * @returns {Promise<number[]|null>} - Task IDs from fromId to toId, or null
+ */
+async function findDependencyPath(fromId, toId, db = prisma) {
+  // Where we reached each task from (to rebuild the path)
+  const cameFrom = new Map([[fromId, null]]);
+  let frontier = [fromId];
+
+  while (frontier.length > 0 && !cameFrom.has(toId)) {
+    const links = await loadBlockerLinks(frontier, db);
+    frontier = [];
+
+    for (const { blockedTaskId, blockerTaskId } of links) {
+      if (!cameFrom.has(blockerTaskId)) {
+        cameFrom.set(blockerTaskId, blockedTaskId);
+        frontier.push(blockerTaskId);
+      }
+    }
+  }
+
+  if (!cameFrom.has(toId)) return null;
+
+  const path = [];
+  for (let id = toId; id !== null; id = cameFrom.get(id)) {
+    path.unshift(id);
+  }
+  return path;
+}
+
+/**
+ * Build the 400 error for a link that would create a cycle.
+ *
+ * @param {number[]} path - The loop, e.g. [3, 7, 3]
+ * @returns {Error}
+ */
+function dependencyCycleError(path) {
+  const error = new Error(
+    `That would create a cycle: ${path.map((id) => `#${id}`).join(' is blocked by ')}.`
+  );
+  error.statusCode = 400;
+  error.code = 'DEPENDENCY_CYCLE';
+  error.details = { path };
+  return error;
+}
+
+/**
+ * Load every task a task is (directly or indirectly) blocked by.
+ *
+ * @param {number} taskId
+ * @param {object} [db] - Prisma client or transaction
+ * @returns {Promise<Array<object>>} - { id, title, status, depth, blocks },
+ *   nearest first. depth 1 = a direct blocker; blocks = the ID of the
+ *   task in the chain it holds up.
+ */
+async function loadBlockerChain(taskId, db = prisma) {
+  const seen = new Set([taskId]);
+  const chain = [];
+  let frontier = [taskId];
+
+  for (let depth = 1; frontier.length > 0 && chain.length < MAX_CHAIN_TASKS; depth += 1) {
+    const links = await loadBlockerLinks(frontier, db);
+    const blocks = new Map();
+
+    for (const { blockedTaskId, blockerTaskId } of links) {
+      if (!seen.has(blockerTaskId)) {
+        seen.add(blockerTaskId);
+        blocks.set(blockerTaskId, blockedTaskId);
+      }
+    }
+
+    const tasks = await db.task.findMany({
+      where: { id: { in: [...blocks.keys()] } },
+      select: { id: true, title: true, status: true },
+      orderBy: { id: 'asc' },
+    });
+
+    for (const task of tasks) {
+      chain.push({ ...task, depth, blocks: blocks.get(task.id) });
+    }
+    frontier = tasks.map((task) => task.id);
+  }
+
+  return chain.slice(0, MAX_CHAIN_TASKS);
+}
+
+/**
+ * The direct blockers of a task that aren't completed yet.
+ *
+ * @param {number} taskId
+ * @param {object} [db] - Prisma client or transaction
+ * @returns {Promise<Array<{ id: number, title: string, status: string }>>}
+ */
+async function findOpenBlockers(taskId, db = prisma) {
+  const links = await db.taskDependency.findMany({
+    where: {
+      blockedTaskId: taskId,
+      blockerTask: { status: { not: 'completed' } },
+    },
+    select: { blockerTask: { select: { id: true, title: true, status: true } } },
+  });
+  return links.map((link) => link.blockerTask);
+}
+
+/**
+ * Build the 409 error for completing a task that is still blocked.
+ *
+ * @param {Array<object>} blockers - From findOpenBlockers()
+ * @returns {Error}
+ */
+function taskBlockedError(blockers) {
+  const error = new Error(
+    `This task is blocked by ${blockers.length} unfinished task(s).`
+  );
+  error.statusCode = 409;
+  error.code = 'TASK_BLOCKED';
+  error.details = { blockers };
+  return error;
+}
+
+module.exports = {
+  findDependencyPath,
+  dependencyCycleError,
+  loadBlockerChain,
+  findOpenBlockers,
+  taskBlockedError,
+};
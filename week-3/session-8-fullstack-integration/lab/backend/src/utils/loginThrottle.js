@@ -0,0 +1,216 @@
+/**
+ * =============================================================
+ * LOGIN THROTTLE - Failed-Attempt Tracking and Lockouts
+ * =============================================================
+ *
+ * Without limits, an attacker can guess passwords forever.
+ * We count failed logins per ACCOUNT (email) and per IP address:
+ *
+ *   Per account - After ACCOUNT_LOCK_THRESHOLD failures the account is
+ *                 locked -> 423 Locked, code ACCOUNT_LOCKED.
+ *                 Protects one user from a targeted guessing attack.
+ *   Per IP      - After IP_BLOCK_THRESHOLD failures the IP is blocked
+ *                 -> 429 Too Many Requests, code TOO_MANY_ATTEMPTS.
+ *                 Stops one client trying a few passwords on MANY accounts.
+ *
+ * EXPONENTIAL BACKOFF:
+ *   Each failure past the threshold doubles the wait:
+ *     1st lock: 1 min, then 2, 4, 8 ... up to LOCK_MAX_MINUTES.
+ *   A successful login clears the account's counter.
+ *   Counters are forgotten after RESET_AFTER_MINUTES without failures.
+ *
+ * STORAGE:
+ *   Counters live in memory by default, which is fine for a single
+ *   server. With several servers they must be shared - write a store
+ *   with the same three async methods (get, set, delete) on top of
+ *   Redis or the database and call setStore() at startup.
+ *
+ * Both kinds of lock are written to the audit log when they trigger.
+ * =============================================================
+ */
+
+const { recordAudit } = require('./audit');
+
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD, 10) || 5;
+const IP_BLOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_BLOCK_THRESHOLD, 10) || 20;
+const LOCK_BASE_MINUTES = 1;
+const LOCK_MAX_MINUTES = 60;
+const RESET_AFTER_MINUTES = 60;
+
+/**
+ * Create the default in-process store.
+ *
+ * Records expire on their own so the Map doesn't grow forever.
+ *
+ * @returns {object} - Store with async get(key), set(key, value, ttlMs), delete(key)
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      const entry = records.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        records.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      records.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      records.delete(key);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replace the store (e.g. a shared Redis store, or a fresh one in tests).
+ *
+ * @param {object} newStore - Object with async get, set and delete methods
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Build a 429/423 error for errorHandler.
+ */
+function throttledError(statusCode, code, message, lockedUntil) {
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.retryAfter = retryAfter;
+  error.details = { retryAfter };
+  return error;
+}
+
+/**
+ * How long to lock for, given the number of failures so far.
+ */
+function lockDurationMs(failures, threshold) {
+  const minutes = Math.min(
+    LOCK_BASE_MINUTES * 2 ** (failures - threshold),
+    LOCK_MAX_MINUTES
+  );
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Throw if this account or IP is currently locked out.
+ * Call BEFORE checking the password, so a locked account can't be
+ * used to test guesses at all.
+ *
+ * @param {string} email - Lowercased email from the login form
+ * @param {string} ip - req.ip
+ * @throws 423 ACCOUNT_LOCKED or 429 TOO_MANY_ATTEMPTS
+ */
+async function assertLoginAllowed(email, ip) {
+  const now = Date.now();
+
+  const ipRecord = await store.get(`ip:${ip}`);
+  if (ipRecord?.lockedUntil > now) {
+    throw throttledError(
+      429,
+      'TOO_MANY_ATTEMPTS',
+      'Too many failed login attempts. Please try again later.',
+      ipRecord.lockedUntil
+    );
+  }
+
+  const accountRecord = await store.get(`account:${email}`);
+  if (accountRecord?.lockedUntil > now) {
+    throw throttledError(
+      423,
+      'ACCOUNT_LOCKED',
+      'This account is temporarily locked after too many failed login attempts.',
+      accountRecord.lockedUntil
+    );
+  }
+}
+
+/**
+ * Count one failed attempt against a key, locking it once the
+ * threshold is reached.
+ *
+ * @returns {Promise<object|null>} - The new record if this failure caused a lock
+ */
+async function addFailure(key, threshold) {
+  const record = (await store.get(key)) || { failures: 0, lockedUntil: 0 };
+  record.failures += 1;
+
+  let lockedNow = false;
+  if (record.failures >= threshold) {
+    record.lockedUntil = Date.now() + lockDurationMs(record.failures, threshold);
+    lockedNow = true;
+  }
+
+  // Keep the record for the reset window, or until the lock ends if longer
+  const ttl = Math.max(RESET_AFTER_MINUTES * 60 * 1000, record.lockedUntil - Date.now());
+  await store.set(key, record, ttl);
+
+  return lockedNow ? record : null;
+}
+
+/**
+ * Record a failed login (wrong password or wrong 2FA code).
+ *
+ * @param {string} email - Lowercased email
+ * @param {string} ip - req.ip
+ * @param {number|null} userId - Account id if the email exists (for the audit log)
+ */
+async function recordLoginFailure(email, ip, userId = null) {
+  const accountLock = await addFailure(`account:${email}`, ACCOUNT_LOCK_THRESHOLD);
+  if (accountLock) {
+    await recordAudit({
+      action: 'account.locked',
+      userId,
+      ip,
+      details: {
+        email,
+        failures: accountLock.failures,
+        lockedUntil: new Date(accountLock.lockedUntil).toISOString(),
+      },
+    });
+  }
+
+  const ipLock = await addFailure(`ip:${ip}`, IP_BLOCK_THRESHOLD);
+  if (ipLock) {
+    await recordAudit({
+      action: 'ip.blocked',
+      ip,
+      details: {
+        failures: ipLock.failures,
+        lockedUntil: new Date(ipLock.lockedUntil).toISOString(),
+      },
+    });
+  }
+}
+
+/**
+ * Record a successful login: the account's counter starts over.
+ * (The IP counter is kept - one right guess shouldn't wipe out
+ * a hundred wrong ones from the same address.)
+ *
+ * @param {string} email - Lowercased email
+ */
+async function recordLoginSuccess(email) {
+  await store.delete(`account:${email}`);
+}
+
+module.exports = {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  createMemoryStore,
+  setStore,
+};
@@ -0,0 +1,106 @@
+/**
+ * =============================================================
+ * MAILER - Pluggable Email Sending
+ * =============================================================
+ *
+ * Routes call sendMail() and don't care HOW the email is delivered.
+ * The delivery method is a "transport" - any object with a
+ * send(message) method that returns a Promise.
+ *
+ * BUILT-IN TRANSPORTS (chosen with MAIL_TRANSPORT in .env):
+ *   console - Print the email to the terminal (default)
+ *   file    - Write each email to a .txt file in MAIL_DIR,
+ *             so you can open the reset link without a mail server
+ *
+ * Both work offline. To send real email, write a transport that
+ * calls your provider (SMTP, SendGrid, SES...) and register it
+ * at startup:
+ *   setTransport({ send: async (message) => provider.send(message) });
+ *
+ * MESSAGE SHAPE:
+ *   { to, subject, text }
+ * =============================================================
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TaskFlow <no-reply@taskflow.local>';
+
+/**
+ * Format a message as a plain-text email (headers + body).
+ */
+function formatMessage(message) {
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    message.text,
+  ].join('\n');
+}
+
+// Transport: print emails to the terminal
+const consoleTransport = {
+  async send(message) {
+    console.log(`\n----- EMAIL -----\n${formatMessage(message)}\n-----------------\n`);
+  },
+};
+
+/**
+ * Create a transport that writes each email to its own file.
+ *
+ * @param {string} dir - Directory to write to (created if missing)
+ * @returns {object} - Transport
+ */
+function createFileTransport(dir) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      // e.g. 1735689600000-alice_example.com.txt
+      const safeTo = message.to.replace(/[^a-z0-9.-]/gi, '_');
+      const file = path.join(dir, `${Date.now()}-${safeTo}.txt`);
+      await fs.writeFile(file, formatMessage(message));
+    },
+  };
+}
+
+/**
+ * Pick the transport configured in .env.
+ */
+function createDefaultTransport() {
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    return createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '../../mail'));
+  }
+  return consoleTransport;
+}
+
+let transport = createDefaultTransport();
+
+/**
+ * Replace the transport (e.g. a real provider, or a fake in tests).
+ *
+ * @param {object} newTransport - Object with an async send(message) method
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Send an email through the current transport.
+ *
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  consoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,124 @@
+/**
+ * =============================================================
+ * MENTIONS - "@username" in Descriptions and Comments
+ * =============================================================
+ *
+ * Writing @alice in a task's description or in a comment mentions
+ * alice: a Mention row is stored and she gets a notification.
+ *
+ * WHO CAN BE MENTIONED:
+ *   Only members of the task's workspace (the others couldn't open
+ *   the task anyway), and not the author themselves. Unknown names
+ *   are just text.
+ *
+ * KEEPING MENTIONS IN SYNC:
+ *   After the text is saved, syncMentions() compares the names in
+ *   it with the Mention rows for that text: names that were removed
+ *   lose their row, new names get one - and only THEY are notified,
+ *   so fixing a typo in a comment doesn't notify everyone again.
+ *
+ * The pattern: "@" at the start or after a space/punctuation (so
+ * "bob@example.com" isn't a mention), then letters, digits, "_",
+ * "." or "-". A "." or "-" at the end belongs to the sentence
+ * ("thanks @bob.") unless a user really has that name.
+ * =============================================================
+ */
+
+const prisma = require('../prisma');
+const { notify } = require('./notifications');
+
+const MENTION_PATTERN = /(?:^|[^\w@.-])@([\w.-]+)/g;
+
+/**
+ * Find the usernames a text might mention.
+ *
+ * @param {string|null} text
+ * @returns {string[]} - Candidates, e.g. "bob." also gives "bob"
+ */
+function extractMentions(text) {
+  const names = new Set();
+
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[1]);
+    const trimmed = match[1].replace(/[.-]+$/, '');
+    if (trimmed) names.add(trimmed);
+  }
+
+  return [...names];
+}
+
+/**
+ * Bring the Mention rows for a description or comment up to date
+ * with its text, and notify the users mentioned for the first time.
+ *
+ * Call it after the text has been saved. Failures are logged and
+ * ignored - the text itself is already saved.
+ *
+ * @param {object} source
+ * @param {string|null} source.text - The saved description or comment body
+ * @param {object} source.task - { id, title, workspaceId }
+ * @param {number|null} [source.commentId] - null for the description
+ * @param {object} source.author - { id, username } - who wrote the text
+ * @returns {Promise<Array<{ id: number, username: string }>>} - Newly mentioned users
+ */
+async function syncMentions({ text, task, commentId = null, author }) {
+  try {
+    const names = extractMentions(text);
+
+    const users = names.length === 0 ? [] : await prisma.user.findMany({
+      where: {
+        username: { in: names },
+        id: { not: author.id },
+        memberships: { some: { workspaceId: task.workspaceId } },
+      },
+      select: { id: true, username: true },
+    });
+
+    const existing = await prisma.mention.findMany({
+      where: { taskId: task.id, commentId },
+      select: { id: true, mentionedUserId: true },
+    });
+
+    const mentionedIds = new Set(users.map((user) => user.id));
+    const existingIds = new Set(existing.map((mention) => mention.mentionedUserId));
+
+    const removed = existing.filter((mention) => !mentionedIds.has(mention.mentionedUserId));
+    const added = users.filter((user) => !existingIds.has(user.id));
+
+    if (removed.length > 0) {
+      await prisma.mention.deleteMany({
+        where: { id: { in: removed.map((mention) => mention.id) } },
+      });
+    }
+
+    if (added.length > 0) {
+      await prisma.mention.createMany({
+        data: added.map((user) => ({
+          mentionedUserId: user.id,
+          authorId: author.id,
+          taskId: task.id,
+          commentId,
+        })),
+      });
+
+      const where = commentId ? `a comment on "${task.title}"` : `"${task.title}"`;
+      await notify(
+        added.map((user) => ({
+          type: 'mention',
+          userId: user.id,
+          actorId: author.id,
+          taskId: task.id,
+          commentId,
+          message: `${author.username} mentioned you in ${where}`,
+        }))
+      );
+    }
+
+    return added;
+  } catch (error) {
+    console.error('Failed to update mentions:', error.message);
+    return [];
+  }
+}
+
+module.exports = { extractMentions, syncMentions };
@@ -0,0 +1,174 @@
+/**
+ * =============================================================
+ * NOTIFICATIONS - Tell Users Something Happened
+ * =============================================================
+ *
+ * Writes Notification rows, shown in the app until the user reads
+ * them. Each one has a type, a ready-to-show message, the user who
+ * caused it (actorId) and what it's about (taskId, commentId).
+ *
+ * TYPES:
+ *   mention        - Someone @mentioned you (see utils/mentions.js)
+ *   assigned       - Someone assigned a task to you
+ *   status_changed - Someone changed the status of a task you
+ *                    created or are assigned to
+ *   due_soon       - A task of yours is due today or tomorrow
+ *
+ * Nobody is notified about their own actions. Like the audit log,
+ * notifying must never break the request that triggered it, so
+ * failures are logged to the console and otherwise ignored.
+ *
+ * DUE-SOON REMINDERS:
+ *   There's no scheduler - generateDueSoonNotifications() runs when
+ *   the user loads their notifications, and creates the reminders
+ *   that are missing. Each task is reminded about once per due date
+ *   (a unique key on Notification makes sure of it).
+ *
+ * USAGE:
+ *   await notify([{ type: 'mention', userId, actorId, taskId, message }]);
+ *   await notify(taskChangeNotifications(before, task, req.user));
+ * =============================================================
+ */
+
+const prisma = require('../prisma');
+
+// Status value -> how it reads in a message
+const STATUS_LABELS = {
+  pending: 'pending',
+  in_progress: 'in progress',
+  completed: 'completed',
+};
+
+// Tasks due within this many days (0 = today) get a reminder
+const DUE_SOON_DAYS = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create notifications.
+ *
+ * @param {Array<object>} notifications - { type, userId, message, actorId?, taskId?, commentId? }
+ * @returns {Promise<number>} - How many were created
+ */
+async function notify(notifications) {
+  const rows = notifications.filter((n) => n.userId !== n.actorId);
+  if (rows.length === 0) return 0;
+
+  try {
+    const { count } = await prisma.notification.createMany({ data: rows });
+    return count;
+  } catch (error) {
+    console.error('Failed to create notifications:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Work out who to tell about a task that was created or changed.
+ *
+ *   - The new assignee gets "assigned" (unless nothing changed)
+ *   - If the status changed, the creator and the assignee get
+ *     "status_changed"
+ *
+ * Pass the result to notify(), which drops the actor's own.
+ *
+ * @param {object|null} before - The task before the change (null if just created)
+ * @param {object} after - The saved task { id, title, status, userId, assigneeId }
+ * @param {object} actor - { id, username } - who made the change
+ * @returns {Array<object>} - Notifications for notify()
+ */
+function taskChangeNotifications(before, after, actor) {
+  const notifications = [];
+
+  if (after.assigneeId && after.assigneeId !== before?.assigneeId) {
+    notifications.push({
+      type: 'assigned',
+      userId: after.assigneeId,
+      actorId: actor.id,
+      taskId: after.id,
+      message: `${actor.username} assigned you "${after.title}"`,
+    });
+  }
+
+  if (before && before.status !== after.status) {
+    const recipients = new Set([after.userId, after.assigneeId].filter(Boolean));
+    for (const userId of recipients) {
+      notifications.push({
+        type: 'status_changed',
+        userId,
+        actorId: actor.id,
+        taskId: after.id,
+        message: `${actor.username} marked "${after.title}" as ${STATUS_LABELS[after.status] || after.status}`,
+      });
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * Create the missing "due soon" reminders for a user.
+ *
+ * A task is theirs if it's assigned to them, or unassigned and
+ * created by them - in a workspace they're still a member of.
+ * Completed tasks are skipped. A reminder is for one due date, so
+ * moving the due date brings a new one.
+ *
+ * @param {number} userId
+ * @returns {Promise<number>} - How many were created
+ */
+async function generateDueSoonNotifications(userId) {
+  try {
+    // Days are UTC days, like the stored due dates
+    const now = new Date();
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    const tasks = await prisma.task.findMany({
+      where: {
+        status: { not: 'completed' },
+        dueDate: { gte: new Date(today), lt: new Date(today + (DUE_SOON_DAYS + 1) * DAY_MS) },
+        OR: [{ assigneeId: userId }, { assigneeId: null, userId }],
+        workspace: { members: { some: { userId } } },
+      },
+      select: { id: true, title: true, dueDate: true },
+    });
+    if (tasks.length === 0) return 0;
+
+    const sent = await prisma.notification.findMany({
+      where: { userId, type: 'due_soon', taskId: { in: tasks.map((task) => task.id) } },
+      select: { taskId: true, dueDate: true },
+    });
+
+    const isSent = (task) =>
+      sent.some((n) => n.taskId === task.id && n.dueDate?.getTime() === task.dueDate.getTime());
+    const missing = tasks.filter((task) => !isSent(task));
+
+    // One at a time: another request (a second tab) may be creating
+    // the same reminder right now, and then the unique key refuses
+    // ours with P2002 - which is fine. (createMany can't skip those
+    // on SQLite: it has no skipDuplicates there.)
+    let created = 0;
+    for (const task of missing) {
+      try {
+        await prisma.notification.create({
+          data: {
+            type: 'due_soon',
+            userId,
+            taskId: task.id,
+            dueDate: task.dueDate,
+            message: `"${task.title}" is due ${task.dueDate.getTime() === today ? 'today' : 'tomorrow'}`,
+          },
+        });
+        created += 1;
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+      }
+    }
+    return created;
+  } catch (error) {
+    console.error('Failed to create due-soon notifications:', error.message);
+    return 0;
+  }
+}
+
+module.exports = { notify, taskChangeNotifications, generateDueSoonNotifications };
@@ -0,0 +1,293 @@
+/**
+ * =============================================================
+ * OAUTH - OpenID Connect Provider Registry and Client
+ * =============================================================
+ *
+ * "Sign in with <provider>" uses the OAuth 2.0 authorization-code
+ * flow with PKCE, plus OpenID Connect to learn WHO logged in:
+ *
+ *   1. We send the browser to the provider's authorization endpoint
+ *      with a random state, a nonce and a PKCE code challenge
+ *   2. The user logs in there; the provider redirects back to our
+ *      callback with ?code=...&state=...
+ *   3. We trade the code (+ the PKCE code verifier) for tokens at the
+ *      provider's token endpoint - server to server, never via the browser
+ *   4. The ID token tells us the user's stable id ("sub") and email
+ *
+ * PKCE (Proof Key for Code Exchange):
+ *   code_verifier  = random secret we keep
+ *   code_challenge = base64url(SHA-256(code_verifier)), sent in step 1
+ *   Someone who steals the code in step 2 can't use it without the
+ *   verifier, which only we have.
+ *
+ * PROVIDERS:
+ *   Any OpenID Connect provider works - endpoints are read from its
+ *   discovery document (<issuer>/.well-known/openid-configuration).
+ *   Providers are configured in .env:
+ *
+ *     OAUTH_PROVIDERS="google,mock"
+ *     OAUTH_GOOGLE_ISSUER="https://accounts.google.com"
+ *     OAUTH_GOOGLE_CLIENT_ID="..."
+ *     OAUTH_GOOGLE_CLIENT_SECRET="..."
+ *     OAUTH_GOOGLE_NAME="Google"          (button label, optional)
+ *
+ *   or registered in code with registerProvider().
+ *   For local development run the mock issuer: npm run mock-oidc
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_SCOPE = 'openid email profile';
+
+// Provider id -> config
+const providers = new Map();
+
+// Issuer URL -> discovery document (they rarely change)
+const discoveryCache = new Map();
+
+/**
+ * Build an error the routes can show to the user.
+ *
+ * @param {string} message
+ * @param {string} code - e.g. 'OAUTH_PROVIDER_ERROR'
+ * @returns {Error}
+ */
+function oauthError(message, code) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Add (or replace) a provider in the registry.
+ *
+ * @param {object} config
+ * @param {string} config.id - URL-safe id, e.g. 'google'
+ * @param {string} [config.name] - Button label, e.g. 'Google'
+ * @param {string} config.issuer - Issuer URL (discovery is read from here)
+ * @param {string} config.clientId
+ * @param {string} config.clientSecret
+ * @param {string} [config.scope] - Defaults to 'openid email profile'
+ */
+function registerProvider({ id, name, issuer, clientId, clientSecret, scope }) {
+  if (!/^[a-z0-9-]+$/.test(id || '')) {
+    throw new Error(`Invalid OAuth provider id: "${id}"`);
+  }
+  if (!issuer || !clientId || !clientSecret) {
+    throw new Error(`OAuth provider "${id}" needs an issuer, client id and client secret`);
+  }
+
+  providers.set(id, {
+    id,
+    name: name || id,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret,
+    scope: scope || DEFAULT_SCOPE,
+  });
+}
+
+/**
+ * Register the providers listed in OAUTH_PROVIDERS.
+ * A provider with missing settings is skipped with a warning,
+ * so one typo doesn't stop the server from starting.
+ */
+function loadProvidersFromEnv() {
+  const ids = (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const id of ids) {
+    const prefix = `OAUTH_${id.toUpperCase().replace(/-/g, '_')}_`;
+    try {
+      registerProvider({
+        id,
+        name: process.env[`${prefix}NAME`],
+        issuer: process.env[`${prefix}ISSUER`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scope: process.env[`${prefix}SCOPE`],
+      });
+    } catch (error) {
+      console.warn(`Skipping OAuth provider: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null} - Provider config, or null if not registered
+ */
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Providers for the login page (no secrets!).
+ *
+ * @returns {Array<{ id: string, name: string }>}
+ */
+function listProviders() {
+  return [...providers.values()].map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Fetch a provider's discovery document.
+ *
+ * @param {object} provider
+ * @returns {Promise<object>} - { issuer, authorization_endpoint, token_endpoint, ... }
+ */
+async function discover(provider) {
+  if (discoveryCache.has(provider.issuer)) {
+    return discoveryCache.get(provider.issuer);
+  }
+
+  let response;
+  try {
+    response = await fetch(`${provider.issuer}/.well-known/openid-configuration`);
+  } catch {
+    throw oauthError(`${provider.name} is not reachable right now.`, 'OAUTH_PROVIDER_ERROR');
+  }
+  if (!response.ok) {
+    throw oauthError(`${provider.name} is not reachable right now.`, 'OAUTH_PROVIDER_ERROR');
+  }
+
+  const metadata = await response.json();
+  discoveryCache.set(provider.issuer, metadata);
+  return metadata;
+}
+
+/**
+ * Random URL-safe string (for state, nonce and the PKCE verifier).
+ *
+ * @returns {string}
+ */
+function randomString() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Create a PKCE verifier and its S256 challenge.
+ *
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+function createPkcePair() {
+  const codeVerifier = randomString();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Build the URL that sends the browser to the provider (step 1).
+ *
+ * @param {object} provider
+ * @param {object} params - { redirectUri, state, nonce, codeChallenge }
+ * @returns {Promise<string>}
+ */
+async function buildAuthorizationUrl(provider, { redirectUri, state, nonce, codeChallenge }) {
+  const metadata = await discover(provider);
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+}
+
+/**
+ * Trade an authorization code for the user's identity (steps 3 and 4).
+ *
+ * The ID token comes straight from the provider's token endpoint over
+ * HTTPS, so (as the OpenID Connect spec allows) we trust the connection
+ * instead of checking its signature - but we still check that it was
+ * issued by this provider, for our client, for THIS login (nonce),
+ * and hasn't expired.
+ *
+ * @param {object} provider
+ * @param {object} params - { code, codeVerifier, redirectUri, nonce }
+ * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, name: string|null }>}
+ */
+async function exchangeCode(provider, { code, codeVerifier, redirectUri, nonce }) {
+  const metadata = await discover(provider);
+
+  const response = await fetch(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  }).catch(() => null);
+
+  if (!response || !response.ok) {
+    throw oauthError(`${provider.name} rejected the login. Please try again.`, 'OAUTH_PROVIDER_ERROR');
+  }
+
+  const tokens = await response.json();
+  const claims = tokens.id_token && jwt.decode(tokens.id_token);
+
+  const audience = [].concat(claims?.aud);
+  const isValid =
+    claims &&
+    claims.sub &&
+    claims.iss === metadata.issuer &&
+    audience.includes(provider.clientId) &&
+    claims.nonce === nonce &&
+    claims.exp * 1000 > Date.now();
+
+  if (!isValid) {
+    throw oauthError(`${provider.name} sent an invalid ID token.`, 'OAUTH_INVALID_ID_TOKEN');
+  }
+
+  let profile = claims;
+
+  // Some providers keep the email out of the ID token - ask the
+  // userinfo endpoint instead
+  if (!profile.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetch(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    }).catch(() => null);
+
+    if (userinfo?.ok) {
+      const data = await userinfo.json();
+      // Only trust userinfo about the same person
+      if (data.sub === claims.sub) profile = { ...claims, ...data };
+    }
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: profile.email ? profile.email.toLowerCase() : null,
+    // Some providers send "true" as a string
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.preferred_username || profile.name || null,
+  };
+}
+
+loadProvidersFromEnv();
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  randomString,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+};
@@ -0,0 +1,167 @@
+/**
+ * =============================================================
+ * PAGINATION - Opaque Cursors for Sorted Lists
+ * =============================================================
+ *
+ * Lists are returned one page at a time:
+ *
+ *   GET /api/tasks?limit=50                    -> { tasks, nextCursor }
+ *   GET /api/tasks?limit=50&cursor=<nextCursor> -> the next 50
+ *
+ * WHY CURSORS INSTEAD OF PAGE NUMBERS (skip/offset)?
+ *   With ?page=3, a task created while you scroll shifts every row
+ *   down by one - you'd see a task twice (or miss one when a task is
+ *   deleted). A cursor remembers the LAST ROW you saw, and the next
+ *   page starts right after it, no matter what changed before it.
+ *
+ * HOW IT WORKS ("keyset pagination"):
+ *   The list is sorted by the chosen field, then by id - the id
+ *   breaks ties, so the order is always the same (many tasks share
+ *   a status or a createdAt second). For "sort=title&order=asc" the
+ *   next page is:
+ *
+ *     WHERE title > lastTitle
+ *        OR (title = lastTitle AND id > lastId)
+ *
+ *   The cursor is that (sort field, order, value, id) encoded as
+ *   base64url JSON. Clients must treat it as opaque - just send it back.
+ * =============================================================
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Fields whose values have to be turned back into Dates
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Read the ?limit query parameter.
+ *
+ * @param {*} value - Raw query value
+ * @returns {number} - Between 1 and MAX_LIMIT (DEFAULT_LIMIT if missing/invalid)
+ */
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 1) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Create the cursor pointing just after a row.
+ *
+ * @param {object} row - The last row of the page
+ * @param {string} sortField
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {string}
+ */
+function encodeCursor(row, sortField, sortOrder) {
+  const value = row[sortField] instanceof Date ? row[sortField].toISOString() : row[sortField];
+
+  return Buffer.from(
+    JSON.stringify({ f: sortField, o: sortOrder, v: value, id: row.id })
+  ).toString('base64url');
+}
+
+/**
+ * Decode a cursor sent by the client.
+ *
+ * A cursor only makes sense for the sort it was created with, so one
+ * from a different sort is rejected like a malformed one.
+ *
+ * The value is checked too: it goes straight into a Prisma where,
+ * and an object there ({ "gt": null }) would be read as an operator.
+ * Every sort field is text or a date (an ISO string in the cursor)
+ * and always has a value, so it must be a string.
+ *
+ * @param {string} cursor
+ * @param {string} sortField
+ * @param {string} sortOrder
+ * @returns {{ value: *, id: number }|null} - null if invalid
+ */
+function decodeCursor(cursor, sortField, sortOrder) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (data?.f !== sortField || data.o !== sortOrder) {
+      return null;
+    }
+
+    if (!Number.isInteger(data.id) || data.id < 1 || typeof data.v !== 'string') {
+      return null;
+    }
+
+    let value = data.v;
+    if (DATE_FIELDS.includes(sortField)) {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    }
+
+    return { value, id: data.id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Prisma WHERE condition for "rows after the cursor".
+ *
+ * @param {{ value: *, id: number }} cursor - From decodeCursor()
+ * @param {string} sortField
+ * @param {string} sortOrder
+ * @returns {object}
+ */
+function cursorWhere(cursor, sortField, sortOrder) {
+  const op = sortOrder === 'asc' ? 'gt' : 'lt';
+
+  return {
+    OR: [
+      { [sortField]: { [op]: cursor.value } },
+      { [sortField]: cursor.value, id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+/**
+ * Prisma orderBy for a paginated list (sort field, then id).
+ *
+ * @param {string} sortField
+ * @param {string} sortOrder
+ * @returns {Array<object>}
+ */
+function paginatedOrderBy(sortField, sortOrder) {
+  return [{ [sortField]: sortOrder }, { id: sortOrder }];
+}
+
+/**
+ * Split the rows of a "limit + 1" query into the page and the
+ * next cursor. Fetching one extra row tells us whether there IS a
+ * next page without a separate COUNT query.
+ *
+ * @param {Array<object>} rows - Result of findMany({ take: limit + 1 })
+ * @param {number} limit
+ * @param {string} sortField
+ * @param {string} sortOrder
+ * @returns {{ items: Array<object>, nextCursor: string|null }}
+ */
+function buildPage(rows, limit, sortField, sortOrder) {
+  if (rows.length <= limit) {
+    return { items: rows, nextCursor: null };
+  }
+
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor: encodeCursor(items[items.length - 1], sortField, sortOrder),
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  cursorWhere,
+  paginatedOrderBy,
+  buildPage,
+};
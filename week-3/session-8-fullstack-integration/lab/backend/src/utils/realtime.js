@@ -0,0 +1,261 @@
+/**
+ * =============================================================
+ * REAL-TIME SERVER - Live Task Updates over WebSockets
+ * =============================================================
+ *
+ * Browsers keep a WebSocket open to the API and are told about
+ * task changes in the workspace they're looking at, so two tabs
+ * (or two teammates) see each other's changes without reloading.
+ *
+ * CONNECTING:
+ *   ws://localhost:3001/api/realtime?token=<access token>
+ *   The token is the same JWT the API uses (browsers can't set an
+ *   Authorization header on a WebSocket, so it goes in the URL).
+ *   It's checked by verifyAccessToken() - like authMiddleware - and
+ *   an invalid or expired one is answered with HTTP 401 before the
+ *   connection opens. API keys can't connect.
+ *
+ * MESSAGES (JSON):
+ *   Client -> server:
+ *     { type: 'subscribe', workspaceId: 3 }
+ *   Server -> client:
+ *     { type: 'subscribed', workspaceId: 3 }
+ *     { type: 'error', error: 'Workspace not found.' }
+ *     { type: 'task.created' | 'task.updated' | 'task.deleted', ... }
+ *       (see utils/taskEvents.js)
+ *
+ * ROOMS:
+ *   Each connection is in at most one workspace's "room" - the one
+ *   it last subscribed to (only if the user is a member). An event
+ *   goes to everyone in its workspace's room, the author included:
+ *   their other tabs need it too. Membership is checked again for
+ *   every event, so a removed member stops hearing about the tasks.
+ *
+ * HEARTBEAT:
+ *   Every HEARTBEAT_INTERVAL_MS each connection is pinged; one that
+ *   didn't answer the previous ping (a closed laptop, a dropped
+ *   network) is terminated. A connection whose session has been
+ *   signed out since is closed (code CLOSE_SIGNED_OUT) - the token
+ *   was only checked when it connected.
+ * =============================================================
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const prisma = require('../prisma');
+const { verifyAccessToken, isRevoked } = require('../middleware/auth');
+const { taskEvents } = require('./taskEvents');
+
+const REALTIME_PATH = '/api/realtime';
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Close code for a connection whose session was signed out
+// (4000-4999 are free for applications)
+const CLOSE_SIGNED_OUT = 4001;
+
+// workspaceId -> Set of connections subscribed to it
+const rooms = new Map();
+
+/**
+ * Send a message to one connection, if it's still open.
+ *
+ * @param {WebSocket} ws
+ * @param {object} message
+ */
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Take a connection out of its room.
+ *
+ * @param {WebSocket} ws
+ */
+function leaveRoom(ws) {
+  const room = rooms.get(ws.workspaceId);
+  if (room) {
+    room.delete(ws);
+    if (room.size === 0) rooms.delete(ws.workspaceId);
+  }
+  ws.workspaceId = null;
+}
+
+/**
+ * Move a connection into a workspace's room.
+ *
+ * @param {WebSocket} ws
+ * @param {number} workspaceId
+ */
+function joinRoom(ws, workspaceId) {
+  leaveRoom(ws);
+  if (!rooms.has(workspaceId)) rooms.set(workspaceId, new Set());
+  rooms.get(workspaceId).add(ws);
+  ws.workspaceId = workspaceId;
+}
+
+/**
+ * Handle a message from a client (only "subscribe" so far).
+ *
+ * @param {WebSocket} ws
+ * @param {Buffer} data
+ */
+async function handleMessage(ws, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    return send(ws, { type: 'error', error: 'Messages must be JSON.' });
+  }
+
+  if (message?.type !== 'subscribe') {
+    return send(ws, { type: 'error', error: `Unknown message type "${message?.type}".` });
+  }
+
+  const workspaceId = parseInt(message.workspaceId, 10);
+  if (isNaN(workspaceId)) {
+    return send(ws, { type: 'error', error: 'Invalid workspace ID.' });
+  }
+
+  try {
+    const membership = await prisma.workspaceMember.findUnique({
+      where: { workspaceId_userId: { workspaceId, userId: ws.user.id } },
+      select: { id: true },
+    });
+
+    // Same answer as the API for a workspace you're not in
+    if (!membership) {
+      leaveRoom(ws);
+      return send(ws, { type: 'error', error: 'Workspace not found.' });
+    }
+
+    joinRoom(ws, workspaceId);
+    send(ws, { type: 'subscribed', workspaceId });
+  } catch (error) {
+    console.error('Failed to subscribe to workspace:', error.message);
+    send(ws, { type: 'error', error: 'Failed to subscribe.' });
+  }
+}
+
+/**
+ * Pass a task event on to the workspace's room.
+ *
+ * @param {object} event - From utils/taskEvents.js
+ */
+async function broadcast(event) {
+  try {
+    const room = rooms.get(event.workspaceId);
+    if (!room) return;
+
+    // Still members? (someone may have been removed since subscribing)
+    const userIds = [...new Set([...room].map((ws) => ws.user.id))];
+    const members = await prisma.workspaceMember.findMany({
+      where: { workspaceId: event.workspaceId, userId: { in: userIds } },
+      select: { userId: true },
+    });
+    const memberIds = new Set(members.map((member) => member.userId));
+
+    for (const ws of [...room]) {
+      if (memberIds.has(ws.user.id)) {
+        send(ws, event);
+      } else {
+        leaveRoom(ws);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to broadcast task event:', error.message);
+  }
+}
+
+/**
+ * Close a connection if its session has been signed out.
+ *
+ * @param {WebSocket} ws
+ */
+async function closeIfSignedOut(ws) {
+  try {
+    if (await isRevoked(ws.user)) {
+      leaveRoom(ws);
+      ws.close(CLOSE_SIGNED_OUT, 'Signed out');
+    }
+  } catch (error) {
+    console.error('Failed to check WebSocket session:', error.message);
+  }
+}
+
+/**
+ * Reject an upgrade request with an HTTP status, before it
+ * becomes a WebSocket.
+ *
+ * @param {import('net').Socket} socket
+ * @param {number} status
+ * @param {string} reason - e.g. 'Unauthorized'
+ */
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Start the WebSocket server on the same HTTP server as Express.
+ *
+ * @param {import('http').Server} server - What app.listen() returned
+ * @returns {WebSocketServer}
+ */
+function attachRealtime(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Authenticate the connection before accepting it
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== REALTIME_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    try {
+      const { user } = await verifyAccessToken(url.searchParams.get('token') || '');
+      if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.user = user;
+        ws.workspaceId = null;
+        ws.isAlive = true;
+        wss.emit('connection', ws);
+      });
+    } catch (error) {
+      console.error('Failed to authenticate WebSocket:', error.message);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  wss.on('connection', (ws) => {
+    ws.on('message', (data) => handleMessage(ws, data));
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('close', () => leaveRoom(ws));
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      closeIfSignedOut(ws);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  taskEvents.on('event', broadcast);
+
+  return wss;
+}
+
+module.exports = { REALTIME_PATH, attachRealtime };
@@ -0,0 +1,238 @@
+/**
+ * =============================================================
+ * RECURRENCE RULES - Repeating Tasks
+ * =============================================================
+ *
+ * A recurring task stores a rule in the style of the iCalendar
+ * RRULE (RFC 5545), e.g.
+ *
+ *   FREQ=WEEKLY                      every week
+ *   FREQ=DAILY;INTERVAL=3            every 3 days
+ *   FREQ=MONTHLY;COUNT=6             every month, 6 times in total
+ *   FREQ=WEEKLY;UNTIL=2026-12-31     every week until the end of 2026
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * and at most one of COUNT or UNTIL. Rules are stored in a canonical
+ * form (see formatRule), so equal rules compare equal as strings.
+ *
+ * THE SCHEDULE:
+ *   Occurrence 1 is the series' start date (Task.recurrenceStart - the
+ *   due date the rule was set on); occurrence n is n - 1 intervals
+ *   later. Dates are computed from the start every time, never from
+ *   the previous date, so "monthly from Jan 31" gives Feb 28, Mar 31,
+ *   Apr 30 - not Feb 28, Mar 28, Apr 28.
+ *
+ * When an occurrence is completed, the next one is the first date in
+ * the schedule after its due date (so postponing a task doesn't make
+ * the next one due immediately).
+ *
+ * All dates are calendar days at midnight UTC, like Task.dueDate.
+ * =============================================================
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+
+// Most occurrences the preview endpoint returns
+const MAX_PREVIEW = 20;
+
+/**
+ * Build the 400 error for an invalid rule (handled by errorHandler).
+ *
+ * @param {string} message
+ * @returns {Error}
+ */
+function recurrenceError(message) {
+  const error = new Error(`Invalid recurrence: ${message}`);
+  error.statusCode = 400;
+  error.code = 'INVALID_RECURRENCE';
+  return error;
+}
+
+/**
+ * Parse a YYYY-MM-DD date as midnight UTC.
+ *
+ * @param {string} text
+ * @returns {Date|null}
+ */
+function parseDay(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? null : date;
+}
+
+/**
+ * Parse a rule string.
+ *
+ * @param {string} text - e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=10"
+ * @returns {{ freq: string, interval: number, count: number|null, until: Date|null }}
+ * @throws {Error} 400 INVALID_RECURRENCE
+ */
+function parseRule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw recurrenceError('the rule must be a string like "FREQ=WEEKLY".');
+  }
+
+  const parts = {};
+  for (const part of text.trim().toUpperCase().split(';')) {
+    const [key, value, extra] = part.split('=');
+    if (!key || value === undefined || extra !== undefined) {
+      throw recurrenceError(`"${part}" is not KEY=VALUE.`);
+    }
+    if (parts[key] !== undefined) {
+      throw recurrenceError(`${key} is given twice.`);
+    }
+    parts[key] = value;
+  }
+
+  const { FREQ, INTERVAL = '1', COUNT, UNTIL, ...unknown } = parts;
+
+  const unknownKeys = Object.keys(unknown);
+  if (unknownKeys.length > 0) {
+    throw recurrenceError(`unsupported part ${unknownKeys[0]} (use FREQ, INTERVAL, COUNT, UNTIL).`);
+  }
+
+  if (!FREQUENCIES.includes(FREQ)) {
+    throw recurrenceError(`FREQ must be one of ${FREQUENCIES.join(', ')}.`);
+  }
+
+  const interval = Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw recurrenceError(`INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}.`);
+  }
+
+  if (COUNT !== undefined && UNTIL !== undefined) {
+    throw recurrenceError('use COUNT or UNTIL, not both.');
+  }
+
+  let count = null;
+  if (COUNT !== undefined) {
+    count = Number(COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      throw recurrenceError(`COUNT must be a whole number from 1 to ${MAX_COUNT}.`);
+    }
+  }
+
+  let until = null;
+  if (UNTIL !== undefined) {
+    until = parseDay(UNTIL);
+    if (!until) {
+      throw recurrenceError('UNTIL must be a date like 2026-12-31.');
+    }
+  }
+
+  return { freq: FREQ, interval, count, until };
+}
+
+/**
+ * Write a rule in canonical form (defaults left out, fixed order).
+ *
+ * @param {object} rule - From parseRule()
+ * @returns {string}
+ */
+function formatRule({ freq, interval, count, until }) {
+  const parts = [`FREQ=${freq}`];
+  if (interval !== 1) parts.push(`INTERVAL=${interval}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${until.toISOString().slice(0, 10)}`);
+  return parts.join(';');
+}
+
+/**
+ * Add whole months to a date, keeping its day of the month when
+ * possible (Jan 31 + 1 month = Feb 28/29, the last day).
+ *
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * The date of the nth occurrence of a series.
+ *
+ * @param {Date} start - Date of occurrence 1
+ * @param {object} rule - From parseRule()
+ * @param {number} n - 1-based occurrence number
+ * @returns {Date}
+ */
+function occurrenceDate(start, rule, n) {
+  const steps = (n - 1) * rule.interval;
+  const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return new Date(day.getTime() + steps * 86400000);
+    case 'WEEKLY':
+      return new Date(day.getTime() + steps * 7 * 86400000);
+    case 'MONTHLY':
+      return addMonths(day, steps);
+    default: // YEARLY
+      return addMonths(day, steps * 12);
+  }
+}
+
+/**
+ * Whether occurrence n is still part of the series.
+ */
+function isInSeries(rule, n, date) {
+  if (rule.count && n > rule.count) return false;
+  if (rule.until && date > rule.until) return false;
+  return true;
+}
+
+/**
+ * The occurrence that follows a completed one.
+ *
+ * @param {object} task - { recurrence, recurrenceStart, occurrence, dueDate }
+ * @returns {{ dueDate: Date, occurrence: number }|null} - null when the
+ *   series is over (COUNT reached or past UNTIL)
+ */
+function nextOccurrence(task) {
+  const rule = parseRule(task.recurrence);
+  const after = task.dueDate || task.recurrenceStart;
+
+  for (let n = task.occurrence + 1; ; n += 1) {
+    const date = occurrenceDate(task.recurrenceStart, rule, n);
+    if (!isInSeries(rule, n, date)) return null;
+    if (date > after) return { dueDate: date, occurrence: n };
+  }
+}
+
+/**
+ * Upcoming dates of a series, for previews.
+ *
+ * @param {string} text - Rule string
+ * @param {Date} start - Date of occurrence 1
+ * @param {number} limit - How many dates (at most MAX_PREVIEW)
+ * @returns {Date[]}
+ * @throws {Error} 400 INVALID_RECURRENCE for a bad rule
+ */
+function previewOccurrences(text, start, limit) {
+  const rule = parseRule(text);
+  const dates = [];
+
+  for (let n = 1; dates.length < Math.min(limit, MAX_PREVIEW); n += 1) {
+    const date = occurrenceDate(start, rule, n);
+    if (!isInSeries(rule, n, date)) break;
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  MAX_PREVIEW,
+  parseDay,
+  parseRule,
+  formatRule,
+  nextOccurrence,
+  previewOccurrences,
+};
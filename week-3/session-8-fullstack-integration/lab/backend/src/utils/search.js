@@ -0,0 +1,277 @@
+/**
+ * =============================================================
+ * TASK SEARCH - Ranked Full-Text Search with Highlights
+ * =============================================================
+ *
+ * Used by GET /api/tasks/search?q=... Searches task titles and
+ * descriptions, best matches first, and returns highlighted pieces
+ * of text showing WHERE each task matched.
+ *
+ * TWO IMPLEMENTATIONS:
+ *   PostgreSQL - Real full-text search. Title and description are
+ *                turned into a tsvector (words reduced to their stem,
+ *                so "running" finds "run"); the title gets weight A
+ *                and the description weight B, so title matches rank
+ *                higher. ts_rank sorts, ts_headline highlights.
+ *                The query uses websearch_to_tsquery, which understands
+ *                "quoted phrases", OR and -excluded words.
+ *                The tsvector is Task's generated search_vector
+ *                column, with a GIN index so a search doesn't scan
+ *                every task (set up when switching to PostgreSQL -
+ *                see the Task model in prisma/schema.prisma).
+ *   SQLite     - (the default in week 3) has no built-in full-text
+ *                search in Prisma, so every word must appear in the
+ *                title or description (LIKE), and matches are ranked
+ *                and highlighted here in JavaScript.
+ *
+ * Which one runs depends on DATABASE_URL (postgres:// or file:).
+ *
+ * HIGHLIGHTS:
+ *   Returned as segments, not HTML:
+ *     [{ text: 'Fix the ', match: false }, { text: 'login', match: true }, ...]
+ *   The frontend wraps matches in <mark>. Building HTML here would let
+ *   a task title like "<script>..." inject markup into the page.
+ * =============================================================
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+
+const USE_POSTGRES = /^postgres(ql)?:/.test(process.env.DATABASE_URL || '');
+
+// The SQLite fallback ranks in JavaScript, so it looks at no more
+// than this many matching tasks
+const FALLBACK_CANDIDATES = 500;
+
+// Roughly how much description text a snippet shows
+const SNIPPET_LENGTH = 160;
+
+// Characters that mark highlights inside ts_headline output. Control
+// characters can't be typed into a task, so they never clash with text.
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+// ts_headline options: highlight the whole title, but only a short
+// excerpt of the description
+const MARKS = `StartSel=${MARK_START}, StopSel=${MARK_END}`;
+const TITLE_HEADLINE = `${MARKS}, HighlightAll=true`;
+const DESCRIPTION_HEADLINE = `${MARKS}, MaxWords=30, MinWords=10`;
+
+// Filter columns the Postgres query understands (see sqlFilters)
+const FILTER_COLUMNS = ['workspaceId', 'status', 'priority', 'projectId', 'assigneeId', 'parentId'];
+
+/**
+ * Split text containing MARK_START/MARK_END into segments.
+ *
+ * @param {string} text
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+function markedToSegments(text) {
+  const segments = [];
+  const pattern = new RegExp(`${MARK_START}(.*?)${MARK_END}`, 'gs');
+  let last = 0;
+
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > last) {
+      segments.push({ text: text.slice(last, found.index), match: false });
+    }
+    segments.push({ text: found[1], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), match: false });
+  }
+  return segments;
+}
+
+/**
+ * Split a search query into lowercase words.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+function queryTerms(query) {
+  const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words)].slice(0, 10);
+}
+
+/**
+ * Escape a string for use inside a RegExp.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Highlight every occurrence of the terms in a piece of text.
+ *
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+function highlightTerms(text, terms) {
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+  return markedToSegments(text.replace(pattern, (found) => `${MARK_START}${found}${MARK_END}`));
+}
+
+/**
+ * Cut a snippet of about SNIPPET_LENGTH characters around the first
+ * match, so long descriptions show the relevant part.
+ *
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {string}
+ */
+function snippetAround(text, terms) {
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const lower = text.toLowerCase();
+  const positions = terms.map((term) => lower.indexOf(term)).filter((pos) => pos >= 0);
+  const first = positions.length ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+}
+
+/**
+ * Count how often a term occurs in a text.
+ */
+function countOccurrences(text, term) {
+  let count = 0;
+  let pos = text.indexOf(term);
+  while (pos !== -1) {
+    count += 1;
+    pos = text.indexOf(term, pos + term.length);
+  }
+  return count;
+}
+
+/**
+ * SQLite fallback: every word must match, ranked in JavaScript.
+ *
+ * RANKING: a word in the title counts 3, in the description 1 (per
+ * occurrence), plus a bonus when the whole query appears in the title.
+ */
+async function searchWithLike(query, { where, include, limit }) {
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+
+  const candidates = await prisma.task.findMany({
+    where: {
+      ...where,
+      AND: [
+        ...(where.AND || []),
+        ...terms.map((term) => ({
+          OR: [{ title: { contains: term } }, { description: { contains: term } }],
+        })),
+      ],
+    },
+    orderBy: { updatedAt: 'desc' },
+    take: FALLBACK_CANDIDATES,
+    include,
+  });
+
+  const phrase = terms.join(' ');
+
+  return candidates
+    .map((task) => {
+      const title = task.title.toLowerCase();
+      const description = (task.description || '').toLowerCase();
+
+      let rank = title.includes(phrase) ? 5 : 0;
+      for (const term of terms) {
+        rank += countOccurrences(title, term) * 3 + countOccurrences(description, term);
+      }
+
+      return {
+        ...task,
+        rank,
+        highlights: {
+          title: highlightTerms(task.title, terms),
+          description: task.description
+            ? highlightTerms(snippetAround(task.description, terms), terms)
+            : null,
+        },
+      };
+    })
+    .sort((a, b) => b.rank - a.rank || b.id - a.id)
+    .slice(0, limit);
+}
+
+/**
+ * Turn simple equality filters into SQL conditions.
+ *
+ * @param {object} filters - e.g. { workspaceId: 1, status: 'pending', projectId: null }
+ * @returns {Prisma.Sql[]}
+ */
+function sqlFilters(filters) {
+  return Object.entries(filters)
+    .filter(([column]) => FILTER_COLUMNS.includes(column))
+    .map(([column, value]) =>
+      value === null
+        ? Prisma.sql`${Prisma.raw(`"${column}"`)} IS NULL`
+        : Prisma.sql`${Prisma.raw(`"${column}"`)} = ${value}`
+    );
+}
+
+/**
+ * PostgreSQL: tsvector search, ranked and highlighted by the database.
+ */
+async function searchWithTsvector(query, { where, include, limit }) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      "id",
+      ts_rank("search_vector", query) AS "rank",
+      ts_headline('english', "title", query, ${TITLE_HEADLINE}) AS "titleHighlight",
+      CASE WHEN "description" IS NULL THEN NULL
+           ELSE ts_headline('english', "description", query, ${DESCRIPTION_HEADLINE})
+      END AS "descriptionHighlight"
+    FROM "Task", websearch_to_tsquery('english', ${query}) AS query
+    WHERE ${Prisma.join([...sqlFilters(where), Prisma.sql`"search_vector" @@ query`], ' AND ')}
+    ORDER BY "rank" DESC, "id" DESC
+    LIMIT ${limit}
+  `;
+
+  if (rows.length === 0) return [];
+
+  const tasks = await prisma.task.findMany({
+    where: { id: { in: rows.map((row) => row.id) } },
+    include,
+  });
+  const tasksById = new Map(tasks.map((task) => [task.id, task]));
+
+  // Keep the database's ranking order
+  return rows
+    .filter((row) => tasksById.has(row.id))
+    .map((row) => ({
+      ...tasksById.get(row.id),
+      rank: Number(row.rank),
+      highlights: {
+        title: markedToSegments(row.titleHighlight),
+        description: row.descriptionHighlight
+          ? markedToSegments(row.descriptionHighlight)
+          : null,
+      },
+    }));
+}
+
+/**
+ * Search tasks.
+ *
+ * @param {string} query - What the user typed
+ * @param {object} options
+ * @param {object} options.where - Equality filters (workspaceId, status,
+ *   priority, projectId, assigneeId, parentId) - null means "IS NULL"
+ * @param {object} options.include - Prisma include for each task
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Promise<Array<object>>} - Tasks with rank and highlights, best first
+ */
+async function searchTasks(query, options) {
+  return USE_POSTGRES
+    ? searchWithTsvector(query, options)
+    : searchWithLike(query, options);
+}
+
+module.exports = { searchTasks };
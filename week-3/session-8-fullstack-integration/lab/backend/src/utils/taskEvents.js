@@ -0,0 +1,138 @@
+/**
+ * =============================================================
+ * TASK EVENTS - "A Task Changed" Announcements
+ * =============================================================
+ *
+ * The task routes publish an event after each successful write;
+ * the real-time server (utils/realtime.js) and the Server-Sent
+ * Events stream (GET /api/tasks/events) pass them on to the
+ * clients watching that workspace.
+ *
+ * EVENTS:
+ *   { id, type: 'task.created', workspaceId, task, actorId, origin }
+ *   { id, type: 'task.updated', workspaceId, task, actorId, origin }
+ *   { id, type: 'task.deleted', workspaceId, taskId, parentId, actorId, origin }
+ *
+ *   id     - Increases with every event (see EVENT IDS)
+ *   task   - The task as the API returns it (serializeTask)
+ *   origin - The X-Client-Id header of the request that caused it,
+ *            so the browser tab that made the change can skip its
+ *            own events (it already has the API response). null for
+ *            side effects the response doesn't include.
+ *
+ * It's a plain EventEmitter: publishing never waits for the
+ * listeners, and a task write never fails because of them.
+ *
+ * EVENT IDS AND REPLAY:
+ *   A client that lost its connection can ask for the events it
+ *   missed: eventsSince(lastId). The last REPLAY_MAX_EVENTS events
+ *   of the past REPLAY_WINDOW_MS are kept in memory for this. Ids
+ *   start at the server's start time (in ms) and count up, so an id
+ *   from before a restart is simply older than everything buffered -
+ *   eventsSince() then says the client must reload instead.
+ *
+ * USAGE:
+ *   publishTaskEvent(req, 'task.updated', { task: serializeTask(task) });
+ *   taskEvents.on('event', (event) => { ... });
+ *   const missed = eventsSince(lastId); // null = reload everything
+ * =============================================================
+ */
+
+const { EventEmitter } = require('events');
+
+// How long events stay available for replay
+const REPLAY_WINDOW_MS = 5 * 60 * 1000;
+
+// At most this many are kept, however busy the server is
+const REPLAY_MAX_EVENTS = 1000;
+
+const taskEvents = new EventEmitter();
+
+// Listeners come and go with every open stream
+taskEvents.setMaxListeners(0);
+
+// The id of the latest event (the first one gets startedAt + 1)
+let lastEventId = Date.now();
+
+// Recent events, oldest first: { event, publishedAt }
+const recentEvents = [];
+
+/**
+ * Drop buffered events that are too old, or too many.
+ */
+function trimRecentEvents() {
+  const cutoff = Date.now() - REPLAY_WINDOW_MS;
+  while (
+    recentEvents.length > REPLAY_MAX_EVENTS ||
+    (recentEvents.length > 0 && recentEvents[0].publishedAt < cutoff)
+  ) {
+    recentEvents.shift();
+  }
+}
+
+/**
+ * Announce a task change made by a request.
+ *
+ * @param {object} req - The request (for the workspace, user and X-Client-Id)
+ * @param {string} type - 'task.created', 'task.updated' or 'task.deleted'
+ * @param {object} payload - { task } or { taskId, parentId }, plus
+ *   origin: null if the requesting tab needs the event too
+ * @returns {object} - The event, with its id
+ */
+function publishTaskEvent(req, type, payload) {
+  lastEventId += 1;
+
+  const event = {
+    id: lastEventId,
+    type,
+    workspaceId: req.workspace.id,
+    actorId: req.user.id,
+    origin: req.headers['x-client-id'] || null,
+    ...payload,
+  };
+
+  recentEvents.push({ event, publishedAt: Date.now() });
+  trimRecentEvents();
+
+  taskEvents.emit('event', event);
+  return event;
+}
+
+/**
+ * The id of the latest event (what a client that's up to date has).
+ *
+ * @returns {number}
+ */
+function latestEventId() {
+  return lastEventId;
+}
+
+/**
+ * The events published after a given one, oldest first.
+ *
+ * @param {number} id - The last event id the client received
+ * @returns {Array<object>|null} - null if some of the events after
+ *   it are no longer buffered (or the id is unknown) - the client
+ *   has to reload instead
+ */
+function eventsSince(id) {
+  trimRecentEvents();
+
+  if (!Number.isInteger(id) || id > lastEventId) return null;
+  if (id === lastEventId) return [];
+
+  // The event right after id must still be buffered
+  const oldest = recentEvents.length > 0 ? recentEvents[0].event.id : lastEventId + 1;
+  if (id + 1 < oldest) return null;
+
+  return recentEvents
+    .filter(({ event }) => event.id > id)
+    .map(({ event }) => event);
+}
+
+module.exports = {
+  taskEvents,
+  publishTaskEvent,
+  latestEventId,
+  eventsSince,
+};
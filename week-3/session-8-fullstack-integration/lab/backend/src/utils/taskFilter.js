@@ -0,0 +1,577 @@
+/**
+ * =============================================================
+ * TASK FILTER LANGUAGE - ?filter=... -> Prisma where
+ * =============================================================
+ *
+ * Lets clients describe which tasks they want in one parameter:
+ *
+ *   GET /api/tasks?filter=priority:high AND due<2026-11-01 AND NOT status:completed
+ *
+ * SYNTAX:
+ *   field:value            equals (for title/description: contains)
+ *   field=value            equals (exact, also for text)
+ *   field!=value           not equal
+ *   field<value  <= > >=   ranges (dates only)
+ *   field~value            contains (text only)
+ *   field IN (a, b, c)     any of the values
+ *   A AND B, A B           both (AND can be left out)
+ *   A OR B                 either - AND binds tighter than OR
+ *   NOT A                  negation
+ *   ( ... )                grouping
+ *   "two words"            quoted values may contain spaces and : < >
+ *
+ * FIELDS:
+ *   status       pending, in_progress, completed
+ *   priority     low, medium, high
+ *   title        text
+ *   description  text
+ *   project      project id, or none
+ *   assignee     user id, me, or none
+ *   due          date, or none           (the task's dueDate)
+ *   created      date                    (createdAt)
+ *   updated      date                    (updatedAt)
+ *
+ *   Dates: 2026-11-01, a full ISO time ("2026-11-01T09:00:00Z" -
+ *   quoted, it contains colons), today, now, or days/weeks from
+ *   today: +3d, -1w. A plain date means the whole day, so
+ *   due:2026-11-01 matches any time that day and due<=2026-11-01
+ *   includes it.
+ *
+ * SAFETY:
+ *   The expression is never pasted into SQL. It is parsed into a
+ *   tree, every field and value is checked against the table above,
+ *   and the result is a Prisma where object (Prisma escapes values).
+ *   Anything unexpected -> 400 INVALID_FILTER with the position of
+ *   the problem, via errorHandler.
+ * =============================================================
+ */
+
+// Valid values for status and priority fields
+const VALID_STATUSES = ['pending', 'in_progress', 'completed'];
+const VALID_PRIORITIES = ['low', 'medium', 'high'];
+
+// Fields GET /api/tasks can sort by (?sort=...)
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'status', 'priority'];
+
+// Limits so one request can't build an enormous query
+const MAX_LENGTH = 500;
+const MAX_CONDITIONS = 20;
+const MAX_DEPTH = 10;
+
+// Which operators each kind of field supports
+const OPERATORS = {
+  enum: [':', '=', '!=', 'IN'],
+  text: [':', '=', '!=', '~'],
+  ref: [':', '=', '!=', 'IN'],
+  date: [':', '=', '!=', '<', '<=', '>', '>='],
+};
+
+// Filter field -> Task column and type (nullable: the column can be empty)
+const FIELDS = {
+  status: { column: 'status', type: 'enum', values: VALID_STATUSES },
+  priority: { column: 'priority', type: 'enum', values: VALID_PRIORITIES },
+  title: { column: 'title', type: 'text' },
+  description: { column: 'description', type: 'text', nullable: true },
+  project: { column: 'projectId', type: 'ref', nullable: true },
+  assignee: { column: 'assigneeId', type: 'ref', allowMe: true, nullable: true },
+  due: { column: 'dueDate', type: 'date', nullable: true },
+  created: { column: 'createdAt', type: 'date' },
+  updated: { column: 'updatedAt', type: 'date' },
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a 400 error for a bad expression (handled by errorHandler).
+ *
+ * @param {string} message
+ * @param {number} [position] - Character index of the problem
+ * @returns {Error}
+ */
+function filterError(message, position) {
+  const error = new Error(
+    position === undefined ? `Invalid filter: ${message}` : `Invalid filter at position ${position + 1}: ${message}`
+  );
+  error.statusCode = 400;
+  error.code = 'INVALID_FILTER';
+  if (position !== undefined) error.details = { position: position + 1 };
+  return error;
+}
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {string} input
+ * @returns {Array<{ type: string, value: string, position: number }>}
+ *   type: 'word', 'string', 'op', '(', ')', ',' or a keyword
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+
+    if ('(),'.includes(char)) {
+      tokens.push({ type: char, value: char, position: i });
+      i += 1;
+      continue;
+    }
+
+    const twoChars = input.slice(i, i + 2);
+    if (['!=', '<=', '>='].includes(twoChars)) {
+      tokens.push({ type: 'op', value: twoChars, position: i });
+      i += 2;
+      continue;
+    }
+
+    if (':=<>~'.includes(char)) {
+      tokens.push({ type: 'op', value: char, position: i });
+      i += 1;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < input.length && input[j] !== '"') {
+        // \" and \\ inside quotes
+        if (input[j] === '\\' && j + 1 < input.length) j += 1;
+        value += input[j];
+        j += 1;
+      }
+      if (j >= input.length) throw filterError('missing closing quote', i);
+
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const word = input.slice(i).match(/^[^\s(),:=<>~!"]+/);
+    if (!word) throw filterError(`unexpected "${char}"`, i);
+
+    const upper = word[0].toUpperCase();
+    tokens.push({
+      type: KEYWORDS.includes(upper) ? upper : 'word',
+      value: word[0],
+      position: i,
+    });
+    i += word[0].length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser. Grammar (lowest precedence first):
+ *
+ *   or      := and ( OR and )*
+ *   and     := not ( [AND] not )*
+ *   not     := NOT not | primary
+ *   primary := "(" or ")" | field op value | field IN "(" value ("," value)* ")"
+ *
+ * @param {Array<object>} tokens - From tokenize()
+ * @returns {object} - Tree of { type: 'and'|'or'|'not'|'compare', ... }
+ */
+function parse(tokens) {
+  let pos = 0;
+  let conditions = 0;
+
+  const peek = () => tokens[pos];
+  const endPosition = () =>
+    tokens.length ? tokens[tokens.length - 1].position + tokens[tokens.length - 1].value.length : 0;
+
+  function expect(type, what) {
+    const token = peek();
+    if (!token || token.type !== type) {
+      throw filterError(`expected ${what}`, token ? token.position : endPosition());
+    }
+    pos += 1;
+    return token;
+  }
+
+  function parseValue() {
+    const token = peek();
+    if (!token || (token.type !== 'word' && token.type !== 'string')) {
+      throw filterError('expected a value', token ? token.position : endPosition());
+    }
+    pos += 1;
+    return { value: token.value, position: token.position };
+  }
+
+  function parsePrimary(depth) {
+    const token = peek();
+    if (!token) throw filterError('unexpected end of filter', endPosition());
+
+    if (token.type === '(') {
+      pos += 1;
+      const node = parseOr(depth + 1);
+      expect(')', '")"');
+      return node;
+    }
+
+    if (token.type !== 'word') {
+      throw filterError(`expected a field name, found "${token.value}"`, token.position);
+    }
+    pos += 1;
+
+    conditions += 1;
+    if (conditions > MAX_CONDITIONS) {
+      throw filterError(`too many conditions (max ${MAX_CONDITIONS})`, token.position);
+    }
+
+    const opToken = peek();
+    if (opToken?.type === 'IN') {
+      pos += 1;
+      expect('(', '"(" after IN');
+      const values = [parseValue()];
+      while (peek()?.type === ',') {
+        pos += 1;
+        values.push(parseValue());
+      }
+      expect(')', '")"');
+      return { type: 'compare', field: token.value, op: 'IN', values, position: token.position };
+    }
+
+    if (!opToken || opToken.type !== 'op') {
+      throw filterError(
+        `expected an operator after "${token.value}" (e.g. ${token.value}:value)`,
+        opToken ? opToken.position : endPosition()
+      );
+    }
+    pos += 1;
+
+    return {
+      type: 'compare',
+      field: token.value,
+      op: opToken.value,
+      values: [parseValue()],
+      position: token.position,
+    };
+  }
+
+  function parseNot(depth) {
+    if (peek()?.type === 'NOT') {
+      pos += 1;
+      return { type: 'not', item: parseNot(depth) };
+    }
+    return parsePrimary(depth);
+  }
+
+  function parseAnd(depth) {
+    const items = [parseNot(depth)];
+
+    // Explicit AND, or just the next condition (implicit AND)
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos += 1;
+      items.push(parseNot(depth));
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  function parseOr(depth) {
+    if (depth > MAX_DEPTH) {
+      throw filterError(`too many nested parentheses (max ${MAX_DEPTH})`, peek()?.position);
+    }
+
+    const items = [parseAnd(depth)];
+    while (peek()?.type === 'OR') {
+      pos += 1;
+      items.push(parseAnd(depth));
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  const tree = parseOr(0);
+  if (pos < tokens.length) {
+    throw filterError(`unexpected "${peek().value}"`, peek().position);
+  }
+  return tree;
+}
+
+/**
+ * Parse a calendar day (YYYY-MM-DD) as UTC midnight.
+ *
+ * new Date() rolls impossible days over (2026-02-30 becomes March 2),
+ * so the result must print back as the same day.
+ *
+ * @param {string} text
+ * @returns {Date|null} - null if it isn't a real day
+ */
+function parseDay(text) {
+  const date = new Date(`${text}T00:00:00.000Z`);
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? null : date;
+}
+
+/**
+ * Parse a date value.
+ *
+ * @param {string} text
+ * @returns {{ start: Date, end: Date|null }|null} - end is set for whole
+ *   days (exclusive), null for an exact time; null if invalid
+ */
+function parseDate(text) {
+  const lower = text.toLowerCase();
+
+  // Days are UTC days, like the stored due dates
+  const now = new Date();
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  if (lower === 'now') {
+    return { start: new Date(), end: null };
+  }
+
+  if (lower === 'today') {
+    return { start: today, end: new Date(today.getTime() + DAY_MS) };
+  }
+
+  // +3d, -1w: whole days relative to today
+  const relative = lower.match(/^([+-])(\d{1,4})([dw])$/);
+  if (relative) {
+    const days = Number(relative[2]) * (relative[3] === 'w' ? 7 : 1) * (relative[1] === '-' ? -1 : 1);
+    const start = new Date(today.getTime() + days * DAY_MS);
+    return { start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  // 2026-11-01: the whole day - due dates are stored as UTC midnight
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const start = parseDay(text);
+    return start ? { start, end: new Date(start.getTime() + DAY_MS) } : null;
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    const exact = new Date(text);
+    return !parseDay(text.slice(0, 10)) || isNaN(exact.getTime()) ? null : { start: exact, end: null };
+  }
+
+  return null;
+}
+
+/**
+ * Convert one value for a field, or throw a 400.
+ *
+ * @returns {*} - The value to compare with (null = "none")
+ */
+function convertValue(name, field, { value, position }, context) {
+  const lower = value.toLowerCase();
+
+  if (field.type === 'enum') {
+    if (!field.values.includes(lower)) {
+      throw filterError(`unknown ${name} "${value}" (expected ${field.values.join(', ')})`, position);
+    }
+    return lower;
+  }
+
+  if (field.type === 'text') {
+    return value;
+  }
+
+  if (field.type === 'ref') {
+    if (lower === 'none' || lower === 'unassigned') return null;
+    if (lower === 'me' && field.allowMe) return context.userId;
+
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+      throw filterError(`${name} must be an id${field.allowMe ? ', me' : ''} or none`, position);
+    }
+    return id;
+  }
+
+  // date
+  if (lower === 'none') {
+    if (!field.nullable) throw filterError(`${name} always has a value`, position);
+    return null;
+  }
+
+  const date = parseDate(value);
+  if (!date) {
+    throw filterError(`"${value}" is not a date (use e.g. 2026-11-01, today or +7d)`, position);
+  }
+  return date;
+}
+
+/**
+ * Prisma condition for "column equals value" (dates: within the day).
+ */
+function equals(field, value) {
+  if (value === null) return { [field.column]: null };
+
+  if (field.type === 'date') {
+    return value.end
+      ? { [field.column]: { gte: value.start, lt: value.end } }
+      : { [field.column]: value.start };
+  }
+  return { [field.column]: value };
+}
+
+/**
+ * Prisma condition for "not (condition)".
+ *
+ * In SQL a comparison with NULL is neither true nor false, so
+ * NOT (assigneeId = 3) leaves out the unassigned tasks too. For
+ * nullable columns the empty ones are added back - unless the
+ * condition itself was about them (assignee:none, IN (..., none)).
+ *
+ * @param {object} field - From FIELDS
+ * @param {object} condition - The Prisma condition to negate
+ * @param {boolean} matchesNull - Whether condition includes empty values
+ */
+function negate(field, condition, matchesNull) {
+  if (!field.nullable || matchesNull) return { NOT: condition };
+  return { OR: [{ NOT: condition }, { [field.column]: null }] };
+}
+
+/**
+ * Compile one comparison into a Prisma condition.
+ *
+ * @param {boolean} [negated] - Compile "NOT comparison" instead
+ */
+function compileCompare(node, context, negated = false) {
+  const name = node.field.toLowerCase();
+  const field = FIELDS[name];
+
+  if (!field) {
+    throw filterError(
+      `unknown field "${node.field}" (expected ${Object.keys(FIELDS).join(', ')})`,
+      node.position
+    );
+  }
+
+  if (!OPERATORS[field.type].includes(node.op)) {
+    throw filterError(
+      `"${node.op}" can't be used with ${name} (use ${OPERATORS[field.type].join(' ')})`,
+      node.position
+    );
+  }
+
+  const values = node.values.map((value) => convertValue(name, field, value, context));
+  const [value] = values;
+
+  // "a != b" is "NOT a = b"
+  if (node.op === '!=') {
+    return compileCompare({ ...node, op: '=' }, context, !negated);
+  }
+
+  if (negated) {
+    const matchesNull = ['IN', ':', '='].includes(node.op) && values.includes(null);
+    return negate(field, compileCompare(node, context), matchesNull);
+  }
+
+  switch (node.op) {
+    case 'IN': {
+      const ids = values.filter((v) => v !== null);
+      const conditions = [];
+      if (ids.length) conditions.push({ [field.column]: { in: ids } });
+      if (ids.length < values.length) conditions.push({ [field.column]: null });
+      return conditions.length === 1 ? conditions[0] : { OR: conditions };
+    }
+
+    case ':':
+      // For text "field:value" means contains - the friendly default
+      return field.type === 'text'
+        ? { [field.column]: { contains: value } }
+        : equals(field, value);
+
+    case '~':
+      return { [field.column]: { contains: value } };
+
+    case '=':
+      return equals(field, value);
+
+    default: {
+      // <, <=, > and >= (dates only)
+      if (value === null) {
+        throw filterError(`"${node.op}" needs a date, not none`, node.position);
+      }
+      // For a whole day, "<= day" includes it and "> day" starts after it
+      const end = value.end || value.start;
+      const bounds = {
+        '<': { lt: value.start },
+        '<=': value.end ? { lt: end } : { lte: end },
+        '>': value.end ? { gte: end } : { gt: end },
+        '>=': { gte: value.start },
+      };
+      return { [field.column]: bounds[node.op] };
+    }
+  }
+}
+
+/**
+ * Compile a parse tree into a Prisma where object.
+ *
+ * NOT is pushed down to the comparisons (NOT (A AND B) is
+ * NOT A OR NOT B), where negate() can handle empty columns.
+ *
+ * @param {boolean} [negated] - Compile "NOT node" instead
+ */
+function compile(node, context, negated = false) {
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const items = node.items.map((item) => compile(item, context, negated));
+      const isAnd = (node.type === 'and') !== negated;
+      return isAnd ? { AND: items } : { OR: items };
+    }
+    case 'not':
+      return compile(node.item, context, !negated);
+    default:
+      return compileCompare(node, context, negated);
+  }
+}
+
+/**
+ * Turn a filter expression into a Prisma where object.
+ *
+ * @param {string} expression - e.g. 'priority:high AND NOT status:completed'
+ * @param {object} context - { userId } (for assignee:me)
+ * @returns {object} - Prisma where (combine it with the workspace scope!)
+ * @throws {Error} 400 INVALID_FILTER if the expression is malformed
+ */
+function parseTaskFilter(expression, context) {
+  if (typeof expression !== 'string') {
+    throw filterError('the filter must be a single string');
+  }
+  if (expression.length > MAX_LENGTH) {
+    throw filterError(`the filter is too long (max ${MAX_LENGTH} characters)`);
+  }
+
+  const tokens = tokenize(expression);
+  if (tokens.length === 0) return {};
+
+  return compile(parse(tokens), context);
+}
+
+/**
+ * Turn one simple query parameter (?status=pending) into a Prisma
+ * condition, using the same field rules as the filter language.
+ *
+ * @param {string} field - Filter field name, e.g. 'status'
+ * @param {string} value - Raw query value
+ * @param {object} context - { userId }
+ * @returns {object}
+ * @throws {Error} 400 INVALID_FILTER for invalid values
+ */
+function fieldCondition(field, value, context) {
+  if (typeof value !== 'string') {
+    throw filterError(`${field} must be a single value`);
+  }
+  return compileCompare(
+    { type: 'compare', field, op: '=', values: [{ value, position: undefined }] },
+    context
+  );
+}
+
+module.exports = {
+  VALID_STATUSES,
+  VALID_PRIORITIES,
+  SORT_FIELDS,
+  parseTaskFilter,
+  fieldCondition,
+};
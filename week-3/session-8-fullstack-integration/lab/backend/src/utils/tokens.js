@@ -0,0 +1,310 @@
+/**
+ * =============================================================
+ * TOKEN UTILITIES - Sessions, Access Tokens and Refresh Tokens
+ * =============================================================
+ *
+ * TWO KINDS OF TOKENS:
+ *   Access token  - A short-lived JWT (default 15 minutes) sent with
+ *                   every API request. It carries the session id
+ *                   ("sid"), and authMiddleware checks that the
+ *                   session hasn't been revoked.
+ *   Refresh token - A long-lived random string (default 7 days) that
+ *                   can ONLY be used at POST /api/auth/refresh to get a
+ *                   new access token. It is stored (hashed) in the
+ *                   database, so the server can revoke it.
+ *
+ * SESSIONS:
+ *   Every login creates a Session (device, IP, last seen). All the
+ *   refresh tokens of one session form a "family". Revoking the
+ *   session (logout, "sign out" on the Profile page) revokes them all.
+ *
+ * ROTATION:
+ *   Each refresh token works once. Using it revokes it and returns
+ *   a new one for the same session.
+ *
+ * REUSE DETECTION:
+ *   If an already-revoked token is used again, either the user or an
+ *   attacker is replaying an old copy. We can't tell which, so the
+ *   whole session is revoked and everyone has to log in again.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+
+// How long a refresh token lives, in days
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+// Marks a JWT as a 2FA login challenge rather than an access token
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+/**
+ * Generate a JWT access token for a user.
+ *
+ * The token contains the user's id, username, email, whether the
+ * email has been verified (so the frontend can show a reminder),
+ * and the id of the session it belongs to.
+ * These are called "claims" - pieces of information encoded in the token.
+ *
+ * @param {object} user - User object from database
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} - Signed JWT token
+ */
+function generateToken(user, sessionId) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    }
+  );
+}
+
+/**
+ * Generate a short-lived 2FA challenge token.
+ *
+ * Returned by /login when the user has 2FA enabled: it proves the
+ * password was correct, and is traded (with a valid code) for real
+ * tokens at POST /api/auth/login/2fa. The "purpose" claim stops it
+ * from being accepted as an access token (see middleware/auth.js).
+ *
+ * @param {object} user - User object from database
+ * @returns {string} - Signed JWT, valid for 5 minutes
+ */
+function generateChallengeToken(user) {
+  return jwt.sign(
+    { id: user.id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+}
+
+/**
+ * Verify a 2FA challenge token.
+ *
+ * @param {string} token
+ * @returns {number|null} - The user id, or null if invalid/expired
+ */
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash a token with SHA-256 before storing or looking it up.
+ *
+ * Like passwords, tokens are secrets: if the database leaks, the
+ * hashes are useless to an attacker. Unlike passwords, tokens are
+ * long random strings, so a fast hash (no bcrypt salt) is enough.
+ *
+ * @param {string} token - Raw token
+ * @returns {string} - Hex-encoded hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * When a refresh token issued now should expire.
+ */
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create and store a new refresh token for a session.
+ *
+ * @param {object} session - { id, userId }
+ * @returns {Promise<string>} - The raw token (only ever seen by the client)
+ */
+async function issueRefreshToken(session) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await prisma.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      sessionId: session.id,
+      userId: session.userId,
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return token;
+}
+
+/**
+ * Start a session and issue the access + refresh token pair
+ * returned by login/register.
+ *
+ * @param {object} user - User object from database
+ * @param {object} req - Express request (for the user agent and IP)
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+async function issueTokens(user, req) {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip,
+      expiresAt: refreshExpiry(),
+    },
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken: await issueRefreshToken(session),
+  };
+}
+
+/**
+ * Revoke a session and every still-active refresh token in it
+ * (logout, "sign out" from the Profile page, or token reuse).
+ *
+ * @param {string} sessionId
+ */
+async function revokeSession(sessionId) {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+}
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ * ("sign out everywhere else", or all of them after a password reset).
+ *
+ * @param {number} userId
+ * @param {string} [exceptSessionId] - Session to keep
+ */
+async function revokeUserSessions(userId, exceptSessionId) {
+  const now = new Date();
+  const sessionFilter = exceptSessionId ? { not: exceptSessionId } : undefined;
+
+  await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { userId, id: sessionFilter, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+    prisma.refreshToken.updateMany({
+      where: { userId, sessionId: sessionFilter, revokedAt: null },
+      data: { revokedAt: now },
+    }),
+  ]);
+}
+
+/**
+ * Build a 401 error for errorHandler with a machine-readable code.
+ */
+function unauthorized(message, code) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ *
+ * @param {string} refreshToken - Raw token from the client
+ * @param {object} req - Express request (to record the IP)
+ * @returns {Promise<{ token: string, refreshToken: string, user: object }>}
+ * @throws 401 error if the token is unknown, expired, reused, or its
+ *         session was signed out
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true, session: true },
+  });
+
+  if (!stored) {
+    throw unauthorized('Invalid refresh token. Please log in again.', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (stored.session.revokedAt) {
+    throw unauthorized('This session has been signed out. Please log in again.', 'SESSION_REVOKED');
+  }
+
+  // Reuse detection - this token was already rotated or revoked
+  if (stored.revokedAt) {
+    await revokeSession(stored.sessionId);
+    throw unauthorized('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw unauthorized('Refresh token has expired. Please log in again.', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  // Revoke the old token. The where clause includes revokedAt: null
+  // so two simultaneous refreshes with the same token can't BOTH win -
+  // the loser is treated as reuse.
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  if (count === 0) {
+    await revokeSession(stored.sessionId);
+    throw unauthorized('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  // Keep the session alive as long as it keeps refreshing
+  await prisma.session.update({
+    where: { id: stored.sessionId },
+    data: { lastSeenAt: new Date(), expiresAt: refreshExpiry(), ip: req.ip },
+  });
+
+  return {
+    token: generateToken(stored.user, stored.sessionId),
+    refreshToken: await issueRefreshToken(stored.session),
+    user: stored.user,
+  };
+}
+
+/**
+ * Log out: revoke the session that a refresh token belongs to.
+ * Unknown tokens are ignored so logout is always safe to call.
+ *
+ * @param {string} refreshToken - Raw token from the client
+ */
+async function revokeRefreshToken(refreshToken) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: { sessionId: true },
+  });
+
+  if (stored) {
+    await revokeSession(stored.sessionId);
+  }
+}
+
+module.exports = {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,162 @@
+/**
+ * =============================================================
+ * TOTP - Time-Based One-Time Passwords (RFC 6238)
+ * =============================================================
+ *
+ * The algorithm behind Google Authenticator, Authy, 1Password, etc.
+ *
+ * HOW IT WORKS:
+ *   1. Server and app share a random secret (shown once as a QR code)
+ *   2. Both compute: step = floor(unixTime / 30)
+ *   3. Both compute: HMAC-SHA1(secret, step) -> take 6 digits
+ *   4. If the user's 6 digits match ours, they have the secret
+ *
+ * No network is involved - the app and server agree because they
+ * share the secret and (roughly) the same clock. We accept codes
+ * one step either side of "now" to allow for clock drift.
+ *
+ * Secrets are encoded in Base32 (A-Z, 2-7) because that's what
+ * authenticator apps expect in the otpauth:// URI.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as Base32 (no padding).
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * Decode a Base32 string (spaces and padding are ignored).
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid Base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret (160 bits, the RFC's recommendation).
+ *
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for one time step (this is HOTP, RFC 4226).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (unix seconds / 30)
+ * @returns {string} - 6-digit code, zero-padded
+ */
+function generateCode(secret, step) {
+  // The step is hashed as an 8-byte big-endian number
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // "Dynamic truncation": the last nibble picks 4 bytes to use
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step.
+ *
+ * @returns {number}
+ */
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the secret, allowing one step of drift.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number|null} [lastStep] - Last step accepted for this user;
+ *        codes from that step or earlier are rejected (no replays)
+ * @returns {number|null} - The matching step, or null if invalid
+ */
+function verifyCode(secret, code, lastStep = null) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import.
+ * Encode it as a QR code, or open it directly on a phone.
+ *
+ * @param {object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} [options.issuer] - App name shown in the authenticator
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer = 'TaskFlow' }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,93 @@
+/**
+ * =============================================================
+ * TWO-FACTOR HELPERS - Recovery Codes and Second-Factor Checks
+ * =============================================================
+ *
+ * Shared by routes/users.js (enrollment) and routes/auth.js
+ * (the second login step).
+ *
+ * A "second factor" is either:
+ *   - A 6-digit TOTP code from the authenticator app, or
+ *   - One of the user's recovery codes (format: xxxxx-xxxxx),
+ *     for when the phone is lost. Each recovery code works once.
+ * =============================================================
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const prisma = require('../prisma');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const SALT_ROUNDS = 10;
+
+/**
+ * Replace a user's recovery codes with a fresh set.
+ *
+ * @param {number} userId
+ * @returns {Promise<string[]>} - The plain codes (shown to the user ONCE)
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, SALT_ROUNDS)));
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: hashes.map((codeHash) => ({ userId, codeHash })),
+    }),
+  ]);
+
+  return codes;
+}
+
+/**
+ * Check a TOTP code or recovery code for a user with 2FA enabled.
+ * A successful check is recorded so the same code can't be reused.
+ *
+ * @param {object} user - User row (needs id, totpSecret, totpLastStep)
+ * @param {string} code - What the user typed
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, code) {
+  const input = String(code || '').trim().toLowerCase();
+
+  // 6 digits = authenticator code
+  if (/^\d{3}\s?\d{3}$/.test(input)) {
+    const step = verifyCode(user.totpSecret, input, user.totpLastStep);
+    if (step === null) return false;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpLastStep: step },
+    });
+    return true;
+  }
+
+  // Anything else = recovery code
+  const unused = await prisma.recoveryCode.findMany({
+    where: { userId: user.id, usedAt: null },
+  });
+
+  for (const recoveryCode of unused) {
+    if (await bcrypt.compare(input, recoveryCode.codeHash)) {
+      // usedAt: null in the where clause stops two requests using it at once
+      const { count } = await prisma.recoveryCode.updateMany({
+        where: { id: recoveryCode.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      return count === 1;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
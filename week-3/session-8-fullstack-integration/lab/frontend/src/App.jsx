@@ -10,16 +10,31 @@
  *   /           -> Redirect to /tasks
  *   /login      -> LoginPage (public)
  *   /register   -> RegisterPage (public)
+ *   /forgot-password -> ForgotPasswordPage (public, request reset email)
+ *   /reset-password  -> ResetPasswordPage (public, link from the email)
+ *   /verify-email    -> VerifyEmailPage (public, link from the email)
+ *   /oauth/callback  -> OAuthCallbackPage (public, back from "Sign in with ...")
  *   /tasks      -> TasksPage (protected, full CRUD)
+ *   /tasks/:id  -> TaskDetailPage (protected, one task and its comments)
+ *   /workspaces -> WorkspacesPage (protected, teams & invitations)
+ *   /profile    -> ProfilePage (protected, account & security settings)
  * =============================================================
  */
 
 import { Routes, Route, Navigate } from 'react-router-dom';
 import Header from './components/Header';
 import PrivateRoute from './components/PrivateRoute';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
 import TasksPage from './pages/TasksPage';
+import TaskDetailPage from './pages/TaskDetailPage';
+import WorkspacesPage from './pages/WorkspacesPage';
+import ProfilePage from './pages/ProfilePage';
 
 function App() {
   return (
@@ -27,12 +42,18 @@ function App() {
       <Header />
 
       <main className="main-content">
+        <VerifyEmailBanner />
+
         <Routes>
           <Route path="/" element={<Navigate to="/tasks" replace />} />
 
           {/* Public routes */}
           <Route path="/login" element={<LoginPage />} />
           <Route path="/register" element={<RegisterPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
+          <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
 
           {/* Protected route - Tasks page with full API integration */}
           <Route
@@ -43,6 +64,30 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/tasks/:id"
+            element={
+              <PrivateRoute>
+                <TaskDetailPage />
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/workspaces"
+            element={
+              <PrivateRoute>
+                <WorkspacesPage />
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/profile"
+            element={
+              <PrivateRoute>
+                <ProfilePage />
+              </PrivateRoute>
+            }
+          />
         </Routes>
       </main>
     </div>
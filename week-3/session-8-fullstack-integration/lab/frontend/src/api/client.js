@@ -5,12 +5,29 @@
  *
  * Full-stack version of the API client with:
  *   - Auto-attached JWT token on every request
- *   - 401 response handling (auto-logout on expired token)
+ *   - Auto-attached X-Workspace-Id header for the active workspace
+ *   - X-Client-Id header naming this browser tab, so the live task
+ *     events it causes can be told apart (see api/realtime.js)
+ *   - Transparent token refresh when the access token expires
  *   - Request timeout
  *
  * INTERCEPTOR FLOW:
- *   Request:  Add Authorization header with Bearer token
- *   Response: If 401, clear auth and redirect to login
+ *   Request:  Add Authorization header with Bearer token,
+ *             and X-Workspace-Id if a team workspace is selected
+ *   Response: If 401, trade the refresh token for a new token pair
+ *             and retry the request ONCE. Only if the refresh fails
+ *             too do we clear auth and redirect to login.
+ *
+ * Access tokens expire after ~15 minutes, so the refresh happens
+ * regularly while the user works - they never notice it.
+ *
+ * ONE REFRESH AT A TIME, ACROSS TABS:
+ *   Each refresh token works only once - using it twice looks like
+ *   theft and signs the session out. All tabs share the tokens in
+ *   localStorage, so a refresh holds a Web Lock (navigator.locks)
+ *   that every tab of the app sees. A tab that waited for the lock
+ *   and finds a different refresh token stored, takes the tokens
+ *   the other tab just got instead of refreshing again.
  *
  * This client is used by both AuthContext (login/register)
  * and the Tasks page (CRUD operations).
@@ -19,6 +36,67 @@
 
 import axios from 'axios';
 
+// Auth endpoints whose 401s mean "wrong credentials", not "expired token"
+const AUTH_PATHS = [
+  '/api/auth/login',
+  '/api/auth/login/2fa',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+  '/api/auth/oauth/exchange',
+];
+
+// A random ID for this tab (new on every page load). The server copies
+// it into the task events our requests cause, as "origin".
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// While a refresh is in flight, other failing requests wait for it
+// instead of starting their own (each refresh token works only once!)
+let refreshPromise = null;
+
+// Web Lock held during a refresh, so other tabs wait for it too
+const REFRESH_LOCK = 'taskflow-token-refresh';
+
+/**
+ * Exchange the stored refresh token for a new access + refresh token.
+ *
+ * Uses plain axios (not apiClient) so a failed refresh doesn't
+ * trigger the response interceptor below and loop forever.
+ *
+ * @returns {Promise<string>} - The new access token
+ */
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    // The token we'd have refreshed - if another tab has replaced it
+    // by the time we hold the lock, it refreshed for us
+    const seenRefreshToken = localStorage.getItem('refreshToken');
+
+    const refresh = async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      if (refreshToken !== seenRefreshToken) {
+        return localStorage.getItem('authToken');
+      }
+
+      const response = await axios.post('/api/auth/refresh', { refreshToken });
+      localStorage.setItem('authToken', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      return response.data.token;
+    };
+
+    // Without Web Locks (old browsers, plain http on another host)
+    // only this tab's requests share the refresh
+    refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh())
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+}
+
 const apiClient = axios.create({
   baseURL: '',
   headers: {
@@ -27,33 +105,67 @@ const apiClient = axios.create({
   timeout: 10000,
 });
 
-// Request interceptor: attach auth token
+// Request interceptor: attach auth token and active workspace
 apiClient.interceptors.request.use(
   (config) => {
     const token = localStorage.getItem('authToken');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    // No header = the server uses the user's personal workspace
+    const workspaceId = localStorage.getItem('activeWorkspaceId');
+    if (workspaceId) {
+      config.headers['X-Workspace-Id'] = workspaceId;
+    }
+
+    config.headers['X-Client-Id'] = CLIENT_ID;
     return config;
   },
   (error) => Promise.reject(error)
 );
 
-// Response interceptor: handle 401 (unauthorized) globally
+// Response interceptor: refresh and retry on 401 (unauthorized)
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid - force logout
+  async (error) => {
+    const original = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retried ||
+      AUTH_PATHS.includes(original.url)
+    ) {
+      return Promise.reject(error);
+    }
+
+    // Mark the request so a second 401 doesn't refresh again
+    original._retried = true;
+
+    try {
+      const token = await refreshAccessToken();
+      original.headers.Authorization = `Bearer ${token}`;
+      return apiClient(original);
+    } catch {
+      // Refresh token expired, revoked or reused - force logout
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('activeWorkspaceId');
 
       // Only redirect if not already on a public page
-      const publicPaths = ['/login', '/register'];
+      const publicPaths = [
+        '/login',
+        '/register',
+        '/forgot-password',
+        '/reset-password',
+        '/oauth/callback',
+      ];
       if (!publicPaths.includes(window.location.pathname)) {
         window.location.href = '/login';
       }
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -0,0 +1,103 @@
+/**
+ * =============================================================
+ * REAL-TIME - Live Task Events over a WebSocket
+ * =============================================================
+ *
+ * Connects to the API's WebSocket (/api/realtime, proxied by Vite)
+ * and reports the task changes other tabs and teammates make in
+ * one workspace:
+ *
+ *   { type: 'task.created', task }
+ *   { type: 'task.updated', task }
+ *   { type: 'task.deleted', taskId, parentId }
+ *
+ * Events this tab caused itself (origin === CLIENT_ID) are skipped -
+ * the page already applied the API's response.
+ *
+ * RECONNECTING:
+ *   If the connection drops, we try again after a growing delay
+ *   (RETRY_DELAYS_MS). A connection that never opened was most
+ *   likely refused because the access token expired, so the first
+ *   retry gets a new token first (like the API client does on a 401).
+ *
+ * USAGE:
+ *   useEffect(() => subscribeToTaskEvents(workspaceId, handleEvent), [workspaceId]);
+ *   (the returned function closes the connection)
+ * =============================================================
+ */
+
+import { CLIENT_ID, refreshAccessToken } from './client';
+
+// Wait this long before each reconnect attempt (the last one repeats)
+const RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * Receive the task events of a workspace until the returned
+ * function is called.
+ *
+ * @param {number} workspaceId
+ * @param {(event: object) => void} onEvent
+ * @returns {() => void} - Closes the connection
+ */
+export function subscribeToTaskEvents(workspaceId, onEvent) {
+  let socket = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let triedRefresh = false;
+  let isClosed = false;
+
+  function connect() {
+    const token = localStorage.getItem('authToken');
+    if (!token) return;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(
+      `${protocol}//${window.location.host}/api/realtime?token=${encodeURIComponent(token)}`
+    );
+    let opened = false;
+
+    socket.onopen = () => {
+      opened = true;
+      attempts = 0;
+      triedRefresh = false;
+      socket.send(JSON.stringify({ type: 'subscribe', workspaceId }));
+    };
+
+    socket.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+
+      if (event.type === 'error') {
+        console.error('Live updates:', event.error);
+      } else if (event.type.startsWith('task.') && event.origin !== CLIENT_ID) {
+        onEvent(event);
+      }
+    };
+
+    socket.onclose = async () => {
+      if (isClosed) return;
+
+      if (!opened && !triedRefresh) {
+        triedRefresh = true;
+        try {
+          await refreshAccessToken();
+        } catch (err) {
+          // The server answered: the refresh token is no good - logged out
+          if (err.response) return;
+        }
+        if (isClosed) return;
+      }
+
+      const delay = RETRY_DELAYS_MS[Math.min(attempts, RETRY_DELAYS_MS.length - 1)];
+      attempts += 1;
+      retryTimer = setTimeout(connect, delay);
+    };
+  }
+
+  connect();
+
+  return () => {
+    isClosed = true;
+    clearTimeout(retryTimer);
+    socket?.close();
+  };
+}
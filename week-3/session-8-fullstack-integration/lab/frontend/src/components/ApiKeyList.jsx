@@ -0,0 +1,145 @@
+/**
+ * =============================================================
+ * API KEY LIST - Personal Keys for Scripts and Integrations
+ * =============================================================
+ *
+ * Used on the Profile page. Scripts send a key as:
+ *   Authorization: ApiKey tf_...
+ * instead of logging in with a password.
+ *
+ * ACTIONS:
+ *   Create -> POST /api/users/api-keys   { name, scope }
+ *             The full key is shown ONCE - the server only keeps a
+ *             hash, so it can't be displayed again.
+ *   Revoke -> DELETE /api/users/api-keys/:id
+ *
+ * SCOPES:
+ *   read  - GET requests only (safe for dashboards / exports)
+ *   write - Everything a logged-in user can do with tasks
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../api/client';
+
+function ApiKeyList() {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [name, setName] = useState('');
+  const [scope, setScope] = useState('read');
+
+  // The full key of the key just created (shown once)
+  const [newKey, setNewKey] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/api/users/api-keys');
+      setApiKeys(response.data.apiKeys);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load API keys.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    setError('');
+    try {
+      const response = await apiClient.post('/api/users/api-keys', {
+        name: name.trim(),
+        scope,
+      });
+      setNewKey(response.data.key);
+      setName('');
+      await fetchApiKeys();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create API key.');
+    }
+  }
+
+  async function handleRevoke(apiKey) {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    setError('');
+    try {
+      await apiClient.delete(`/api/users/api-keys/${apiKey.id}`);
+      await fetchApiKeys();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke API key.');
+    }
+  }
+
+  return (
+    <section className="profile-section">
+      <h2>API Keys</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {newKey && (
+        <div className="recovery-codes">
+          <p>
+            <strong>Copy your new key now.</strong> It won't be shown again.
+          </p>
+          <code className="two-factor-secret">{newKey}</code>
+        </div>
+      )}
+
+      {apiKeys.length > 0 ? (
+        <ul className="workspace-list">
+          {apiKeys.map((apiKey) => (
+            <li key={apiKey.id} className="workspace-item">
+              <span>
+                <strong>{apiKey.name}</strong> &middot; <code>{apiKey.prefix}...</code>
+                {' '}&middot; {apiKey.scope}
+                <br />
+                <small className="session-meta">
+                  {apiKey.lastUsedAt
+                    ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()}`
+                    : 'Never used'}
+                </small>
+              </span>
+              <button
+                className="btn btn-sm btn-delete"
+                onClick={() => handleRevoke(apiKey)}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="profile-hint">No API keys yet.</p>
+      )}
+
+      <form onSubmit={handleCreate} className="workspace-inline-form">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Key name, e.g. Backup script"
+          maxLength={100}
+        />
+        <select
+          aria-label="Key scope"
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+        >
+          <option value="read">read</option>
+          <option value="write">write</option>
+        </select>
+        <button type="submit" className="btn btn-sm btn-primary">
+          Create Key
+        </button>
+      </form>
+    </section>
+  );
+}
+
+export default ApiKeyList;
@@ -0,0 +1,42 @@
+/**
+ * =============================================================
+ * AVATAR COMPONENT - Small User Picture
+ * =============================================================
+ *
+ * Shows a user's uploaded avatar image (user.avatarUrl, set by
+ * the avatar upload route from Session 9) or, if they haven't
+ * uploaded one, a circle with the first letter of their username.
+ *
+ * The avatar URL is a path like "/uploads/1700000000-me.png".
+ * The Vite dev server proxies /uploads to the backend, so it
+ * can be used as an <img> src directly.
+ *
+ * PROPS:
+ *   user - { username, avatarUrl? }
+ *   size - Diameter in pixels (default 24)
+ * =============================================================
+ */
+
+function Avatar({ user, size = 24 }) {
+  const style = { width: size, height: size, fontSize: size * 0.45 };
+
+  if (user.avatarUrl) {
+    return (
+      <img
+        src={user.avatarUrl}
+        alt={user.username}
+        title={user.username}
+        className="avatar"
+        style={style}
+      />
+    );
+  }
+
+  return (
+    <span className="avatar avatar-initial" title={user.username} style={style}>
+      {user.username.charAt(0).toUpperCase()}
+    </span>
+  );
+}
+
+export default Avatar;
@@ -0,0 +1,177 @@
+/**
+ * =============================================================
+ * BLOCKER LIST - What a Task is Waiting For
+ * =============================================================
+ *
+ * Shown inside a TaskCard when its blockers are expanded.
+ *
+ * ACTIONS:
+ *   Load   -> GET    /api/tasks/:id/blockers             { blockers, chain }
+ *   Add    -> POST   /api/tasks/:id/blockers             { blockerId }
+ *   Remove -> DELETE /api/tasks/:id/blockers/:blockerId
+ *
+ * THE BLOCKING CHAIN:
+ *   Besides the direct blockers, the API returns everything THEY
+ *   wait for (chain, with a depth per task). It's drawn indented by
+ *   depth, so "Deploy waits for Review, which waits for Write code"
+ *   is visible at a glance. Finished tasks are struck through.
+ *
+ * The API refuses a blocker that would create a cycle (A waits for
+ * B waits for A) and explains why; we show that message as is.
+ *
+ * PROPS:
+ *   task         - The task whose blockers these are
+ *   candidates   - Tasks that can be picked as a new blocker (the
+ *                  tasks loaded on the page)
+ *   readOnly     - Hide the add form and remove buttons
+ *   onTaskChange - (task) => void - The task came back changed
+ *                  (e.g. isBlocked flipped)
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../api/client';
+
+/**
+ * Put the chain in tree order: each task right after the task it
+ * blocks (the API returns it level by level).
+ *
+ * @param {Array<object>} chain - [{ id, depth, blocks, ... }]
+ * @param {number} rootId - The task whose chain it is
+ * @returns {Array<object>}
+ */
+function treeOrder(chain, rootId) {
+  const children = new Map();
+  for (const item of chain) {
+    if (!children.has(item.blocks)) children.set(item.blocks, []);
+    children.get(item.blocks).push(item);
+  }
+
+  const ordered = [];
+  const visit = (id) => {
+    for (const child of children.get(id) || []) {
+      ordered.push(child);
+      visit(child.id);
+    }
+  };
+  visit(rootId);
+  return ordered;
+}
+
+function BlockerList({ task, candidates, readOnly = false, onTaskChange }) {
+  const [blockers, setBlockers] = useState([]);
+  const [chain, setChain] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [blockerId, setBlockerId] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchBlockers = useCallback(async () => {
+    try {
+      const response = await apiClient.get(`/api/tasks/${task.id}/blockers`);
+      setBlockers(response.data.blockers);
+      setChain(response.data.chain);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load blockers.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [task.id]);
+
+  useEffect(() => {
+    fetchBlockers();
+  }, [fetchBlockers]);
+
+  async function handleAdd(event) {
+    event.preventDefault();
+    if (!blockerId) return;
+
+    setError('');
+    try {
+      const response = await apiClient.post(`/api/tasks/${task.id}/blockers`, {
+        blockerId: Number(blockerId),
+      });
+      setBlockerId('');
+      onTaskChange(response.data.task);
+      await fetchBlockers();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add blocker.');
+    }
+  }
+
+  async function handleRemove(blocker) {
+    setError('');
+    try {
+      const response = await apiClient.delete(
+        `/api/tasks/${task.id}/blockers/${blocker.id}`
+      );
+      onTaskChange(response.data.task);
+      await fetchBlockers();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove blocker.');
+    }
+  }
+
+  if (isLoading) {
+    return <p className="subtask-empty">Loading blockers...</p>;
+  }
+
+  // Tasks that aren't this one and don't block it already
+  const blockerIds = new Set(blockers.map((b) => b.id));
+  const options = candidates.filter((c) => c.id !== task.id && !blockerIds.has(c.id));
+
+  return (
+    <div className="blocker-list">
+      {chain.length === 0 ? (
+        <p className="subtask-empty">Not waiting for any other task.</p>
+      ) : (
+        <ul>
+          {treeOrder(chain, task.id).map((item) => (
+            <li
+              key={item.id}
+              className={item.status === 'completed' ? 'blocker-done' : ''}
+              style={{ paddingLeft: `${(item.depth - 1) * 1.25}rem` }}
+            >
+              {item.depth > 1 && <span className="blocker-arrow">&#8627; </span>}
+              {item.title}
+              {!readOnly && item.depth === 1 && (
+                <button
+                  type="button"
+                  className="blocker-remove"
+                  onClick={() => handleRemove(item)}
+                  aria-label={`Remove blocker ${item.title}`}
+                  title="Remove blocker"
+                >
+                  &times;
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!readOnly && options.length > 0 && (
+        <form onSubmit={handleAdd} className="subtask-form">
+          <select
+            value={blockerId}
+            onChange={(e) => setBlockerId(e.target.value)}
+            aria-label="Blocked by"
+          >
+            <option value="">Blocked by...</option>
+            {options.map((option) => (
+              <option key={option.id} value={String(option.id)}>
+                {option.title}
+              </option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-sm btn-primary">
+            Add
+          </button>
+        </form>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+export default BlockerList;
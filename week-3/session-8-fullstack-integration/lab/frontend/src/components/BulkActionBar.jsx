@@ -0,0 +1,103 @@
+/**
+ * =============================================================
+ * BULK ACTION BAR COMPONENT - Act on Several Selected Tasks
+ * =============================================================
+ *
+ * Shown above the task list while tasks are selected (with the
+ * checkboxes on TaskCard). Each action is ONE request to
+ * POST /api/tasks/bulk instead of one request per task.
+ *
+ * Like ProjectSwitcher, this is a presentational component:
+ * TasksPage owns the selection and does the API call.
+ *
+ * PROPS:
+ *   count       - Number of selected tasks
+ *   projects    - Array of { id, name } for "Move to"
+ *   onAction    - (operation, payload) => Promise - e.g.
+ *                 ('update', { fields: { status: 'completed' } })
+ *                 ('move', { projectId: 3 })
+ *                 ('delete', {})
+ *   onClear     - () => void - Clear the selection
+ *   isWorking   - True while a bulk request is running
+ * =============================================================
+ */
+
+function BulkActionBar({ count, projects, onAction, onClear, isWorking }) {
+  /**
+   * Run the action picked in a <select>, then reset the select
+   * so the same action can be picked again.
+   */
+  function handleSelect(event, run) {
+    const { value } = event.target;
+    event.target.value = '';
+    if (value !== '') run(value);
+  }
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{count} selected</span>
+
+      <button
+        type="button"
+        className="btn btn-sm btn-toggle"
+        onClick={() => onAction('update', { fields: { status: 'completed' } })}
+        disabled={isWorking}
+      >
+        Complete
+      </button>
+
+      <select
+        defaultValue=""
+        onChange={(e) =>
+          handleSelect(e, (priority) => onAction('update', { fields: { priority } }))
+        }
+        disabled={isWorking}
+        aria-label="Set priority"
+      >
+        <option value="">Set priority...</option>
+        <option value="low">Low</option>
+        <option value="medium">Medium</option>
+        <option value="high">High</option>
+      </select>
+
+      <select
+        defaultValue=""
+        onChange={(e) =>
+          handleSelect(e, (projectId) =>
+            onAction('move', { projectId: projectId === 'none' ? null : Number(projectId) })
+          )
+        }
+        disabled={isWorking}
+        aria-label="Move to project"
+      >
+        <option value="">Move to...</option>
+        <option value="none">No project</option>
+        {projects.map((project) => (
+          <option key={project.id} value={String(project.id)}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+
+      <button
+        type="button"
+        className="btn btn-sm btn-delete"
+        onClick={() => onAction('delete', {})}
+        disabled={isWorking}
+      >
+        Delete
+      </button>
+
+      <button
+        type="button"
+        className="btn btn-sm btn-cancel"
+        onClick={onClear}
+        disabled={isWorking}
+      >
+        Clear
+      </button>
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,283 @@
+/**
+ * =============================================================
+ * COMMENT THREAD - A Task's Discussion
+ * =============================================================
+ *
+ * Shown on the task detail page.
+ *
+ * ACTIONS:
+ *   Load   -> GET    /api/tasks/:id/comments                { comments, count }
+ *   Post   -> POST   /api/tasks/:id/comments                { body, parentCommentId? }
+ *   Edit   -> PATCH  /api/tasks/:id/comments/:commentId     { body }
+ *   Delete -> DELETE /api/tasks/:id/comments/:commentId
+ *
+ * Threads are one level deep: each top-level comment has a "Reply"
+ * button, and its replies are listed under it. Only the author of a
+ * comment sees its Edit and Delete buttons (the API checks too).
+ * After every change the discussion is reloaded, so replies and
+ * "deleted" placeholders come out exactly as the API has them.
+ *
+ * Bodies are rendered with Markdown (safe - no HTML). Typing "@"
+ * suggests workspace members; the API notifies the people mentioned.
+ *
+ * PROPS:
+ *   taskId        - The task being discussed
+ *   readOnly      - Hide the forms and buttons (workspace viewers)
+ *   members       - Workspace members, for @mention suggestions
+ *   onCountChange - (count) => void - Optional; the number of comments
+ *                   changed. Pass a stable function (e.g. a state setter) -
+ *                   a new one each render reloads the comments.
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../api/client';
+import { useAuth } from '../context/AuthContext';
+import Avatar from './Avatar';
+import Markdown from './Markdown';
+import MentionTextarea from './MentionTextarea';
+
+/**
+ * A textarea with a submit button, for new comments, replies and edits.
+ *
+ * @param {object} props
+ * @param {string} [props.initialValue]
+ * @param {string} props.submitLabel
+ * @param {string} [props.placeholder]
+ * @param {Array<object>} props.members - For @mention suggestions
+ * @param {(body: string) => Promise<boolean>} props.onSubmit - Resolves
+ *   true if the comment was saved (the box is then cleared)
+ * @param {() => void} [props.onCancel] - Shows a Cancel button
+ */
+function CommentForm({ initialValue = '', submitLabel, placeholder, members, onSubmit, onCancel }) {
+  const [body, setBody] = useState(initialValue);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    if (!body.trim()) return;
+
+    setIsSubmitting(true);
+    const saved = await onSubmit(body);
+    setIsSubmitting(false);
+    if (saved) setBody('');
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="comment-form">
+      <MentionTextarea
+        value={body}
+        onChange={setBody}
+        members={members}
+        placeholder={placeholder}
+        aria-label={placeholder || submitLabel}
+        rows={3}
+        maxLength={5000}
+        disabled={isSubmitting}
+      />
+      <div className="comment-form-actions">
+        <span className="comment-hint">**bold**, *italic*, `code`, [link](https://...)</span>
+        {onCancel && (
+          <button type="button" className="btn btn-sm btn-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn btn-sm btn-primary" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function CommentThread({ taskId, readOnly = false, members = [], onCountChange }) {
+  const { user } = useAuth();
+
+  const [comments, setComments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Which comment is being replied to / edited (by ID)
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await apiClient.get(`/api/tasks/${taskId}/comments`);
+      setComments(response.data.comments);
+      onCountChange?.(response.data.count);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load comments.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [taskId, onCountChange]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  /**
+   * Run a request that changes the discussion, then reload it.
+   *
+   * @param {() => Promise} request
+   * @param {string} failure - Error shown if the request fails
+   * @returns {Promise<boolean>} - Whether it worked
+   */
+  async function change(request, failure) {
+    setError('');
+    try {
+      await request();
+      await fetchComments();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || failure);
+      return false;
+    }
+  }
+
+  async function handlePost(body, parentCommentId = null) {
+    const saved = await change(
+      () => apiClient.post(`/api/tasks/${taskId}/comments`, { body, parentCommentId }),
+      'Failed to post comment.'
+    );
+    if (saved) setReplyingTo(null);
+    return saved;
+  }
+
+  async function handleEdit(comment, body) {
+    const saved = await change(
+      () => apiClient.patch(`/api/tasks/${taskId}/comments/${comment.id}`, { body }),
+      'Failed to update comment.'
+    );
+    if (saved) setEditingId(null);
+    return saved;
+  }
+
+  async function handleDelete(comment) {
+    if (!window.confirm('Delete this comment?')) return;
+    await change(
+      () => apiClient.delete(`/api/tasks/${taskId}/comments/${comment.id}`),
+      'Failed to delete comment.'
+    );
+  }
+
+  /**
+   * One comment or reply, with its author, date and buttons.
+   */
+  function renderComment(comment, isReply) {
+    if (comment.deleted) {
+      return <p className="comment-deleted">This comment was deleted.</p>;
+    }
+
+    const isOwn = comment.author?.id === user?.id;
+    const postedAt = new Date(comment.createdAt).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+
+    return (
+      <>
+        <div className="comment-header">
+          <Avatar user={comment.author} size={24} />
+          <strong>{comment.author.username}</strong>
+          <span className="comment-date">
+            {postedAt}
+            {comment.editedAt && ' (edited)'}
+          </span>
+        </div>
+
+        {editingId === comment.id ? (
+          <CommentForm
+            initialValue={comment.body}
+            submitLabel="Save"
+            members={members}
+            onSubmit={(body) => handleEdit(comment, body)}
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <Markdown text={comment.body} />
+        )}
+
+        {!readOnly && editingId !== comment.id && (
+          <div className="comment-actions">
+            {!isReply && (
+              <button type="button" onClick={() => setReplyingTo(comment.id)}>
+                Reply
+              </button>
+            )}
+            {isOwn && (
+              <>
+                <button type="button" onClick={() => setEditingId(comment.id)}>
+                  Edit
+                </button>
+                <button type="button" onClick={() => handleDelete(comment)}>
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </>
+    );
+  }
+
+  if (isLoading) {
+    return <p className="subtask-empty">Loading comments...</p>;
+  }
+
+  return (
+    <section className="comment-thread">
+      <h2>Comments</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {comments.length === 0 && (
+        <p className="subtask-empty">No comments yet.</p>
+      )}
+
+      <ul className="comment-list">
+        {comments.map((comment) => (
+          <li key={comment.id} className="comment">
+            {renderComment(comment, false)}
+
+            {comment.replies.length > 0 && (
+              <ul className="comment-replies">
+                {comment.replies.map((reply) => (
+                  <li key={reply.id} className="comment">
+                    {renderComment(reply, true)}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {replyingTo === comment.id && (
+              <div className="comment-replies">
+                <CommentForm
+                  submitLabel="Reply"
+                  members={members}
+                  placeholder={`Reply to ${comment.author.username}`}
+                  onSubmit={(body) => handlePost(body, comment.id)}
+                  onCancel={() => setReplyingTo(null)}
+                />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!readOnly && (
+        <CommentForm
+          submitLabel="Comment"
+          members={members}
+          placeholder="Write a comment"
+          onSubmit={(body) => handlePost(body)}
+        />
+      )}
+    </section>
+  );
+}
+
+export default CommentThread;
@@ -5,15 +5,23 @@
  *
  * Displays different navigation based on auth state:
  *   - Logged out: Login, Register links
- *   - Logged in: My Tasks link, username, Logout button
+ *   - Logged in: My Tasks link, Workspaces link, workspace switcher,
+ *     notification bell, username (links to the Profile page),
+ *     Logout button
+ *
+ * The workspace switcher changes which workspace's tasks the
+ * Tasks page shows (see WorkspaceContext).
  * =============================================================
  */
 
 import { Link, NavLink, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import NotificationBell from './NotificationBell';
 
 function Header() {
   const { user, logout } = useAuth();
+  const { workspaces, activeWorkspace, selectWorkspace } = useWorkspace();
   const navigate = useNavigate();
 
   function handleLogout() {
@@ -40,7 +48,41 @@ function Header() {
                 My Tasks
               </NavLink>
 
-              <span className="nav-user">{user.username}</span>
+              <NavLink
+                to="/workspaces"
+                className={({ isActive }) =>
+                  isActive ? 'nav-link active' : 'nav-link'
+                }
+              >
+                Workspaces
+              </NavLink>
+
+              {workspaces.length > 1 && (
+                <select
+                  className="workspace-select"
+                  aria-label="Active workspace"
+                  value={activeWorkspace ? String(activeWorkspace.id) : ''}
+                  onChange={(e) => {
+                    const selected = workspaces.find(
+                      (w) => String(w.id) === e.target.value
+                    );
+                    // The personal workspace is the default - no header needed
+                    selectWorkspace(selected?.isPersonal ? '' : e.target.value);
+                  }}
+                >
+                  {workspaces.map((w) => (
+                    <option key={w.id} value={String(w.id)}>
+                      {w.isPersonal ? 'Personal' : w.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              <NotificationBell />
+
+              <Link to="/profile" className="nav-user" title="My profile">
+                {user.username}
+              </Link>
 
               <button onClick={handleLogout} className="btn btn-logout">
                 Logout
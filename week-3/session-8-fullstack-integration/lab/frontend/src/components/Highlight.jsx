@@ -0,0 +1,32 @@
+/**
+ * =============================================================
+ * HIGHLIGHT COMPONENT - Show Where a Search Matched
+ * =============================================================
+ *
+ * Renders the highlight segments returned by GET /api/tasks/search:
+ *   [{ text: 'Fix the ', match: false }, { text: 'login', match: true }]
+ * Matching segments are wrapped in <mark>.
+ *
+ * Every segment is rendered as a text node, so React escapes it -
+ * a task titled "<b>hi</b>" shows exactly that, never bold text.
+ *
+ * PROPS:
+ *   segments - Array of { text, match }
+ * =============================================================
+ */
+
+function Highlight({ segments }) {
+  return (
+    <>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className="search-match">{segment.text}</mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </>
+  );
+}
+
+export default Highlight;
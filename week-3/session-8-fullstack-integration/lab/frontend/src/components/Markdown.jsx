@@ -0,0 +1,108 @@
+/**
+ * =============================================================
+ * MARKDOWN COMPONENT - Safe Formatting for Comments
+ * =============================================================
+ *
+ * Renders the small part of markdown people actually type in a
+ * comment:
+ *
+ *   **bold**   *italic*   `code`   [a link](https://example.com)
+ *   - list items
+ *   blank lines between paragraphs, single line breaks kept
+ *   @username mentions (highlighted)
+ *
+ * SAFETY:
+ *   The text is never turned into HTML. We split it into pieces and
+ *   render each one as a React element or text node, so React
+ *   escapes everything - "<script>" in a comment shows as text, like
+ *   in Highlight. Links only accept http(s) URLs (no "javascript:")
+ *   and open in a new tab with rel="noopener noreferrer".
+ *
+ * PROPS:
+ *   text - The markdown source
+ * =============================================================
+ */
+
+// One inline token: `code`, **bold**, *italic*, [text](url), or
+// @mention (with the character before it, which isn't part of it -
+// same rule as the API's utils/mentions.js)
+const INLINE_PATTERN =
+  /`([^`\n]+)`|\*\*([^*\n]+)\*\*|\*([^*\s][^*\n]*)\*|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)|(^|[^\w@.-])@([\w.-]*\w)/g;
+
+/**
+ * Render the inline formatting of one line.
+ *
+ * @param {string} line
+ * @returns {Array<string|JSX.Element>}
+ */
+function renderInline(line) {
+  const pieces = [];
+  let last = 0;
+
+  for (const match of line.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) pieces.push(line.slice(last, match.index));
+
+    const [, code, bold, italic, linkText, href, beforeMention, username] = match;
+    const key = match.index;
+    if (username !== undefined) {
+      if (beforeMention) pieces.push(beforeMention);
+      pieces.push(<span key={key} className="mention">@{username}</span>);
+    } else if (code !== undefined) {
+      pieces.push(<code key={key}>{code}</code>);
+    } else if (bold !== undefined) {
+      pieces.push(<strong key={key}>{bold}</strong>);
+    } else if (italic !== undefined) {
+      pieces.push(<em key={key}>{italic}</em>);
+    } else if (linkText !== undefined) {
+      pieces.push(
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer">
+          {linkText}
+        </a>
+      );
+    }
+
+    last = match.index + match[0].length;
+  }
+
+  if (last < line.length) pieces.push(line.slice(last));
+  return pieces;
+}
+
+/**
+ * Render the lines of a paragraph, keeping the line breaks.
+ */
+function renderLines(lines) {
+  return lines.map((line, index) => (
+    <span key={index}>
+      {index > 0 && <br />}
+      {renderInline(line)}
+    </span>
+  ));
+}
+
+function Markdown({ text }) {
+  const blocks = text.split(/\n\s*\n/);
+
+  return (
+    <div className="markdown">
+      {blocks.map((block, index) => {
+        const lines = block.split('\n');
+
+        // A block where every line starts with "- " or "* " is a list
+        if (lines.every((line) => /^\s*[-*] /.test(line))) {
+          return (
+            <ul key={index}>
+              {lines.map((line, i) => (
+                <li key={i}>{renderInline(line.replace(/^\s*[-*] /, ''))}</li>
+              ))}
+            </ul>
+          );
+        }
+
+        return <p key={index}>{renderLines(lines)}</p>;
+      })}
+    </div>
+  );
+}
+
+export default Markdown;
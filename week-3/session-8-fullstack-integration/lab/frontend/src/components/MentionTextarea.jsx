@@ -0,0 +1,143 @@
+/**
+ * =============================================================
+ * MENTION TEXTAREA - A Textarea that Completes @usernames
+ * =============================================================
+ *
+ * Used for task descriptions and comments. Typing "@" followed by
+ * the start of a name lists the workspace members whose username
+ * starts with it:
+ *
+ *   Can @al|            ->   [alice]  [alan]
+ *
+ *   Up / Down     - Move through the list
+ *   Enter / Tab   - Insert "@alice " in place of "@al"
+ *   Escape        - Close the list
+ *
+ * The server decides who was really mentioned (utils/mentions.js);
+ * this only saves typing and spelling mistakes.
+ *
+ * PROPS:
+ *   value    - The text
+ *   onChange - (text) => void
+ *   members  - Workspace members ([{ id, username, avatarUrl }])
+ *   ...rest  - Passed to the <textarea> (id, rows, placeholder, ...)
+ * =============================================================
+ */
+
+import { useState, useRef, useId } from 'react';
+import Avatar from './Avatar';
+
+// Most names listed at once
+const MAX_SUGGESTIONS = 6;
+
+// "@" + the name typed so far, right before the caret (the "@" must
+// start a word - same rule as the API)
+const QUERY_PATTERN = /(?:^|[^\w@.-])@([\w.-]*)$/;
+
+function MentionTextarea({ value, onChange, members = [], ...rest }) {
+  const textareaRef = useRef(null);
+  const listId = useId();
+
+  // The name typed after "@" (null = the list is closed)
+  const [query, setQuery] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const suggestions =
+    query === null
+      ? []
+      : members
+          .filter((m) => m.username.toLowerCase().startsWith(query.toLowerCase()))
+          .slice(0, MAX_SUGGESTIONS);
+
+  /**
+   * Open, update or close the list for the text before the caret.
+   */
+  function updateQuery(text, caret) {
+    const match = text.slice(0, caret).match(QUERY_PATTERN);
+    setQuery(match ? match[1] : null);
+    setHighlighted(0);
+  }
+
+  function handleChange(event) {
+    onChange(event.target.value);
+    updateQuery(event.target.value, event.target.selectionStart);
+  }
+
+  /**
+   * Replace the "@partial" before the caret with the full name.
+   */
+  function pick(member) {
+    const textarea = textareaRef.current;
+    const caret = textarea.selectionStart;
+    const before = value.slice(0, caret).replace(/@[\w.-]*$/, `@${member.username} `);
+
+    onChange(before + value.slice(caret));
+    setQuery(null);
+
+    // Put the caret after the inserted name once React has re-rendered
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(before.length, before.length);
+    });
+  }
+
+  function handleKeyDown(event) {
+    if (suggestions.length === 0) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      pick(suggestions[highlighted]);
+    } else if (event.key === 'Escape') {
+      setQuery(null);
+    }
+  }
+
+  const isOpen = suggestions.length > 0;
+
+  return (
+    <div className="mention-input">
+      <textarea
+        {...rest}
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setQuery(null)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        aria-activedescendant={isOpen ? `${listId}-${highlighted}` : undefined}
+      />
+
+      {isOpen && (
+        <ul id={listId} className="mention-suggestions" role="listbox">
+          {suggestions.map((member, index) => (
+            <li
+              key={member.id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === highlighted}
+              className={index === highlighted ? 'highlighted' : ''}
+              // mousedown, not click: a click would blur the textarea
+              // (closing the list) before it registers
+              onMouseDown={(event) => {
+                event.preventDefault();
+                pick(member);
+              }}
+            >
+              <Avatar user={member} size={20} />
+              {member.username}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default MentionTextarea;
@@ -0,0 +1,197 @@
+/**
+ * =============================================================
+ * NOTIFICATION BELL - Unread Badge and Notification Panel
+ * =============================================================
+ *
+ * Shown in the header while logged in. The badge counts unread
+ * notifications; clicking the bell opens the latest ones.
+ *
+ * ACTIONS:
+ *   Load          -> GET  /api/notifications?limit=15   { notifications, unreadCount }
+ *   Open one      -> POST /api/notifications/:id/read, then go to its task
+ *   Mark all read -> POST /api/notifications/read-all
+ *
+ * The list is reloaded every minute (so the badge picks up new
+ * notifications) and every time the panel is opened. A task can be
+ * in any workspace, so opening it switches to that workspace first.
+ *
+ * The panel closes on a click outside it or on Escape.
+ * =============================================================
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../api/client';
+import { useWorkspace } from '../context/WorkspaceContext';
+import Avatar from './Avatar';
+
+// How often the unread count is refreshed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// How many notifications the panel lists
+const PANEL_LIMIT = 15;
+
+/**
+ * "just now", "5m ago", "3h ago", "2d ago" - or the date, if older.
+ */
+function timeAgo(value) {
+  const minutes = Math.floor((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  if (minutes < 7 * 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ago`;
+  return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function NotificationBell() {
+  const { workspaces, selectWorkspace } = useWorkspace();
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/api/notifications', {
+        params: { limit: PANEL_LIMIT },
+      });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load notifications.');
+    }
+  }, []);
+
+  // Load now, then refresh the badge regularly
+  useEffect(() => {
+    fetchNotifications();
+    const timer = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [fetchNotifications]);
+
+  // Close the panel on a click outside it or on Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    function handleMouseDown(event) {
+      if (!containerRef.current.contains(event.target)) setIsOpen(false);
+    }
+    function handleKeyDown(event) {
+      if (event.key === 'Escape') setIsOpen(false);
+    }
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  function handleToggle() {
+    if (!isOpen) fetchNotifications();
+    setIsOpen(!isOpen);
+  }
+
+  /**
+   * Mark a notification as read and go to its task.
+   */
+  async function handleOpen(notification) {
+    setIsOpen(false);
+
+    if (!notification.readAt) {
+      try {
+        const response = await apiClient.post(`/api/notifications/${notification.id}/read`);
+        setNotifications((current) =>
+          current.map((n) => (n.id === notification.id ? response.data.notification : n))
+        );
+        setUnreadCount(response.data.unreadCount);
+      } catch (err) {
+        console.error('Failed to mark notification as read:', err);
+      }
+    }
+
+    if (notification.task) {
+      // The personal workspace is the default - selected with ''
+      const workspace = workspaces.find((w) => w.id === notification.task.workspaceId);
+      selectWorkspace(workspace?.isPersonal ? '' : notification.task.workspaceId);
+      navigate(`/tasks/${notification.task.id}`);
+    }
+  }
+
+  async function handleMarkAllRead() {
+    try {
+      await apiClient.post('/api/notifications/read-all');
+      const readAt = new Date().toISOString();
+      setNotifications((current) => current.map((n) => ({ ...n, readAt: n.readAt || readAt })));
+      setUnreadCount(0);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to mark notifications as read.');
+    }
+  }
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell-button"
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+        aria-haspopup="true"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <span aria-hidden="true">&#128276;</span>
+        {unreadCount > 0 && (
+          <span className="notification-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button type="button" className="notification-read-all" onClick={handleMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You&apos;re all caught up.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    type="button"
+                    className={notification.readAt ? 'notification-item' : 'notification-item unread'}
+                    onClick={() => handleOpen(notification)}
+                  >
+                    {notification.actor ? (
+                      <Avatar user={notification.actor} size={28} />
+                    ) : (
+                      <span className="notification-icon" aria-hidden="true">&#9200;</span>
+                    )}
+                    <span className="notification-text">
+                      {notification.message}
+                      <span className="notification-time">{timeAgo(notification.createdAt)}</span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,130 @@
+/**
+ * =============================================================
+ * PROJECT SWITCHER COMPONENT - Scope Tasks to a Project
+ * =============================================================
+ *
+ * A dropdown that selects which project's tasks are shown,
+ * plus a small inline form to create a new project.
+ *
+ * SELECTION VALUES:
+ *   'all'  - Tasks from every project (and no project)
+ *   'none' - Only tasks that are not in a project
+ *   <id>   - Only tasks in the project with this ID (as a string)
+ *
+ * Like TaskList, this is a presentational component: TasksPage
+ * owns the projects array and the selection, and this component
+ * reports changes back via callbacks.
+ *
+ * PROPS:
+ *   projects   - Array of { id, name, taskCount }
+ *   selected   - The current selection ('all', 'none', or an id)
+ *   onSelect   - (value) => void - Selection changed
+ *   onCreate   - (name) => Promise<{ success, error? }>
+ *                Optional - without it the "New Project" button is hidden
+ * =============================================================
+ */
+
+import { useState } from 'react';
+
+function ProjectSwitcher({ projects, selected, onSelect, onCreate }) {
+  // Inline "new project" form state
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    setError('');
+
+    if (!name.trim()) {
+      setError('Project name is required');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await onCreate(name.trim());
+
+      if (result.success) {
+        setName('');
+        setIsCreating(false);
+      } else {
+        setError(result.error || 'Failed to create project');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleCancel() {
+    setName('');
+    setError('');
+    setIsCreating(false);
+  }
+
+  return (
+    <div className="project-switcher">
+      <div className="project-switcher-row">
+        <label htmlFor="project-select">Project</label>
+        <select
+          id="project-select"
+          value={selected}
+          onChange={(e) => onSelect(e.target.value)}
+        >
+          <option value="all">All projects</option>
+          <option value="none">No project</option>
+          {projects.map((project) => (
+            <option key={project.id} value={String(project.id)}>
+              {project.name} ({project.taskCount ?? 0})
+            </option>
+          ))}
+        </select>
+
+        {onCreate && !isCreating && (
+          <button
+            type="button"
+            className="btn btn-sm btn-cancel"
+            onClick={() => setIsCreating(true)}
+          >
+            + New Project
+          </button>
+        )}
+      </div>
+
+      {isCreating && (
+        <form onSubmit={handleCreate} className="project-create-form">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Project name"
+            maxLength={100}
+            disabled={isSubmitting}
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="btn btn-sm btn-primary"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Creating...' : 'Create'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-sm btn-cancel"
+            onClick={handleCancel}
+            disabled={isSubmitting}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
@@ -0,0 +1,187 @@
+/**
+ * =============================================================
+ * RECURRENCE EDITOR - "Repeat every ..." Fields for TaskInput
+ * =============================================================
+ *
+ * Edits a task's recurrence rule (see utils/recurrence.js) as
+ * plain form fields:
+ *
+ *   Repeats [Weekly v]  every [2] weeks  Ends [After v] [6] times
+ *
+ * and previews the first due dates of the series with
+ * GET /api/tasks/recurrence/preview, so "monthly from the 31st"
+ * shows what it really means before the task is saved.
+ *
+ * The series counts from the task's due date, so a rule can only
+ * be set once the task has one.
+ *
+ * PROPS:
+ *   value    - The rule string, or '' for "doesn't repeat"
+ *   onChange - (rule) => void - New rule string ('' = doesn't repeat)
+ *   dueDate  - The form's due date, 'YYYY-MM-DD' or ''
+ *   disabled - Disable the fields (while the form is saving)
+ * =============================================================
+ */
+
+import { useState, useEffect } from 'react';
+import apiClient from '../api/client';
+import { parseRule, buildRule, unitOf } from '../utils/recurrence';
+
+// Wait this long after the last change before asking for a preview
+const PREVIEW_DELAY_MS = 300;
+
+// How many upcoming dates the preview shows
+const PREVIEW_LIMIT = 5;
+
+function RecurrenceEditor({ value, onChange, dueDate, disabled = false }) {
+  const [preview, setPreview] = useState([]);
+  const [previewError, setPreviewError] = useState('');
+
+  const parts = value ? parseRule(value) : null;
+  const ends = parts?.count ? 'count' : parts?.until ? 'until' : 'never';
+
+  // Load the preview once the rule or due date stops changing
+  useEffect(() => {
+    setPreview([]);
+    setPreviewError('');
+    if (!value || !dueDate) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiClient.get('/api/tasks/recurrence/preview', {
+          params: { rule: value, start: dueDate, limit: PREVIEW_LIMIT },
+        });
+        setPreview(response.data.occurrences);
+      } catch (err) {
+        setPreviewError(err.response?.data?.error || 'Failed to preview the schedule.');
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [value, dueDate]);
+
+  /**
+   * Report the rule with some of its parts changed.
+   */
+  function update(changes) {
+    onChange(buildRule({ ...parts, ...changes }));
+  }
+
+  function handleFreqChange(freq) {
+    onChange(freq ? buildRule({ ...(parts || { interval: 1 }), freq }) : '');
+  }
+
+  function handleEndsChange(nextEnds) {
+    update({
+      count: nextEnds === 'count' ? 10 : null,
+      until: nextEnds === 'until' ? dueDate || new Date().toISOString().slice(0, 10) : null,
+    });
+  }
+
+  const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC',
+    });
+
+  return (
+    <div className="recurrence-editor">
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="task-repeat">Repeats</label>
+          <select
+            id="task-repeat"
+            value={parts?.freq || ''}
+            onChange={(e) => handleFreqChange(e.target.value)}
+            disabled={disabled || !dueDate}
+          >
+            <option value="">Doesn&apos;t repeat</option>
+            <option value="DAILY">Daily</option>
+            <option value="WEEKLY">Weekly</option>
+            <option value="MONTHLY">Monthly</option>
+            <option value="YEARLY">Yearly</option>
+          </select>
+        </div>
+
+        {parts && (
+          <>
+            <div className="form-group">
+              <label htmlFor="task-repeat-interval">Every</label>
+              <div className="recurrence-inline">
+                <input
+                  id="task-repeat-interval"
+                  type="number"
+                  min={1}
+                  max={365}
+                  value={parts.interval}
+                  onChange={(e) => update({ interval: Math.max(1, Number(e.target.value) || 1) })}
+                  disabled={disabled}
+                />
+                <span>
+                  {unitOf(parts.freq)}
+                  {parts.interval === 1 ? '' : 's'}
+                </span>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="task-repeat-ends">Ends</label>
+              <div className="recurrence-inline">
+                <select
+                  id="task-repeat-ends"
+                  value={ends}
+                  onChange={(e) => handleEndsChange(e.target.value)}
+                  disabled={disabled}
+                >
+                  <option value="never">Never</option>
+                  <option value="count">After</option>
+                  <option value="until">On</option>
+                </select>
+                {ends === 'count' && (
+                  <>
+                    <input
+                      type="number"
+                      min={1}
+                      max={1000}
+                      value={parts.count}
+                      onChange={(e) => update({ count: Math.max(1, Number(e.target.value) || 1) })}
+                      disabled={disabled}
+                      aria-label="Number of times"
+                    />
+                    <span>times</span>
+                  </>
+                )}
+                {ends === 'until' && (
+                  <input
+                    type="date"
+                    value={parts.until}
+                    onChange={(e) => e.target.value && update({ until: e.target.value })}
+                    disabled={disabled}
+                    aria-label="Last date"
+                  />
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      {!dueDate && (
+        <p className="recurrence-hint">Set a due date to make the task repeat.</p>
+      )}
+
+      {preview.length > 0 && (
+        <p className="recurrence-hint">
+          Due {preview.map(formatDate).join(', ')}
+          {preview.length === PREVIEW_LIMIT ? ', ...' : ''}
+        </p>
+      )}
+
+      {previewError && <div className="error-message">{previewError}</div>}
+    </div>
+  );
+}
+
+export default RecurrenceEditor;
@@ -0,0 +1,115 @@
+/**
+ * =============================================================
+ * SAVED VIEWS COMPONENT - Sidebar of Named Task Filters
+ * =============================================================
+ *
+ * Lists the user's saved views ("My high-priority overdue") for
+ * the active workspace. Clicking one restores its filters, sort
+ * and display options on the tasks page; the form at the bottom
+ * saves the page's current setup under a new name.
+ *
+ * Like ProjectSwitcher, this is a presentational component:
+ * TasksPage owns the views and does the API calls, and this
+ * component reports what the user did via callbacks.
+ *
+ * PROPS:
+ *   views        - Array of { id, name, filters, sort, order, display }
+ *   activeViewId - ID of the view the page currently shows (or null)
+ *   onSelect     - (view) => void - Restore a view
+ *   onSave       - (name) => Promise<{ success, error? }> - Save the current setup
+ *   onDelete     - (view) => void - Delete a view
+ * =============================================================
+ */
+
+import { useState } from 'react';
+
+function SavedViews({ views, activeViewId, onSelect, onSave, onDelete }) {
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  async function handleSave(event) {
+    event.preventDefault();
+    setError('');
+
+    if (!name.trim()) {
+      setError('Give the view a name');
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      const result = await onSave(name.trim());
+
+      if (result.success) {
+        setName('');
+      } else {
+        setError(result.error || 'Failed to save view');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  return (
+    <aside className="saved-views">
+      <h2 className="saved-views-title">Saved Views</h2>
+
+      {views.length === 0 ? (
+        <p className="saved-views-empty">
+          Set up filters and save them here for next time.
+        </p>
+      ) : (
+        <ul className="saved-views-list">
+          {views.map((view) => (
+            <li
+              key={view.id}
+              className={`saved-view ${view.id === activeViewId ? 'saved-view-active' : ''}`}
+            >
+              <button
+                type="button"
+                className="saved-view-name"
+                onClick={() => onSelect(view)}
+              >
+                {view.name}
+              </button>
+              <button
+                type="button"
+                className="saved-view-delete"
+                onClick={() => onDelete(view)}
+                aria-label={`Delete view ${view.name}`}
+                title="Delete view"
+              >
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSave} className="saved-views-form">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this view"
+          aria-label="View name"
+          maxLength={60}
+          disabled={isSaving}
+        />
+        <button
+          type="submit"
+          className="btn btn-sm btn-primary"
+          disabled={isSaving}
+        >
+          {isSaving ? 'Saving...' : 'Save View'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+    </aside>
+  );
+}
+
+export default SavedViews;
@@ -0,0 +1,134 @@
+/**
+ * =============================================================
+ * SESSION LIST - Where Am I Signed In?
+ * =============================================================
+ *
+ * Used on the Profile page. Lists the user's active sessions
+ * (one per login: browser, IP address, last activity) from
+ * GET /api/auth/sessions.
+ *
+ * ACTIONS:
+ *   Sign out                  -> DELETE /api/auth/sessions/:id
+ *   Sign out everywhere else  -> DELETE /api/auth/sessions
+ *
+ * A signed-out session stops working immediately: the server
+ * rejects its access tokens and refresh tokens.
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../api/client';
+
+/**
+ * Turn a User-Agent string into something readable,
+ * e.g. "Chrome on Windows". Good enough for a list - not exact.
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser =
+    [
+      ['Edg/', 'Edge'],
+      ['Firefox/', 'Firefox'],
+      ['Chrome/', 'Chrome'],
+      ['Safari/', 'Safari'],
+    ].find(([token]) => userAgent.includes(token))?.[1] || 'Browser';
+
+  const os =
+    [
+      ['Windows', 'Windows'],
+      ['Android', 'Android'],
+      ['iPhone', 'iOS'],
+      ['iPad', 'iOS'],
+      ['Mac OS X', 'macOS'],
+      ['Linux', 'Linux'],
+    ].find(([token]) => userAgent.includes(token))?.[1];
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function SessionList() {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load sessions.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  async function handleRevoke(sessionId) {
+    setError('');
+    try {
+      await apiClient.delete(`/api/auth/sessions/${sessionId}`);
+      await fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign out session.');
+    }
+  }
+
+  async function handleRevokeOthers() {
+    if (!window.confirm('Sign out of every other session?')) return;
+
+    setError('');
+    try {
+      await apiClient.delete('/api/auth/sessions');
+      await fetchSessions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign out sessions.');
+    }
+  }
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <section className="profile-section">
+      <h2>Active Sessions</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul className="workspace-list">
+        {sessions.map((session) => (
+          <li key={session.id} className="workspace-item">
+            <span>
+              <strong>{describeUserAgent(session.userAgent)}</strong>
+              {session.ip && <> &middot; {session.ip}</>}
+              <br />
+              <small className="session-meta">
+                Last active {new Date(session.lastSeenAt).toLocaleString()}
+              </small>
+            </span>
+            {session.current ? (
+              <span className="workspace-active">This device</span>
+            ) : (
+              <button
+                className="btn btn-sm btn-cancel"
+                onClick={() => handleRevoke(session.id)}
+              >
+                Sign out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {hasOthers && (
+        <button
+          className="btn btn-sm btn-delete session-revoke-all"
+          onClick={handleRevokeOthers}
+        >
+          Sign out everywhere else
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default SessionList;
@@ -0,0 +1,150 @@
+/**
+ * =============================================================
+ * SUBTASK LIST - A Task's Checklist
+ * =============================================================
+ *
+ * Shown inside a TaskCard when its subtasks are expanded.
+ *
+ * ACTIONS:
+ *   Load   -> GET   /api/tasks/:id/subtasks
+ *   Add    -> POST  /api/tasks/:id/subtasks   { title }
+ *   Tick   -> PATCH /api/tasks/:subtaskId      { status }
+ *
+ * Subtasks are loaded when the list is opened, not with the task
+ * list - most cards are never expanded. After every change the
+ * parent's new progress is reported with onProgressChange, so the
+ * card's progress bar stays right.
+ *
+ * PROPS:
+ *   parentId         - ID of the task whose subtasks these are
+ *   readOnly         - Hide the checkboxes' actions and the add form
+ *   onProgressChange - (progress) => void - { total, completed, percent }
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import apiClient from '../api/client';
+
+/**
+ * Progress roll-up for a list of subtasks (same rule as the API).
+ */
+function progressOf(subtasks) {
+  const total = subtasks.length;
+  const completed = subtasks.filter((s) => s.status === 'completed').length;
+  return {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 100) : null,
+  };
+}
+
+function SubtaskList({ parentId, readOnly = false, onProgressChange }) {
+  const [subtasks, setSubtasks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [title, setTitle] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchSubtasks = useCallback(async () => {
+    try {
+      const response = await apiClient.get(`/api/tasks/${parentId}/subtasks`);
+      setSubtasks(response.data.subtasks);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load subtasks.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [parentId]);
+
+  useEffect(() => {
+    fetchSubtasks();
+  }, [fetchSubtasks]);
+
+  /**
+   * Replace the subtask list and report the parent's new progress.
+   */
+  function updateSubtasks(next) {
+    setSubtasks(next);
+    onProgressChange(progressOf(next));
+  }
+
+  async function handleAdd(event) {
+    event.preventDefault();
+    if (!title.trim()) return;
+
+    setError('');
+    try {
+      const response = await apiClient.post(`/api/tasks/${parentId}/subtasks`, {
+        title: title.trim(),
+      });
+      updateSubtasks([...subtasks, response.data.task]);
+      setTitle('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add subtask.');
+    }
+  }
+
+  async function handleToggle(subtask) {
+    const status = subtask.status === 'completed' ? 'pending' : 'completed';
+
+    setError('');
+    try {
+      const response = await apiClient.patch(`/api/tasks/${subtask.id}`, { status });
+      updateSubtasks(
+        subtasks.map((s) => (s.id === subtask.id ? response.data.task : s))
+      );
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update subtask.');
+    }
+  }
+
+  if (isLoading) {
+    return <p className="subtask-empty">Loading subtasks...</p>;
+  }
+
+  return (
+    <div className="subtask-list">
+      {subtasks.length === 0 && (
+        <p className="subtask-empty">No subtasks yet.</p>
+      )}
+
+      <ul>
+        {subtasks.map((subtask) => (
+          <li
+            key={subtask.id}
+            className={subtask.status === 'completed' ? 'subtask-done' : ''}
+          >
+            <label>
+              <input
+                type="checkbox"
+                checked={subtask.status === 'completed'}
+                onChange={() => handleToggle(subtask)}
+                disabled={readOnly}
+              />{' '}
+              {subtask.title}
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      {!readOnly && (
+        <form onSubmit={handleAdd} className="subtask-form">
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Add a subtask"
+            aria-label="New subtask title"
+            maxLength={200}
+          />
+          <button type="submit" className="btn btn-sm btn-primary">
+            Add
+          </button>
+        </form>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
+
+export default SubtaskList;
@@ -13,15 +13,44 @@
  *   - Edit and delete buttons
  *   - Visual distinction for completed tasks (strikethrough + opacity)
  *   - Formatted creation date
+ *   - Due date, highlighted when overdue
+ *   - Assignee avatar and name (if the task is assigned)
+ *   - Search highlights (for tasks that come from a search)
+ *   - Selection checkbox for bulk actions
+ *   - Subtask progress bar and an expandable subtask checklist
+ *   - "Blocked" badge and an expandable blocking chain
+ *   - Repeat schedule of a recurring task ("Every week, 6 times")
+ *   - Title and comment count link to the task detail page
  *
  * PROPS:
- *   task     - { id, title, description, status, priority, createdAt }
+ *   task     - { id, title, description, status, priority, createdAt, dueDate?, assignee?,
+ *                progress?, isBlocked?, parentId?, recurrence?, commentCount?,
+ *                highlights? } - highlights is set on
+ *                search results and replaces the title and description with
+ *                marked-up versions
  *   onToggle - (task) => void - Toggle completion status
  *   onEdit   - (task) => void - Enter edit mode for this task
  *   onDelete - (taskId) => void - Delete this task
+ *   readOnly - If true, the action buttons are not rendered
+ *   compact  - If true, the description and creation date are left out
+ *   selected - Whether the selection checkbox is ticked
+ *   onSelect - (taskId) => void - Toggle selection. Optional - without it
+ *              (or when readOnly) there is no checkbox
+ *   onProgressChange - (taskId, progress) => void - Subtasks were added or ticked
+ *   blockerOptions - Tasks that can be picked as blockers
+ *   onTaskChange - (task) => void - The task changed (e.g. a blocker was added).
+ *              Optional - without it there is no blockers section
  * =============================================================
  */
 
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Avatar from './Avatar';
+import Highlight from './Highlight';
+import SubtaskList from './SubtaskList';
+import BlockerList from './BlockerList';
+import { describeRule } from '../utils/recurrence';
+
 // Status configuration for display labels and CSS classes
 const STATUS_CONFIG = {
   pending: { label: 'Pending', className: 'status-pending' },
@@ -36,7 +65,23 @@ const PRIORITY_CONFIG = {
   high: { label: 'High', className: 'priority-high' },
 };
 
-function TaskCard({ task, onToggle, onEdit, onDelete }) {
+function TaskCard({
+  task,
+  onToggle,
+  onEdit,
+  onDelete,
+  readOnly = false,
+  compact = false,
+  selected = false,
+  onSelect,
+  onProgressChange,
+  blockerOptions = [],
+  onTaskChange,
+}) {
+  // Whether the subtask checklist / blocking chain is open
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const [showBlockers, setShowBlockers] = useState(false);
+
   // Look up display configuration with sensible defaults
   const statusConfig = STATUS_CONFIG[task.status] || STATUS_CONFIG.pending;
   const priorityConfig = PRIORITY_CONFIG[task.priority] || PRIORITY_CONFIG.medium;
@@ -52,56 +97,181 @@ function TaskCard({ task, onToggle, onEdit, onDelete }) {
 
   const isCompleted = task.status === 'completed';
 
+  // Due dates are stored as midnight UTC, so format them in UTC
+  // (otherwise users west of UTC would see the day before)
+  const dueDate = task.dueDate
+    ? new Date(task.dueDate).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC',
+      })
+    : '';
+  // Subtasks can't have subtasks, so their cards have no checklist
+  const canHaveSubtasks = !task.parentId && Boolean(onProgressChange);
+  const progress = task.progress;
+  const hasSubtasks = progress?.total > 0;
+
+  const isOverdue =
+    !isCompleted && task.dueDate && task.dueDate.slice(0, 10) < new Date().toISOString().slice(0, 10);
+
   return (
-    <div className={`task-card ${isCompleted ? 'task-completed' : ''}`}>
+    <div
+      className={`task-card ${isCompleted ? 'task-completed' : ''} ${selected ? 'task-selected' : ''}`}
+    >
       {/* Header row with status and priority badges */}
       <div className="task-card-header">
+        {onSelect && !readOnly && (
+          <input
+            type="checkbox"
+            className="task-select"
+            checked={selected}
+            onChange={() => onSelect(task.id)}
+            aria-label={`Select task ${task.title}`}
+          />
+        )}
         <span className={`task-status ${statusConfig.className}`}>
           {statusConfig.label}
         </span>
         <span className={`task-priority ${priorityConfig.className}`}>
           {priorityConfig.label}
         </span>
+        {task.isBlocked && !isCompleted && (
+          <span className="task-blocked" title="Waiting for unfinished tasks">
+            Blocked
+          </span>
+        )}
       </div>
 
       {/* Task content */}
       <div className="task-card-body">
-        <h3 className="task-title">{task.title}</h3>
-        {task.description && (
-          <p className="task-description">{task.description}</p>
+        <h3 className="task-title">
+          <Link to={`/tasks/${task.id}`}>
+            {task.highlights ? <Highlight segments={task.highlights.title} /> : task.title}
+          </Link>
+        </h3>
+        {compact ? null : task.highlights?.description ? (
+          <p className="task-description">
+            <Highlight segments={task.highlights.description} />
+          </p>
+        ) : (
+          task.description && <p className="task-description">{task.description}</p>
         )}
-        {createdDate && (
-          <span className="task-date">Created: {createdDate}</span>
+        <div className="task-meta">
+          {createdDate && !compact && (
+            <span className="task-date">Created: {createdDate}</span>
+          )}
+          {dueDate && (
+            <span className={`task-date ${isOverdue ? 'task-overdue' : ''}`}>
+              Due: {dueDate}
+            </span>
+          )}
+          {task.recurrence && (
+            <span className="task-repeat" title={`Repeats: ${task.recurrence}`}>
+              &#8635; {describeRule(task.recurrence)}
+            </span>
+          )}
+          {task.commentCount > 0 && (
+            <Link to={`/tasks/${task.id}`} className="task-comment-count">
+              {task.commentCount} comment{task.commentCount === 1 ? '' : 's'}
+            </Link>
+          )}
+          {task.assignee && (
+            <span className="task-assignee">
+              <Avatar user={task.assignee} size={20} />
+              {task.assignee.username}
+            </span>
+          )}
+        </div>
+
+        {/* Subtask progress - completed subtasks out of all of them */}
+        {hasSubtasks && (
+          <div
+            className="task-progress"
+            role="progressbar"
+            aria-valuenow={progress.percent}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-label="Subtasks completed"
+          >
+            <div className="task-progress-bar" style={{ width: `${progress.percent}%` }} />
+          </div>
+        )}
+
+        {canHaveSubtasks && (hasSubtasks || !readOnly) && (
+          <button
+            type="button"
+            className="subtask-toggle"
+            onClick={() => setShowSubtasks((open) => !open)}
+            aria-expanded={showSubtasks}
+          >
+            {showSubtasks ? 'Hide subtasks' : hasSubtasks
+              ? `Subtasks (${progress.completed}/${progress.total})`
+              : 'Add subtasks'}
+          </button>
+        )}
+
+        {/* Remounted (reloaded) when the task changes, e.g. after
+            completing it also completed its subtasks */}
+        {canHaveSubtasks && showSubtasks && (
+          <SubtaskList
+            key={task.updatedAt}
+            parentId={task.id}
+            readOnly={readOnly}
+            onProgressChange={(next) => onProgressChange(task.id, next)}
+          />
+        )}
+
+        {onTaskChange && (task.isBlocked || !readOnly) && (
+          <button
+            type="button"
+            className="subtask-toggle"
+            onClick={() => setShowBlockers((open) => !open)}
+            aria-expanded={showBlockers}
+          >
+            {showBlockers ? 'Hide blockers' : task.isBlocked ? 'Blocked by...' : 'Blockers'}
+          </button>
+        )}
+
+        {onTaskChange && showBlockers && (
+          <BlockerList
+            task={task}
+            candidates={blockerOptions}
+            readOnly={readOnly}
+            onTaskChange={onTaskChange}
+          />
         )}
       </div>
 
       {/* Action buttons */}
-      <div className="task-card-actions">
-        {/*
-          Toggle button changes label based on current status.
-          Completed tasks show "Undo", others show "Complete".
-        */}
-        <button
-          onClick={() => onToggle(task)}
-          className="btn btn-sm btn-toggle"
-        >
-          {isCompleted ? 'Undo' : 'Complete'}
-        </button>
-
-        <button
-          onClick={() => onEdit(task)}
-          className="btn btn-sm btn-edit"
-        >
-          Edit
-        </button>
-
-        <button
-          onClick={() => onDelete(task.id)}
-          className="btn btn-sm btn-delete"
-        >
-          Delete
-        </button>
-      </div>
+      {!readOnly && (
+        <div className="task-card-actions">
+          {/*
+            Toggle button changes label based on current status.
+            Completed tasks show "Undo", others show "Complete".
+          */}
+          <button
+            onClick={() => onToggle(task)}
+            className="btn btn-sm btn-toggle"
+          >
+            {isCompleted ? 'Undo' : 'Complete'}
+          </button>
+
+          <button
+            onClick={() => onEdit(task)}
+            className="btn btn-sm btn-edit"
+          >
+            Edit
+          </button>
+
+          <button
+            onClick={() => onDelete(task.id)}
+            className="btn btn-sm btn-delete"
+          >
+            Delete
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -20,17 +20,27 @@
  *   onSubmit      - (taskData) => Promise<{ success, error? }>
  *   editingTask   - Task object to edit, or null for create mode
  *   onCancelEdit  - () => void - Cancel editing
+ *   members       - Workspace members for the assignee picker and
+ *                   @mentions in the description ([{ id, username }],
+ *                   may be empty)
+ *
+ * A task with a due date can repeat - see RecurrenceEditor.
  * =============================================================
  */
 
 import { useState, useEffect } from 'react';
+import RecurrenceEditor from './RecurrenceEditor';
+import MentionTextarea from './MentionTextarea';
 
-function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
+function TaskInput({ onSubmit, editingTask, onCancelEdit, members = [] }) {
   // Form field state
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [priority, setPriority] = useState('medium');
   const [status, setStatus] = useState('pending');
+  const [assigneeId, setAssigneeId] = useState(''); // '' = unassigned
+  const [dueDate, setDueDate] = useState(''); // 'YYYY-MM-DD' or '' = none
+  const [recurrence, setRecurrence] = useState(''); // Rule string or '' = doesn't repeat
 
   // UI state
   const [error, setError] = useState('');
@@ -50,6 +60,10 @@ function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
       setDescription(editingTask.description || '');
       setPriority(editingTask.priority || 'medium');
       setStatus(editingTask.status || 'pending');
+      setAssigneeId(editingTask.assigneeId ? String(editingTask.assigneeId) : '');
+      // The API sends an ISO time (midnight UTC) - the date input wants the date part
+      setDueDate(editingTask.dueDate ? editingTask.dueDate.slice(0, 10) : '');
+      setRecurrence(editingTask.recurrence || '');
     } else {
       // Create mode - clear the form
       resetForm();
@@ -64,6 +78,9 @@ function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
     setDescription('');
     setPriority('medium');
     setStatus('pending');
+    setAssigneeId('');
+    setDueDate('');
+    setRecurrence('');
     setError('');
   }
 
@@ -89,6 +106,9 @@ function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
       description: description.trim() || null,
       priority,
       status,
+      assigneeId: assigneeId ? Number(assigneeId) : null,
+      dueDate: dueDate || null,
+      recurrence: recurrence || null,
     };
 
     try {
@@ -138,11 +158,12 @@ function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
         {/* Description textarea - optional */}
         <div className="form-group">
           <label htmlFor="task-description">Description (optional)</label>
-          <textarea
+          <MentionTextarea
             id="task-description"
             value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            placeholder="Add more details..."
+            onChange={setDescription}
+            members={members}
+            placeholder="Add more details... (@name to mention someone)"
             rows={3}
             disabled={isSubmitting}
           />
@@ -164,6 +185,40 @@ function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
             </select>
           </div>
 
+          {/* Assignee picker - any member of the active workspace */}
+          <div className="form-group">
+            <label htmlFor="task-assignee">Assignee</label>
+            <select
+              id="task-assignee"
+              value={assigneeId}
+              onChange={(e) => setAssigneeId(e.target.value)}
+              disabled={isSubmitting}
+            >
+              <option value="">Unassigned</option>
+              {members.map((member) => (
+                <option key={member.id} value={String(member.id)}>
+                  {member.username}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Due date - optional */}
+          <div className="form-group">
+            <label htmlFor="task-due-date">Due date</label>
+            <input
+              id="task-due-date"
+              type="date"
+              value={dueDate}
+              onChange={(e) => {
+                setDueDate(e.target.value);
+                // A repeating task counts from its due date
+                if (!e.target.value) setRecurrence('');
+              }}
+              disabled={isSubmitting}
+            />
+          </div>
+
           {/* Status select - only shown in edit mode */}
           {editingTask && (
             <div className="form-group">
@@ -182,6 +237,14 @@ function TaskInput({ onSubmit, editingTask, onCancelEdit }) {
           )}
         </div>
 
+        {/* Repeat schedule - needs the due date above */}
+        <RecurrenceEditor
+          value={recurrence}
+          onChange={setRecurrence}
+          dueDate={dueDate}
+          disabled={isSubmitting}
+        />
+
         {/* Action buttons */}
         <div className="form-actions">
           <button
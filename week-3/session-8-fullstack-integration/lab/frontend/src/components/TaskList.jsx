@@ -22,12 +22,30 @@
  *   onToggle - Callback when a task's status is toggled
  *   onEdit   - Callback when edit button is clicked
  *   onDelete - Callback when delete button is clicked
+ *   readOnly - Hide the action buttons (e.g. for workspace viewers)
+ *   compact  - Smaller cards without descriptions (a saved view option)
+ *   selectedIds - Set of selected task IDs (for bulk actions)
+ *   onSelect - (taskId) => void - Toggle a task's selection
+ *   onProgressChange - (taskId, progress) => void - A task's subtasks changed
+ *   onTaskChange - (task) => void - A task came back changed from a card's
+ *                  own request (e.g. adding a blocker)
  * =============================================================
  */
 
 import TaskCard from './TaskCard';
 
-function TaskList({ tasks, onToggle, onEdit, onDelete }) {
+function TaskList({
+  tasks,
+  onToggle,
+  onEdit,
+  onDelete,
+  readOnly = false,
+  compact = false,
+  selectedIds,
+  onSelect,
+  onProgressChange,
+  onTaskChange,
+}) {
   // Empty state - show a friendly message
   if (tasks.length === 0) {
     return (
@@ -42,7 +60,7 @@ function TaskList({ tasks, onToggle, onEdit, onDelete }) {
   }
 
   return (
-    <div className="tasks-list">
+    <div className={`tasks-list ${compact ? 'tasks-list-compact' : ''}`}>
       {/*
         Map over the tasks array and render a TaskCard for each one.
 
@@ -59,6 +77,13 @@ function TaskList({ tasks, onToggle, onEdit, onDelete }) {
           onToggle={onToggle}
           onEdit={onEdit}
           onDelete={onDelete}
+          readOnly={readOnly}
+          compact={compact}
+          selected={selectedIds?.has(task.id) ?? false}
+          onSelect={onSelect}
+          onProgressChange={onProgressChange}
+          blockerOptions={tasks}
+          onTaskChange={onTaskChange}
         />
       ))}
     </div>
@@ -0,0 +1,212 @@
+/**
+ * =============================================================
+ * TWO-FACTOR SETTINGS - Enroll in or Manage TOTP 2FA
+ * =============================================================
+ *
+ * Used on the Profile page. Walks the user through:
+ *   1. "Enable" -> POST /api/users/2fa/setup
+ *      Shows the secret and an otpauth:// link. Authenticator apps
+ *      import the link (tap it on a phone, or turn it into a QR
+ *      code), or the secret can be typed in by hand.
+ *   2. Enter the 6-digit code -> POST /api/users/2fa/enable
+ *      Shows the recovery codes ONCE - the user must save them.
+ *
+ * When 2FA is on, the user can generate new recovery codes or
+ * turn 2FA off; both ask for the password again.
+ *
+ * PROPS:
+ *   enabled            - Is 2FA currently on?
+ *   recoveryCodesLeft  - Unused recovery codes (shown when enabled)
+ *   onChange           - () => void - Called after 2FA is turned on/off
+ *                        so the parent can refetch the profile
+ * =============================================================
+ */
+
+import { useState } from 'react';
+import apiClient from '../api/client';
+
+function TwoFactorSettings({ enabled, recoveryCodesLeft, onChange }) {
+  // Enrollment in progress: { secret, otpauthUri }
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+
+  // Shown once after enabling or regenerating
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+
+  // Password for disable / regenerate
+  const [password, setPassword] = useState('');
+
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Helper: run an API call with the shared error/submitting state.
+   */
+  async function run(action) {
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleStartSetup() {
+    run(async () => {
+      const response = await apiClient.post('/api/users/2fa/setup');
+      setSetup(response.data);
+      setRecoveryCodes([]);
+    });
+  }
+
+  function handleEnable(event) {
+    event.preventDefault();
+    run(async () => {
+      const response = await apiClient.post('/api/users/2fa/enable', {
+        code: code.trim(),
+      });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      onChange();
+    });
+  }
+
+  function handleRegenerate() {
+    run(async () => {
+      const response = await apiClient.post('/api/users/2fa/recovery-codes', {
+        password,
+      });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setPassword('');
+      onChange();
+    });
+  }
+
+  function handleDisable() {
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+
+    run(async () => {
+      await apiClient.post('/api/users/2fa/disable', { password });
+      setPassword('');
+      setRecoveryCodes([]);
+      onChange();
+    });
+  }
+
+  return (
+    <section className="profile-section">
+      <h2>Two-Factor Authentication</h2>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {recoveryCodes.length > 0 && (
+        <div className="recovery-codes">
+          <p>
+            <strong>Save these recovery codes.</strong> Each one can be used
+            once to log in if you lose your device. They won't be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}><code>{recoveryCode}</code></li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <>
+          <p className="profile-hint">
+            Protect your account with a code from an authenticator app
+            in addition to your password.
+          </p>
+          <button
+            className="btn btn-sm btn-primary"
+            onClick={handleStartSetup}
+            disabled={isSubmitting}
+          >
+            Enable 2FA
+          </button>
+        </>
+      )}
+
+      {!enabled && setup && (
+        <form onSubmit={handleEnable} className="two-factor-setup">
+          <p className="profile-hint">
+            Add TaskFlow to your authenticator app using this link, or enter
+            the secret by hand:
+          </p>
+          <p>
+            <a href={setup.otpauthUri}>Open in authenticator app</a>
+          </p>
+          <p>
+            <code className="two-factor-secret">{setup.secret}</code>
+          </p>
+          <div className="workspace-inline-form">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="6-digit code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+            />
+            <button
+              type="submit"
+              className="btn btn-sm btn-primary"
+              disabled={isSubmitting}
+            >
+              Verify &amp; Enable
+            </button>
+            <button
+              type="button"
+              className="btn btn-sm btn-cancel"
+              onClick={() => setSetup(null)}
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && (
+        <>
+          <p className="profile-hint">
+            2FA is <strong>on</strong>. {recoveryCodesLeft} recovery{' '}
+            {recoveryCodesLeft === 1 ? 'code' : 'codes'} left.
+          </p>
+          <div className="workspace-inline-form">
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Current password"
+              autoComplete="current-password"
+            />
+            <button
+              className="btn btn-sm btn-cancel"
+              onClick={handleRegenerate}
+              disabled={isSubmitting || !password}
+            >
+              New Recovery Codes
+            </button>
+            <button
+              className="btn btn-sm btn-delete"
+              onClick={handleDisable}
+              disabled={isSubmitting || !password}
+            >
+              Disable 2FA
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default TwoFactorSettings;
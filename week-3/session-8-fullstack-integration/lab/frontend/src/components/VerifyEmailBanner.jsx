@@ -0,0 +1,57 @@
+/**
+ * =============================================================
+ * VERIFY EMAIL BANNER - Reminder for Unverified Accounts
+ * =============================================================
+ *
+ * Shown above every page while the logged-in user hasn't clicked
+ * the link in their verification email. Some features (by default,
+ * workspace invitations) return 403 EMAIL_NOT_VERIFIED until they do.
+ *
+ * "Resend" calls POST /api/auth/resend-verification, which
+ * invalidates the previous link and emails a new one.
+ * =============================================================
+ */
+
+import { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import apiClient from '../api/client';
+
+function VerifyEmailBanner() {
+  const { user } = useAuth();
+  const [message, setMessage] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  if (!user || user.emailVerified) return null;
+
+  async function handleResend() {
+    setIsSending(true);
+    try {
+      const response = await apiClient.post('/api/auth/resend-verification');
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Failed to send email.');
+    } finally {
+      setIsSending(false);
+    }
+  }
+
+  return (
+    <div className="verify-banner" role="status">
+      <span>
+        {message ||
+          `Please verify your email address (${user.email}) using the link we sent you.`}
+      </span>
+      {!message && (
+        <button
+          className="btn btn-sm btn-cancel"
+          onClick={handleResend}
+          disabled={isSending}
+        >
+          {isSending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default VerifyEmailBanner;
@@ -9,11 +9,17 @@
  * The key difference is that login() and register() now make
  * real HTTP requests to the backend which validates credentials,
  * hashes passwords, and generates real JWT tokens.
+ *
+ * TOKENS:
+ *   authToken    - Short-lived access token sent with every request
+ *   refreshToken - Long-lived token the API client uses to get a new
+ *                  access token when the old one expires (see
+ *                  api/client.js). Both live in localStorage.
  * =============================================================
  */
 
 import { createContext, useContext, useState, useEffect } from 'react';
-import apiClient from '../api/client';
+import apiClient, { refreshAccessToken } from '../api/client';
 
 const AuthContext = createContext(null);
 
@@ -43,35 +49,75 @@ function decodeToken(token) {
   }
 }
 
+/**
+ * Build the user object from a decoded token's claims.
+ */
+function userFromToken(decoded) {
+  return {
+    id: decoded.id,
+    username: decoded.username,
+    email: decoded.email,
+    emailVerified: Boolean(decoded.emailVerified),
+  };
+}
+
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
+  /**
+   * Store a token pair from login/register and set the user.
+   */
+  function startSession({ token: newToken, refreshToken }) {
+    const decoded = decodeToken(newToken);
+    if (!decoded) throw new Error('Invalid token received');
+
+    localStorage.setItem('authToken', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    setToken(newToken);
+    const userData = userFromToken(decoded);
+    setUser(userData);
+    return userData;
+  }
+
   // Restore session from localStorage on mount
   useEffect(() => {
-    const storedToken = localStorage.getItem('authToken');
+    async function restoreSession() {
+      let storedToken = localStorage.getItem('authToken');
+      let decoded = storedToken && decodeToken(storedToken);
+
+      // Access token expired (e.g. the tab was closed overnight) -
+      // try the refresh token before giving up
+      if (!decoded && localStorage.getItem('refreshToken')) {
+        try {
+          storedToken = await refreshAccessToken();
+          decoded = decodeToken(storedToken);
+        } catch {
+          localStorage.removeItem('refreshToken');
+        }
+      }
 
-    if (storedToken) {
-      const decoded = decodeToken(storedToken);
       if (decoded) {
         setToken(storedToken);
-        setUser({
-          id: decoded.id,
-          username: decoded.username,
-          email: decoded.email,
-        });
+        setUser(userFromToken(decoded));
       } else {
         localStorage.removeItem('authToken');
       }
+
+      setIsLoading(false);
     }
 
-    setIsLoading(false);
+    restoreSession();
   }, []);
 
   /**
    * Login - sends credentials to POST /api/auth/login
-   * The backend validates the password and returns a JWT token.
+   * The backend validates the password and returns a token pair.
+   *
+   * If the account has 2FA enabled, no session is started yet and
+   * { twoFactorRequired: true, challengeToken } is returned instead -
+   * the caller then asks for a code and calls verifyTwoFactor().
    */
   async function login(email, password) {
     const response = await apiClient.post('/api/auth/login', {
@@ -79,24 +125,50 @@ export function AuthProvider({ children }) {
       password,
     });
 
-    const { token: newToken } = response.data;
-    const decoded = decodeToken(newToken);
-    if (!decoded) throw new Error('Invalid token received');
+    if (response.data.twoFactorRequired) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: response.data.challengeToken,
+      };
+    }
 
-    localStorage.setItem('authToken', newToken);
-    setToken(newToken);
-    const userData = {
-      id: decoded.id,
-      username: decoded.username,
-      email: decoded.email,
-    };
-    setUser(userData);
-    return userData;
+    return startSession(response.data);
+  }
+
+  /**
+   * Second login step - sends the challenge token and the code
+   * (authenticator or recovery code) to POST /api/auth/login/2fa.
+   */
+  async function verifyTwoFactor(challengeToken, code) {
+    const response = await apiClient.post('/api/auth/login/2fa', {
+      challengeToken,
+      code,
+    });
+
+    return startSession(response.data);
+  }
+
+  /**
+   * Finish a "Sign in with ..." login - trades the one-time code from
+   * the OAuth callback redirect at POST /api/auth/oauth/exchange.
+   * Returns a 2FA challenge just like login() when 2FA is enabled.
+   */
+  async function loginWithOAuth(code) {
+    const response = await apiClient.post('/api/auth/oauth/exchange', { code });
+
+    if (response.data.twoFactorRequired) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: response.data.challengeToken,
+      };
+    }
+
+    return startSession(response.data);
   }
 
   /**
    * Register - sends user data to POST /api/auth/register
-   * The backend hashes the password, creates the user, and returns a JWT.
+   * The backend hashes the password, creates the user, and returns a token pair.
    */
   async function register(username, email, password) {
     const response = await apiClient.post('/api/auth/register', {
@@ -105,29 +177,54 @@ export function AuthProvider({ children }) {
       password,
     });
 
-    const { token: newToken } = response.data;
+    return startSession(response.data);
+  }
+
+  /**
+   * Get a fresh access token so the user's claims are up to date
+   * (e.g. emailVerified right after clicking the verification link).
+   */
+  async function refreshSession() {
+    const newToken = await refreshAccessToken();
     const decoded = decodeToken(newToken);
     if (!decoded) throw new Error('Invalid token received');
 
-    localStorage.setItem('authToken', newToken);
     setToken(newToken);
-    const userData = {
-      id: decoded.id,
-      username: decoded.username,
-      email: decoded.email,
-    };
-    setUser(userData);
-    return userData;
+    setUser(userFromToken(decoded));
   }
 
+  /**
+   * Logout - revokes the refresh token on the server, then clears
+   * local state. We don't wait for the server: the user is logged
+   * out locally either way.
+   */
   function logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      apiClient.post('/api/auth/logout', { refreshToken }).catch(() => {});
+    }
+
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('activeWorkspaceId');
     setToken(null);
     setUser(null);
   }
 
   return (
-    <AuthContext.Provider value={{ user, token, isLoading, login, register, logout }}>
+    <AuthContext.Provider
+      value={{
+        user,
+        token,
+        isLoading,
+        login,
+        verifyTwoFactor,
+        loginWithOAuth,
+        register,
+        logout,
+        refreshSession,
+      }}
+    >
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,111 @@
+/**
+ * =============================================================
+ * WORKSPACE CONTEXT - Active Workspace Selection
+ * =============================================================
+ *
+ * Tracks which workspaces the user belongs to and which one is
+ * currently active. The active workspace decides whose tasks and
+ * projects the API returns.
+ *
+ * HOW THE API KNOWS THE ACTIVE WORKSPACE:
+ *   The ID is saved to localStorage ('activeWorkspaceId') and the
+ *   API client's request interceptor sends it as the
+ *   X-Workspace-Id header - the same way the auth token is sent.
+ *   No header means "my personal workspace".
+ *
+ * PROVIDER ORDER:
+ *   AuthProvider > WorkspaceProvider
+ *   (WorkspaceProvider needs useAuth() to know who is logged in)
+ * =============================================================
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import apiClient from '../api/client';
+import { useAuth } from './AuthContext';
+
+const WorkspaceContext = createContext(null);
+
+export function WorkspaceProvider({ children }) {
+  const { user } = useAuth();
+
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(
+    () => localStorage.getItem('activeWorkspaceId') || ''
+  );
+
+  /**
+   * Load the user's workspaces from GET /api/workspaces.
+   * If the saved workspace is no longer in the list (e.g. the user
+   * left it), fall back to the personal workspace.
+   */
+  const refreshWorkspaces = useCallback(async () => {
+    const response = await apiClient.get('/api/workspaces');
+    const list = response.data.workspaces;
+    setWorkspaces(list);
+
+    setActiveWorkspaceId((current) => {
+      if (current && list.some((w) => String(w.id) === current)) {
+        return current;
+      }
+      localStorage.removeItem('activeWorkspaceId');
+      return '';
+    });
+
+    return list;
+  }, []);
+
+  // Load workspaces whenever a user logs in; clear them on logout
+  useEffect(() => {
+    if (user) {
+      refreshWorkspaces().catch((err) =>
+        console.error('Failed to load workspaces:', err)
+      );
+    } else {
+      setWorkspaces([]);
+      setActiveWorkspaceId('');
+    }
+  }, [user, refreshWorkspaces]);
+
+  /**
+   * Switch to another workspace. Pass '' for the personal workspace.
+   */
+  function selectWorkspace(workspaceId) {
+    const id = workspaceId ? String(workspaceId) : '';
+    if (id) {
+      localStorage.setItem('activeWorkspaceId', id);
+    } else {
+      localStorage.removeItem('activeWorkspaceId');
+    }
+    setActiveWorkspaceId(id);
+  }
+
+  // The workspace object for the active ID (personal if none selected)
+  const activeWorkspace =
+    workspaces.find((w) => String(w.id) === activeWorkspaceId) ||
+    workspaces.find((w) => w.isPersonal) ||
+    null;
+
+  return (
+    <WorkspaceContext.Provider
+      value={{
+        workspaces,
+        activeWorkspace,
+        activeWorkspaceId,
+        selectWorkspace,
+        refreshWorkspaces,
+      }}
+    >
+      {children}
+    </WorkspaceContext.Provider>
+  );
+}
+
+export function useWorkspace() {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace() must be used within a <WorkspaceProvider>');
+  }
+  return context;
+}
+
+export default WorkspaceContext;
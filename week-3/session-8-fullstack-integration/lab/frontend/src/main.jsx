@@ -3,8 +3,8 @@
  * APPLICATION ENTRY POINT
  * =============================================================
  *
- * Same bootstrap pattern as Session 7:
- *   StrictMode > BrowserRouter > AuthProvider > App
+ * Same bootstrap pattern as Session 7, plus the workspace context:
+ *   StrictMode > BrowserRouter > AuthProvider > WorkspaceProvider > App
  * =============================================================
  */
 
@@ -12,6 +12,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { WorkspaceProvider } from './context/WorkspaceContext';
 import App from './App';
 import './App.css';
 
@@ -21,7 +22,9 @@ root.render(
   <React.StrictMode>
     <BrowserRouter>
       <AuthProvider>
-        <App />
+        <WorkspaceProvider>
+          <App />
+        </WorkspaceProvider>
       </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>
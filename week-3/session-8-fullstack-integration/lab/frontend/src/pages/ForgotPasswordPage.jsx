@@ -0,0 +1,94 @@
+/**
+ * =============================================================
+ * FORGOT PASSWORD PAGE - Request a Reset Link
+ * =============================================================
+ *
+ * Sends the email address to POST /api/auth/forgot-password.
+ * The backend emails a link to /reset-password?token=...
+ *
+ * The server answers the same way whether or not the email is
+ * registered, so this page always shows the same success message.
+ * =============================================================
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import apiClient from '../api/client';
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setError('');
+
+    if (!email.trim()) {
+      setError('Please enter your email');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await apiClient.post('/api/auth/forgot-password', {
+        email: email.trim(),
+      });
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(
+        err.response?.data?.error || 'Something went wrong. Please try again.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <h2 className="auth-title">Forgot Password</h2>
+
+        {error && (
+          <div className="error-message" role="alert">{error}</div>
+        )}
+
+        {message ? (
+          <div className="success-message" role="status">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="you@example.com"
+                required
+                autoComplete="email"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <p className="auth-footer">
+          Remembered it? <Link to="/login">Back to login</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordPage;
@@ -5,12 +5,42 @@
  *
  * Same login form as Session 7, but now connects to the real
  * Express backend via POST /api/auth/login.
+ *
+ * TWO STEPS FOR 2FA ACCOUNTS:
+ *   1. Email + password -> the server answers with a challenge token
+ *   2. 6-digit code from the authenticator app (or a recovery code)
+ *      -> POST /api/auth/login/2fa -> logged in
+ * The challenge expires after 5 minutes; then we start over.
+ *
+ * "SIGN IN WITH ...":
+ *   Buttons for each provider from GET /api/auth/oauth/providers.
+ *   They are plain links - the browser leaves the app, logs in at the
+ *   provider and comes back via OAuthCallbackPage. If that account
+ *   has 2FA, OAuthCallbackPage sends us the challenge token in the
+ *   location state and we start on the code step.
  * =============================================================
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import apiClient from '../api/client';
+
+/**
+ * Turn a failed login response into a message. Locked (423) and
+ * throttled (429) responses say how long to wait in details.retryAfter.
+ */
+function loginErrorMessage(err, fallback) {
+  const data = err.response?.data;
+  const message = data?.error || data?.message || fallback;
+  const retryAfter = data?.details?.retryAfter;
+
+  if (retryAfter) {
+    const minutes = Math.ceil(retryAfter / 60);
+    return `${message} Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  }
+  return message;
+}
 
 function LoginPage() {
   const [email, setEmail] = useState('');
@@ -20,10 +50,26 @@ function LoginPage() {
 
   const navigate = useNavigate();
   const location = useLocation();
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
+
+  // Second step (only for accounts with 2FA)
+  const [challengeToken, setChallengeToken] = useState(
+    location.state?.challengeToken || ''
+  );
+  const [code, setCode] = useState('');
+
+  // "Sign in with ..." providers configured on the server
+  const [providers, setProviders] = useState([]);
 
   const redirectTo = location.state?.from || '/tasks';
 
+  useEffect(() => {
+    apiClient
+      .get('/api/auth/oauth/providers')
+      .then((response) => setProviders(response.data.providers))
+      .catch(() => setProviders([]));
+  }, []);
+
   async function handleSubmit(event) {
     event.preventDefault();
     setError('');
@@ -36,19 +82,99 @@ function LoginPage() {
     setIsSubmitting(true);
 
     try {
-      await login(email, password);
+      const result = await login(email, password);
+
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
+      }
+
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(
+        loginErrorMessage(err, 'Login failed. Please check your credentials.')
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  async function handleCodeSubmit(event) {
+    event.preventDefault();
+    setError('');
+
+    if (!code.trim()) {
+      setError('Please enter your code');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await verifyTwoFactor(challengeToken, code.trim());
       navigate(redirectTo, { replace: true });
     } catch (err) {
-      const message =
-        err.response?.data?.error ||
-        err.response?.data?.message ||
-        'Login failed. Please check your credentials.';
-      setError(message);
+      setError(loginErrorMessage(err, 'Verification failed.'));
     } finally {
       setIsSubmitting(false);
     }
   }
 
+  function handleStartOver() {
+    setChallengeToken('');
+    setCode('');
+    setPassword('');
+    setError('');
+  }
+
+  if (challengeToken) {
+    return (
+      <div className="auth-page">
+        <div className="auth-card">
+          <h2 className="auth-title">Two-Factor Authentication</h2>
+
+          {error && (
+            <div className="error-message" role="alert">{error}</div>
+          )}
+
+          <form onSubmit={handleCodeSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="code">Authentication code</label>
+              <input
+                id="code"
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456 or a recovery code"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="auth-footer">
+            Lost your device? Enter one of your recovery codes instead.
+          </p>
+          <p className="auth-footer">
+            <button type="button" className="link-button" onClick={handleStartOver}>
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-page">
       <div className="auth-card">
@@ -96,6 +222,27 @@ function LoginPage() {
           </button>
         </form>
 
+        {providers.length > 0 && (
+          <>
+            <p className="auth-divider">or</p>
+            <div className="oauth-providers">
+              {providers.map((provider) => (
+                <a
+                  key={provider.id}
+                  href={`/api/auth/oauth/${provider.id}`}
+                  className="btn btn-cancel btn-block"
+                >
+                  Sign in with {provider.name}
+                </a>
+              ))}
+            </div>
+          </>
+        )}
+
+        <p className="auth-footer">
+          <Link to="/forgot-password">Forgot your password?</Link>
+        </p>
+
         <p className="auth-footer">
           Don't have an account? <Link to="/register">Register here</Link>
         </p>
@@ -0,0 +1,75 @@
+/**
+ * =============================================================
+ * OAUTH CALLBACK PAGE - Back From "Sign in with ..."
+ * =============================================================
+ *
+ * After the user logs in at the provider, the backend redirects here:
+ *   /oauth/callback?code=abc123...   (success)
+ *   /oauth/callback?error=...        (cancelled or failed)
+ *
+ * The code is one-time and short-lived: we trade it for tokens with
+ * loginWithOAuth() right away. If the account has 2FA, we continue
+ * on the login page's code step with the challenge token.
+ * =============================================================
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+function OAuthCallbackPage() {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code') || '';
+  const navigate = useNavigate();
+  const { loginWithOAuth } = useAuth();
+
+  const [error, setError] = useState(
+    searchParams.get('error') || (code ? '' : 'This login link is missing its code.')
+  );
+
+  // StrictMode runs effects twice in development - the second call
+  // would fail because the code is single-use
+  const hasRequested = useRef(false);
+
+  useEffect(() => {
+    if (!code || hasRequested.current) return;
+    hasRequested.current = true;
+
+    loginWithOAuth(code)
+      .then((result) => {
+        if (result.twoFactorRequired) {
+          navigate('/login', {
+            replace: true,
+            state: { challengeToken: result.challengeToken },
+          });
+          return;
+        }
+        navigate('/tasks', { replace: true });
+      })
+      .catch((err) => {
+        setError(err.response?.data?.error || 'Login failed. Please try again.');
+      });
+  }, [code, loginWithOAuth, navigate]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <h2 className="auth-title">Signing In</h2>
+
+        {error ? (
+          <div className="error-message" role="alert">{error}</div>
+        ) : (
+          <p className="auth-footer">Finishing your login...</p>
+        )}
+
+        {error && (
+          <p className="auth-footer">
+            <Link to="/login">Back to login</Link>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OAuthCallbackPage;
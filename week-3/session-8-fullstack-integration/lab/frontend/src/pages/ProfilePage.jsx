@@ -0,0 +1,133 @@
+/**
+ * =============================================================
+ * PROFILE PAGE - Account Details and Security Settings
+ * =============================================================
+ *
+ * Displays the user's profile and lets them manage account
+ * security (two-factor authentication, active sessions, API keys).
+ *
+ * DATA FLOW:
+ *   1. On mount: Fetch profile data from GET /api/users/profile
+ *   2. Display user info
+ *   3. Security sections (e.g. TwoFactorSettings) call the API
+ *      themselves and ask us to refetch the profile afterwards
+ *
+ * WHY FETCH PROFILE SEPARATELY FROM JWT?
+ *   The JWT contains basic user info (id, username, email) that
+ *   was set at login time. Things like the 2FA status can change
+ *   after login. Fetching the profile gives us the latest data.
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import apiClient from '../api/client';
+import Avatar from '../components/Avatar';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import SessionList from '../components/SessionList';
+import ApiKeyList from '../components/ApiKeyList';
+
+function ProfilePage() {
+  const { user } = useAuth();
+
+  // Profile data from the API (may be more up-to-date than JWT)
+  const [profile, setProfile] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetch the user's profile from the API.
+   */
+  const fetchProfile = useCallback(async () => {
+    try {
+      setError('');
+      const response = await apiClient.get('/api/users/profile');
+      setProfile(response.data.user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load profile.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Fetch profile on mount
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  // Loading state
+  if (isLoading) {
+    return (
+      <div className="loading-container">
+        <p>Loading profile...</p>
+      </div>
+    );
+  }
+
+  // Error state
+  if (!profile) {
+    return (
+      <div className="profile-page">
+        <div className="error-message">{error}</div>
+        <button onClick={fetchProfile} className="btn btn-primary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="profile-page">
+      <h1>My Profile</h1>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <section className="profile-section profile-summary">
+        <Avatar user={profile} size={64} />
+
+        <div className="profile-info">
+          <div className="profile-field">
+            <label>Username</label>
+            <p>{profile.username || user.username}</p>
+          </div>
+
+          <div className="profile-field">
+            <label>Email</label>
+            <p>
+              {profile.email || user.email}
+              {!profile.emailVerifiedAt && ' (not verified)'}
+            </p>
+          </div>
+
+          <div className="profile-field">
+            <label>Member Since</label>
+            <p>
+              {new Date(profile.createdAt).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+              })}
+            </p>
+          </div>
+
+          <div className="profile-field">
+            <label>Tasks Created</label>
+            <p>{profile.taskCount ?? 0}</p>
+          </div>
+        </div>
+      </section>
+
+      <TwoFactorSettings
+        enabled={profile.twoFactorEnabled}
+        recoveryCodesLeft={profile.recoveryCodesRemaining}
+        onChange={fetchProfile}
+      />
+
+      <SessionList />
+
+      <ApiKeyList />
+    </div>
+  );
+}
+
+export default ProfilePage;
@@ -0,0 +1,138 @@
+/**
+ * =============================================================
+ * RESET PASSWORD PAGE - Choose a New Password
+ * =============================================================
+ *
+ * Opened from the link in the reset email:
+ *   /reset-password?token=abc123...
+ *
+ * Sends the token and the new password to
+ * POST /api/auth/reset-password. Each link works once and expires,
+ * so on failure we point the user back to /forgot-password.
+ * =============================================================
+ */
+
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import apiClient from '../api/client';
+
+function ResetPasswordPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isDone, setIsDone] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setError('');
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await apiClient.post('/api/auth/reset-password', { token, password });
+      setIsDone(true);
+    } catch (err) {
+      setError(
+        err.response?.data?.error || 'Something went wrong. Please try again.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="auth-page">
+        <div className="auth-card">
+          <h2 className="auth-title">Reset Password</h2>
+          <div className="error-message" role="alert">
+            This reset link is missing its token.
+          </div>
+          <p className="auth-footer">
+            <Link to="/forgot-password">Request a new link</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <h2 className="auth-title">Reset Password</h2>
+
+        {error && (
+          <div className="error-message" role="alert">{error}</div>
+        )}
+
+        {isDone ? (
+          <div className="success-message" role="status">
+            Your password has been reset.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="password">New Password</label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 6 characters"
+                required
+                minLength={6}
+                autoComplete="new-password"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                id="confirmPassword"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Type your password again"
+                required
+                autoComplete="new-password"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+        )}
+
+        <p className="auth-footer">
+          {isDone || !error ? (
+            <Link to="/login">Back to login</Link>
+          ) : (
+            <Link to="/forgot-password">Request a new link</Link>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPasswordPage;
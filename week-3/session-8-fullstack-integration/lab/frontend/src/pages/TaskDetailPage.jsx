@@ -0,0 +1,180 @@
+/**
+ * =============================================================
+ * TASK DETAIL PAGE - One Task and its Discussion
+ * =============================================================
+ *
+ * Reached from a task card (/tasks/:id). Shows everything about
+ * the task and, below it, the comment thread.
+ *
+ * DATA FLOW:
+ *   1. Fetch the task from GET /api/tasks/:id
+ *   2. Fetch the workspace's members (for @mention suggestions)
+ *   3. CommentThread loads and changes the comments itself
+ *   4. Editing the task itself still happens on the tasks page
+ *
+ * The task belongs to the active workspace; after switching to
+ * another workspace it's "not found", like in the API.
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import apiClient from '../api/client';
+import { useWorkspace } from '../context/WorkspaceContext';
+import Avatar from '../components/Avatar';
+import CommentThread from '../components/CommentThread';
+import { describeRule } from '../utils/recurrence';
+
+// Status value -> label (same labels as TaskCard)
+const STATUS_LABELS = {
+  pending: 'Pending',
+  in_progress: 'In Progress',
+  completed: 'Completed',
+};
+
+/**
+ * Format a date for the details list (UTC for due dates, which are
+ * stored as midnight UTC).
+ */
+function formatDate(value, timeZone) {
+  return new Date(value).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone,
+  });
+}
+
+function TaskDetailPage() {
+  const { id } = useParams();
+  const { activeWorkspace, activeWorkspaceId } = useWorkspace();
+
+  const [task, setTask] = useState(null);
+  const [commentCount, setCommentCount] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchTask = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await apiClient.get(`/api/tasks/${id}`);
+      setTask(response.data.task);
+    } catch (err) {
+      setTask(null);
+      setError(err.response?.data?.error || 'Failed to load task.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [id, activeWorkspaceId]);
+
+  useEffect(() => {
+    fetchTask();
+  }, [fetchTask]);
+
+  const workspaceId = activeWorkspace?.id;
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    apiClient
+      .get(`/api/workspaces/${workspaceId}`)
+      .then((response) => setMembers(response.data.workspace.members))
+      .catch((err) => console.error('Failed to load members:', err));
+  }, [workspaceId]);
+
+  if (isLoading) {
+    return (
+      <div className="loading-container">
+        <p>Loading task...</p>
+      </div>
+    );
+  }
+
+  if (!task) {
+    return (
+      <div className="task-detail-page">
+        <Link to="/tasks" className="back-link">&larr; All tasks</Link>
+        <div className="error-message">{error}</div>
+      </div>
+    );
+  }
+
+  // Viewers can read the discussion but not take part
+  const readOnly = activeWorkspace?.role === 'viewer';
+
+  return (
+    <div className="task-detail-page">
+      <Link to="/tasks" className="back-link">&larr; All tasks</Link>
+
+      <section className="task-detail">
+        <div className="task-card-header">
+          <span className={`task-status status-${task.status.replace('_', '-')}`}>
+            {STATUS_LABELS[task.status] || task.status}
+          </span>
+          <span className={`task-priority priority-${task.priority}`}>
+            {task.priority.charAt(0).toUpperCase() + task.priority.slice(1)}
+          </span>
+          {task.isBlocked && task.status !== 'completed' && (
+            <span className="task-blocked">Blocked</span>
+          )}
+        </div>
+
+        <h1>{task.title}</h1>
+        {task.description && <p className="task-detail-description">{task.description}</p>}
+
+        <dl className="task-detail-fields">
+          <dt>Created</dt>
+          <dd>{formatDate(task.createdAt)}</dd>
+
+          {task.dueDate && (
+            <>
+              <dt>Due</dt>
+              <dd>{formatDate(task.dueDate, 'UTC')}</dd>
+            </>
+          )}
+
+          {task.recurrence && (
+            <>
+              <dt>Repeats</dt>
+              <dd>{describeRule(task.recurrence)}</dd>
+            </>
+          )}
+
+          <dt>Assignee</dt>
+          <dd>
+            {task.assignee ? (
+              <span className="task-assignee">
+                <Avatar user={task.assignee} size={20} />
+                {task.assignee.username}
+              </span>
+            ) : (
+              'Unassigned'
+            )}
+          </dd>
+
+          {task.progress?.total > 0 && (
+            <>
+              <dt>Subtasks</dt>
+              <dd>
+                {task.progress.completed} of {task.progress.total} done
+              </dd>
+            </>
+          )}
+
+          <dt>Comments</dt>
+          <dd>{commentCount ?? task.commentCount}</dd>
+        </dl>
+      </section>
+
+      <CommentThread
+        taskId={task.id}
+        readOnly={readOnly}
+        members={members}
+        onCountChange={setCommentCount}
+      />
+    </div>
+  );
+}
+
+export default TaskDetailPage;
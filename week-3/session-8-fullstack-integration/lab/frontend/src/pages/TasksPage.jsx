@@ -11,15 +11,85 @@
  *
  * DATA FLOW:
  *   TasksPage (state owner)
+ *     -> SavedViews (sidebar: restores and saves filter setups)
+ *     -> ProjectSwitcher (selects which project's tasks to load)
  *     -> TaskInput (creates new tasks via callback)
+ *     -> BulkActionBar (acts on the selected tasks)
  *     -> TaskList (displays filtered tasks)
  *       -> TaskCard (displays individual task with action callbacks)
+ *         -> SubtaskList (loads and edits a task's subtasks itself)
  *
  * STATE MANAGEMENT:
- *   - tasks: Array of task objects from the API
- *   - isLoading: True while fetching tasks
+ *   - tasks: The tasks loaded so far (one or more pages)
+ *   - nextCursor: Where the next page starts (null = no more pages)
+ *   - counts: Totals per status for the whole list (from the API)
+ *   - isLoading: True while fetching the first page
  *   - error: Error message if fetch fails
- *   - filter: Current status filter ('all', 'pending', etc.)
+ *   - members: Workspace members, for the assignee picker
+ *   - projects: The workspace's projects, for the project switcher
+ *   - views: The user's saved views in this workspace
+ *   - selectedIds: Tasks ticked for a bulk action (a Set of IDs)
+ *
+ * FILTERS LIVE IN THE URL:
+ *   The status filter, project scope ('all', 'none', or a project ID),
+ *   advanced filter, sort and display options are read from the query
+ *   string (useSearchParams) instead of useState:
+ *     /tasks?status=pending&projectId=3&filter=due<today&sort=title&order=asc
+ *   So a filtered list can be bookmarked or shared, and the Back
+ *   button undoes a filter change. priority and assignee are only
+ *   set by saved views (or a hand-written URL) - there's no control
+ *   for them on the page yet. Like before, the filters are applied
+ *   by the API (GET /api/tasks?projectId=...&status=...), not in the
+ *   browser.
+ *
+ * SAVED VIEWS:
+ *   Choosing a view replaces the query string with the view's filters,
+ *   sort and display options (plus ?view=<id> to mark it active).
+ *   Changing any filter afterwards drops ?view - the page no longer
+ *   shows exactly that view. Views belong to a workspace, so
+ *   switching workspaces clears the query string.
+ *
+ * INFINITE SCROLL:
+ *   The API returns tasks in pages of PAGE_SIZE with a nextCursor.
+ *   An invisible "sentinel" div sits below the list; when it scrolls
+ *   into view (IntersectionObserver), the next page is appended.
+ *   Changing the project or status filter starts again at page one.
+ *
+ * SEARCH:
+ *   Typing in the search box calls GET /api/tasks/search once the
+ *   user pauses for SEARCH_DELAY_MS ("debouncing" - no request per
+ *   keystroke). Results come back best match first, with highlights,
+ *   and the project/status filters still apply. Search results
+ *   aren't paginated, so infinite scroll is off while searching.
+ *
+ * ADVANCED FILTER:
+ *   A filter expression such as "priority:high AND due<today" is
+ *   sent as ?filter= (applied when the user presses Enter). The API
+ *   explains mistakes with a 400, which we show as the page error.
+ *   Search doesn't support it, so it's ignored while searching.
+ *
+ * BULK ACTIONS:
+ *   Ticking tasks shows the BulkActionBar. Its actions send ONE
+ *   POST /api/tasks/bulk request for all selected tasks, and the
+ *   per-task results are merged into the list. The selection is
+ *   cleared whenever the list is reloaded.
+ *
+ * LIVE UPDATES:
+ *   While the page is open it listens for task events over a
+ *   WebSocket (api/realtime.js), so changes made in another tab or
+ *   by a teammate appear without a reload:
+ *     - updated / deleted: the task is replaced / removed if loaded
+ *     - created: added at the top if it fits the project, priority
+ *       and assignee filters (with a search or an advanced filter we
+ *       can't tell, so it shows up on the next reload)
+ *     - subtask changes reload the parent, for its progress bar
+ *
+ * WORKSPACES:
+ *   The active workspace comes from WorkspaceContext. The API client
+ *   sends it as a header, so this page only needs to re-fetch when
+ *   it changes (activeWorkspaceId is a dependency of the fetchers).
+ *   Viewers get a read-only page: no form and no card actions
+ *   (the API would answer their writes with 403 anyway).
  *
  * KEY PATTERN:
  *   "Lifting state up" - TasksPage owns the task data and passes
@@ -28,41 +98,176 @@
  * =============================================================
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
 import apiClient from '../api/client';
+import { subscribeToTaskEvents } from '../api/realtime';
 import TaskList from '../components/TaskList';
 import TaskInput from '../components/TaskInput';
+import ProjectSwitcher from '../components/ProjectSwitcher';
+import SavedViews from '../components/SavedViews';
+import BulkActionBar from '../components/BulkActionBar';
+
+// Tasks per request
+const PAGE_SIZE = 30;
+
+// How long typing must pause before we search
+const SEARCH_DELAY_MS = 300;
+
+const EMPTY_COUNTS = { total: 0, pending: 0, in_progress: 0, completed: 0 };
+
+// Query string values that are left out of the URL when they're the default
+const QUERY_DEFAULTS = { status: 'all', projectId: 'all', sort: 'createdAt', order: 'desc' };
+
+// Query string keys a saved view restores as filters (same names as the API)
+const VIEW_FILTER_KEYS = ['status', 'priority', 'projectId', 'assignee', 'filter'];
+
+// Sort choices offered on the page (field -> label)
+const SORT_OPTIONS = {
+  createdAt: 'Created',
+  updatedAt: 'Updated',
+  title: 'Title',
+  status: 'Status',
+  priority: 'Priority',
+};
 
 function TasksPage() {
   const { user } = useAuth();
+  const { activeWorkspace, activeWorkspaceId } = useWorkspace();
 
   // Task data state
   const [tasks, setTasks] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
 
-  // Filter state
-  const [statusFilter, setStatusFilter] = useState('all');
+  // Pagination state
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
+
+  // Bumped on every fresh load, so a page that arrives after the
+  // filter changed isn't appended to the new list
+  const listVersion = useRef(0);
+
+  // Element below the list that triggers loading the next page
+  const sentinelRef = useRef(null);
+
+  // Filters, sort and display options - read from the URL
+  const [searchParams, setSearchParams] = useSearchParams();
+  const statusFilter = searchParams.get('status') || 'all';
+  const selectedProject = searchParams.get('projectId') || 'all';
+  const priorityFilter = searchParams.get('priority') || '';
+  const assigneeFilter = searchParams.get('assignee') || '';
+  const filterExpression = searchParams.get('filter') || '';
+  const sortField = searchParams.get('sort') || 'createdAt';
+  const sortOrder = searchParams.get('order') || 'desc';
+  const isCompact = searchParams.get('compact') === '1';
+  const activeViewId = Number(searchParams.get('view')) || null;
+
+  // Search: what's in the box, and what we last searched for
+  const [searchInput, setSearchInput] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+
+  // Advanced filter: what's typed (applied to the URL on Enter)
+  const [filterInput, setFilterInput] = useState(filterExpression);
+
+  // Project state
+  const [projects, setProjects] = useState([]);
+
+  // Saved views in the active workspace
+  const [views, setViews] = useState([]);
+
+  // Members of the active workspace (people tasks can be assigned to)
+  const [members, setMembers] = useState([]);
+
+  // Bulk selection
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [isBulkWorking, setIsBulkWorking] = useState(false);
 
   // Edit state - which task is being edited (null = none)
   const [editingTask, setEditingTask] = useState(null);
 
   /**
-   * Fetch all tasks from the API.
+   * Change some of the query string values (null or the default
+   * removes one). Any change means the page no longer shows a
+   * saved view exactly, so ?view is dropped too.
+   *
+   * @param {object} changes - e.g. { status: 'pending' }
+   */
+  const updateQuery = useCallback((changes) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null || value === '' || value === QUERY_DEFAULTS[key]) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      }
+      next.delete('view');
+      return next;
+    });
+  }, [setSearchParams]);
+
+  /**
+   * Query parameters for the current project, status, priority and
+   * assignee filters (shared by the list and search endpoints).
+   */
+  const listParams = useCallback(() => {
+    const params = { limit: PAGE_SIZE };
+    if (selectedProject !== 'all') params.projectId = selectedProject;
+    if (statusFilter !== 'all') params.status = statusFilter;
+    if (priorityFilter) params.priority = priorityFilter;
+    if (assigneeFilter) params.assignee = assigneeFilter;
+    return params;
+  }, [selectedProject, statusFilter, priorityFilter, assigneeFilter]);
+
+  /**
+   * Parameters for the list endpoint (adds the advanced filter and sort).
+   */
+  const pageParams = useCallback(() => {
+    const params = { ...listParams(), sort: sortField, order: sortOrder };
+    if (filterExpression) params.filter = filterExpression;
+    return params;
+  }, [listParams, filterExpression, sortField, sortOrder]);
+
+  /**
+   * Fetch the first page of tasks from the API.
    *
-   * useCallback memoizes this function so it doesn't change
-   * on every render, which would cause useEffect to re-run.
+   * useCallback memoizes this function so it only changes when
+   * the project or status filter changes - which re-runs the
+   * useEffect below and reloads the list from the start.
    */
   const fetchTasks = useCallback(async () => {
+    const version = ++listVersion.current;
+
     try {
       setIsLoading(true);
       setError('');
+      setSelectedIds(new Set());
+
+      if (searchQuery) {
+        const response = await apiClient.get('/api/tasks/search', {
+          params: { ...listParams(), q: searchQuery },
+        });
+        if (version !== listVersion.current) return;
+
+        // Results are ranked, not paginated - and the status totals
+        // above the list keep describing the whole list
+        setTasks(response.data.tasks);
+        setNextCursor(null);
+        return;
+      }
 
       // GET /api/tasks - the auth interceptor adds the JWT automatically
-      const response = await apiClient.get('/api/tasks');
+      const response = await apiClient.get('/api/tasks', { params: pageParams() });
+      if (version !== listVersion.current) return;
 
       setTasks(response.data.tasks);
+      setNextCursor(response.data.nextCursor);
+      setCounts(response.data.counts || EMPTY_COUNTS);
     } catch (err) {
       const message =
         err.response?.data?.error || 'Failed to load tasks. Please try again.';
@@ -70,28 +275,290 @@ function TasksPage() {
     } finally {
       setIsLoading(false);
     }
-  }, []);
+  }, [listParams, pageParams, searchQuery, activeWorkspaceId]);
+
+  /**
+   * Append the next page (called by the infinite scroll sentinel).
+   */
+  const loadMoreTasks = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    const version = listVersion.current;
+    setIsLoadingMore(true);
+
+    try {
+      const response = await apiClient.get('/api/tasks', {
+        params: { ...pageParams(), cursor: nextCursor },
+      });
+      if (version !== listVersion.current) return;
 
-  // Fetch tasks on mount
+      // Skip tasks we already have (e.g. one created on this page)
+      setTasks((prev) => {
+        const seen = new Set(prev.map((t) => t.id));
+        return [...prev, ...response.data.tasks.filter((t) => !seen.has(t.id))];
+      });
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load more tasks.');
+      setNextCursor(null);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor, isLoadingMore, pageParams]);
+
+  /**
+   * Keep the per-status totals right after a local change.
+   *
+   * @param {string|null} oldStatus - null for a new task
+   * @param {string|null} newStatus - null for a deleted task
+   */
+  function adjustCounts(oldStatus, newStatus) {
+    if (oldStatus === newStatus) return;
+
+    setCounts((prev) => {
+      const next = { ...prev };
+      if (oldStatus) next[oldStatus] -= 1;
+      if (newStatus) next[newStatus] += 1;
+      next.total += (newStatus ? 1 : 0) - (oldStatus ? 1 : 0);
+      return next;
+    });
+  }
+
+  /**
+   * Fetch the user's saved views for the sidebar.
+   */
+  const fetchViews = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/api/views');
+      setViews(response.data.views);
+    } catch (err) {
+      console.error('Failed to load saved views:', err);
+    }
+  }, [activeWorkspaceId]);
+
+  /**
+   * Fetch the user's projects for the project switcher.
+   */
+  const fetchProjects = useCallback(async () => {
+    try {
+      const response = await apiClient.get('/api/projects');
+      setProjects(response.data.projects);
+    } catch (err) {
+      console.error('Failed to load projects:', err);
+    }
+  }, [activeWorkspaceId]);
+
+  // Fetch the active workspace's members for the assignee picker
+  const workspaceId = activeWorkspace?.id;
+  useEffect(() => {
+    if (!workspaceId) return;
+
+    apiClient
+      .get(`/api/workspaces/${workspaceId}`)
+      .then((response) => setMembers(response.data.workspace.members))
+      .catch((err) => console.error('Failed to load members:', err));
+  }, [workspaceId]);
+
+  // Live updates from other tabs and teammates. The handler is read
+  // through a ref so it always sees the current tasks and filters
+  // without reconnecting on every render.
+  const taskEventHandler = useRef(null);
+  taskEventHandler.current = handleTaskEvent;
+  useEffect(() => {
+    if (!workspaceId) return undefined;
+    return subscribeToTaskEvents(workspaceId, (event) => taskEventHandler.current(event));
+  }, [workspaceId]);
+
+  // Projects and views belong to a workspace - clear the filters
+  // on switch (but not on the first render: keep a bookmarked URL)
+  const previousWorkspaceId = useRef(activeWorkspaceId);
+  useEffect(() => {
+    if (previousWorkspaceId.current === activeWorkspaceId) return;
+    previousWorkspaceId.current = activeWorkspaceId;
+
+    setSearchParams({}, { replace: true });
+    setEditingTask(null);
+  }, [activeWorkspaceId, setSearchParams]);
+
+  // Keep the filter box in step with the URL (Back button, saved views)
+  useEffect(() => {
+    setFilterInput(filterExpression);
+  }, [filterExpression]);
+
+  // Debounce the search box: only search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(searchInput.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // Fetch tasks on mount and whenever the project, status filter or search changes
   useEffect(() => {
     fetchTasks();
   }, [fetchTasks]);
 
+  // Infinite scroll: load the next page when the sentinel comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMoreTasks();
+      },
+      { rootMargin: '200px' } // Start a little before the bottom
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMoreTasks]);
+
+  // Fetch projects and saved views on mount
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  useEffect(() => {
+    fetchViews();
+  }, [fetchViews]);
+
+  /**
+   * Restore a saved view: its filters, sort and display options
+   * replace the whole query string.
+   *
+   * @param {object} view - { id, filters, sort, order, display }
+   */
+  function handleSelectView(view) {
+    const next = new URLSearchParams();
+
+    for (const key of VIEW_FILTER_KEYS) {
+      if (view.filters[key]) next.set(key, view.filters[key]);
+    }
+    if (view.sort !== QUERY_DEFAULTS.sort) next.set('sort', view.sort);
+    if (view.order !== QUERY_DEFAULTS.order) next.set('order', view.order);
+    if (view.display.compact) next.set('compact', '1');
+    next.set('view', String(view.id));
+
+    setSearchParams(next);
+  }
+
+  /**
+   * Save the page's current filters, sort and display options as a
+   * view via POST /api/views, and mark it active.
+   *
+   * @param {string} name - Name of the new view
+   */
+  async function handleSaveView(name) {
+    const filters = {};
+    for (const key of VIEW_FILTER_KEYS) {
+      const value = searchParams.get(key);
+      if (value) filters[key] = value;
+    }
+
+    try {
+      const response = await apiClient.post('/api/views', {
+        name,
+        filters,
+        sort: sortField,
+        order: sortOrder,
+        display: { compact: isCompact },
+      });
+      const newView = response.data.view;
+
+      setViews((prev) =>
+        [...prev, newView].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        next.set('view', String(newView.id));
+        return next;
+      }, { replace: true });
+
+      return { success: true };
+    } catch (err) {
+      const message =
+        err.response?.data?.error || 'Failed to save view.';
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * Delete a saved view via DELETE /api/views/:id.
+   * The current filters stay as they are.
+   *
+   * @param {object} view - The view to delete
+   */
+  async function handleDeleteView(view) {
+    if (!window.confirm(`Delete the view "${view.name}"?`)) {
+      return;
+    }
+
+    try {
+      await apiClient.delete(`/api/views/${view.id}`);
+      setViews((prev) => prev.filter((v) => v.id !== view.id));
+      if (view.id === activeViewId) updateQuery({});
+    } catch (err) {
+      console.error('Failed to delete view:', err);
+      setError('Failed to delete view.');
+    }
+  }
+
+  /**
+   * Create a new project via POST /api/projects and switch to it.
+   *
+   * @param {string} name - Name of the new project
+   */
+  async function handleCreateProject(name) {
+    try {
+      const response = await apiClient.post('/api/projects', { name });
+      const newProject = response.data.project;
+
+      setProjects((prev) =>
+        [...prev, { ...newProject, taskCount: 0 }].sort((a, b) =>
+          a.name.localeCompare(b.name)
+        )
+      );
+      updateQuery({ projectId: String(newProject.id) });
+
+      return { success: true };
+    } catch (err) {
+      const message =
+        err.response?.data?.error || 'Failed to create project.';
+      return { success: false, error: message };
+    }
+  }
+
   /**
    * Create a new task via POST /api/tasks.
    *
    * After creation, we add the new task to state directly
    * instead of re-fetching all tasks (optimistic-ish update).
    *
+   * New tasks are filed under the selected project, if any.
+   *
    * @param {object} taskData - { title, description, priority }
    */
   async function handleCreateTask(taskData) {
+    const projectId =
+      selectedProject === 'all' || selectedProject === 'none'
+        ? null
+        : Number(selectedProject);
+
     try {
-      const response = await apiClient.post('/api/tasks', taskData);
+      const response = await apiClient.post('/api/tasks', { ...taskData, projectId });
       const newTask = response.data.task;
 
       // Add the new task to the beginning of the list
       setTasks((prev) => [newTask, ...prev]);
+      adjustCounts(null, newTask.status);
+
+      // Keep the project's task count in the switcher up to date
+      if (projectId) {
+        setProjects((prev) =>
+          prev.map((p) =>
+            p.id === projectId ? { ...p, taskCount: (p.taskCount ?? 0) + 1 } : p
+          )
+        );
+      }
 
       return { success: true };
     } catch (err) {
@@ -101,21 +568,43 @@ function TasksPage() {
     }
   }
 
+  /**
+   * Add the next occurrence the API created when a recurring task
+   * was completed (nextOccurrence in the response). A recurring
+   * subtask's next occurrence is a subtask too, so it stays out of
+   * the list like the others.
+   *
+   * @param {object|undefined} nextTask
+   */
+  function addNextOccurrence(nextTask) {
+    if (!nextTask || nextTask.parentId) return;
+    setTasks((prev) => [nextTask, ...prev]);
+    adjustCounts(null, nextTask.status);
+  }
+
   /**
    * Update a task via PUT /api/tasks/:id.
    *
+   * PUT replaces every field, so the task's current projectId is
+   * sent along to keep it in the same project.
+   *
    * @param {number} taskId - ID of the task to update
    * @param {object} taskData - Updated fields
    */
   async function handleUpdateTask(taskId, taskData) {
     try {
-      const response = await apiClient.put(`/api/tasks/${taskId}`, taskData);
+      const response = await apiClient.put(`/api/tasks/${taskId}`, {
+        ...taskData,
+        projectId: editingTask?.projectId ?? null,
+      });
       const updatedTask = response.data.task;
 
       // Replace the old task in state with the updated one
       setTasks((prev) =>
         prev.map((t) => (t.id === taskId ? updatedTask : t))
       );
+      adjustCounts(editingTask?.status, updatedTask.status);
+      addNextOccurrence(response.data.nextOccurrence);
 
       // Clear editing state
       setEditingTask(null);
@@ -132,22 +621,50 @@ function TasksPage() {
    * Toggle a task's completion status via PATCH /api/tasks/:id.
    *
    * Uses PATCH instead of PUT because we're only changing one field.
-   * Toggles between 'completed' and 'pending'.
+   * Toggles between 'completed' and 'pending'. Completing a task with
+   * open subtasks asks whether to complete them too (completeSubtasks).
+   * A blocked task gets a 409 TASK_BLOCKED naming its blockers; if the
+   * user confirms, the request is sent again with force: true.
+   * Completing a recurring task adds its next occurrence to the list.
    *
    * @param {object} task - The task to toggle
    */
   async function handleToggleTask(task) {
     const newStatus = task.status === 'completed' ? 'pending' : 'completed';
 
-    try {
-      const response = await apiClient.patch(`/api/tasks/${task.id}`, {
+    const openSubtasks = (task.progress?.total ?? 0) - (task.progress?.completed ?? 0);
+    const completeSubtasks =
+      newStatus === 'completed' &&
+      openSubtasks > 0 &&
+      window.confirm(`Also complete its ${openSubtasks} open subtask(s)?`);
+
+    const complete = (force) =>
+      apiClient.patch(`/api/tasks/${task.id}`, {
         status: newStatus,
+        completeSubtasks,
+        force,
       });
+
+    try {
+      let response;
+      try {
+        response = await complete(false);
+      } catch (err) {
+        if (err.response?.data?.code !== 'TASK_BLOCKED') throw err;
+
+        const titles = err.response.data.details.blockers.map((b) => `"${b.title}"`);
+        if (!window.confirm(`This task is blocked by ${titles.join(', ')}. Complete it anyway?`)) {
+          return;
+        }
+        response = await complete(true);
+      }
       const updatedTask = response.data.task;
 
       setTasks((prev) =>
         prev.map((t) => (t.id === task.id ? updatedTask : t))
       );
+      adjustCounts(task.status, updatedTask.status);
+      addNextOccurrence(response.data.nextOccurrence);
     } catch (err) {
       console.error('Failed to toggle task:', err);
       setError('Failed to update task status.');
@@ -171,13 +688,188 @@ function TasksPage() {
       await apiClient.delete(`/api/tasks/${taskId}`);
 
       // Remove the task from state
+      const deletedTask = tasks.find((t) => t.id === taskId);
       setTasks((prev) => prev.filter((t) => t.id !== taskId));
+      if (deletedTask) adjustCounts(deletedTask.status, null);
+      setSelectedIds((prev) => {
+        const next = new Set(prev);
+        next.delete(taskId);
+        return next;
+      });
     } catch (err) {
       console.error('Failed to delete task:', err);
       setError('Failed to delete task.');
     }
   }
 
+  /**
+   * Keep a task's subtask progress bar right after its subtasks change.
+   *
+   * @param {number} taskId
+   * @param {object} progress - { total, completed, percent }
+   */
+  function handleProgressChange(taskId, progress) {
+    setTasks((prev) =>
+      prev.map((t) => (t.id === taskId ? { ...t, progress } : t))
+    );
+  }
+
+  /**
+   * Merge a task returned by a card's own request (e.g. after adding
+   * a blocker, its isBlocked changes).
+   *
+   * @param {object} updatedTask
+   */
+  function handleTaskChange(updatedTask) {
+    setTasks((prev) =>
+      prev.map((t) => (t.id === updatedTask.id ? { ...t, ...updatedTask } : t))
+    );
+  }
+
+  /**
+   * Could a task created elsewhere belong in the list? Only the
+   * filters we can check here count - with a search or an advanced
+   * filter, new tasks wait for the next reload. (Status is left to
+   * the list itself, like for tasks created on this page.)
+   *
+   * @param {object} task
+   * @returns {boolean}
+   */
+  function fitsCurrentList(task) {
+    if (searchQuery || filterExpression) return false;
+    if (selectedProject === 'none' && task.projectId !== null) return false;
+    if (!['all', 'none'].includes(selectedProject) && task.projectId !== Number(selectedProject)) {
+      return false;
+    }
+    if (priorityFilter && task.priority !== priorityFilter) return false;
+    if (assigneeFilter === 'me') return task.assigneeId === user?.id;
+    if (assigneeFilter === 'none') return task.assigneeId === null;
+    if (assigneeFilter) return task.assigneeId === Number(assigneeFilter);
+    return true;
+  }
+
+  /**
+   * Merge a live task event (see api/realtime.js) into the list.
+   *
+   * @param {object} event - { type, task } or { type, taskId, parentId }
+   */
+  async function handleTaskEvent(event) {
+    const parentId = event.task?.parentId ?? event.parentId;
+
+    // A subtask changed: reload its parent's progress, if it's listed
+    if (parentId) {
+      if (!tasks.some((t) => t.id === parentId)) return;
+      try {
+        const response = await apiClient.get(`/api/tasks/${parentId}`);
+        handleTaskChange(response.data.task);
+      } catch (err) {
+        // 404: the parent was deleted too - its own event removes it
+        if (err.response?.status !== 404) console.error('Failed to reload task:', err);
+      }
+      return;
+    }
+
+    const taskId = event.task?.id ?? event.taskId;
+    const existing = tasks.find((t) => t.id === taskId);
+
+    if (event.type === 'task.created' && !existing && fitsCurrentList(event.task)) {
+      setTasks((prev) => [event.task, ...prev]);
+      adjustCounts(null, event.task.status);
+    } else if (event.type === 'task.updated' && existing) {
+      handleTaskChange(event.task);
+      adjustCounts(existing.status, event.task.status);
+    } else if (event.type === 'task.deleted' && existing) {
+      setTasks((prev) => prev.filter((t) => t.id !== taskId));
+      adjustCounts(existing.status, null);
+      setSelectedIds((prev) => {
+        const next = new Set(prev);
+        next.delete(taskId);
+        return next;
+      });
+      if (editingTask?.id === taskId) setEditingTask(null);
+    }
+  }
+
+  /**
+   * Tick or untick a task for bulk actions.
+   *
+   * @param {number} taskId
+   */
+  function handleSelectTask(taskId) {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(taskId)) {
+        next.delete(taskId);
+      } else {
+        next.add(taskId);
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Apply an action to every selected task via POST /api/tasks/bulk.
+   *
+   * The response has one result per task; the changed tasks replace
+   * (or, for delete, leave) the list. Tasks that failed - e.g. deleted
+   * by someone else meanwhile, or blocked - are reported in the page error.
+   *
+   * @param {string} operation - 'update', 'move' or 'delete'
+   * @param {object} payload - { fields } for update, { projectId } for move
+   */
+  async function handleBulkAction(operation, payload) {
+    const ids = [...selectedIds];
+
+    if (
+      operation === 'delete' &&
+      !window.confirm(`Are you sure you want to delete ${ids.length} tasks?`)
+    ) {
+      return;
+    }
+
+    setIsBulkWorking(true);
+
+    try {
+      const response = await apiClient.post('/api/tasks/bulk', {
+        ids,
+        operation,
+        ...payload,
+      });
+      const { results, failed } = response.data;
+      const done = results.filter((result) => result.success);
+
+      if (operation === 'delete') {
+        const deletedIds = new Set(done.map((result) => result.id));
+        tasks
+          .filter((t) => deletedIds.has(t.id))
+          .forEach((t) => adjustCounts(t.status, null));
+        setTasks((prev) => prev.filter((t) => !deletedIds.has(t.id)));
+      } else {
+        const updatedTasks = new Map(done.map((result) => [result.id, result.task]));
+        tasks
+          .filter((t) => updatedTasks.has(t.id))
+          .forEach((t) => adjustCounts(t.status, updatedTasks.get(t.id).status));
+        setTasks((prev) => prev.map((t) => updatedTasks.get(t.id) || t));
+        done.forEach((result) => addNextOccurrence(result.nextOccurrence));
+      }
+
+      // Moving or deleting changes the projects' task counts
+      if (operation !== 'update') fetchProjects();
+
+      setSelectedIds(new Set());
+
+      if (failed > 0) {
+        // e.g. "Task not found." or "Task is blocked by unfinished tasks."
+        const reasons = new Set(results.filter((r) => !r.success).map((r) => r.error));
+        setError(`${failed} of ${results.length} tasks could not be changed: ${[...reasons].join(' ')}`);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update the selected tasks.');
+    } finally {
+      setIsBulkWorking(false);
+    }
+  }
+
   /**
    * Start editing a task - sets the editingTask state
    * which is passed to TaskInput to pre-fill the form.
@@ -195,86 +887,211 @@ function TasksPage() {
     setEditingTask(null);
   }
 
-  // Filter tasks based on the selected status filter
+  // Viewers can look but not touch
+  const canWrite = activeWorkspace?.role !== 'viewer';
+
+  // The API already filtered by status - this only hides tasks that
+  // were changed to another status since they were loaded
   const filteredTasks =
     statusFilter === 'all'
       ? tasks
       : tasks.filter((t) => t.status === statusFilter);
 
-  // Calculate task statistics for the summary
+  // Task statistics for the summary (totals from the API, not
+  // just the pages loaded so far)
   const stats = {
-    total: tasks.length,
-    pending: tasks.filter((t) => t.status === 'pending').length,
-    inProgress: tasks.filter((t) => t.status === 'in_progress').length,
-    completed: tasks.filter((t) => t.status === 'completed').length,
+    total: counts.total,
+    pending: counts.pending,
+    inProgress: counts.in_progress,
+    completed: counts.completed,
   };
 
   return (
-    <div className="tasks-page">
-      {/* Page header with stats */}
-      <div className="tasks-header">
-        <h1>{user.username}'s Tasks</h1>
-        <div className="task-stats">
-          <span className="stat">{stats.total} total</span>
-          <span className="stat stat-pending">{stats.pending} pending</span>
-          <span className="stat stat-progress">{stats.inProgress} in progress</span>
-          <span className="stat stat-done">{stats.completed} completed</span>
+    <div className="tasks-layout">
+      {/* Saved views sidebar */}
+      <SavedViews
+        views={views}
+        activeViewId={activeViewId}
+        onSelect={handleSelectView}
+        onSave={handleSaveView}
+        onDelete={handleDeleteView}
+      />
+
+      <div className="tasks-page">
+        {/* Page header with stats */}
+        <div className="tasks-header">
+          <h1>
+            {activeWorkspace && !activeWorkspace.isPersonal
+              ? `${activeWorkspace.name} Tasks`
+              : `${user.username}'s Tasks`}
+          </h1>
+          <div className="task-stats">
+            <span className="stat">{stats.total} total</span>
+            <span className="stat stat-pending">{stats.pending} pending</span>
+            <span className="stat stat-progress">{stats.inProgress} in progress</span>
+            <span className="stat stat-done">{stats.completed} completed</span>
+          </div>
         </div>
-      </div>
 
-      {/* Task input form - for creating and editing tasks */}
-      <TaskInput
-        onSubmit={editingTask
-          ? (data) => handleUpdateTask(editingTask.id, data)
-          : handleCreateTask
-        }
-        editingTask={editingTask}
-        onCancelEdit={handleCancelEdit}
-      />
+        {/* Project switcher - scopes the list to one project */}
+        <ProjectSwitcher
+          projects={projects}
+          selected={selectedProject}
+          onSelect={(value) => updateQuery({ projectId: value })}
+          onCreate={canWrite ? handleCreateProject : undefined}
+        />
 
-      {/* Error message */}
-      {error && (
-        <div className="error-message">
-          {error}
-          <button
-            onClick={() => setError('')}
-            className="error-dismiss"
-          >
-            Dismiss
-          </button>
+        {/* Task input form - for creating and editing tasks */}
+        {canWrite && (
+          <TaskInput
+            onSubmit={editingTask
+              ? (data) => handleUpdateTask(editingTask.id, data)
+              : handleCreateTask
+            }
+            editingTask={editingTask}
+            onCancelEdit={handleCancelEdit}
+            members={members}
+          />
+        )}
+
+        {/* Error message */}
+        {error && (
+          <div className="error-message">
+            {error}
+            <button
+              onClick={() => setError('')}
+              className="error-dismiss"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Search box - results replace the list while it has text */}
+        <div className="task-search">
+          <input
+            type="search"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Search tasks..."
+            aria-label="Search tasks"
+            maxLength={200}
+          />
         </div>
-      )}
-
-      {/* Status filter buttons */}
-      <div className="task-filters">
-        {['all', 'pending', 'in_progress', 'completed'].map((filter) => (
-          <button
-            key={filter}
-            onClick={() => setStatusFilter(filter)}
-            className={`filter-btn ${statusFilter === filter ? 'filter-active' : ''}`}
-          >
-            {filter === 'all'
-              ? 'All'
-              : filter === 'in_progress'
-              ? 'In Progress'
-              : filter.charAt(0).toUpperCase() + filter.slice(1)}
-          </button>
-        ))}
-      </div>
 
-      {/* Task list with loading and empty states */}
-      {isLoading ? (
-        <div className="loading-container">
-          <p>Loading tasks...</p>
+        {/* Advanced filter - applied on Enter */}
+        <form
+          className="task-search"
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateQuery({ filter: filterInput.trim() });
+          }}
+        >
+          <input
+            type="text"
+            value={filterInput}
+            onChange={(e) => setFilterInput(e.target.value)}
+            placeholder='Filter, e.g. priority:high AND due<today AND NOT status:completed'
+            aria-label="Filter expression"
+            maxLength={500}
+          />
+        </form>
+
+        {/* Status filter buttons */}
+        <div className="task-filters">
+          {['all', 'pending', 'in_progress', 'completed'].map((filter) => (
+            <button
+              key={filter}
+              onClick={() => updateQuery({ status: filter })}
+              className={`filter-btn ${statusFilter === filter ? 'filter-active' : ''}`}
+            >
+              {filter === 'all'
+                ? 'All'
+                : filter === 'in_progress'
+                ? 'In Progress'
+                : filter.charAt(0).toUpperCase() + filter.slice(1)}
+            </button>
+          ))}
         </div>
-      ) : (
-        <TaskList
-          tasks={filteredTasks}
-          onToggle={handleToggleTask}
-          onEdit={handleEditTask}
-          onDelete={handleDeleteTask}
-        />
-      )}
+
+        {/* Sort and display options (saved with a view) */}
+        <div className="task-view-options">
+          <label>
+            Sort by{' '}
+            <select
+              value={sortField}
+              onChange={(e) => updateQuery({ sort: e.target.value })}
+            >
+              {Object.entries(SORT_OPTIONS).map(([field, label]) => (
+                <option key={field} value={field}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <select
+            value={sortOrder}
+            onChange={(e) => updateQuery({ order: e.target.value })}
+            aria-label="Sort order"
+          >
+            <option value="desc">Descending</option>
+            <option value="asc">Ascending</option>
+          </select>
+          <label>
+            <input
+              type="checkbox"
+              checked={isCompact}
+              onChange={(e) => updateQuery({ compact: e.target.checked ? '1' : null })}
+            />{' '}
+            Compact
+          </label>
+          {canWrite && filteredTasks.length > 0 && (
+            <button
+              type="button"
+              className="btn btn-sm btn-cancel"
+              onClick={() => setSelectedIds(new Set(filteredTasks.map((t) => t.id)))}
+            >
+              Select all
+            </button>
+          )}
+        </div>
+
+        {/* Bulk actions - only while tasks are selected */}
+        {canWrite && selectedIds.size > 0 && (
+          <BulkActionBar
+            count={selectedIds.size}
+            projects={projects}
+            onAction={handleBulkAction}
+            onClear={() => setSelectedIds(new Set())}
+            isWorking={isBulkWorking}
+          />
+        )}
+
+        {/* Task list with loading and empty states */}
+        {isLoading ? (
+          <div className="loading-container">
+            <p>Loading tasks...</p>
+          </div>
+        ) : (
+          <TaskList
+            tasks={filteredTasks}
+            onToggle={handleToggleTask}
+            onEdit={handleEditTask}
+            onDelete={handleDeleteTask}
+            readOnly={!canWrite}
+            compact={isCompact}
+            selectedIds={selectedIds}
+            onSelect={handleSelectTask}
+            onProgressChange={handleProgressChange}
+            onTaskChange={handleTaskChange}
+          />
+        )}
+
+        {/* Infinite scroll sentinel - loads the next page when visible */}
+        {!isLoading && nextCursor && (
+          <div ref={sentinelRef} className="loading-more">
+            {isLoadingMore ? 'Loading more tasks...' : ''}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -0,0 +1,86 @@
+/**
+ * =============================================================
+ * VERIFY EMAIL PAGE - Confirm an Email Address
+ * =============================================================
+ *
+ * Opened from the link in the verification email:
+ *   /verify-email?token=abc123...
+ *
+ * Calls GET /api/auth/verify-email as soon as the page loads.
+ * If the user is logged in, we then refresh their session so the
+ * new emailVerified claim hides the reminder banner.
+ * =============================================================
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import apiClient from '../api/client';
+
+function VerifyEmailPage() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const { user, refreshSession } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(
+    token ? '' : 'This verification link is missing its token.'
+  );
+
+  // StrictMode runs effects twice in development - the second call
+  // would fail because the token is single-use
+  const hasRequested = useRef(false);
+
+  useEffect(() => {
+    if (!token || hasRequested.current) return;
+    hasRequested.current = true;
+
+    apiClient
+      .get('/api/auth/verify-email', { params: { token } })
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.error || 'Verification failed.');
+      });
+  }, [token]);
+
+  // Pick up the new claim once verified (only when logged in)
+  useEffect(() => {
+    if (status === 'success' && user && !user.emailVerified) {
+      refreshSession().catch(() => {});
+    }
+  }, [status, user, refreshSession]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <h2 className="auth-title">Verify Email</h2>
+
+        {status === 'verifying' && (
+          <p className="auth-footer">Verifying your email...</p>
+        )}
+
+        {status === 'success' && (
+          <div className="success-message" role="status">{message}</div>
+        )}
+
+        {status === 'error' && (
+          <div className="error-message" role="alert">{message}</div>
+        )}
+
+        <p className="auth-footer">
+          {user ? (
+            <Link to="/tasks">Go to your tasks</Link>
+          ) : (
+            <Link to="/login">Go to login</Link>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmailPage;
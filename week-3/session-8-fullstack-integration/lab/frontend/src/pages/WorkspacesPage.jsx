@@ -0,0 +1,389 @@
+/**
+ * =============================================================
+ * WORKSPACES PAGE - Teams, Members and Invitations
+ * =============================================================
+ *
+ * Lets the user:
+ *   1. Accept or decline invitations sent to their email
+ *   2. See their workspaces, switch between them, create new ones
+ *   3. See the members of the active workspace
+ *   4. Invite people by email and change member roles
+ *      (owners and admins - the server enforces the same rules)
+ *
+ * DATA FLOW:
+ *   - The workspace list lives in WorkspaceContext (shared with
+ *     the Header's switcher), so after creating/joining/leaving
+ *     we call refreshWorkspaces() instead of keeping a local copy.
+ *   - Members and invitations of the active workspace are local
+ *     state, re-fetched when the active workspace changes.
+ * =============================================================
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useWorkspace } from '../context/WorkspaceContext';
+import apiClient from '../api/client';
+
+function WorkspacesPage() {
+  const { user } = useAuth();
+  const { workspaces, activeWorkspace, selectWorkspace, refreshWorkspaces } =
+    useWorkspace();
+
+  // Invitations addressed to me
+  const [myInvitations, setMyInvitations] = useState([]);
+
+  // Details of the active workspace
+  const [members, setMembers] = useState([]);
+  const [pendingInvitations, setPendingInvitations] = useState([]);
+
+  // Form state
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('member');
+
+  // UI state
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const isOwner = activeWorkspace?.role === 'owner';
+  const canManage = isOwner || activeWorkspace?.role === 'admin';
+
+  // Roles this user may hand out (only the owner can create admins)
+  const assignableRoles = isOwner
+    ? ['admin', 'member', 'viewer']
+    : ['member', 'viewer'];
+
+  const activeId = activeWorkspace?.id;
+
+  /**
+   * Helper: run an API call and show its error message on failure.
+   */
+  async function run(action, successMessage) {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      if (successMessage) setSuccess(successMessage);
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong.');
+      return false;
+    }
+  }
+
+  const fetchMyInvitations = useCallback(async () => {
+    const response = await apiClient.get('/api/workspaces/invitations');
+    setMyInvitations(response.data.invitations);
+  }, []);
+
+  const fetchWorkspaceDetails = useCallback(async () => {
+    if (!activeId) return;
+
+    // Only owners and admins may see the pending invitations
+    const [details, invitations] = await Promise.all([
+      apiClient.get(`/api/workspaces/${activeId}`),
+      canManage ? apiClient.get(`/api/workspaces/${activeId}/invitations`) : null,
+    ]);
+
+    setMembers(details.data.workspace.members);
+    setPendingInvitations(invitations ? invitations.data.invitations : []);
+  }, [activeId, canManage]);
+
+  useEffect(() => {
+    fetchMyInvitations().catch(() => setError('Failed to load invitations.'));
+  }, [fetchMyInvitations]);
+
+  useEffect(() => {
+    fetchWorkspaceDetails().catch(() => setError('Failed to load workspace.'));
+  }, [fetchWorkspaceDetails]);
+
+  async function handleAccept(invitationId) {
+    await run(async () => {
+      const response = await apiClient.post(
+        `/api/workspaces/invitations/${invitationId}/accept`
+      );
+      await Promise.all([refreshWorkspaces(), fetchMyInvitations()]);
+      selectWorkspace(response.data.workspace.id);
+    }, 'Invitation accepted.');
+  }
+
+  async function handleDecline(invitationId) {
+    await run(async () => {
+      await apiClient.delete(`/api/workspaces/invitations/${invitationId}`);
+      await fetchMyInvitations();
+    });
+  }
+
+  async function handleCreateWorkspace(event) {
+    event.preventDefault();
+    if (!newWorkspaceName.trim()) return;
+
+    const ok = await run(async () => {
+      const response = await apiClient.post('/api/workspaces', {
+        name: newWorkspaceName.trim(),
+      });
+      await refreshWorkspaces();
+      selectWorkspace(response.data.workspace.id);
+    }, 'Workspace created.');
+
+    if (ok) setNewWorkspaceName('');
+  }
+
+  async function handleInvite(event) {
+    event.preventDefault();
+    if (!inviteEmail.trim()) return;
+
+    const ok = await run(async () => {
+      await apiClient.post(`/api/workspaces/${activeId}/invitations`, {
+        email: inviteEmail.trim(),
+        role: inviteRole,
+      });
+      await fetchWorkspaceDetails();
+    }, `Invitation sent to ${inviteEmail.trim()}.`);
+
+    if (ok) setInviteEmail('');
+  }
+
+  async function handleRevoke(invitationId) {
+    await run(async () => {
+      await apiClient.delete(
+        `/api/workspaces/${activeId}/invitations/${invitationId}`
+      );
+      await fetchWorkspaceDetails();
+    });
+  }
+
+  async function handleChangeRole(memberId, role) {
+    await run(async () => {
+      await apiClient.patch(`/api/workspaces/${activeId}/members/${memberId}`, {
+        role,
+      });
+      await fetchWorkspaceDetails();
+    }, 'Role updated.');
+  }
+
+  /**
+   * Can the current user change or remove this member?
+   * Mirrors the server rules: nobody touches the owner, and only
+   * the owner can manage admins.
+   */
+  function canManageMember(member) {
+    if (member.role === 'owner' || member.id === user.id) return false;
+    if (member.role === 'admin') return isOwner;
+    return canManage;
+  }
+
+  async function handleRemoveMember(memberId) {
+    const isSelf = memberId === user.id;
+    const prompt = isSelf
+      ? 'Leave this workspace?'
+      : 'Remove this member from the workspace?';
+    if (!window.confirm(prompt)) return;
+
+    await run(async () => {
+      await apiClient.delete(`/api/workspaces/${activeId}/members/${memberId}`);
+      if (isSelf) {
+        selectWorkspace('');
+        await refreshWorkspaces();
+      } else {
+        await fetchWorkspaceDetails();
+      }
+    });
+  }
+
+  async function handleDeleteWorkspace() {
+    if (!window.confirm(`Delete "${activeWorkspace.name}" and all of its tasks?`)) {
+      return;
+    }
+
+    await run(async () => {
+      await apiClient.delete(`/api/workspaces/${activeId}`);
+      selectWorkspace('');
+      await refreshWorkspaces();
+    }, 'Workspace deleted.');
+  }
+
+  return (
+    <div className="workspaces-page">
+      <h1>Workspaces</h1>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button onClick={() => setError('')} className="error-dismiss">
+            Dismiss
+          </button>
+        </div>
+      )}
+      {success && <div className="success-message">{success}</div>}
+
+      {/* Invitations addressed to me */}
+      {myInvitations.length > 0 && (
+        <section className="workspace-section">
+          <h2>Invitations</h2>
+          <ul className="workspace-list">
+            {myInvitations.map((invitation) => (
+              <li key={invitation.id} className="workspace-item">
+                <span>
+                  <strong>{invitation.workspace.name}</strong>
+                  {' '}from {invitation.invitedBy.username}
+                </span>
+                <span className="workspace-item-actions">
+                  <button
+                    className="btn btn-sm btn-primary"
+                    onClick={() => handleAccept(invitation.id)}
+                  >
+                    Accept
+                  </button>
+                  <button
+                    className="btn btn-sm btn-cancel"
+                    onClick={() => handleDecline(invitation.id)}
+                  >
+                    Decline
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* All my workspaces */}
+      <section className="workspace-section">
+        <h2>My Workspaces</h2>
+        <ul className="workspace-list">
+          {workspaces.map((workspace) => (
+            <li key={workspace.id} className="workspace-item">
+              <span>
+                <strong>{workspace.isPersonal ? 'Personal' : workspace.name}</strong>
+                {' '}&middot; {workspace.role} &middot; {workspace.memberCount}{' '}
+                {workspace.memberCount === 1 ? 'member' : 'members'}
+              </span>
+              {workspace.id === activeId ? (
+                <span className="workspace-active">Active</span>
+              ) : (
+                <button
+                  className="btn btn-sm btn-cancel"
+                  onClick={() =>
+                    selectWorkspace(workspace.isPersonal ? '' : workspace.id)
+                  }
+                >
+                  Switch
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <form onSubmit={handleCreateWorkspace} className="workspace-inline-form">
+          <input
+            type="text"
+            value={newWorkspaceName}
+            onChange={(e) => setNewWorkspaceName(e.target.value)}
+            placeholder="New workspace name"
+            maxLength={100}
+          />
+          <button type="submit" className="btn btn-sm btn-primary">
+            Create Workspace
+          </button>
+        </form>
+      </section>
+
+      {/* Active workspace: members and invitations */}
+      {activeWorkspace && !activeWorkspace.isPersonal && (
+        <section className="workspace-section">
+          <h2>{activeWorkspace.name} &mdash; Members</h2>
+          <ul className="workspace-list">
+            {members.map((member) => (
+              <li key={member.id} className="workspace-item">
+                <span>
+                  <strong>{member.username}</strong> ({member.email})
+                  {!canManageMember(member) && <> &middot; {member.role}</>}
+                </span>
+                <span className="workspace-item-actions">
+                  {canManageMember(member) && (
+                    <select
+                      aria-label={`Role for ${member.username}`}
+                      value={member.role}
+                      onChange={(e) => handleChangeRole(member.id, e.target.value)}
+                    >
+                      {assignableRoles.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  )}
+                  {member.role !== 'owner' &&
+                    (canManageMember(member) || member.id === user.id) && (
+                      <button
+                        className="btn btn-sm btn-delete"
+                        onClick={() => handleRemoveMember(member.id)}
+                      >
+                        {member.id === user.id ? 'Leave' : 'Remove'}
+                      </button>
+                    )}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          {pendingInvitations.length > 0 && (
+            <>
+              <h3>Pending Invitations</h3>
+              <ul className="workspace-list">
+                {pendingInvitations.map((invitation) => (
+                  <li key={invitation.id} className="workspace-item">
+                    <span>
+                      {invitation.email} &middot; {invitation.role}
+                    </span>
+                    {canManage && (
+                      <button
+                        className="btn btn-sm btn-cancel"
+                        onClick={() => handleRevoke(invitation.id)}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {canManage && (
+            <form onSubmit={handleInvite} className="workspace-inline-form">
+              <input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="teammate@example.com"
+              />
+              <select
+                aria-label="Role for the invited person"
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+              >
+                {assignableRoles.map((role) => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn btn-sm btn-primary">
+                Invite
+              </button>
+            </form>
+          )}
+
+          {isOwner && (
+            <button
+              className="btn btn-sm btn-danger workspace-delete"
+              onClick={handleDeleteWorkspace}
+            >
+              Delete Workspace
+            </button>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default WorkspacesPage;
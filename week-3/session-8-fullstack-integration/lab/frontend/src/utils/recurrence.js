@@ -0,0 +1,77 @@
+/**
+ * =============================================================
+ * RECURRENCE RULES - Frontend Helpers
+ * =============================================================
+ *
+ * Tasks repeat by an RRULE-style rule string, e.g.
+ * "FREQ=WEEKLY;INTERVAL=2;COUNT=6" (the full rules and the schedule
+ * are in the backend's utils/recurrence.js). The form edits the
+ * parts as separate fields, so we convert between the string and
+ *   { freq, interval, count, until }
+ * and describe a rule in words for the task cards.
+ *
+ * The API validates every rule - these helpers assume a rule that
+ * came from it (or from buildRule).
+ * =============================================================
+ */
+
+// FREQ value -> unit, for "every 2 weeks"
+const UNITS = {
+  DAILY: 'day',
+  WEEKLY: 'week',
+  MONTHLY: 'month',
+  YEARLY: 'year',
+};
+
+/**
+ * Split a rule string into its parts.
+ *
+ * @param {string} rule - e.g. "FREQ=WEEKLY;COUNT=6"
+ * @returns {{ freq: string, interval: number, count: number|null, until: string|null }}
+ */
+export function parseRule(rule) {
+  const parts = Object.fromEntries(rule.split(';').map((part) => part.split('=')));
+  return {
+    freq: parts.FREQ,
+    interval: Number(parts.INTERVAL || 1),
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL || null,
+  };
+}
+
+/**
+ * Put the parts back together (the same canonical form as the API).
+ *
+ * @param {object} parts - { freq, interval, count?, until? }
+ * @returns {string}
+ */
+export function buildRule({ freq, interval, count, until }) {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${until}`);
+  return parts.join(';');
+}
+
+/**
+ * Describe a rule in words, e.g. "Every 2 weeks, 6 times".
+ *
+ * @param {string} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const { freq, interval, count, until } = parseRule(rule);
+  const unit = UNITS[freq];
+
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+  if (count) text += `, ${count} times`;
+  if (until) text += ` until ${until}`;
+  return text;
+}
+
+/**
+ * The word for a FREQ value's unit ("day", "week", ...).
+ */
+export function unitOf(freq) {
+  return UNITS[freq];
+}
@@ -17,6 +17,9 @@
  *   API call: fetch('/api/tasks')
  *   Vite proxy: forwards to http://localhost:3001/api/tasks
  *   Result: Works! Same origin from browser's perspective.
+ *
+ * ws: true also forwards WebSocket connections under /api (the
+ * live task updates at /api/realtime).
  * =============================================================
  */
 
@@ -34,6 +37,7 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3001',
         changeOrigin: true,
+        ws: true,
       },
       // Also proxy uploaded files
       '/uploads': {